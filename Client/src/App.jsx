@@ -5,6 +5,7 @@ import { VoiceModeProvider } from './contexts/VoiceModeContext'
 import DurmahWidget from './components/DurmahWidget'
 import AuthModal from './components/AuthModal'
 import VoiceIndicator from './components/Voice/VoiceIndicator'
+import OscolaPanel from './components/Oscola/OscolaPanel'
 import { Settings, Mic, MicOff, RefreshCw, User, LogIn, LogOut } from 'lucide-react'
 import toast from 'react-hot-toast'
 
@@ -134,6 +135,9 @@ function AppContent() {
             </div>
           </div>
 
+          {/* OSCOLA Citation Builder */}
+          <OscolaPanel className="mb-8" />
+
           {/* Settings Panel */}
           {showSettings && (
             <div className="bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20 mb-8">
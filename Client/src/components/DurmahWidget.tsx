@@ -9,7 +9,13 @@ import { Copy, Save, Trash2, FileText } from "lucide-react";
 import { supabase, useAuth } from "../lib/supabaseBridge";
 import { useRealtimeVoice } from "../hooks/useRealtimeVoice";
 
+const DEBUG_VOICE =
+  import.meta.env.VITE_DEBUG_VOICE === "true" ||
+  (typeof window !== "undefined" && window.location.search.includes("debug=voice"));
+
 type WidgetProps = {
+  /** Show per-turn latency under the status line (also on with ?debug=voice) */
+  debugMode?: boolean;
   /** Optional academic context: pass from YAAG, module pages, etc. */
   context?: {
     route?: string;
@@ -25,6 +31,15 @@ type WidgetProps = {
 
 type Line = { id: string; text: string };
 
+/** Same shape as the server's durmah.turn_metrics event */
+type TurnMetrics = {
+  turn: number;
+  status: string;
+  first_audio_ms: number | null;
+  transcript_ms: number | null;
+  response_done_ms: number;
+};
+
 type AnyLine = { id?: string | number; text?: string } | string;
 
 /** Make sure transcript is always [{id, text}] for our widget */
@@ -42,6 +57,15 @@ function normalizeTranscript(arr: AnyLine[] | undefined | null): Line[] {
 }
 
 
+const fmtMs = (ms: number | null) =>
+  ms === null ? "–" : ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+
+function median(values: number[]) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor((sorted.length - 1) / 2)];
+}
+
 const fmtTime = (d = new Date()) => {
   const pad = (n: number) => String(n).padStart(2, "0");
   return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(
@@ -49,7 +73,7 @@ const fmtTime = (d = new Date()) => {
   )}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
 };
 
-export default function DurmahWidget({ context }: WidgetProps) {
+export default function DurmahWidget({ context, debugMode = false }: WidgetProps) {
   // Use *host* app auth so RLS == student’s session
   const { user } = useAuth() || { user: null };
 
@@ -61,6 +85,7 @@ export default function DurmahWidget({ context }: WidgetProps) {
     isSpeaking,
     transcript,          // [{id,text}, ...]
     partialTranscript,   // live partial line
+    turnMetrics,         // per-turn latency, newest last
     connect,
     startVoiceMode,
     stopVoiceMode,
@@ -82,6 +107,17 @@ export default function DurmahWidget({ context }: WidgetProps) {
   const [saveMsg, setSaveMsg] = useState<string | null>(null);
   const [cloudId, setCloudId] = useState<string | null>(null);
 
+  const showLatency = (debugMode || DEBUG_VOICE) && turnMetrics.length > 0;
+  const latencySummary = useMemo(() => {
+    const turns = turnMetrics as TurnMetrics[];
+    const last = turns[turns.length - 1];
+    if (!last) return "";
+    const firstAudio = median(turns.map(t => t.first_audio_ms).filter((ms): ms is number => ms !== null));
+    return `Turn ${last.turn}${last.status === "completed" ? "" : ` (${last.status})`}: first audio ${fmtMs(last.first_audio_ms)} · ` +
+      `transcript ${fmtMs(last.transcript_ms)} · done ${fmtMs(last.response_done_ms)} · ` +
+      `median first audio ${fmtMs(firstAudio)} over ${turns.length} turns`;
+  }, [turnMetrics]);
+
   const joinedText = useMemo(
     () => localTranscript.map(l => l.text).join("\n"),
     [localTranscript]
@@ -243,6 +279,9 @@ export default function DurmahWidget({ context }: WidgetProps) {
             <div className="flex items-center justify-between px-4 py-3 border-b">
               <div className="text-sm text-gray-600">
                 {bubbleStatus} {lastError ? `• ${String(lastError)}` : ""}
+                {showLatency && (
+                  <div className="text-xs text-gray-400 font-mono">{latencySummary}</div>
+                )}
               </div>
               <button
                 onClick={() => setShowActions((v) => !v)}
@@ -0,0 +1,321 @@
+// Client/src/components/Oscola/OscolaPanel.jsx - OSCOLA footnote, short form and bibliography builder
+import React, { useState, useEffect } from 'react';
+import { BookOpen, Copy, Plus, Trash2, Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+import clsx from 'clsx';
+import { useOscola } from '../../hooks/useOscola';
+
+const STORAGE_KEY = 'durmah_oscola_sources';
+
+const SOURCE_TYPES = [
+  { id: 'case', label: 'Case' },
+  { id: 'statute', label: 'Statute' },
+  { id: 'journal', label: 'Journal article' },
+  { id: 'book', label: 'Book' }
+];
+
+// Form fields per source type: [key, label, placeholder]
+const FIELDS = {
+  case: [
+    ['name', 'Case name', 'Donoghue v Stevenson'],
+    ['short_name', 'Short name (optional)', 'Donoghue'],
+    ['neutral_year', 'Neutral citation year', '2017'],
+    ['neutral_court', 'Neutral citation court', 'UKSC'],
+    ['neutral_number', 'Neutral citation number', '5'],
+    ['neutral_division', 'Division (EWHC only)', 'QB'],
+    ['report_year', 'Report year', '1932'],
+    ['report_volume', 'Report volume (optional)', '1'],
+    ['report_report', 'Report', 'AC'],
+    ['report_page', 'First page', '562'],
+    ['court', 'Court (if no neutral citation)', 'HL']
+  ],
+  statute: [
+    ['title', 'Short title', 'Human Rights Act'],
+    ['year', 'Year', '1998']
+  ],
+  journal: [
+    ['authors', 'Authors (comma separated)', 'H Collins'],
+    ['title', 'Article title', 'The Decline of Privacy in Private Law'],
+    ['year', 'Year', '2019'],
+    ['volume', 'Volume (optional)', '42'],
+    ['journal', 'Journal abbreviation', 'J Legal Stud'],
+    ['first_page', 'First page', '25']
+  ],
+  book: [
+    ['authors', 'Authors (comma separated)', 'A Bradley, K Ewing'],
+    ['title', 'Title', 'Constitutional and Administrative Law'],
+    ['edition', 'Edition (optional)', '16'],
+    ['publisher', 'Publisher', 'Pearson'],
+    ['year', 'Year', '2018']
+  ]
+};
+
+// Flat form values -> the structured source the API expects
+const toSource = (type, form) => {
+  const value = (key) => (form[key] || '').trim() || undefined;
+  const authors = (form.authors || '').split(',').map(author => author.trim()).filter(Boolean);
+
+  switch (type) {
+    case 'case':
+      return {
+        type,
+        name: value('name'),
+        short_name: value('short_name'),
+        neutral: value('neutral_court') ? {
+          year: value('neutral_year'),
+          court: value('neutral_court'),
+          number: value('neutral_number'),
+          division: value('neutral_division')
+        } : undefined,
+        reports: value('report_report') ? [{
+          year: value('report_year'),
+          volume: value('report_volume'),
+          report: value('report_report'),
+          page: value('report_page')
+        }] : [],
+        court: value('court')
+      };
+    case 'statute':
+      return { type, title: value('title'), year: value('year') };
+    case 'journal':
+      return {
+        type,
+        authors,
+        title: value('title'),
+        year: value('year'),
+        volume: value('volume'),
+        journal: value('journal'),
+        first_page: value('first_page')
+      };
+    default:
+      return {
+        type,
+        authors,
+        title: value('title'),
+        edition: value('edition'),
+        publisher: value('publisher'),
+        year: value('year')
+      };
+  }
+};
+
+// Render *italic* markdown spans from the API as <em>
+const Formatted = ({ text }) => (
+  <>
+    {text.split(/(\*[^*]+\*)/).map((part, index) => (
+      part.startsWith('*') && part.endsWith('*')
+        ? <em key={index}>{part.slice(1, -1)}</em>
+        : <React.Fragment key={index}>{part}</React.Fragment>
+    ))}
+  </>
+);
+
+const OscolaPanel = ({ className = '' }) => {
+  const { result, loading, error, generate, downloadBibliography } = useOscola();
+  const [type, setType] = useState('case');
+  const [form, setForm] = useState({});
+  const [pinpoint, setPinpoint] = useState('');
+  const [footnoteNumber, setFootnoteNumber] = useState(1);
+  const [sources, setSources] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+    } catch {
+      return [];
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sources));
+  }, [sources]);
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    await generate(toSource(type, form), { pinpoint, footnoteNumber });
+  };
+
+  const handleAddSource = () => {
+    if (!result) return;
+    setSources(prev => [...prev, { source: toSource(type, form), label: result.bibliography }]);
+    toast.success('Added to your source list');
+  };
+
+  const copy = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Copied');
+    } catch {
+      toast.error('Could not copy to clipboard');
+    }
+  };
+
+  const outputs = result ? [
+    ['Footnote (first citation)', result.footnote, result.markdown.footnote],
+    ['Later citations', result.short_form, result.markdown.short_form],
+    ['Immediately repeated', result.ibid, result.ibid],
+    ['Bibliography entry', result.bibliography, result.markdown.bibliography]
+  ] : [];
+
+  return (
+    <div className={clsx('bg-white/10 backdrop-blur-lg rounded-xl p-6 border border-white/20', className)}>
+      <div className="flex items-center gap-3 mb-4">
+        <div className="w-10 h-10 bg-amber-500/20 rounded-lg flex items-center justify-center">
+          <BookOpen className="w-5 h-5 text-amber-400" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-white">OSCOLA Citation Builder</h3>
+          <p className="text-sm text-purple-200">Enter a source to get its footnote, short form and bibliography entry</p>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {SOURCE_TYPES.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => { setType(option.id); setForm({}); }}
+            className={clsx(
+              'px-3 py-1.5 rounded-lg text-sm transition-colors',
+              type === option.id ? 'bg-purple-500 text-white' : 'bg-white/10 text-purple-200 hover:bg-white/20'
+            )}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      <form onSubmit={handleGenerate} className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {FIELDS[type].map(([key, label, placeholder]) => (
+          <label key={key} className="block">
+            <span className="block text-xs font-medium text-purple-200 mb-1">{label}</span>
+            <input
+              type="text"
+              value={form[key] || ''}
+              onChange={(e) => setForm(prev => ({ ...prev, [key]: e.target.value }))}
+              placeholder={placeholder}
+              className="w-full px-3 py-2 bg-white/5 border border-white/20 rounded-lg text-white placeholder-purple-300/50 focus:outline-none focus:ring-2 focus:ring-purple-500"
+            />
+          </label>
+        ))}
+
+        <label className="block">
+          <span className="block text-xs font-medium text-purple-200 mb-1">
+            {type === 'statute' ? 'Provision (optional)' : 'Pinpoint (optional)'}
+          </span>
+          <input
+            type="text"
+            value={pinpoint}
+            onChange={(e) => setPinpoint(e.target.value)}
+            placeholder={type === 'statute' ? 's 3(1)' : type === 'case' ? '580 or [12]' : '27'}
+            className="w-full px-3 py-2 bg-white/5 border border-white/20 rounded-lg text-white placeholder-purple-300/50 focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </label>
+
+        <label className="block">
+          <span className="block text-xs font-medium text-purple-200 mb-1">First cited in footnote</span>
+          <input
+            type="number"
+            min="1"
+            value={footnoteNumber}
+            onChange={(e) => setFootnoteNumber(parseInt(e.target.value) || 1)}
+            className="w-full px-3 py-2 bg-white/5 border border-white/20 rounded-lg text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
+          />
+        </label>
+
+        <div className="md:col-span-2 flex gap-3">
+          <button
+            type="submit"
+            disabled={loading}
+            className="px-4 py-2 rounded-lg bg-purple-500 hover:bg-purple-600 disabled:opacity-50 text-white text-sm font-medium transition-colors"
+          >
+            {loading ? 'Formatting...' : 'Format citation'}
+          </button>
+          {result && (
+            <button
+              type="button"
+              onClick={handleAddSource}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm transition-colors"
+            >
+              <Plus className="w-4 h-4" />
+              Add to source list
+            </button>
+          )}
+        </div>
+      </form>
+
+      {error && (
+        <p className="mt-4 text-sm text-red-300">{error}</p>
+      )}
+
+      {result && (
+        <div className="mt-6 space-y-3">
+          {outputs.map(([label, text, markdown]) => (
+            <div key={label} className="bg-white/5 rounded-lg p-3 border border-white/10">
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-xs font-medium text-purple-200">{label}</span>
+                <button
+                  type="button"
+                  onClick={() => copy(text)}
+                  className="p-1 rounded hover:bg-white/10 text-purple-200"
+                  title="Copy"
+                >
+                  <Copy className="w-3.5 h-3.5" />
+                </button>
+              </div>
+              <p className="text-white text-sm"><Formatted text={markdown} /></p>
+            </div>
+          ))}
+
+          {result.issues.length > 0 && (
+            <ul className="text-sm text-amber-200 space-y-1">
+              {result.issues.map((item, index) => (
+                <li key={index}>⚠️ {item.message}</li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {sources.length > 0 && (
+        <div className="mt-6 pt-4 border-t border-white/20">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-semibold text-white">Source list ({sources.length})</h4>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => downloadBibliography(sources.map(item => item.source), 'markdown')}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white text-xs transition-colors"
+              >
+                <Download className="w-3.5 h-3.5" />
+                Export bibliography
+              </button>
+              <button
+                type="button"
+                onClick={() => setSources([])}
+                className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-purple-200 text-xs transition-colors"
+              >
+                Clear
+              </button>
+            </div>
+          </div>
+          <ul className="space-y-1">
+            {sources.map((item, index) => (
+              <li key={index} className="flex items-center justify-between text-sm text-purple-100">
+                <span>{item.label}</span>
+                <button
+                  type="button"
+                  onClick={() => setSources(prev => prev.filter((_, i) => i !== index))}
+                  className="p-1 rounded hover:bg-white/10 text-purple-300"
+                  title="Remove"
+                >
+                  <Trash2 className="w-3.5 h-3.5" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OscolaPanel;
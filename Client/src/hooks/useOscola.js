@@ -0,0 +1,89 @@
+// Client/src/hooks/useOscola.js - OSCOLA footnote and bibliography generator API
+import { useState, useCallback } from 'react';
+import axios from 'axios';
+
+const getApiUrl = () => {
+  const apiUrl = import.meta.env.VITE_API_URL;
+  if (!apiUrl) {
+    console.error('VITE_API_URL environment variable not set, falling back to localhost in dev');
+    return import.meta.env.DEV ? 'http://localhost:3001' : null;
+  }
+  return apiUrl;
+};
+
+// Server validation errors come back as { error, message, details }
+const describeError = (error) => {
+  const data = error.response?.data;
+  if (data?.details?.length) return data.details.join('; ');
+  return data?.message || data?.error || error.message;
+};
+
+export const useOscola = () => {
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path, body, options = {}) => {
+    const apiUrl = getApiUrl();
+    if (!apiUrl) {
+      throw new Error('API URL not configured');
+    }
+    return axios.post(`${apiUrl}/api/oscola/${path}`, body, options);
+  }, []);
+
+  const generate = useCallback(async (source, { pinpoint, footnoteNumber } = {}) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await request('generate', {
+        source,
+        pinpoint: pinpoint || undefined,
+        footnote_number: footnoteNumber || 1
+      });
+      setResult(response.data);
+      return response.data;
+    } catch (err) {
+      setError(describeError(err));
+      setResult(null);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  }, [request]);
+
+  const buildBibliography = useCallback(async (sources) => {
+    try {
+      const response = await request('bibliography', { sources });
+      return response.data;
+    } catch (err) {
+      setError(describeError(err));
+      return null;
+    }
+  }, [request]);
+
+  // Save the ordered bibliography as a Markdown or plain text file
+  const downloadBibliography = useCallback(async (sources, format = 'markdown') => {
+    try {
+      const response = await request(`bibliography?format=${format}`, { sources }, { responseType: 'blob' });
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `bibliography.${format === 'markdown' ? 'md' : 'txt'}`;
+      link.click();
+      URL.revokeObjectURL(url);
+      return true;
+    } catch (err) {
+      setError(describeError(err));
+      return false;
+    }
+  }, [request]);
+
+  return {
+    result,
+    loading,
+    error,
+    generate,
+    buildBibliography,
+    downloadBibliography
+  };
+};
@@ -19,6 +19,7 @@ export function useRealtimeVoice() {
     isSpeaking,
     transcript,
     partialTranscript,
+    turnMetrics,
     lastError,
     connect: rtConnect,
     disconnect: rtDisconnect,
@@ -97,6 +98,7 @@ export function useRealtimeVoice() {
     lastError,
     transcript,
     partialTranscript,
+    turnMetrics,
     connect,
     startVoiceMode,
     stopVoiceMode,
@@ -28,6 +28,10 @@ export function useRealtimeWebRTC() {
   // track if assistant is currently replying (to gate barge-in cancel)
   const activeReplyRef = useRef(false);
 
+  // per-turn latency (debug): end of student speech -> first audio -> transcript -> response.done
+  const turnRef = useRef(null);
+  const turnCountRef = useRef(0);
+
   // ---- public state ----
   const [status, setStatus] = useState("idle");
   const [isConnected, setIsConnected] = useState(false);
@@ -36,6 +40,7 @@ export function useRealtimeWebRTC() {
   const [lastError, setLastError] = useState(null);
   const [transcript, setTranscript] = useState([]);        // [{ id, text }]
   const [partialTranscript, setPartialTranscript] = useState("");
+  const [turnMetrics, setTurnMetrics] = useState([]);      // same shape as durmah.turn_metrics, last 20 turns
 
   const log = (...a) => { if (DEBUG) console.log("[RealtimeWebRTC]", ...a); };
 
@@ -144,11 +149,43 @@ const playEleven = async (text) => {
 };
 
 
+  // ---------- turn latency ----------
+  const trackTurn = (msg) => {
+    const now = Date.now();
+    const turn = turnRef.current;
+    if (msg.type === "input_audio_buffer.speech_stopped") {
+      turnRef.current = { trigger: "speech", startedAt: now, firstAudioAt: null, transcriptAt: null };
+      return;
+    }
+    if (!turn) return;
+
+    if ((msg.type === "output_audio_buffer.started" || msg.type === "response.audio.delta") && !turn.firstAudioAt) {
+      turn.firstAudioAt = now;
+    } else if (msg.type === "response.audio_transcript.done" && !turn.transcriptAt) {
+      turn.transcriptAt = now;
+    } else if (msg.type === "response.done") {
+      turnRef.current = null;
+      turnCountRef.current += 1;
+      const since = (t) => (t ? t - turn.startedAt : null);
+      const metrics = {
+        turn: turnCountRef.current,
+        trigger: turn.trigger,
+        status: msg.response?.status || "completed",
+        first_audio_ms: since(turn.firstAudioAt),
+        transcript_ms: since(turn.transcriptAt),
+        response_done_ms: now - turn.startedAt,
+      };
+      DEBUG && log("turn metrics:", metrics);
+      setTurnMetrics((old) => [...old.slice(-19), metrics]);
+    }
+  };
+
   // ---------- server messages ----------
   const handleServerEvent = (evt) => {
     let msg;
     try { msg = JSON.parse(evt.data); } catch { return; }
     DEBUG && log("recv:", msg.type, msg);
+    trackTurn(msg);
 
     // Track reply activity for barge-in
     if (msg.type === "output_audio_buffer.started") {
@@ -345,6 +382,7 @@ const playEleven = async (text) => {
     try {
       dcRef.current.send(JSON.stringify({ type: "input_text.append", text: t }));
       dcRef.current.send(JSON.stringify({ type: "response.create" }));
+      turnRef.current = { trigger: "text", startedAt: Date.now(), firstAudioAt: null, transcriptAt: null };
       DEBUG && log("sent text + response.create");
     } catch (e) {
       setLastError(String(e?.message || e));
@@ -367,6 +405,7 @@ const playEleven = async (text) => {
     isSpeaking,
     transcript,
     partialTranscript,
+    turnMetrics,
     lastError,
     connect,
     disconnect,
@@ -1,5 +1,6 @@
 // Client/src/lib/realtimeDirect.js - Direct WebSocket connection to realtime voice service
 import { PCM16AudioProcessor } from './audio/PCM16AudioProcessor.js';
+import { supabase } from './supabaseBridge';
 
 /**
  * Direct WebSocket connection to the realtime voice service
@@ -10,6 +11,19 @@ const AUDIO_SAMPLE_RATE = 24000;
 const CHUNK_SIZE = 1200; // bytes per chunk for streaming
 const VAD_THRESHOLD = 0.01; // Voice Activity Detection threshold
 
+// The signed-in student's Supabase access token, sent as client.auth on the /voice socket
+const getSupabaseAccessToken = async () => {
+  const { data: { session } } = await supabase.auth.getSession();
+  return session?.access_token || null;
+};
+
+// Close codes used by the server when the /voice handshake fails
+const AUTH_CLOSE_REASONS = {
+  4401: 'Please sign in again to use voice',
+  4403: 'Voice features require a Durham University account',
+  4408: 'Voice sign-in timed out'
+};
+
 class RealtimeConnection {
   constructor(endpoint, logger, options = {}) {
     this.endpoint = endpoint;
@@ -17,11 +31,13 @@ class RealtimeConnection {
     this.options = {
       autoGreet: false,
       sampleRate: AUDIO_SAMPLE_RATE,
+      getAccessToken: getSupabaseAccessToken, // async () => access token for the /voice handshake
       ...options
     };
     
     // Connection state
     this.ws = null;
+    this.correlationId = null; // Server's id for this session; quote it in support requests
     this.isConnected = false;
     this.isRecording = false;
     this.isPlaying = false;
@@ -53,7 +69,12 @@ class RealtimeConnection {
       transcript: [],
       audioStart: [],
       audioEnd: [],
-      error: []
+      error: [],
+      sessionWarning: [],
+      sessionEnded: [],
+      crisis: [],
+      integrityNotice: [],
+      turnMetrics: []
     };
   }
 
@@ -68,10 +89,17 @@ class RealtimeConnection {
       // Initialize audio context
       await this.initializeAudio();
       
+      const accessToken = this.options.getAccessToken ? await this.options.getAccessToken() : null;
+      
       // Create WebSocket connection
       this.ws = new WebSocket(wsEndpoint);
       
       this.ws.onopen = () => {
+        // Server expects the access token before anything else
+        if (accessToken) {
+          this.ws.send(JSON.stringify({ type: 'client.auth', token: accessToken }));
+        }
+        
         this.isConnected = true;
         this.logger('Connected to voice service');
         this.emit('connected');
@@ -90,9 +118,14 @@ class RealtimeConnection {
         }
       };
       
-      this.ws.onclose = () => {
+      this.ws.onclose = (event) => {
         this.isConnected = false;
-        this.logger('Disconnected from voice service');
+        this.logger('Disconnected from voice service', event.code);
+        
+        const authError = AUTH_CLOSE_REASONS[event.code];
+        if (authError) {
+          this.emit('error', new Error(authError));
+        }
         this.emit('disconnected');
       };
       
@@ -192,6 +225,8 @@ class RealtimeConnection {
     
     switch (message.type) {
       case 'durmah.ready':
+        this.correlationId = message.correlation_id || null;
+        this.logger('Voice session correlation id:', this.correlationId);
         this.addMessage('durmah', message.message, 'system');
         break;
         
@@ -221,6 +256,34 @@ class RealtimeConnection {
         }
         break;
         
+      case 'durmah.session_warning':
+        this.emit('sessionWarning', message);
+        break;
+        
+      case 'durmah.session_ended':
+        this.addMessage('durmah', message.message, 'system');
+        this.emit('sessionEnded', message);
+        break;
+        
+      case 'durmah.crisis':
+        // Support contacts for the UI; Durmah's spoken reply follows separately
+        if (message.first_detection) {
+          this.addMessage('durmah', message.voice_message, 'system');
+        }
+        this.emit('crisis', message);
+        break;
+        
+      case 'durmah.integrity_notice':
+        this.addMessage('durmah', message.message, 'system');
+        this.emit('integrityNotice', message);
+        break;
+        
+      case 'durmah.turn_metrics':
+        // How long the student waited for each stage of the reply, in ms
+        this.logger('Turn latency:', message);
+        this.emit('turnMetrics', message);
+        break;
+        
       case 'error':
         this.logger('Service error:', message.message);
         this.emit('error', new Error(message.message));
@@ -530,6 +593,10 @@ export async function directRealtimeConnect(endpoint, logger, options = {}) {
     onAudioStart: (handler) => connection.on('audioStart', handler),
     onAudioEnd: (handler) => connection.on('audioEnd', handler),
     onError: (handler) => connection.on('error', handler),
+    onSessionWarning: (handler) => connection.on('sessionWarning', handler),
+    onSessionEnded: (handler) => connection.on('sessionEnded', handler),
+    onCrisis: (handler) => connection.on('crisis', handler),
+    onIntegrityNotice: (handler) => connection.on('integrityNotice', handler),
     
     // Aliases for compatibility
     stop: () => connection.disconnect(),
@@ -0,0 +1,27 @@
+-- Server/db/migrations/001_memory_store.sql - Tables for MEMORY_STORE=supabase
+-- Run in the Supabase SQL editor. Only the service role key touches these tables.
+
+create table if not exists public.durmah_conversations (
+  key text primary key,
+  user_id text not null,
+  session_id text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  data jsonb not null
+);
+
+create index if not exists durmah_conversations_user_id_idx
+  on public.durmah_conversations (user_id);
+
+create index if not exists durmah_conversations_created_at_idx
+  on public.durmah_conversations (created_at);
+
+create table if not exists public.durmah_user_profiles (
+  user_id text primary key,
+  updated_at timestamptz not null default now(),
+  data jsonb not null
+);
+
+-- No policies: RLS on with no grants keeps these server-only
+alter table public.durmah_conversations enable row level security;
+alter table public.durmah_user_profiles enable row level security;
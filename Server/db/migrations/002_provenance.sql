@@ -0,0 +1,16 @@
+-- Server/db/migrations/002_provenance.sql - AI-use provenance ledger for MEMORY_STORE=supabase
+-- Run after 001_memory_store.sql. Records are append-only and survive conversation cleanup.
+
+create table if not exists public.durmah_provenance (
+  id text primary key,
+  user_id text not null,
+  created_at timestamptz not null default now(),
+  module text,
+  data jsonb not null
+);
+
+create index if not exists durmah_provenance_user_id_created_at_idx
+  on public.durmah_provenance (user_id, created_at);
+
+-- No policies: RLS on with no grants keeps this server-only
+alter table public.durmah_provenance enable row level security;
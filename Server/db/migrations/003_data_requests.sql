@@ -0,0 +1,16 @@
+-- Server/db/migrations/003_data_requests.sql - Audit trail for data export and erasure requests
+-- Run after 002_provenance.sql. Rows outlive the erasure they record and hold no study content.
+
+create table if not exists public.durmah_data_requests (
+  id text primary key,
+  user_id text not null,
+  type text not null check (type in ('export', 'erasure')),
+  created_at timestamptz not null default now(),
+  data jsonb not null
+);
+
+create index if not exists durmah_data_requests_user_id_idx
+  on public.durmah_data_requests (user_id, created_at);
+
+-- No policies: RLS on with no grants keeps this server-only
+alter table public.durmah_data_requests enable row level security;
@@ -0,0 +1,210 @@
+// Server/lib/audio/analysis.js - Signal measurements for mic checks: levels, SNR, speech/silence segments, DC offset, hum
+
+const FRAME_MS = 20;
+const HANGOVER_FRAMES = 10; // 200ms of quiet before a speech segment is closed
+const MIN_SPEECH_MS = 100; // Shorter bursts (clicks, bumps) count as silence
+const SPEECH_MARGIN_DB = 10; // Frames this far above the noise estimate are speech
+const MIN_SPEECH_THRESHOLD_DB = -55;
+const MAX_SPEECH_THRESHOLD_DB = -30; // Anything this loud is voice-level, even in a clip with no pauses
+const CLIP_LEVEL = 0.95;
+const DC_OFFSET_LIMIT = 0.01; // -40 dBFS
+const MAINS_FREQUENCIES = [50, 60];
+const HUM_HARMONICS = 3;
+const HUM_MIN_SECONDS = 0.2; // Ten cycles at 50 Hz, enough to tell 50 from 60
+const HUM_RATIO = 0.25; // Share of the noise power that has to sit on mains harmonics
+const HUM_MIN_DB = -65;
+
+const toDb = (value) => (value > 0 ? Math.round(20 * Math.log10(value) * 10) / 10 : -Infinity);
+const round = (value, places = 3) => Math.round(value * 10 ** places) / 10 ** places;
+
+function levels(samples, from = 0, to = samples.length) {
+  let sumSquares = 0;
+  let peak = 0;
+  let clipped = 0;
+  for (let i = from; i < to; i++) {
+    const magnitude = Math.abs(samples[i]);
+    sumSquares += samples[i] * samples[i];
+    if (magnitude > peak) peak = magnitude;
+    if (magnitude > CLIP_LEVEL) clipped++;
+  }
+  const count = Math.max(1, to - from);
+  return { rms: Math.sqrt(sumSquares / count), peak, clipped, count };
+}
+
+// Amplitude of one frequency (Goertzel), with the DC offset taken out first
+function toneAmplitude(samples, sampleRate, frequency, mean) {
+  const coeff = 2 * Math.cos((2 * Math.PI * frequency) / sampleRate);
+  let s1 = 0;
+  let s2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s0 = samples[i] - mean + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+  const power = Math.max(0, s1 * s1 + s2 * s2 - coeff * s1 * s2);
+  return (2 * Math.sqrt(power)) / samples.length;
+}
+
+// Mains hum: most of the (non-speech) power on 50 or 60 Hz and their harmonics
+function detectHum(samples, sampleRate) {
+  if (samples.length < sampleRate * HUM_MIN_SECONDS) {
+    return { detected: false, frequency: null, ratio: null, levelDb: null };
+  }
+
+  let mean = 0;
+  for (let i = 0; i < samples.length; i++) mean += samples[i];
+  mean /= samples.length;
+  let power = 0;
+  for (let i = 0; i < samples.length; i++) power += (samples[i] - mean) ** 2;
+  power /= samples.length;
+
+  let best = { frequency: null, tonePower: 0 };
+  for (const base of MAINS_FREQUENCIES) {
+    let tonePower = 0;
+    for (let harmonic = 1; harmonic <= HUM_HARMONICS; harmonic++) {
+      const amplitude = toneAmplitude(samples, sampleRate, base * harmonic, mean);
+      tonePower += (amplitude * amplitude) / 2;
+    }
+    if (tonePower > best.tonePower) best = { frequency: base, tonePower };
+  }
+
+  const ratio = power > 0 ? Math.min(1, best.tonePower / power) : 0;
+  const levelDb = toDb(Math.sqrt(best.tonePower));
+  const detected = ratio >= HUM_RATIO && levelDb >= HUM_MIN_DB;
+  return { detected, frequency: detected ? best.frequency : null, ratio: round(ratio), levelDb: Number.isFinite(levelDb) ? levelDb : null };
+}
+
+// Frame-level energy gate with hysteresis; returns [{ type, startFrame, endFrame }]
+function segmentFrames(frameDb, thresholdDb, frameMs) {
+  const minSpeechFrames = Math.ceil(MIN_SPEECH_MS / frameMs);
+  const runs = [];
+  let speaking = false;
+  let quietFrames = 0;
+  let start = 0;
+
+  const push = (type, from, to) => {
+    if (to <= from) return;
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) last.endFrame = to;
+    else runs.push({ type, startFrame: from, endFrame: to });
+  };
+
+  frameDb.forEach((db, i) => {
+    if (!speaking && db >= thresholdDb) {
+      push('silence', start, i);
+      speaking = true;
+      start = i;
+      quietFrames = 0;
+    } else if (speaking) {
+      quietFrames = db < thresholdDb - 3 ? quietFrames + 1 : 0;
+      if (quietFrames >= HANGOVER_FRAMES) {
+        const end = i - quietFrames + 1;
+        push(end - start >= minSpeechFrames ? 'speech' : 'silence', start, end);
+        speaking = false;
+        start = end;
+      }
+    }
+  });
+  push(speaking && frameDb.length - start >= minSpeechFrames ? 'speech' : 'silence', start, frameDb.length);
+
+  return runs;
+}
+
+function segmentIssues(type, stats, hum) {
+  const issues = [];
+  if (type === 'speech') {
+    if (stats.clippingPercentage > 1) issues.push('clipping');
+    if (stats.rmsDb < -35) issues.push('too_quiet');
+    if (stats.rmsDb > -6) issues.push('too_loud');
+  } else {
+    if (stats.rmsDb > -50) issues.push('noisy');
+    if (hum?.detected) issues.push('hum');
+  }
+  return issues;
+}
+
+// input: mono Float32Array. Times are in seconds, levels in dBFS.
+function analyzeSignal(input, sampleRate) {
+  // Levels are measured with any DC offset removed, so a biased microphone is not mistaken for noise
+  let sum = 0;
+  for (let i = 0; i < input.length; i++) sum += input[i];
+  const dcOffset = input.length ? sum / input.length : 0;
+  const samples = Float32Array.from(input, value => value - dcOffset);
+
+  const frameSize = Math.max(1, Math.round((sampleRate * FRAME_MS) / 1000));
+  const frameMs = (frameSize / sampleRate) * 1000;
+  const frameCount = Math.ceil(samples.length / frameSize);
+
+  const frameDb = [];
+  for (let f = 0; f < frameCount; f++) {
+    frameDb.push(toDb(levels(samples, f * frameSize, Math.min(samples.length, (f + 1) * frameSize)).rms));
+  }
+
+  // Noise estimate: the quietest tenth of the frames
+  const sortedDb = frameDb.filter(Number.isFinite).sort((a, b) => a - b);
+  const noiseEstimateDb = sortedDb.length ? sortedDb[Math.floor(sortedDb.length * 0.1)] : -Infinity;
+  const thresholdDb = Math.min(MAX_SPEECH_THRESHOLD_DB, Math.max(MIN_SPEECH_THRESHOLD_DB, noiseEstimateDb + SPEECH_MARGIN_DB));
+
+  const speechSamples = [];
+  const silenceSamples = [];
+  const segments = segmentFrames(frameDb, thresholdDb, frameMs).map(run => {
+    const from = run.startFrame * frameSize;
+    const to = Math.min(samples.length, run.endFrame * frameSize);
+    const slice = samples.subarray(from, to);
+    (run.type === 'speech' ? speechSamples : silenceSamples).push(slice);
+
+    const stats = levels(samples, from, to);
+    const raw = levels(input, from, to); // Peaks and clipping are where the converter saw them, offset included
+    const summary = {
+      type: run.type,
+      start: round(from / sampleRate),
+      end: round(to / sampleRate),
+      duration: round((to - from) / sampleRate),
+      rmsDb: toDb(stats.rms),
+      peakDb: toDb(raw.peak),
+      clippingPercentage: round((raw.clipped / raw.count) * 100, 2)
+    };
+    const hum = run.type === 'silence' ? detectHum(slice, sampleRate) : null;
+    return { ...summary, issues: segmentIssues(run.type, summary, hum) };
+  });
+
+  const join = (parts) => {
+    const joined = new Float32Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+      joined.set(part, offset);
+      offset += part.length;
+    }
+    return joined;
+  };
+  const speech = join(speechSamples);
+  const silence = join(silenceSamples);
+
+  // SNR from the speech against the silence around it; null when there is too little of either to tell
+  const speechRms = speech.length ? levels(speech).rms : 0;
+  const noiseRms = silence.length >= sampleRate * 0.1 ? levels(silence).rms : 0;
+  const snrDb = speechRms > 0 && noiseRms > 0 ? round(20 * Math.log10(speechRms / noiseRms), 1) : null;
+
+  return {
+    thresholdDb: Number.isFinite(thresholdDb) ? round(thresholdDb, 1) : null,
+    noiseDb: Number.isFinite(toDb(noiseRms)) ? toDb(noiseRms) : null,
+    snrDb,
+    dcOffset: { value: round(dcOffset, 5), detected: Math.abs(dcOffset) > DC_OFFSET_LIMIT },
+    // Hum is measured where nobody is talking; a clip that is all speech is checked whole
+    hum: detectHum(silence.length >= sampleRate * HUM_MIN_SECONDS ? silence : samples, sampleRate),
+    speech: {
+      segments: segments.filter(segment => segment.type === 'speech').length,
+      duration: round(speech.length / sampleRate),
+      ratio: samples.length ? round(speech.length / samples.length) : 0
+    },
+    silenceDuration: round(silence.length / sampleRate),
+    segments
+  };
+}
+
+module.exports = {
+  analyzeSignal,
+  detectHum,
+  levels,
+  toDb
+};
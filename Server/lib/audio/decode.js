@@ -0,0 +1,185 @@
+// Server/lib/audio/decode.js - Decode uploaded audio (PCM16, float32, WAV) to mono Float32 and resample it
+// Compressed containers (WebM/Opus, Ogg) are not decoded here: browsers already decode them with
+// AudioContext.decodeAudioData, so the client sends the resulting channel data as float32 instead.
+
+const ANALYSIS_SAMPLE_RATE = 24000; // Matches the Realtime API's PCM16 rate
+const MIN_SAMPLE_RATE = 8000;
+const MAX_SAMPLE_RATE = 192000;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xFFFE;
+
+const COMPRESSED_HINT = 'decode it in the browser with AudioContext.decodeAudioData and send getChannelData() as format "float32" with the buffer\'s sample_rate';
+
+// Sniff container magic bytes; raw PCM has none
+function detectContainer(buffer) {
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE') return 'wav';
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm'; // EBML header (WebM, Matroska)
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'OggS') return 'ogg';
+  return null;
+}
+
+// Average interleaved channels down to one
+function mixToMono(channelsData, channels) {
+  if (channels === 1) return channelsData;
+  const frames = Math.floor(channelsData.length / channels);
+  const mono = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += channelsData[i * channels + c];
+    mono[i] = sum / channels;
+  }
+  return mono;
+}
+
+function readSamples(buffer, { offset = 0, length = buffer.length - offset, bitsPerSample, float }) {
+  const bytes = bitsPerSample / 8;
+  const count = Math.floor(length / bytes);
+  const samples = new Float32Array(count);
+
+  for (let i = 0; i < count; i++) {
+    const at = offset + i * bytes;
+    if (float) {
+      samples[i] = bitsPerSample === 64 ? buffer.readDoubleLE(at) : buffer.readFloatLE(at);
+    } else if (bitsPerSample === 8) {
+      samples[i] = (buffer.readUInt8(at) - 128) / 128; // 8-bit WAV is unsigned
+    } else if (bitsPerSample === 16) {
+      samples[i] = buffer.readInt16LE(at) / 0x8000;
+    } else if (bitsPerSample === 24) {
+      samples[i] = buffer.readIntLE(at, 3) / 0x800000;
+    } else {
+      samples[i] = buffer.readInt32LE(at) / 0x80000000;
+    }
+  }
+  return samples;
+}
+
+function decodeWav(buffer) {
+  let fmt = null;
+  let data = null;
+
+  // Walk the RIFF chunks; LIST, fact and friends are skipped
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (id === 'fmt ' && size >= 16) {
+      let formatTag = buffer.readUInt16LE(body);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        formatTag = buffer.readUInt16LE(body + 24); // First two bytes of the sub-format GUID
+      }
+      fmt = {
+        formatTag,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (id === 'data') {
+      // Streamed WAVs may leave the size at 0 or 0xFFFFFFFF; take what is there
+      data = { offset: body, length: Math.min(size || Infinity, buffer.length - body) };
+      break;
+    }
+
+    offset = body + size + (size % 2); // Chunks are word-aligned
+  }
+
+  if (!fmt) throw new Error('WAV file has no fmt chunk');
+  if (!data) throw new Error('WAV file has no data chunk');
+
+  const float = fmt.formatTag === WAVE_FORMAT_IEEE_FLOAT;
+  if (!float && fmt.formatTag !== WAVE_FORMAT_PCM) {
+    throw new Error(`Unsupported WAV encoding (format tag ${fmt.formatTag}); only PCM and IEEE float are supported`);
+  }
+  if (float ? ![32, 64].includes(fmt.bitsPerSample) : ![8, 16, 24, 32].includes(fmt.bitsPerSample)) {
+    throw new Error(`Unsupported WAV bit depth: ${fmt.bitsPerSample}`);
+  }
+  if (!fmt.channels) throw new Error('WAV file declares no channels');
+
+  const interleaved = readSamples(buffer, { ...data, bitsPerSample: fmt.bitsPerSample, float });
+  return {
+    samples: mixToMono(interleaved, fmt.channels),
+    sampleRate: fmt.sampleRate,
+    channels: fmt.channels,
+    bitsPerSample: fmt.bitsPerSample
+  };
+}
+
+// Returns { samples (mono Float32Array), sampleRate, channels, format }.
+// format: pcm16 | float32 | wav; a WAV header is recognised whatever format says.
+function decodeAudio(buffer, { format = 'pcm16', sampleRate = ANALYSIS_SAMPLE_RATE, channels = 1 } = {}) {
+  const container = detectContainer(buffer);
+  const declared = String(format).toLowerCase();
+
+  if (container === 'webm' || container === 'ogg' || ['webm', 'opus', 'ogg'].includes(declared)) {
+    throw new Error(`Compressed ${container || declared} audio cannot be analysed directly; ${COMPRESSED_HINT}`);
+  }
+
+  let decoded;
+  if (container === 'wav' || declared === 'wav') {
+    if (container !== 'wav') throw new Error('Data is not a RIFF/WAVE file');
+    decoded = { ...decodeWav(buffer), format: 'wav' };
+  } else {
+    const channelCount = Number(channels) || 1;
+    if (!Number.isInteger(channelCount) || channelCount < 1 || channelCount > 8) {
+      throw new Error('channels must be an integer from 1 to 8');
+    }
+
+    if (declared === 'pcm16') {
+      decoded = { samples: readSamples(buffer, { bitsPerSample: 16 }), format: 'pcm16' };
+    } else if (declared === 'float32' || declared === 'f32le') {
+      decoded = { samples: readSamples(buffer, { bitsPerSample: 32, float: true }), format: 'float32' };
+    } else {
+      throw new Error(`Unsupported format "${format}"; use pcm16, float32 or wav`);
+    }
+    decoded = { ...decoded, samples: mixToMono(decoded.samples, channelCount), sampleRate: Number(sampleRate), channels: channelCount };
+  }
+
+  if (!(decoded.sampleRate >= MIN_SAMPLE_RATE && decoded.sampleRate <= MAX_SAMPLE_RATE)) {
+    throw new Error(`Sample rate must be between ${MIN_SAMPLE_RATE} and ${MAX_SAMPLE_RATE} Hz`);
+  }
+  // NaN or Infinity from a mislabelled float32 upload would poison every metric
+  if (decoded.format !== 'pcm16' && decoded.samples.some(value => !Number.isFinite(value))) {
+    throw new Error('Audio contains non-finite samples; check the format and byte order');
+  }
+
+  return decoded;
+}
+
+// Linear interpolation; when downsampling, a moving average over the ratio first keeps
+// energy above the new Nyquist frequency from folding back as noise
+function resample(samples, fromRate, toRate = ANALYSIS_SAMPLE_RATE) {
+  if (fromRate === toRate || samples.length === 0) return samples;
+
+  let source = samples;
+  const ratio = fromRate / toRate;
+  if (ratio > 1) {
+    const width = Math.ceil(ratio);
+    source = new Float32Array(samples.length);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i];
+      if (i >= width) sum -= samples[i - width];
+      source[i] = sum / Math.min(i + 1, width);
+    }
+  }
+
+  const length = Math.max(1, Math.round(samples.length / ratio));
+  const output = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, source.length - 1);
+    const fraction = position - index;
+    output[i] = source[Math.min(index, source.length - 1)] * (1 - fraction) + source[next] * fraction;
+  }
+  return output;
+}
+
+module.exports = {
+  decodeAudio,
+  resample,
+  detectContainer,
+  ANALYSIS_SAMPLE_RATE
+};
@@ -0,0 +1,174 @@
+// Server/lib/auth.js - Supabase session verification for API and socket clients
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const logger = require('./logger');
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const SUPABASE_API_KEY = process.env.SUPABASE_ANON_KEY || process.env.SUPABASE_SERVICE_ROLE_KEY;
+const ALLOW_ANON_ACCESS = process.env.ALLOW_ANON_ACCESS === 'true';
+
+const TOKEN_CACHE_TTL = 60 * 1000; // Re-verify remote tokens at most once a minute
+const TOKEN_CACHE_MAX = 1000;
+
+const tokenCache = new Map();
+
+// Reduce a Supabase user (or JWT payload) to the fields the server relies on
+function toSessionUser(source) {
+  return {
+    id: source.id || source.sub,
+    email: source.email || null,
+    app_metadata: source.app_metadata || {},
+    user_metadata: source.user_metadata || {},
+    anonymous: false
+  };
+}
+
+function cacheUser(token, user) {
+  if (tokenCache.size >= TOKEN_CACHE_MAX) {
+    const now = Date.now();
+    for (const [key, entry] of tokenCache) {
+      if (entry.expires <= now) tokenCache.delete(key);
+    }
+    if (tokenCache.size >= TOKEN_CACHE_MAX) {
+      tokenCache.delete(tokenCache.keys().next().value);
+    }
+  }
+
+  tokenCache.set(token, { user, expires: Date.now() + TOKEN_CACHE_TTL });
+}
+
+// Verify a Supabase access token. Resolves to the user, or null if invalid.
+async function verifyAccessToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const cached = tokenCache.get(token);
+  if (cached && cached.expires > Date.now()) {
+    return cached.user;
+  }
+
+  try {
+    let user;
+
+    if (SUPABASE_JWT_SECRET) {
+      // Local verification with the project's JWT secret
+      const decoded = jwt.verify(token, SUPABASE_JWT_SECRET, { algorithms: ['HS256'] });
+      user = toSessionUser(decoded);
+    } else if (SUPABASE_URL && SUPABASE_API_KEY) {
+      // Ask Supabase Auth to resolve the token
+      const response = await axios.get(`${SUPABASE_URL}/auth/v1/user`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          apikey: SUPABASE_API_KEY
+        },
+        timeout: 5000
+      });
+      user = toSessionUser(response.data);
+    } else {
+      logger.warn('Supabase auth not configured; cannot verify access token');
+      return null;
+    }
+
+    if (!user.id) return null;
+
+    cacheUser(token, user);
+    return user;
+  } catch (error) {
+    logger.debug('Access token verification failed', {
+      error: error.message,
+      status: error.response?.status
+    });
+    return null;
+  }
+}
+
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+function anonymousUser() {
+  return {
+    id: 'anonymous',
+    email: null,
+    app_metadata: {},
+    user_metadata: {},
+    anonymous: true
+  };
+}
+
+// Server-side mirror of the client's voice access rule. user_metadata is
+// writable by the student, so only app_metadata grants are trusted here.
+function hasVoiceAccess(user) {
+  if (!user) return false;
+  if (ALLOW_ANON_ACCESS) return true; // Development: everyone may use voice
+  if (user.anonymous) return false;
+  if (user.app_metadata?.voice_enabled === true) return true;
+  if (user.email?.toLowerCase().endsWith('@durham.ac.uk')) return true;
+  return false;
+}
+
+// Admin role is granted through app_metadata only, never to anonymous sessions
+function isAdmin(user) {
+  if (!user || user.anonymous) return false;
+  return user.app_metadata?.role === 'admin';
+}
+
+// Express middleware: attaches req.user from the Supabase bearer token
+function authenticate({ required = true } = {}) {
+  return async (req, res, next) => {
+    const user = await verifyAccessToken(extractBearerToken(req));
+
+    if (user) {
+      req.user = user;
+      return next();
+    }
+
+    if (!required || ALLOW_ANON_ACCESS) {
+      req.user = anonymousUser();
+      return next();
+    }
+
+    res.status(401).json({
+      error: 'unauthorized',
+      message: 'A valid Supabase session is required'
+    });
+  };
+}
+
+// Express middleware: use after authenticate() to limit a route to admins
+function requireAdmin() {
+  return (req, res, next) => {
+    if (isAdmin(req.user)) return next();
+
+    res.status(403).json({
+      error: 'forbidden',
+      message: 'Admin access is required'
+    });
+  };
+}
+
+// Express middleware: use after authenticate() to limit a route to students with voice access
+function requireVoiceAccess() {
+  return (req, res, next) => {
+    if (hasVoiceAccess(req.user)) return next();
+
+    res.status(403).json({
+      error: 'voice_access_denied',
+      message: 'Voice features require a Durham University account or voice access'
+    });
+  };
+}
+
+module.exports = {
+  verifyAccessToken,
+  extractBearerToken,
+  anonymousUser,
+  hasVoiceAccess,
+  authenticate,
+  isAdmin,
+  requireAdmin,
+  requireVoiceAccess,
+  allowAnonymous: ALLOW_ANON_ACCESS
+};
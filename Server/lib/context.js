@@ -0,0 +1,59 @@
+// Server/lib/context.js - Per-request/per-connection correlation context (AsyncLocalStorage)
+const crypto = require('crypto');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const HEADER = 'X-Correlation-Id';
+// Accept ids from clients and proxies, but nothing that could smuggle text into the logs
+const VALID_ID = /^[\w.:-]{8,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+// Use the caller's id if it looks like one, otherwise mint a new one
+function correlationIdFrom(candidate) {
+  return typeof candidate === 'string' && VALID_ID.test(candidate) ? candidate : newCorrelationId();
+}
+
+// Run fn with a context; everything it awaits or schedules sees the same object
+function runWithContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+function getContext() {
+  return storage.getStore() || null;
+}
+
+// Add fields (e.g. the upstream OpenAI session id) once they are known
+function setContextFields(fields) {
+  const context = storage.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+// Keep fn in the current context wherever it is later called from
+function bindToContext(fn) {
+  return AsyncResource.bind(fn);
+}
+
+// Express middleware: take or create the request's correlation id and echo it back
+function correlationMiddleware() {
+  return (req, res, next) => {
+    const correlationId = correlationIdFrom(req.get(HEADER));
+    req.correlationId = correlationId;
+    res.set(HEADER, correlationId);
+    runWithContext({ correlationId }, next);
+  };
+}
+
+module.exports = {
+  HEADER,
+  newCorrelationId,
+  correlationIdFrom,
+  runWithContext,
+  getContext,
+  setContextFields,
+  bindToContext,
+  correlationMiddleware
+};
@@ -0,0 +1,50 @@
+// Server/lib/crisis-resources.js - Support contacts shared by the API and live voice sessions
+
+const CRISIS_RESOURCES = {
+  immediate: {
+    samaritans: {
+      phone: '116 123',
+      description: 'Free 24/7 emotional support',
+      spoken: 'Call the Samaritans on 116 123 for immediate support'
+    },
+    crisis_text_line: {
+      text: 'Text SHOUT to 85258',
+      description: 'Free 24/7 text support',
+      spoken: 'Text the word SHOUT to 85258 for crisis support'
+    },
+    emergency: {
+      phone: '999',
+      description: 'Emergency services',
+      spoken: 'If you\'re in immediate danger, call 999'
+    }
+  },
+  university: {
+    durham_counselling: {
+      description: 'Durham University Counselling Service',
+      contact: 'counselling.service@durham.ac.uk',
+      phone: '0191 334 2200'
+    },
+    student_support: {
+      description: 'Durham Student Support',
+      contact: 'student.support@durham.ac.uk'
+    }
+  },
+  legal_profession: {
+    lawcare: {
+      description: 'Mental health support for legal profession',
+      phone: '0800 279 6888',
+      website: 'lawcare.org.uk'
+    }
+  }
+};
+
+const CRISIS_VOICE_MESSAGE = 'I\'m concerned about you. Please reach out to someone who can provide immediate support. The Samaritans are available 24/7 on 116 123.';
+
+function getCrisisResources() {
+  return {
+    resources: CRISIS_RESOURCES,
+    voice_message: CRISIS_VOICE_MESSAGE
+  };
+}
+
+module.exports = { getCrisisResources };
@@ -0,0 +1,43 @@
+// Server/lib/fake-realtime/index.js - Scripted Realtime upstream for offline voice development
+const fs = require('fs');
+const path = require('path');
+const FakeRealtimeSocket = require('./socket');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const DEFAULT_SCENARIO = 'study-session';
+
+function listScenarios() {
+  return fs.readdirSync(SCENARIO_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'));
+}
+
+// Accepts a bundled scenario name or a path to a scenario JSON file
+function loadScenario(nameOrPath = DEFAULT_SCENARIO) {
+  const file = nameOrPath.endsWith('.json')
+    ? path.resolve(nameOrPath)
+    : path.join(SCENARIO_DIR, `${nameOrPath}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`Unknown fake realtime scenario "${nameOrPath}" (available: ${listScenarios().join(', ')})`);
+  }
+
+  const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(scenario.turns)) {
+    throw new Error(`Fake realtime scenario "${nameOrPath}" must define a turns array`);
+  }
+
+  return { name: path.basename(file, '.json'), ...scenario };
+}
+
+function createFakeRealtimeSocket(nameOrPath, options) {
+  return new FakeRealtimeSocket(loadScenario(nameOrPath), options);
+}
+
+module.exports = {
+  FakeRealtimeSocket,
+  loadScenario,
+  listScenarios,
+  createFakeRealtimeSocket,
+  DEFAULT_SCENARIO
+};
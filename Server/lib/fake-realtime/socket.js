@@ -0,0 +1,294 @@
+// Server/lib/fake-realtime/socket.js - Offline stand-in for the OpenAI Realtime WebSocket
+const { EventEmitter } = require('events');
+
+const SAMPLE_RATE = 24000;
+const CHUNK_MS = 100; // Audio delta size and pacing
+const VAD_SILENCE_MS = 500; // Default server_vad silence_duration_ms
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+let idCounter = 0;
+const nextId = (prefix) => `${prefix}_fake${(++idCounter).toString(36).padStart(6, '0')}`;
+
+// Base64 PCM16 sine tone standing in for synthesised speech
+function toneChunk(frequency, offsetSamples, samples) {
+  const buffer = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    const t = (offsetSamples + i) / SAMPLE_RATE;
+    const value = Math.sin(2 * Math.PI * frequency * t) * 0.2;
+    buffer.writeInt16LE(Math.round(value * 0x7FFF), i * 2);
+  }
+  return buffer.toString('base64');
+}
+
+// Mimics the subset of the `ws` client API that realtime-voice.js uses
+class FakeRealtimeSocket extends EventEmitter {
+  constructor(scenario, { connectDelayMs = 50 } = {}) {
+    super();
+    this.scenario = scenario;
+    this.readyState = CONNECTING;
+    this.turnIndex = 0;
+    this.timers = new Set();
+    this.speaking = false;
+    this.vadTimer = null;
+    this.audioMs = 0;
+    this.silenceMs = VAD_SILENCE_MS;
+    this.activeResponse = null;
+
+    this.schedule(() => {
+      this.readyState = OPEN;
+      this.emit('open');
+      this.emitEvent({
+        type: 'session.created',
+        session: { id: nextId('sess'), object: 'realtime.session', model: 'fake-realtime' }
+      });
+    }, connectDelayMs);
+  }
+
+  schedule(fn, delay) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (this.readyState !== CLOSED) fn();
+    }, delay);
+    this.timers.add(timer);
+    return timer;
+  }
+
+  emitEvent(event) {
+    if (this.readyState !== OPEN) return;
+    this.emit('message', Buffer.from(JSON.stringify({ event_id: nextId('event'), ...event })));
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error(`WebSocket is not open: readyState ${this.readyState}`);
+    }
+
+    // Handle on a later tick, as a real network round trip would
+    const msg = JSON.parse(data);
+    this.schedule(() => this.handleClientEvent(msg), 0);
+  }
+
+  handleClientEvent(msg) {
+    switch (msg.type) {
+      case 'session.update':
+        if (msg.session?.turn_detection?.silence_duration_ms) {
+          this.silenceMs = msg.session.turn_detection.silence_duration_ms;
+        }
+        this.emitEvent({ type: 'session.updated', session: { ...msg.session, model: 'fake-realtime' } });
+        break;
+
+      case 'input_audio_buffer.append':
+        this.handleAudioAppend(msg.audio);
+        break;
+
+      case 'input_audio_buffer.commit':
+        if (this.speaking) this.endSpeech();
+        break;
+
+      case 'conversation.item.create': {
+        const itemId = nextId('item');
+        this.emitEvent({ type: 'conversation.item.created', previous_item_id: null, item: { id: itemId, ...msg.item } });
+        break;
+      }
+
+      case 'response.create':
+        this.respond(this.takeTurn());
+        break;
+
+      case 'response.cancel':
+        this.cancelResponse();
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Simulated server VAD: speech starts on audio, stops after a quiet gap
+  handleAudioAppend(audio) {
+    const bytes = audio ? Buffer.from(audio, 'base64').length : 0;
+    this.audioMs += (bytes / 2 / SAMPLE_RATE) * 1000;
+
+    if (!this.speaking) {
+      this.speaking = true;
+      this.speechItemId = nextId('item');
+      this.cancelResponse();
+      this.emitEvent({
+        type: 'input_audio_buffer.speech_started',
+        audio_start_ms: Math.round(this.audioMs),
+        item_id: this.speechItemId
+      });
+    }
+
+    if (this.vadTimer) clearTimeout(this.vadTimer);
+    this.vadTimer = this.schedule(() => this.endSpeech(), this.silenceMs);
+  }
+
+  endSpeech() {
+    if (this.vadTimer) {
+      clearTimeout(this.vadTimer);
+      this.timers.delete(this.vadTimer);
+      this.vadTimer = null;
+    }
+    this.speaking = false;
+
+    const itemId = this.speechItemId;
+    const turn = this.takeTurn();
+
+    this.emitEvent({ type: 'input_audio_buffer.speech_stopped', audio_end_ms: Math.round(this.audioMs), item_id: itemId });
+    this.emitEvent({ type: 'input_audio_buffer.committed', previous_item_id: null, item_id: itemId });
+    this.emitEvent({
+      type: 'conversation.item.created',
+      previous_item_id: null,
+      item: { id: itemId, type: 'message', role: 'user', content: [{ type: 'input_audio', transcript: null }] }
+    });
+
+    // Whisper transcription lands after the VAD-triggered response has started
+    this.schedule(() => {
+      this.emitEvent({
+        type: 'conversation.item.input_audio_transcription.completed',
+        item_id: itemId,
+        content_index: 0,
+        transcript: turn?.user || ''
+      });
+    }, turn?.transcription_delay_ms ?? 300);
+
+    this.respond(turn);
+  }
+
+  takeTurn() {
+    const turns = this.scenario.turns || [];
+    if (this.turnIndex >= turns.length) {
+      if (!this.scenario.loop || turns.length === 0) return null;
+      this.turnIndex = 0;
+    }
+    return turns[this.turnIndex++];
+  }
+
+  respond(turn) {
+    const reply = turn ? turn.reply : this.scenario.exhausted_reply || 'That is the end of this scripted scenario.';
+
+    if (turn?.error) {
+      this.schedule(() => {
+        this.emitEvent({
+          type: 'error',
+          error: {
+            type: turn.error.type || 'server_error',
+            code: turn.error.code || null,
+            message: turn.error.message || 'Injected fake realtime error'
+          }
+        });
+        if (turn.close && turn.close.after_chunks === undefined) this.close(turn.close.code, turn.close.reason);
+      }, turn.delay_ms ?? 200);
+      if (!reply) return;
+    }
+
+    if (!reply) {
+      if (turn?.close) this.schedule(() => this.close(turn.close.code, turn.close.reason), turn.delay_ms ?? 200);
+      return;
+    }
+
+    const responseId = nextId('resp');
+    const itemId = nextId('item');
+    const words = reply.split(/(?<=\s)/);
+    const chunkCount = Math.max(1, Math.ceil((turn?.audio_ms ?? words.length * 250) / CHUNK_MS));
+    const samplesPerChunk = (SAMPLE_RATE * CHUNK_MS) / 1000;
+    const frequency = turn?.tone_hz || 440;
+    const wordsPerChunk = words.length / chunkCount;
+
+    const response = { id: responseId, cancelled: false };
+    this.activeResponse = response;
+
+    this.schedule(() => {
+      // Cancelled before it started: response.done (cancelled) has already gone out
+      if (response.cancelled) return;
+      this.emitEvent({ type: 'response.created', response: { id: responseId, object: 'realtime.response', status: 'in_progress', output: [] } });
+      this.emitEvent({
+        type: 'response.output_item.added',
+        response_id: responseId,
+        output_index: 0,
+        item: { id: itemId, object: 'realtime.item', type: 'message', role: 'assistant', status: 'in_progress', content: [] }
+      });
+      this.emitEvent({
+        type: 'response.content_part.added',
+        response_id: responseId,
+        item_id: itemId,
+        output_index: 0,
+        content_index: 0,
+        part: { type: 'audio', transcript: '' }
+      });
+
+      let wordIndex = 0;
+      for (let chunk = 0; chunk < chunkCount; chunk++) {
+        this.schedule(() => {
+          if (response.cancelled) return;
+
+          if (turn?.close?.after_chunks === chunk) {
+            this.close(turn.close.code, turn.close.reason);
+            return;
+          }
+
+          const base = { response_id: responseId, item_id: itemId, output_index: 0, content_index: 0 };
+          this.emitEvent({ type: 'response.audio.delta', ...base, delta: toneChunk(frequency, chunk * samplesPerChunk, samplesPerChunk) });
+
+          const upTo = chunk === chunkCount - 1 ? words.length : Math.round((chunk + 1) * wordsPerChunk);
+          const delta = words.slice(wordIndex, upTo).join('');
+          wordIndex = upTo;
+          if (delta) this.emitEvent({ type: 'response.audio_transcript.delta', ...base, delta });
+
+          if (chunk === chunkCount - 1) this.finishResponse(response, itemId, reply);
+        }, (chunk + 1) * CHUNK_MS);
+      }
+    }, turn?.delay_ms ?? 200);
+  }
+
+  finishResponse(response, itemId, transcript, status = 'completed') {
+    const base = { response_id: response.id, item_id: itemId, output_index: 0, content_index: 0 };
+    if (status === 'completed') {
+      this.emitEvent({ type: 'response.audio.done', ...base });
+      this.emitEvent({ type: 'response.audio_transcript.done', ...base, transcript });
+    }
+    this.emitEvent({
+      type: 'response.done',
+      response: {
+        id: response.id,
+        object: 'realtime.response',
+        status,
+        output: [{ id: itemId, type: 'message', role: 'assistant', content: [{ type: 'audio', transcript }] }]
+      }
+    });
+    if (this.activeResponse === response) this.activeResponse = null;
+  }
+
+  cancelResponse() {
+    if (!this.activeResponse) return;
+    this.activeResponse.cancelled = true;
+    this.finishResponse(this.activeResponse, null, '', 'cancelled');
+  }
+
+  ping() {
+    this.schedule(() => this.emit('pong'), 5);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === CLOSING || this.readyState === CLOSED) return;
+    this.readyState = CLOSING;
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+
+    setImmediate(() => {
+      this.readyState = CLOSED;
+      this.emit('close', code, Buffer.from(reason || ''));
+    });
+  }
+
+  terminate() {
+    this.close(1006, 'terminated');
+  }
+}
+
+module.exports = FakeRealtimeSocket;
@@ -1,10 +1,24 @@
 // Server/lib/logger.js - Enhanced logging system for voice loop
 const fs = require('fs');
 const path = require('path');
+const { redact, redactString } = require('./redact');
+const { getContext, bindToContext } = require('./context');
+const metrics = require('./metrics');
 
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'json' ? 'json' : 'text';
 const LOG_TO_FILE = process.env.LOG_TO_FILE === 'true';
 const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, '../logs');
+// Log files are dated on the same clock as the scheduler's log-retention job (see scheduler-service.js)
+const LOG_FILE_DATE = new Intl.DateTimeFormat('en-CA', {
+  timeZone: process.env.JOBS_TIMEZONE || 'Europe/London',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+// Transcripts, emails, phone numbers and tokens are masked unless this is
+// explicitly switched on while debugging (LOG_LEVEL=debug)
+const LOG_UNREDACTED = process.env.LOG_UNREDACTED === 'true' && LOG_LEVEL === 'debug';
 
 // Ensure log directory exists
 if (LOG_TO_FILE && !fs.existsSync(LOG_DIR)) {
@@ -28,8 +42,10 @@ const COLORS = {
 
 class Logger {
   constructor() {
-    this.level = LEVELS[LOG_LEVEL] || LEVELS.info;
-    this.logFile = LOG_TO_FILE ? path.join(LOG_DIR, `durmah-${new Date().toISOString().split('T')[0]}.log`) : null;
+    this.level = LEVELS[LOG_LEVEL] ?? LEVELS.info; // error is 0, so not ||
+    this.format = LOG_FORMAT;
+    this.redacting = !LOG_UNREDACTED;
+    this.logFile = LOG_TO_FILE ? this.logFileFor(new Date()) : null;
     
     // Specialized loggers
     this.voice = new VoiceLogger();
@@ -37,19 +53,97 @@ class Logger {
     this.memory = new MemoryLogger();
   }
 
+  logFileFor(date) {
+    return path.join(LOG_DIR, `durmah-${LOG_FILE_DATE.format(date)}.log`);
+  }
+
+  // Switch to today's log file and delete files older than maxAgeDays
+  rotate(maxAgeDays) {
+    if (!LOG_TO_FILE) return { rotated: false, deleted: 0 };
+
+    const current = this.logFileFor(new Date());
+    const rotated = current !== this.logFile;
+    this.logFile = current;
+
+    const cutoff = this.logFileFor(new Date(Date.now() - maxAgeDays * 24 * 60 * 60 * 1000));
+    let deleted = 0;
+    for (const filePath of this.logFiles()) {
+      // Dated names sort chronologically
+      if (filePath < cutoff) {
+        fs.unlinkSync(filePath);
+        deleted++;
+      }
+    }
+
+    return { rotated, deleted };
+  }
+
+  logFiles() {
+    if (!LOG_TO_FILE || !fs.existsSync(LOG_DIR)) return [];
+    return fs.readdirSync(LOG_DIR)
+      .filter(file => /^durmah-\d{4}-\d{2}-\d{2}\.log$/.test(file))
+      .map(file => path.join(LOG_DIR, file));
+  }
+
+  // Log lines that mention a user id, for subject access exports
+  userEntries(userId) {
+    const entries = [];
+    for (const filePath of this.logFiles()) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      entries.push(...lines.filter(line => line.includes(userId)));
+    }
+    return entries;
+  }
+
+  // Rewrite log files without the lines that mention a user id
+  eraseUser(userId) {
+    let removed = 0;
+    for (const filePath of this.logFiles()) {
+      const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+      const kept = lines.filter(line => !line.includes(userId));
+      if (kept.length === lines.length) continue;
+
+      removed += lines.length - kept.length;
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, kept.join('\n'));
+      fs.renameSync(tempPath, filePath);
+    }
+    return { log_lines: removed, voice_sessions: this.voice.forgetUser(userId) };
+  }
+
+  // Errors passed as meta (logger.error('...', error)) become { error }
+  normalizeMeta(meta) {
+    if (meta instanceof Error) return { error: meta };
+    if (meta === null || meta === undefined) return {};
+    if (typeof meta !== 'object') return { detail: meta };
+    return meta;
+  }
+
   formatMessage(level, message, meta = {}) {
     const timestamp = new Date().toISOString();
-    const metaString = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
-    return `[${timestamp}] [${level.toUpperCase()}] ${message}${metaString}`;
+    const text = this.redacting ? redactString(String(message)) : String(message);
+    // Correlation ids from the current request/connection come first; explicit meta wins
+    const fields = redact({ ...getContext(), ...this.normalizeMeta(meta) }, { mask: this.redacting });
+
+    if (this.format === 'json') {
+      return JSON.stringify({ ...fields, timestamp, level, message: text });
+    }
+
+    const metaString = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `[${timestamp}] [${level.toUpperCase()}] ${text}${metaString}`;
   }
 
   log(level, message, meta = {}) {
     if (LEVELS[level] <= this.level) {
       const formattedMessage = this.formatMessage(level, message, meta);
       
-      // Console output with colors
-      const colorCode = COLORS[level] || COLORS.reset;
-      console.log(`${colorCode}${formattedMessage}${COLORS.reset}`);
+      // Console output (coloured in text mode; JSON lines stay machine-readable)
+      if (this.format === 'json') {
+        console.log(formattedMessage);
+      } else {
+        const colorCode = COLORS[level] || COLORS.reset;
+        console.log(`${colorCode}${formattedMessage}${COLORS.reset}`);
+      }
       
       // File output
       if (this.logFile) {
@@ -83,7 +177,7 @@ class Logger {
     return (req, res, next) => {
       const start = Date.now();
       
-      res.on('finish', () => {
+      res.on('finish', bindToContext(() => {
         const duration = Date.now() - start;
         const status = res.statusCode;
         const level = status >= 400 ? 'warn' : 'info';
@@ -94,39 +188,67 @@ class Logger {
           ip: req.ip,
           userAgent: req.get('User-Agent')
         });
-      });
+      }));
       
       next();
     };
   }
 }
 
+// Stages timed for each voice turn (see VoiceLogger.turn)
+const TURN_STAGES = ['first_audio_ms', 'transcript_ms', 'response_done_ms'];
+
 // Specialized logger for voice operations
 class VoiceLogger {
   constructor() {
     this.sessions = new Map();
   }
 
-  session(sessionId, event, data = {}) {
-    const message = `Voice session ${event}: ${sessionId}`;
-    logger.info(message, { sessionId, event, ...data });
-    
-    // Track session state
+  // Track session state
+  track(sessionId) {
     if (!this.sessions.has(sessionId)) {
       this.sessions.set(sessionId, {
         id: sessionId,
         created: new Date(),
-        events: []
+        events: [],
+        turns: []
       });
     }
+    return this.sessions.get(sessionId);
+  }
+
+  session(sessionId, event, data = {}) {
+    const message = `Voice session ${event}: ${sessionId}`;
+    logger.info(message, { sessionId, event, ...data });
     
-    this.sessions.get(sessionId).events.push({
+    this.track(sessionId).events.push({
       event,
       timestamp: new Date(),
       data
     });
   }
 
+  // Latency of one student turn, in ms from the end of their speech to each stage of the reply
+  turn(sessionId, timings) {
+    logger.debug(`Voice turn ${timings.turn}: ${sessionId}`, { sessionId, ...timings });
+    this.track(sessionId).turns.push(timings);
+  }
+
+  // p50/p90/p95/max per stage over the session's turns (nearest-rank percentiles)
+  getLatencyStats(sessionId) {
+    const turns = this.sessions.get(sessionId)?.turns || [];
+    if (turns.length === 0) return null;
+
+    const stats = { turns: turns.length };
+    for (const stage of TURN_STAGES) {
+      const values = turns.map(turn => turn[stage]).filter(Number.isFinite).sort((a, b) => a - b);
+      if (values.length === 0) continue;
+      const percentile = (p) => values[Math.max(0, Math.ceil((p / 100) * values.length) - 1)];
+      stats[stage] = { p50: percentile(50), p90: percentile(90), p95: percentile(95), max: values[values.length - 1] };
+    }
+    return stats;
+  }
+
   connection(connectionId, event, data = {}) {
     const message = `Voice connection ${event}: ${connectionId}`;
     logger.info(message, { connectionId, event, ...data });
@@ -137,6 +259,32 @@ class VoiceLogger {
     logger.debug(message, { sessionId, event, ...data });
   }
 
+  // Forget sessions with no events for maxAgeMs
+  prune(maxAgeMs) {
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    for (const [sessionId, session] of this.sessions) {
+      const lastEvent = session.events[session.events.length - 1]?.timestamp || session.created;
+      if (lastEvent.getTime() < cutoff) {
+        this.sessions.delete(sessionId);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  sessionsForUser(userId) {
+    return this.getAllSessions().filter(session =>
+      session.events.some(entry => entry.data.userId === userId)
+    );
+  }
+
+  forgetUser(userId) {
+    const sessions = this.sessionsForUser(userId);
+    sessions.forEach(session => this.sessions.delete(session.id));
+    return sessions.length;
+  }
+
   getSessionStats(sessionId) {
     return this.sessions.get(sessionId) || null;
   }
@@ -151,6 +299,7 @@ class IntegrityLogger {
   flag(userId, reason, severity = 'medium', data = {}) {
     const message = `Integrity flag: ${reason} for user ${userId || 'anonymous'}`;
     const level = severity === 'high' ? 'warn' : 'info';
+    metrics.integrityFlags.inc({ type: reason, severity });
     
     logger.log(level, message, {
       userId,
@@ -193,6 +342,12 @@ class MemoryLogger {
 // Create singleton logger instance
 const logger = new Logger();
 
+if (LOG_UNREDACTED) {
+  logger.warn('LOG_UNREDACTED is on: transcripts and personal data will be written to the logs');
+} else if (process.env.LOG_UNREDACTED === 'true') {
+  logger.warn('LOG_UNREDACTED is ignored unless LOG_LEVEL=debug');
+}
+
 // Performance monitoring
 const performanceMonitor = {
   startTimer: (label) => {
@@ -201,6 +356,7 @@ const performanceMonitor = {
       end: () => {
         const end = process.hrtime.bigint();
         const durationMs = Number(end - start) / 1000000;
+        metrics.operationDuration.observe({ operation: label }, durationMs / 1000);
         logger.debug(`Performance: ${label}`, { duration: `${durationMs.toFixed(2)}ms` });
         return durationMs;
       }
@@ -228,6 +384,8 @@ const healthCheck = () => {
     return {
       status: 'healthy',
       level: LOG_LEVEL,
+      format: LOG_FORMAT,
+      redaction: !LOG_UNREDACTED,
       fileLogging: LOG_TO_FILE,
       logDir: LOG_DIR
     };
@@ -250,6 +408,16 @@ process.on('SIGINT', shutdown);
 
 module.exports = {
   ...logger,
+  // Instance methods live on the prototype, so bind them explicitly
+  log: logger.log.bind(logger),
+  error: logger.error.bind(logger),
+  warn: logger.warn.bind(logger),
+  info: logger.info.bind(logger),
+  debug: logger.debug.bind(logger),
+  middleware: logger.middleware.bind(logger),
+  rotate: logger.rotate.bind(logger),
+  userEntries: logger.userEntries.bind(logger),
+  eraseUser: logger.eraseUser.bind(logger),
   performance: performanceMonitor,
   healthCheck,
   shutdown,
@@ -0,0 +1,230 @@
+// Server/lib/metrics.js - In-process counters, gauges and histograms in Prometheus text format
+
+// Seconds, sized for HTTP calls to OpenAI and the TTS API
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, value }
+  }
+
+  // Only the declared label names are kept, in declaration order, so series stay stable
+  seriesFor(labels = {}) {
+    const picked = {};
+    for (const name of this.labelNames) {
+      picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+    }
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, value: this.initialValue() });
+    }
+    return this.series.get(key);
+  }
+
+  initialValue() {
+    return 0;
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    }
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+    // Unlabelled counters report 0 from the start rather than appearing on first use
+    if (this.labelNames.length === 0) this.seriesFor();
+  }
+
+  inc(labels = {}, value = 1) {
+    if (value < 0) throw new Error(`Counter ${this.name} cannot decrease`);
+    this.seriesFor(labels).value += value;
+  }
+}
+
+class Gauge extends Metric {
+  // collect() is read at scrape time for values the process already tracks
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+    if (this.labelNames.length === 0 && !collect) this.seriesFor();
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.seriesFor(labels).value -= value;
+  }
+
+  render() {
+    if (this.collect) this.set({}, this.collect());
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  initialValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels = {}, value) {
+    const { value: histogram } = this.seriesFor(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) histogram.counts[index]++;
+    });
+    histogram.sum += value;
+    histogram.count++;
+  }
+
+  // Returns a function that records the seconds elapsed since startTimer was called
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = this.header();
+    for (const { labels, value } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      lines.push(...metric.render());
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+const registry = new Registry();
+const processStartSeconds = Math.round(Date.now() / 1000 - process.uptime());
+
+// Everything Durmah exposes on /metrics
+const metrics = {
+  voiceActiveConnections: registry.gauge(
+    'durmah_voice_active_connections', 'Open /voice WebSocket connections'),
+  voiceSessions: registry.counter(
+    'durmah_voice_sessions_total', 'Voice sessions created', ['transport', 'upstream']),
+  voiceSessionDuration: registry.histogram(
+    'durmah_voice_session_duration_seconds', 'Length of finished /voice sessions', ['reason'],
+    [30, 60, 120, 300, 600, 900, 1200, 1800, 3600]),
+  voiceTurnLatency: registry.histogram(
+    'durmah_voice_turn_latency_seconds', 'Time from the end of a student turn to each stage of the reply', ['stage'],
+    [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 8, 13]),
+  upstreamErrors: registry.counter(
+    'durmah_openai_upstream_errors_total', 'Errors on OpenAI realtime sockets and session requests', ['source']),
+  upstreamCloses: registry.counter(
+    'durmah_openai_upstream_closes_total', 'OpenAI realtime sockets closed', ['expected']),
+  audioBytes: registry.counter(
+    'durmah_voice_audio_bytes_total', 'Decoded PCM16 audio relayed over /voice', ['direction']),
+  transcriptsSent: registry.counter(
+    'durmah_voice_transcripts_sent_total', 'Assistant transcripts sent to voice clients', ['mode']),
+  integrityFlags: registry.counter(
+    'durmah_integrity_flags_total', 'Academic integrity and wellbeing flags raised', ['type', 'severity']),
+  ttsRequests: registry.counter(
+    'durmah_tts_requests_total', 'Text-to-speech synthesis requests'),
+  ttsFailures: registry.counter(
+    'durmah_tts_failures_total', 'Text-to-speech requests that fell back to the browser', ['reason']),
+  ttsProviderErrors: registry.counter(
+    'durmah_tts_provider_errors_total', 'TTS provider failures, each followed by the next provider in the chain', ['provider']),
+  ttsDuration: registry.histogram(
+    'durmah_tts_duration_seconds', 'Time to synthesise speech, per TTS provider', ['provider']),
+  ttsCacheLookups: registry.counter(
+    'durmah_tts_cache_lookups_total', 'TTS cache lookups by result and the tier that answered', ['result', 'tier']),
+  ttsCacheBytes: registry.gauge(
+    'durmah_tts_cache_bytes', 'Audio held in the TTS cache', ['tier']),
+  ttsStreams: registry.counter(
+    'durmah_tts_streams_total', 'Streaming TTS requests by outcome (completed, cancelled, error)', ['outcome']),
+  rateLimitRejections: registry.counter(
+    'durmah_rate_limit_rejections_total', 'Requests rejected by the API rate limiter'),
+  operationDuration: registry.histogram(
+    'durmah_operation_duration_seconds', 'Timings recorded with logger.performance', ['operation']),
+  processMemory: registry.gauge(
+    'process_resident_memory_bytes', 'Resident memory size in bytes', [], () => process.memoryUsage().rss),
+  processStart: registry.gauge(
+    'process_start_time_seconds', 'Start time of the process since unix epoch in seconds', [], () => processStartSeconds)
+};
+
+// Size of base64 audio once decoded, without decoding it
+const base64Bytes = (data) => (typeof data === 'string' ? Buffer.byteLength(data, 'base64') : 0);
+
+module.exports = {
+  ...metrics,
+  registry,
+  base64Bytes,
+  contentType: 'text/plain; version=0.0.4; charset=utf-8',
+  Counter,
+  Gauge,
+  Histogram,
+  Registry
+};
@@ -0,0 +1,116 @@
+// Server/lib/oscola/abbreviations.js - Court and report abbreviations recognised by the OSCOLA checker
+
+// Neutral citation courts (OSCOLA 4th edn, 2.1.3)
+const NEUTRAL_COURTS = {
+  UKSC: { name: 'UK Supreme Court', since: 2009 },
+  UKPC: { name: 'Privy Council', since: 2001 },
+  UKHL: { name: 'House of Lords', since: 2001 },
+  'EWCA Civ': { name: 'Court of Appeal (Civil Division)', since: 2001 },
+  'EWCA Crim': { name: 'Court of Appeal (Criminal Division)', since: 2001 },
+  EWHC: { name: 'High Court', since: 2002, divisions: ['Admin', 'Admlty', 'Ch', 'Comm', 'Costs', 'Fam', 'IPEC', 'KB', 'Mercantile', 'Pat', 'QB', 'TCC'] },
+  EWFC: { name: 'Family Court', since: 2014 },
+  EWCOP: { name: 'Court of Protection', since: 2014 },
+  UKUT: { name: 'Upper Tribunal', since: 2008, divisions: ['AAC', 'IAC', 'LC', 'TCC'] },
+  UKFTT: { name: 'First-tier Tribunal', since: 2008, divisions: ['GRC', 'TC'] },
+  UKEAT: { name: 'Employment Appeal Tribunal', since: 2001 },
+  CSIH: { name: 'Court of Session (Inner House)', since: 2005 },
+  CSOH: { name: 'Court of Session (Outer House)', since: 2005 },
+  HCJAC: { name: 'High Court of Justiciary (Appeal)', since: 2005 },
+  NICA: { name: 'Court of Appeal in Northern Ireland', since: 2001 },
+  NIQB: { name: "High Court of Northern Ireland (King's/Queen's Bench)", since: 2001 }
+};
+
+// Common mistakes, keyed by the abbreviation with spaces, dots and brackets removed
+const NEUTRAL_COURT_ALIASES = {
+  UKSUPCT: 'UKSC',
+  UKSUPREMECOURT: 'UKSC',
+  HL: 'UKHL',
+  PC: 'UKPC',
+  CACIV: 'EWCA Civ',
+  CACRIM: 'EWCA Crim',
+  EWCACIVIL: 'EWCA Civ',
+  EWCACRIMINAL: 'EWCA Crim'
+};
+
+// Law reports. Year-organised series take [square] brackets, volume-organised series (round)
+const LAW_REPORTS = {
+  AC: { name: 'Appeal Cases', organised: 'year' },
+  QB: { name: "Queen's Bench", organised: 'year' },
+  KB: { name: "King's Bench", organised: 'year' },
+  Ch: { name: 'Chancery', organised: 'year' },
+  Fam: { name: 'Family', organised: 'year' },
+  P: { name: 'Probate', organised: 'year' },
+  WLR: { name: 'Weekly Law Reports', organised: 'year' },
+  'All ER': { name: 'All England Law Reports', organised: 'year' },
+  'All ER (Comm)': { name: 'All England Law Reports (Commercial Cases)', organised: 'year' },
+  "Lloyd's Rep": { name: "Lloyd's Law Reports", organised: 'year' },
+  BCLC: { name: 'Butterworths Company Law Cases', organised: 'year' },
+  BCC: { name: 'British Company Cases', organised: 'year' },
+  ICR: { name: 'Industrial Cases Reports', organised: 'year' },
+  IRLR: { name: 'Industrial Relations Law Reports', organised: 'year' },
+  EMLR: { name: 'Entertainment and Media Law Reports', organised: 'year' },
+  FLR: { name: 'Family Law Reports', organised: 'year' },
+  FSR: { name: 'Fleet Street Reports', organised: 'year' },
+  HRLR: { name: 'Human Rights Law Reports', organised: 'year' },
+  CMLR: { name: 'Common Market Law Reports', organised: 'year' },
+  'Crim LR': { name: 'Criminal Law Review', organised: 'year' },
+  'App Cas': { name: 'Appeal Cases (1875-1890)', organised: 'volume' },
+  QBD: { name: "Queen's Bench Division (1875-1890)", organised: 'volume' },
+  'Ch D': { name: 'Chancery Division (1875-1890)', organised: 'volume' },
+  'Cr App R': { name: 'Criminal Appeal Reports', organised: 'volume' },
+  'Cr App R (S)': { name: 'Criminal Appeal Reports (Sentencing)', organised: 'volume' },
+  TLR: { name: 'Times Law Reports', organised: 'volume' },
+  ER: { name: 'English Reports', organised: 'volume' },
+  EHRR: { name: 'European Human Rights Reports', organised: 'volume' },
+  CLR: { name: 'Commonwealth Law Reports', organised: 'volume' },
+  DLR: { name: 'Dominion Law Reports', organised: 'volume' }
+};
+
+const LAW_REPORT_ALIASES = {
+  APPEALCASES: 'AC',
+  WEEKLYLAWREPORTS: 'WLR',
+  ALLER: 'All ER',
+  ALLENGLANDLAWREPORTS: 'All ER',
+  ALLERCOMM: 'All ER (Comm)',
+  LLOYDSREP: "Lloyd's Rep",
+  LLOYDSLAWREPORTS: "Lloyd's Rep",
+  CRAPPR: 'Cr App R',
+  CRAPPRS: 'Cr App R (S)',
+  CRIMLR: 'Crim LR',
+  APPCAS: 'App Cas',
+  CHD: 'Ch D'
+};
+
+// Courts given in brackets after a law report citation when there is no neutral citation
+const DECIDING_COURTS = ['HL', 'PC', 'SC', 'CA', 'QB', 'KB', 'Ch', 'Fam', 'Admin', 'Comm', 'TCC', 'CCA', 'DC', 'EAT', 'ECJ', 'ECtHR'];
+
+// Pinpoint and provision abbreviations for legislation
+const PROVISION_ABBREVIATIONS = {
+  section: 's',
+  sec: 's',
+  s: 's',
+  sections: 'ss',
+  ss: 'ss',
+  schedule: 'sch',
+  sch: 'sch',
+  part: 'pt',
+  pt: 'pt',
+  article: 'art',
+  art: 'art',
+  regulation: 'reg',
+  reg: 'reg',
+  paragraph: 'para',
+  para: 'para'
+};
+
+const squash = (value) => value.toUpperCase().replace(/[\s.'’()]/g, '');
+
+module.exports = {
+  NEUTRAL_COURTS,
+  NEUTRAL_COURT_ALIASES,
+  LAW_REPORTS,
+  LAW_REPORT_ALIASES,
+  DECIDING_COURTS,
+  PROVISION_ABBREVIATIONS,
+  squash
+};
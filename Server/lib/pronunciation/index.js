@@ -0,0 +1,39 @@
+// Server/lib/pronunciation/index.js - Legal pronunciation lexicon loading and the shared speech normaliser
+const fs = require('fs');
+const logger = require('../logger');
+const { createSpeechNormalizer, DEFAULT_LEXICON, DEFAULT_LEXICON_PATH } = require('./normalizer');
+
+function loadLexicon(filePath = process.env.PRONUNCIATION_LEXICON_PATH || DEFAULT_LEXICON_PATH) {
+  if (filePath === DEFAULT_LEXICON_PATH) return DEFAULT_LEXICON;
+
+  try {
+    const lexicon = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!lexicon || typeof lexicon !== 'object' || Array.isArray(lexicon)) {
+      throw new Error('expected an object of lexicon sections');
+    }
+    return lexicon;
+  } catch (error) {
+    logger.error('Failed to load pronunciation lexicon; using the built-in one', { path: filePath, error: error.message });
+    return DEFAULT_LEXICON;
+  }
+}
+
+let normalizer = null;
+
+function getSpeechNormalizer() {
+  if (!normalizer) normalizer = createSpeechNormalizer(loadLexicon());
+  return normalizer;
+}
+
+// The text every TTS path should actually send to a voice
+function normalizeForSpeech(text) {
+  return getSpeechNormalizer().normalize(text);
+}
+
+module.exports = {
+  loadLexicon,
+  getSpeechNormalizer,
+  normalizeForSpeech,
+  createSpeechNormalizer,
+  DEFAULT_LEXICON_PATH
+};
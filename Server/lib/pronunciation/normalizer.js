@@ -0,0 +1,169 @@
+// Server/lib/pronunciation/normalizer.js - Rewrite legal shorthand into the words a TTS voice should say
+// Self-contained (no logger or env) so the Netlify tts-eleven function can bundle it as well.
+const path = require('path');
+const { NEUTRAL_COURTS, LAW_REPORTS } = require('../oscola/abbreviations');
+const DEFAULT_LEXICON = require('./legal-lexicon.json');
+
+const DEFAULT_LEXICON_PATH = path.join(__dirname, 'legal-lexicon.json');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// Longest first, so "All ER (Comm)" wins over "All ER" and "ss" over "s"
+const alternation = (keys) => [...keys].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+// "Court of Appeal (Civil Division)" -> "Court of Appeal, Civil Division"; "(1875-1890)" date ranges are dropped
+const speakName = (name) => name.replace(/\s*\(\d{4}-\d{4}\)/g, '').replace(/\s*\(([^)]+)\)/g, ', $1');
+
+const NAME = "[A-Z][A-Za-z'’-]+";
+const NAMES = `${NAME}(?:(?:,\\s*|\\s+and\\s+)${NAME})*`;
+const NUMBER = '\\d+[A-Z]{0,2}(?:\\([0-9a-zA-Z]{1,4}\\))*';
+// " v " is only a case name when the parties are followed by a year or citation, which the
+// citation rules have already turned into "1932 ..." (or left as "(2019) ..." for unknown reports)
+const PARTY = "[A-Z][\\w'’&.-]*(?:\\s+(?:[A-Z][\\w'’&.-]*|of|and|the|for|plc|ltd|&|\\([^)]*\\)))*";
+const CASE_CONTINUES = `(?=${PARTY},?\\s+[[(]?\\d{4}\\b)`;
+// How far either side of "s 3" or "art 8" a statute or Convention name may be
+const PROVISION_CONTEXT_CHARS = 80;
+
+function createSpeechNormalizer(lexicon = DEFAULT_LEXICON) {
+  const caseNames = lexicon.case_names || {};
+  const courts = lexicon.courts || {};
+  const judges = lexicon.judges || {};
+  const provisions = lexicon.provisions || {};
+  const subdivisions = lexicon.subdivisions || {};
+  const provisionContext = lexicon.provision_context || {};
+  const contextual = new Set((provisionContext.provisions || []).map(key => key.toLowerCase()));
+  const statuteWords = provisionContext.statute_words?.length
+    && new RegExp(`\\b(?:${alternation(provisionContext.statute_words)})\\b`);
+  const words = { ...lexicon.abbreviations, ...lexicon.terms };
+
+  const reportNames = Object.fromEntries(Object.entries(LAW_REPORTS).map(([abbr, report]) => [abbr, speakName(report.name)]));
+  Object.assign(reportNames, lexicon.reports);
+  const neutralNames = Object.fromEntries(Object.entries(NEUTRAL_COURTS).map(([abbr, court]) => [abbr, speakName(court.name)]));
+  Object.assign(neutralNames, lexicon.neutral_courts);
+
+  const courtName = (abbr) => courts[abbr] || abbr;
+  const lookup = (map, key) => map[key] ?? map[Object.keys(map).find(k => k.toLowerCase() === key.toLowerCase())];
+
+  // "3(1)(a)" -> "3, subsection 1, paragraph a"
+  const speakNumber = (number, provision) => {
+    const [head, ...parts] = number.split(/[()]+/).filter(Boolean);
+    const levels = subdivisions[provision.replace(/s$/, '')] || subdivisions.default || [];
+    return [head, ...parts.map((part, i) => `${levels[i] || levels[levels.length - 1] || ''} ${part}`.trim())].join(', ');
+  };
+
+  // Provision abbreviations in their lexicon spelling, plus a capitalised form for the longer ones (Art 8, Sch 2)
+  const provisionKeys = Object.keys(provisions).flatMap(key =>
+    key.length > 1 && /^[a-z]/.test(key) ? [key, key[0].toUpperCase() + key.slice(1)] : [key]);
+
+  // "s 3 of the Theft Act" and "art 8 ECHR" are provisions; "art 8 hours a day" is not
+  const provisionInContext = (abbr, offset, length, text) => {
+    if (!contextual.has(abbr.toLowerCase())) return true;
+    if (!statuteWords) return false;
+    const start = Math.max(0, offset - PROVISION_CONTEXT_CHARS);
+    return statuteWords.test(text.slice(start, offset + length + PROVISION_CONTEXT_CHARS));
+  };
+
+  // Applied in order: citations first, while their brackets are still there to anchor on
+  const rules = [
+    {
+      name: 'neutral_citation',
+      pattern: Object.keys(neutralNames).length
+        && new RegExp(`\\[(\\d{4})\\]\\s+(${alternation(Object.keys(neutralNames))})\\s+(\\d+)(?:\\s+\\(([A-Za-z]+)\\))?`, 'g'),
+      replace: (match, year, court, number, division) =>
+        `${year}, ${neutralNames[court]}${division ? `, ${courtName(division)}` : ''}, number ${number}`
+    },
+    {
+      name: 'law_report',
+      pattern: Object.keys(reportNames).length
+        && new RegExp(`[[(](\\d{4})[\\])]\\s+(?:(\\d+)\\s+)?(${alternation(Object.keys(reportNames))})\\s+(\\d+)(?:,\\s*(\\d+)\\b(?![\\])]))?`, 'g'),
+      replace: (match, year, volume, report, page, pinpoint) =>
+        `${year}${volume ? `, volume ${volume} of the` : ''} ${reportNames[report]}, page ${page}${pinpoint ? `, at page ${pinpoint}` : ''}`
+    },
+    {
+      name: 'court',
+      pattern: Object.keys(courts).length && new RegExp(`\\s*\\((${alternation(Object.keys(courts))})\\)`, 'g'),
+      replace: (match, court) => `, in the ${courtName(court)}`
+    },
+    {
+      name: 'paragraph_pinpoint',
+      pattern: /\[(\d{1,3})\](?:\s*[-–]\s*\[(\d{1,3})\])?/g,
+      replace: (match, from, to) => (to ? `paragraphs ${from} to ${to}` : `paragraph ${from}`)
+    },
+    {
+      name: 'year',
+      pattern: /\[(\d{4})\]/g,
+      replace: (match, year) => year
+    },
+    {
+      name: 'case_name',
+      pattern: caseNames.crown && new RegExp(`\\bR\\s+((?:\\([^)]*\\)\\s+)?)v\\.?\\s+${CASE_CONTINUES}`, 'g'),
+      replace: (match, applicant) => `${caseNames.crown} ${applicant}${caseNames.criminal_v || 'v'} `
+    },
+    {
+      name: 'case_name',
+      pattern: caseNames.civil_v && new RegExp(`(?<=(?:\\b[A-Z][\\w'’&.-]*|\\bplc|\\bltd|\\)))\\s+v\\.?\\s+${CASE_CONTINUES}`, 'g'),
+      replace: () => ` ${caseNames.civil_v} `
+    },
+    {
+      name: 'judge',
+      pattern: Object.keys(judges).length
+        && new RegExp(`\\b((?:(?:Lord|Lady|Sir|Dame|Baroness)\\s+)?${NAMES})\\s+(${alternation(Object.keys(judges))})\\b`, 'g'),
+      replace: (match, names, abbr, offset, text) => {
+        if (judges[abbr].position !== 'after') return `${judges[abbr].title} ${names}`;
+        // Close the aside when the sentence carries on: "Lady Hale, President of the Supreme Court, said"
+        const carriesOn = /^\s+[\w(]/.test(text.slice(offset + match.length));
+        return `${names}, ${judges[abbr].title}${carriesOn ? ',' : ''}`;
+      }
+    },
+    {
+      name: 'provision',
+      pattern: provisionKeys.length
+        && new RegExp(`(?<![\\w'’])(${alternation(provisionKeys)})\\.?\\s*(${NUMBER})(?:\\s*[-–]\\s*(${NUMBER}))?(?![\\w])`, 'g'),
+      replace: (match, abbr, from, to, offset, text) => {
+        if (!provisionInContext(abbr, offset, match.length, text)) return match;
+        const spoken = lookup(provisions, abbr);
+        return `${spoken} ${speakNumber(from, spoken)}${to ? ` to ${speakNumber(to, spoken)}` : ''}`;
+      }
+    },
+    {
+      name: 'lexicon',
+      pattern: Object.keys(words).length
+        && new RegExp(`(?<![\\w.])(${alternation(Object.keys(words))})(?![\\w])`, 'gi'),
+      replace: (match) => lookup(words, match)
+    }
+  ].filter(rule => rule.pattern);
+
+  // changes, if given, collects { rule, from, to } for each rewrite (used by the preview endpoint)
+  const normalize = (text, changes = null) => {
+    if (!text || typeof text !== 'string') return text;
+
+    let spoken = text;
+    for (const rule of rules) {
+      spoken = spoken.replace(rule.pattern, (...args) => {
+        const replacement = rule.replace(...args);
+        if (changes && replacement !== args[0]) {
+          changes.push({ rule: rule.name, from: args[0].trim(), to: replacement.trim() });
+        }
+        return replacement;
+      });
+    }
+
+    return spoken
+      .replace(/\s+([,.;:!?])/g, '$1')
+      .replace(/,\s*,/g, ',')
+      .replace(/\s{2,}/g, ' ')
+      .trim();
+  };
+
+  const explain = (text) => {
+    const changes = [];
+    const spoken = normalize(text, changes);
+    return { spoken, changes };
+  };
+
+  return { normalize, explain };
+}
+
+module.exports = {
+  createSpeechNormalizer,
+  DEFAULT_LEXICON,
+  DEFAULT_LEXICON_PATH
+};
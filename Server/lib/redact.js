@@ -0,0 +1,75 @@
+// Server/lib/redact.js - Masks student content and personal data before it reaches the logs
+
+// Fields that carry what a student or Durmah said; logged as their length only
+const CONTENT_KEYS = new Set([
+  'transcript', 'text', 'delta', 'content', 'prompt', 'instructions',
+  'user_input', 'ai_response', 'response_text'
+]);
+
+// Fields that carry credentials; never logged
+const SECRET_KEYS = new Set([
+  'token', 'access_token', 'refresh_token', 'authorization', 'apikey', 'api_key',
+  'password', 'secret', 'client_secret', 'cookie'
+]);
+
+const PATTERNS = [
+  // JWTs (Supabase access tokens, ephemeral realtime keys)
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, '[token]'],
+  [/\bBearer\s+[\w.~+/=-]+/gi, 'Bearer [token]'],
+  [/\b(?:sk|ek|rk)-[\w-]{8,}/g, '[token]'],
+  [/([?&](?:token|access_token|apikey|key)=)[^&\s"]+/gi, '$1[token]'],
+  // Keep the domain: it is what voice access decisions depend on
+  [/[\w.%+-]+@([a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/gi, '***@$1'],
+  // +44 7700 900123, 07700 900123, 0191-334-2000
+  [/(?:\+\d{1,3}[\s-]?|(?<![\w.-])0)\d(?:[\s-]?\d){8,10}(?![\w-])/g, '[phone]']
+];
+
+const MAX_DEPTH = 6;
+
+function redactString(text) {
+  return PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Deep copy of a log meta object with content and secrets masked. Errors keep
+// their name, message and stack (which JSON.stringify would otherwise drop).
+// With mask: false the value is only made serialisable.
+function redact(value, { mask = true, depth = 0 } = {}) {
+  const clean = mask ? redactString : (text) => text;
+  const next = { mask, depth: depth + 1 };
+
+  if (typeof value === 'string') return clean(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: clean(value.message),
+      ...(value.code && { code: value.code }),
+      ...(value.stack && { stack: clean(value.stack) })
+    };
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[buffer: ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map(item => redact(item, next));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const normalized = key.toLowerCase();
+    if (mask && SECRET_KEYS.has(normalized)) {
+      result[key] = '[redacted]';
+    } else if (mask && CONTENT_KEYS.has(normalized) && typeof item === 'string') {
+      result[key] = `[redacted: ${item.length} chars]`;
+    } else {
+      result[key] = redact(item, next);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  redact,
+  redactString,
+  CONTENT_KEYS,
+  SECRET_KEYS
+};
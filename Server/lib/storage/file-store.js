@@ -0,0 +1,134 @@
+// Server/lib/storage/file-store.js - JSON file storage for single-instance deploys
+const fs = require('fs');
+const path = require('path');
+const InMemoryStore = require('./memory-store');
+const { SCHEMA_VERSION, upgradeConversation, upgradeProfile } = require('./schema');
+const logger = require('../logger');
+
+const FLUSH_DELAY = 1000; // Batch writes that happen in quick succession
+
+class FileStore extends InMemoryStore {
+  constructor({ filePath }) {
+    super();
+    this.name = 'file';
+    this.persistent = true;
+    this.filePath = filePath;
+    this.flushTimer = null;
+    this.flushing = null;
+  }
+
+  async init() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) return;
+
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+
+      for (const [key, raw] of Object.entries(data.conversations || {})) {
+        this.conversations.set(key, upgradeConversation(raw));
+      }
+      for (const [userId, raw] of Object.entries(data.profiles || {})) {
+        this.profiles.set(userId, upgradeProfile(raw));
+      }
+      for (const [userId, records] of Object.entries(data.provenance || {})) {
+        this.provenance.set(userId, records);
+      }
+      this.dataRequests = data.data_requests || [];
+
+      logger.info('Memory store loaded from file', {
+        path: this.filePath,
+        conversations: this.conversations.size,
+        profiles: this.profiles.size,
+        provenanceUsers: this.provenance.size,
+        migratedFrom: data.schema_version || 1
+      });
+
+      // Persist upgraded records straight away
+      if ((data.schema_version || 1) < SCHEMA_VERSION) {
+        await this.flush();
+      }
+    } catch (error) {
+      logger.error('Failed to load memory store file', { path: this.filePath, error: error.message });
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(error => {
+        logger.error('Failed to write memory store file', { path: this.filePath, error: error.message });
+      });
+    }, FLUSH_DELAY);
+  }
+
+  async flush() {
+    // Serialise writes so an older snapshot never lands after a newer one
+    const previous = this.flushing || Promise.resolve();
+    this.flushing = previous.then(async () => {
+      const snapshot = JSON.stringify({
+        schema_version: SCHEMA_VERSION,
+        saved_at: new Date().toISOString(),
+        conversations: Object.fromEntries(this.conversations),
+        profiles: Object.fromEntries(this.profiles),
+        provenance: Object.fromEntries(this.provenance),
+        data_requests: this.dataRequests
+      });
+
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.promises.writeFile(tempPath, snapshot);
+      await fs.promises.rename(tempPath, this.filePath);
+    });
+    return this.flushing;
+  }
+
+  async saveConversation(key, conversation) {
+    await super.saveConversation(key, conversation);
+    this.scheduleFlush();
+  }
+
+  async deleteConversation(key) {
+    const removed = await super.deleteConversation(key);
+    if (removed) this.scheduleFlush();
+    return removed;
+  }
+
+  async deleteConversationsOlderThan(cutoff) {
+    const removed = await super.deleteConversationsOlderThan(cutoff);
+    if (removed > 0) this.scheduleFlush();
+    return removed;
+  }
+
+  async saveProfile(userId, profile) {
+    await super.saveProfile(userId, profile);
+    this.scheduleFlush();
+  }
+
+  async appendProvenance(userId, record) {
+    await super.appendProvenance(userId, record);
+    this.scheduleFlush();
+  }
+
+  async deleteUserData(userId) {
+    const removed = await super.deleteUserData(userId);
+    // Erasure is written straight away rather than batched
+    await this.flush();
+    return removed;
+  }
+
+  async appendDataRequest(record) {
+    await super.appendDataRequest(record);
+    this.scheduleFlush();
+  }
+
+  async close() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+  }
+}
+
+module.exports = FileStore;
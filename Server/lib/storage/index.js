@@ -0,0 +1,43 @@
+// Server/lib/storage/index.js - Memory store selection from configuration
+const path = require('path');
+const logger = require('../logger');
+const InMemoryStore = require('./memory-store');
+const FileStore = require('./file-store');
+const SupabaseStore = require('./supabase-store');
+
+// MEMORY_STORE: memory (default) | file | supabase
+function createMemoryStore(config = process.env) {
+  const type = (config.MEMORY_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'file':
+      return new FileStore({
+        filePath: config.MEMORY_STORE_PATH || path.join(__dirname, '../../data/memory-store.json')
+      });
+
+    case 'supabase':
+    case 'postgres':
+      if (!config.SUPABASE_URL || !config.SUPABASE_SERVICE_ROLE_KEY) {
+        logger.warn('Supabase memory store requested but SUPABASE_URL/SUPABASE_SERVICE_ROLE_KEY missing; using in-memory store');
+        return new InMemoryStore();
+      }
+      return new SupabaseStore({
+        url: config.SUPABASE_URL,
+        serviceKey: config.SUPABASE_SERVICE_ROLE_KEY
+      });
+
+    case 'memory':
+      return new InMemoryStore();
+
+    default:
+      logger.warn(`Unknown MEMORY_STORE "${type}"; using in-memory store`);
+      return new InMemoryStore();
+  }
+}
+
+module.exports = {
+  createMemoryStore,
+  InMemoryStore,
+  FileStore,
+  SupabaseStore
+};
@@ -0,0 +1,111 @@
+// Server/lib/storage/memory-store.js - In-process storage (lost on restart)
+
+class InMemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.conversations = new Map();
+    this.profiles = new Map();
+    this.provenance = new Map(); // userId -> records, oldest first
+    this.dataRequests = []; // Export/erasure audit trail, oldest first
+  }
+
+  async init() {}
+
+  async getConversation(key) {
+    return this.conversations.get(key) || null;
+  }
+
+  async saveConversation(key, conversation) {
+    this.conversations.set(key, conversation);
+  }
+
+  async listConversations(userId) {
+    return Array.from(this.conversations.values()).filter(conversation => conversation.userId === userId);
+  }
+
+  // Conversations with no activity since cutoff, most recently active first
+  async listIdleConversations(cutoff, { limit = 50 } = {}) {
+    const lastActive = (conversation) =>
+      conversation.interactions[conversation.interactions.length - 1]?.timestamp || conversation.created;
+
+    return Array.from(this.conversations.values())
+      .filter(conversation => lastActive(conversation) < cutoff)
+      .sort((a, b) => lastActive(b) - lastActive(a))
+      .slice(0, limit);
+  }
+
+  async deleteConversation(key) {
+    return this.conversations.delete(key);
+  }
+
+  async deleteConversationsOlderThan(cutoff) {
+    let removed = 0;
+    for (const [key, conversation] of this.conversations) {
+      if (conversation.created < cutoff) {
+        this.conversations.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async getProfile(userId) {
+    return this.profiles.get(userId) || null;
+  }
+
+  async saveProfile(userId, profile) {
+    this.profiles.set(userId, profile);
+  }
+
+  async appendProvenance(userId, record) {
+    const records = this.provenance.get(userId) || [];
+    records.push(record);
+    this.provenance.set(userId, records);
+  }
+
+  async listProvenance(userId, { from = null, to = null, module = null } = {}) {
+    return (this.provenance.get(userId) || []).filter(record =>
+      (!from || new Date(record.timestamp) >= from) &&
+      (!to || new Date(record.timestamp) <= to) &&
+      (!module || record.module?.toLowerCase() === module.toLowerCase())
+    );
+  }
+
+  // Erase everything held for one user; returns how many records went
+  async deleteUserData(userId) {
+    const removed = { conversations: 0, profiles: 0, provenance: 0 };
+    for (const [key, conversation] of this.conversations) {
+      if (conversation.userId === userId) {
+        this.conversations.delete(key);
+        removed.conversations++;
+      }
+    }
+    if (this.profiles.delete(userId)) removed.profiles = 1;
+    removed.provenance = (this.provenance.get(userId) || []).length;
+    this.provenance.delete(userId);
+    return removed;
+  }
+
+  async appendDataRequest(record) {
+    this.dataRequests.push(record);
+  }
+
+  async listDataRequests(userId) {
+    return this.dataRequests.filter(record => record.user_id === userId);
+  }
+
+  async getStats() {
+    const conversations = Array.from(this.conversations.values());
+    return {
+      conversations: conversations.length,
+      profiles: this.profiles.size,
+      provenance_records: Array.from(this.provenance.values()).reduce((sum, records) => sum + records.length, 0),
+      interactions: conversations.reduce((sum, conv) => sum + conv.interactions.length, 0)
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = InMemoryStore;
@@ -0,0 +1,65 @@
+// Server/lib/storage/schema.js - Record shapes and migrations for persisted memory
+
+// v1: original in-process shape (no metadata, no schema_version)
+// v2: conversations carry a metadata object (title, topic)
+// Conversation summary is null until history is first trimmed, then
+// { text, method: 'llm' | 'extractive', turns_summarized, updated_at }
+const SCHEMA_VERSION = 2;
+
+const toDate = (value) => (value instanceof Date ? value : value ? new Date(value) : null);
+
+const conversationMigrations = {
+  1: (record) => ({
+    ...record,
+    metadata: record.metadata || {}
+  })
+};
+
+// Bring a stored conversation up to the current shape and revive its dates
+function upgradeConversation(raw) {
+  if (!raw) return null;
+
+  let record = { ...raw };
+  let version = record.schema_version || 1;
+
+  while (version < SCHEMA_VERSION) {
+    record = conversationMigrations[version](record);
+    version++;
+  }
+
+  return {
+    ...record,
+    schema_version: SCHEMA_VERSION,
+    created: toDate(record.created) || new Date(),
+    interactions: (record.interactions || []).map(interaction => ({
+      ...interaction,
+      timestamp: toDate(interaction.timestamp)
+    })),
+    context: record.context
+      ? { ...record.context, last_updated: toDate(record.context.last_updated) }
+      : {},
+    summary: record.summary ?? null
+  };
+}
+
+function upgradeProfile(raw) {
+  if (!raw) return null;
+
+  return {
+    preferences: {},
+    learning_style: null,
+    study_patterns: {},
+    wellbeing_indicators: {},
+    long_term_memory: null,
+    ...raw,
+    schema_version: SCHEMA_VERSION,
+    created: toDate(raw.created) || new Date(),
+    last_updated: toDate(raw.last_updated)
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  upgradeConversation,
+  upgradeProfile
+};
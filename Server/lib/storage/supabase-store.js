@@ -0,0 +1,190 @@
+// Server/lib/storage/supabase-store.js - Postgres storage through the Supabase REST API
+const axios = require('axios');
+const { upgradeConversation, upgradeProfile } = require('./schema');
+
+const CONVERSATIONS_TABLE = 'durmah_conversations';
+const PROFILES_TABLE = 'durmah_user_profiles';
+const PROVENANCE_TABLE = 'durmah_provenance';
+const DATA_REQUESTS_TABLE = 'durmah_data_requests';
+
+// Content-Range looks like "0-24/120" or "*/120"
+const parseCount = (contentRange) => {
+  const total = contentRange ? contentRange.split('/')[1] : null;
+  return total && total !== '*' ? parseInt(total, 10) : 0;
+};
+
+class SupabaseStore {
+  constructor({ url, serviceKey }) {
+    this.name = 'supabase';
+    this.persistent = true;
+    this.client = axios.create({
+      baseURL: `${url.replace(/\/$/, '')}/rest/v1`,
+      timeout: 10000,
+      headers: {
+        apikey: serviceKey,
+        Authorization: `Bearer ${serviceKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async init() {
+    // Fail fast if the tables have not been created
+    await this.client.get(`/${CONVERSATIONS_TABLE}`, { params: { select: 'key', limit: 1 } });
+    await this.client.get(`/${PROFILES_TABLE}`, { params: { select: 'user_id', limit: 1 } });
+    await this.client.get(`/${PROVENANCE_TABLE}`, { params: { select: 'id', limit: 1 } });
+    await this.client.get(`/${DATA_REQUESTS_TABLE}`, { params: { select: 'id', limit: 1 } });
+  }
+
+  async getConversation(key) {
+    const { data } = await this.client.get(`/${CONVERSATIONS_TABLE}`, {
+      params: { key: `eq.${key}`, select: 'data' }
+    });
+    return data.length > 0 ? upgradeConversation(data[0].data) : null;
+  }
+
+  async saveConversation(key, conversation) {
+    await this.client.post(`/${CONVERSATIONS_TABLE}`, [{
+      key,
+      user_id: conversation.userId,
+      session_id: conversation.sessionId,
+      created_at: conversation.created.toISOString(),
+      updated_at: new Date().toISOString(),
+      data: conversation
+    }], {
+      headers: { Prefer: 'resolution=merge-duplicates,return=minimal' }
+    });
+  }
+
+  async listConversations(userId) {
+    const { data } = await this.client.get(`/${CONVERSATIONS_TABLE}`, {
+      params: { user_id: `eq.${userId}`, select: 'data', order: 'created_at.asc' }
+    });
+    return data.map(row => upgradeConversation(row.data));
+  }
+
+  async listIdleConversations(cutoff, { limit = 50 } = {}) {
+    const { data } = await this.client.get(`/${CONVERSATIONS_TABLE}`, {
+      params: { updated_at: `lt.${cutoff.toISOString()}`, select: 'data', order: 'updated_at.desc', limit }
+    });
+    return data.map(row => upgradeConversation(row.data));
+  }
+
+  async deleteConversation(key) {
+    const response = await this.client.delete(`/${CONVERSATIONS_TABLE}`, {
+      params: { key: `eq.${key}` },
+      headers: { Prefer: 'return=minimal,count=exact' }
+    });
+    return parseCount(response.headers['content-range']) > 0;
+  }
+
+  async deleteConversationsOlderThan(cutoff) {
+    const response = await this.client.delete(`/${CONVERSATIONS_TABLE}`, {
+      params: { created_at: `lt.${cutoff.toISOString()}` },
+      headers: { Prefer: 'return=minimal,count=exact' }
+    });
+    return parseCount(response.headers['content-range']);
+  }
+
+  async getProfile(userId) {
+    const { data } = await this.client.get(`/${PROFILES_TABLE}`, {
+      params: { user_id: `eq.${userId}`, select: 'data' }
+    });
+    return data.length > 0 ? upgradeProfile(data[0].data) : null;
+  }
+
+  async saveProfile(userId, profile) {
+    await this.client.post(`/${PROFILES_TABLE}`, [{
+      user_id: userId,
+      updated_at: new Date().toISOString(),
+      data: profile
+    }], {
+      headers: { Prefer: 'resolution=merge-duplicates,return=minimal' }
+    });
+  }
+
+  async appendProvenance(userId, record) {
+    await this.client.post(`/${PROVENANCE_TABLE}`, [{
+      id: record.id,
+      user_id: userId,
+      created_at: record.timestamp,
+      module: record.module,
+      data: record
+    }], {
+      headers: { Prefer: 'return=minimal' }
+    });
+  }
+
+  async listProvenance(userId, { from = null, to = null, module = null } = {}) {
+    const range = [
+      from && `created_at.gte.${from.toISOString()}`,
+      to && `created_at.lte.${to.toISOString()}`
+    ].filter(Boolean);
+
+    const { data } = await this.client.get(`/${PROVENANCE_TABLE}`, {
+      params: {
+        user_id: `eq.${userId}`,
+        ...(range.length > 0 && { and: `(${range.join(',')})` }),
+        ...(module && { module: `ilike.${module}` }),
+        select: 'data',
+        order: 'created_at.asc'
+      }
+    });
+    return data.map(row => row.data);
+  }
+
+  async deleteRows(table, column, userId) {
+    const response = await this.client.delete(`/${table}`, {
+      params: { [column]: `eq.${userId}` },
+      headers: { Prefer: 'return=minimal,count=exact' }
+    });
+    return parseCount(response.headers['content-range']);
+  }
+
+  async deleteUserData(userId) {
+    return {
+      conversations: await this.deleteRows(CONVERSATIONS_TABLE, 'user_id', userId),
+      profiles: await this.deleteRows(PROFILES_TABLE, 'user_id', userId),
+      provenance: await this.deleteRows(PROVENANCE_TABLE, 'user_id', userId)
+    };
+  }
+
+  async appendDataRequest(record) {
+    await this.client.post(`/${DATA_REQUESTS_TABLE}`, [{
+      id: record.id,
+      user_id: record.user_id,
+      type: record.type,
+      created_at: record.requested_at,
+      data: record
+    }], {
+      headers: { Prefer: 'return=minimal' }
+    });
+  }
+
+  async listDataRequests(userId) {
+    const { data } = await this.client.get(`/${DATA_REQUESTS_TABLE}`, {
+      params: { user_id: `eq.${userId}`, select: 'data', order: 'created_at.asc' }
+    });
+    return data.map(row => row.data);
+  }
+
+  async count(table) {
+    const response = await this.client.head(`/${table}`, {
+      headers: { Prefer: 'count=exact' }
+    });
+    return parseCount(response.headers['content-range']);
+  }
+
+  async getStats() {
+    return {
+      conversations: await this.count(CONVERSATIONS_TABLE),
+      profiles: await this.count(PROFILES_TABLE),
+      provenance_records: await this.count(PROVENANCE_TABLE),
+      interactions: null // Not tracked without loading every conversation
+    };
+  }
+
+  async close() {}
+}
+
+module.exports = SupabaseStore;
@@ -0,0 +1,125 @@
+// Server/lib/taxonomy/index.js - Legal topic taxonomy loading and phrase matching
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+
+const DEFAULT_TAXONOMY_PATH = path.join(__dirname, 'legal-topics.json');
+
+// Longest first; a suffix is only removed if a stem of MIN_STEM characters remains
+const SUFFIXES = [
+  ['ational', 'ate'], ['ations', 'ate'], ['ation', 'ate'], ['nesses', ''], ['ness', ''],
+  ['ments', ''], ['ment', ''], ['ities', ''], ['ity', ''], ['ings', ''], ['ing', ''],
+  ['ual', ''], ['ious', ''], ['ous', ''], ['ence', ''], ['ance', ''], ['ent', ''], ['ant', ''],
+  ['ies', 'y'], ['ied', 'y'], ['ed', ''], ['ss', 'ss'], ['es', ''], ['s', ''],
+  ['ly', ''], ['al', ''], ['e', '']
+];
+const MIN_STEM = 3;
+
+// Light suffix stripping. Terms and text go through the same function, so
+// consistency matters more than producing real English roots.
+function stem(word) {
+  if (word.length <= MIN_STEM + 1) return word;
+
+  for (const [suffix, replacement] of SUFFIXES) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= MIN_STEM) {
+      return word.slice(0, -suffix.length) + replacement;
+    }
+  }
+  return word;
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(stem);
+}
+
+function loadTaxonomy(filePath = process.env.LEGAL_TAXONOMY_PATH || DEFAULT_TAXONOMY_PATH) {
+  try {
+    const taxonomy = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(taxonomy.modules)) {
+      throw new Error('expected a "modules" array');
+    }
+    return taxonomy;
+  } catch (error) {
+    if (filePath === DEFAULT_TAXONOMY_PATH) throw error;
+    logger.error('Failed to load legal taxonomy; using the built-in one', { path: filePath, error: error.message });
+    return loadTaxonomy(DEFAULT_TAXONOMY_PATH);
+  }
+}
+
+// Index every term by its first stem so matching is one pass over the text
+function createTopicMatcher(taxonomy = loadTaxonomy()) {
+  const index = new Map();
+
+  const addTerm = (term, entry) => {
+    const stems = tokenize(term);
+    if (stems.length === 0) return;
+    const candidates = index.get(stems[0]) || [];
+    candidates.push({ stems, ...entry });
+    index.set(stems[0], candidates);
+  };
+
+  for (const module of taxonomy.modules) {
+    for (const term of [module.name, ...(module.terms || [])]) {
+      addTerm(term, { module: module.name, topic: null });
+    }
+    for (const topic of module.topics || []) {
+      for (const term of [topic.name, ...(topic.terms || [])]) {
+        addTerm(term, { module: module.name, topic: topic.name });
+      }
+    }
+  }
+
+  // Longer phrases win ("mens rea" over "mens", "duty of care" over "care")
+  for (const candidates of index.values()) {
+    candidates.sort((a, b) => b.stems.length - a.stems.length);
+  }
+
+  // Returns [{ module, topic, term }] in the order they appear; topic is null for module-level terms
+  const match = (text) => {
+    const tokens = tokenize(text);
+    const matches = [];
+
+    for (let i = 0; i < tokens.length;) {
+      const candidates = index.get(tokens[i]) || [];
+      const found = candidates.filter(candidate =>
+        candidate.stems.every((s, offset) => tokens[i + offset] === s)
+      );
+
+      if (found.length === 0) {
+        i++;
+        continue;
+      }
+
+      // The same phrase can belong to more than one module (e.g. "illegality")
+      const length = found[0].stems.length;
+      const seen = new Set();
+      for (const candidate of found.filter(c => c.stems.length === length)) {
+        const key = `${candidate.module}|${candidate.topic}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        matches.push({ module: candidate.module, topic: candidate.topic, term: tokens.slice(i, i + length).join(' ') });
+      }
+      i += length;
+    }
+
+    return matches;
+  };
+
+  return {
+    match,
+    modules: taxonomy.modules.map(module => module.name)
+  };
+}
+
+module.exports = {
+  stem,
+  tokenize,
+  loadTaxonomy,
+  createTopicMatcher,
+  DEFAULT_TAXONOMY_PATH
+};
@@ -0,0 +1,192 @@
+// Server/lib/tts/cache.js - Content-addressed cache for synthesised speech (memory and disk tiers)
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger');
+const metrics = require('../metrics');
+
+const KEY_VERSION = 1; // Bump to invalidate every cached clip
+
+class TTSCache {
+  constructor({ enabled = true, memoryLimit, diskLimit, dir }) {
+    this.enabled = enabled;
+    this.memoryLimit = memoryLimit;
+    this.diskLimit = dir ? diskLimit : 0;
+    this.dir = this.diskLimit > 0 ? dir : null;
+
+    // Maps iterate in insertion order; entries are re-inserted on use, so the first is least recently used
+    this.memory = new Map(); // key -> { audioData, format, voice, provider }
+    this.memoryBytes = 0;
+    this.disk = new Map(); // key -> { size, format, voice, provider }
+    this.diskBytes = 0;
+    this.writing = new Set(); // Keys being written to disk, so a concurrent set() for the same clip skips it
+
+    this.ready = this.enabled && this.dir
+      ? this.init().catch(error => {
+        logger.error('TTS disk cache unavailable; using memory only', { dir: this.dir, error: error.message });
+        this.dir = null;
+      })
+      : Promise.resolve();
+  }
+
+  // Same provider, model, text and provider-level settings => same audio
+  keyFor(provider, text, settings) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([KEY_VERSION, provider.name, provider.model || null, text, provider.settingsFor(settings)]))
+      .digest('hex');
+  }
+
+  audioPath(key, format) {
+    return path.join(this.dir, `${key}.${format}`);
+  }
+
+  metaPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  // Rebuild the disk index, oldest first, from the metadata files left by earlier runs
+  async init() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const entries = [];
+    for (const file of await fs.promises.readdir(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      const key = file.slice(0, -'.json'.length);
+      try {
+        const meta = JSON.parse(await fs.promises.readFile(this.metaPath(key), 'utf8'));
+        const stat = await fs.promises.stat(this.audioPath(key, meta.format));
+        entries.push({ key, meta: { ...meta, size: stat.size }, lastUsed: stat.mtimeMs });
+      } catch {
+        await this.removeFromDisk(key, null);
+      }
+    }
+
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const { key, meta } of entries) {
+      this.disk.set(key, meta);
+      this.diskBytes += meta.size;
+    }
+    await this.evictDisk();
+
+    logger.info('TTS disk cache loaded', { dir: this.dir, clips: this.disk.size, bytes: this.diskBytes });
+  }
+
+  async get(key) {
+    if (!this.enabled) return null;
+    await this.ready;
+
+    const cached = this.memory.get(key);
+    if (cached) {
+      this.memory.delete(key);
+      this.memory.set(key, cached);
+      metrics.ttsCacheLookups.inc({ result: 'hit', tier: 'memory' });
+      return { ...cached, tier: 'memory' };
+    }
+
+    const meta = this.disk.get(key);
+    if (meta) {
+      try {
+        const audioData = await fs.promises.readFile(this.audioPath(key, meta.format));
+        this.disk.delete(key);
+        this.disk.set(key, meta);
+        const now = new Date();
+        fs.promises.utimes(this.audioPath(key, meta.format), now, now).catch(() => {}); // Survives restarts as recency
+        this.addToMemory(key, { audioData, format: meta.format, voice: meta.voice, provider: meta.provider });
+        metrics.ttsCacheLookups.inc({ result: 'hit', tier: 'disk' });
+        return { audioData, format: meta.format, voice: meta.voice, provider: meta.provider, tier: 'disk' };
+      } catch (error) {
+        logger.warn('Dropping unreadable TTS cache entry', { key, error: error.message });
+        await this.removeFromDisk(key, meta.format);
+      }
+    }
+
+    metrics.ttsCacheLookups.inc({ result: 'miss', tier: 'none' });
+    return null;
+  }
+
+  async set(key, { audioData, format, voice, provider }) {
+    if (!this.enabled) return;
+    await this.ready;
+
+    this.addToMemory(key, { audioData, format, voice, provider });
+
+    if (!this.dir || audioData.length > this.diskLimit || this.disk.has(key) || this.writing.has(key)) return;
+    this.writing.add(key);
+    try {
+      // Metadata first: init() discards metadata whose audio never made it to disk
+      await fs.promises.writeFile(this.metaPath(key), JSON.stringify({ format, voice, provider, created_at: new Date().toISOString() }));
+      await fs.promises.writeFile(this.audioPath(key, format), audioData);
+      this.disk.set(key, { size: audioData.length, format, voice, provider });
+      this.diskBytes += audioData.length;
+      await this.evictDisk();
+    } catch (error) {
+      logger.warn('Failed to write TTS cache entry', { key, error: error.message });
+      await this.removeFromDisk(key, format);
+    } finally {
+      this.writing.delete(key);
+    }
+  }
+
+  addToMemory(key, entry) {
+    if (entry.audioData.length > this.memoryLimit) return;
+    if (this.memory.has(key)) {
+      this.memoryBytes -= this.memory.get(key).audioData.length;
+      this.memory.delete(key);
+    }
+    this.memory.set(key, entry);
+    this.memoryBytes += entry.audioData.length;
+
+    for (const [oldest, cached] of this.memory) {
+      if (this.memoryBytes <= this.memoryLimit) break;
+      this.memory.delete(oldest);
+      this.memoryBytes -= cached.audioData.length;
+    }
+    metrics.ttsCacheBytes.set({ tier: 'memory' }, this.memoryBytes);
+  }
+
+  async evictDisk() {
+    for (const [oldest, meta] of this.disk) {
+      if (this.diskBytes <= this.diskLimit) break;
+      await this.removeFromDisk(oldest, meta.format);
+    }
+    metrics.ttsCacheBytes.set({ tier: 'disk' }, this.diskBytes);
+  }
+
+  async removeFromDisk(key, format) {
+    const meta = this.disk.get(key);
+    if (meta) {
+      this.disk.delete(key);
+      this.diskBytes -= meta.size;
+    }
+    const files = [this.metaPath(key), ...(format ? [this.audioPath(key, format)] : [])];
+    await Promise.all(files.map(file => fs.promises.unlink(file).catch(() => {})));
+  }
+
+  stats() {
+    return {
+      enabled: this.enabled,
+      memory: { clips: this.memory.size, bytes: this.memoryBytes, limit: this.memoryLimit },
+      disk: this.dir
+        ? { clips: this.disk.size, bytes: this.diskBytes, limit: this.diskLimit, dir: this.dir }
+        : null
+    };
+  }
+}
+
+// TTS_CACHE_ENABLED (default true), TTS_CACHE_MEMORY_MB (32), TTS_CACHE_DISK_MB (256, 0 = memory only),
+// TTS_CACHE_DIR (data/tts-cache)
+function createTTSCache(config = process.env) {
+  const megabytes = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value)) * 1024 * 1024;
+
+  return new TTSCache({
+    enabled: config.TTS_CACHE_ENABLED !== 'false',
+    memoryLimit: megabytes(config.TTS_CACHE_MEMORY_MB, 32),
+    diskLimit: megabytes(config.TTS_CACHE_DISK_MB, 256),
+    dir: config.TTS_CACHE_DIR || path.join(__dirname, '../../data/tts-cache')
+  });
+}
+
+module.exports = {
+  TTSCache,
+  createTTSCache
+};
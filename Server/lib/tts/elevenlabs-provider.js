@@ -0,0 +1,93 @@
+// Server/lib/tts/elevenlabs-provider.js - ElevenLabs text-to-speech and voice listing
+const axios = require('axios');
+
+// "Sarah" (formerly Bella), a premade voice available on every account
+const DEFAULT_VOICE_ID = 'EXAVITQu4vr4xnSDxMaL';
+const VOICE_PREFIX = 'elevenlabs:';
+const VOICE_CACHE_MS = 10 * 60 * 1000;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+class ElevenLabsTTSProvider {
+  constructor({ apiKey, voiceId, model = 'eleven_turbo_v2_5', timeoutMs = 20000 }) {
+    this.name = 'elevenlabs';
+    this.configured = !!apiKey;
+    this.model = model;
+    this.defaultVoice = `${VOICE_PREFIX}${voiceId || DEFAULT_VOICE_ID}`;
+    this.voiceCache = null; // { voices, fetchedAt }
+    this.client = axios.create({
+      baseURL: 'https://api.elevenlabs.io/v1',
+      timeout: timeoutMs,
+      headers: { 'xi-api-key': apiKey || '' }
+    });
+  }
+
+  // Voice ids are listed as "elevenlabs:<voice_id>" so they cannot clash with OpenAI's
+  ownsVoice(voice) {
+    return typeof voice === 'string' && voice.startsWith(VOICE_PREFIX);
+  }
+
+  // Preset fields: stability and clarity map onto voice_settings; speed is limited to 0.7-1.2.
+  // A preset may name its own voice with elevenlabs_voice_id.
+  settingsFor(settings = {}) {
+    let voice = this.defaultVoice;
+    if (this.ownsVoice(settings.voice)) {
+      voice = settings.voice;
+    } else if (settings.elevenlabs_voice_id) {
+      voice = `${VOICE_PREFIX}${settings.elevenlabs_voice_id}`;
+    }
+
+    return {
+      voice,
+      voiceId: voice.slice(VOICE_PREFIX.length),
+      voice_settings: {
+        stability: clamp(settings.stability ?? 0.5, 0, 1),
+        similarity_boost: clamp(settings.clarity ?? 0.75, 0, 1),
+        style: clamp(settings.style ?? 0, 0, 1),
+        use_speaker_boost: true,
+        speed: clamp(Number(settings.speed) || 1.0, 0.7, 1.2)
+      }
+    };
+  }
+
+  async synthesize(text, settings = {}, { signal } = {}) {
+    const { voice, voiceId, voice_settings } = this.settingsFor(settings);
+    const response = await this.client.post(
+      `/text-to-speech/${encodeURIComponent(voiceId)}`,
+      { text, model_id: this.model, voice_settings },
+      {
+        params: { output_format: 'mp3_44100_128' },
+        headers: { Accept: 'audio/mpeg' },
+        responseType: 'arraybuffer',
+        signal
+      }
+    );
+
+    return {
+      audioData: Buffer.from(response.data),
+      format: 'mp3',
+      voice
+    };
+  }
+
+  async listVoices() {
+    if (this.voiceCache && Date.now() - this.voiceCache.fetchedAt < VOICE_CACHE_MS) {
+      return this.voiceCache.voices;
+    }
+
+    const { data } = await this.client.get('/voices');
+    const voices = (data.voices || []).map(voice => ({
+      id: `${VOICE_PREFIX}${voice.voice_id}`,
+      name: `${voice.name} (ElevenLabs)`,
+      gender: voice.labels?.gender || 'neutral',
+      accent: voice.labels?.accent || null,
+      category: voice.category || null,
+      provider: this.name
+    }));
+
+    this.voiceCache = { voices, fetchedAt: Date.now() };
+    return voices;
+  }
+}
+
+module.exports = ElevenLabsTTSProvider;
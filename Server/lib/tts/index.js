@@ -0,0 +1,65 @@
+// Server/lib/tts/index.js - Text-to-speech provider chain from configuration
+const logger = require('../logger');
+const OpenAITTSProvider = require('./openai-provider');
+const ElevenLabsTTSProvider = require('./elevenlabs-provider');
+const LocalTTSProvider = require('./local-provider');
+const { TTSCache, createTTSCache } = require('./cache');
+const { splitForSpeech } = require('./segmenter');
+
+const CONTENT_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav'
+};
+
+function createProvider(name, config) {
+  switch (name) {
+    case 'openai':
+      return new OpenAITTSProvider({
+        apiKey: config.OPENAI_API_KEY,
+        model: config.OPENAI_TTS_MODEL || 'tts-1'
+      });
+
+    case 'elevenlabs':
+      return new ElevenLabsTTSProvider({
+        apiKey: config.ELEVENLABS_API_KEY,
+        voiceId: config.ELEVENLABS_VOICE_ID,
+        model: config.ELEVENLABS_MODEL || 'eleven_turbo_v2_5'
+      });
+
+    case 'local':
+      return new LocalTTSProvider();
+
+    default:
+      logger.warn(`Unknown TTS provider "${name}" in TTS_PROVIDERS; skipping`);
+      return null;
+  }
+}
+
+// TTS_PROVIDERS: comma-separated, tried in order (default openai,elevenlabs).
+// Providers without credentials are left out of the chain.
+function createTTSProviders(config = process.env) {
+  const names = (config.TTS_PROVIDERS || 'openai,elevenlabs')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  return [...new Set(names)]
+    .map(name => createProvider(name, config))
+    .filter(provider => {
+      if (provider && !provider.configured) {
+        logger.debug(`TTS provider ${provider.name} not configured; leaving it out of the chain`);
+      }
+      return provider?.configured;
+    });
+}
+
+module.exports = {
+  createTTSProviders,
+  createTTSCache,
+  splitForSpeech,
+  CONTENT_TYPES,
+  OpenAITTSProvider,
+  ElevenLabsTTSProvider,
+  LocalTTSProvider,
+  TTSCache
+};
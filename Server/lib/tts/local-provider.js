@@ -0,0 +1,73 @@
+// Server/lib/tts/local-provider.js - Offline stand-in that "speaks" a soft tone as long as the text
+// Needs no API key, so the TTS pipeline can be exercised in development and when every
+// real provider is down. Only used when listed in TTS_PROVIDERS.
+
+const SAMPLE_RATE = 24000;
+const MS_PER_WORD = 300; // Roughly conversational speaking pace
+const MAX_SECONDS = 30;
+const BASE_FREQUENCY = 220;
+
+// 44-byte RIFF header for mono PCM16
+function wavHeader(dataBytes) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + dataBytes, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(1, 22); // Mono
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataBytes, 40);
+  return header;
+}
+
+class LocalTTSProvider {
+  constructor() {
+    this.name = 'local';
+    this.configured = true;
+    this.defaultVoice = 'local_tone';
+  }
+
+  ownsVoice(voice) {
+    return voice === this.defaultVoice;
+  }
+
+  // Preset fields: speed stretches the clip, pitch shifts the tone
+  settingsFor(settings = {}) {
+    return {
+      speed: Number(settings.speed) || 1.0,
+      frequency: BASE_FREQUENCY * (Number(settings.pitch) || 1.0)
+    };
+  }
+
+  async synthesize(text, settings = {}) {
+    const { speed, frequency } = this.settingsFor(settings);
+    const words = text.trim().split(/\s+/).filter(Boolean).length;
+    const seconds = Math.min(MAX_SECONDS, Math.max(0.5, (words * MS_PER_WORD) / 1000 / speed));
+    const samples = Math.round(seconds * SAMPLE_RATE);
+
+    const pcm = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+      const t = i / SAMPLE_RATE;
+      const envelope = Math.min(1, t * 20, (seconds - t) * 20); // 50ms fade in and out
+      pcm.writeInt16LE(Math.round(Math.sin(2 * Math.PI * frequency * t) * 0.1 * envelope * 0x7FFF), i * 2);
+    }
+
+    return {
+      audioData: Buffer.concat([wavHeader(pcm.length), pcm]),
+      format: 'wav',
+      voice: this.defaultVoice
+    };
+  }
+
+  async listVoices() {
+    return [{ id: this.defaultVoice, name: 'Local tone (offline stand-in)', gender: 'neutral', provider: this.name }];
+  }
+}
+
+module.exports = LocalTTSProvider;
@@ -0,0 +1,56 @@
+// Server/lib/tts/openai-provider.js - OpenAI tts-1 speech synthesis
+const OpenAI = require('openai');
+
+const VOICES = [
+  { id: 'alloy', name: 'Alloy', gender: 'neutral' },
+  { id: 'echo', name: 'Echo', gender: 'male' },
+  { id: 'fable', name: 'Fable', gender: 'neutral' },
+  { id: 'onyx', name: 'Onyx', gender: 'male' },
+  { id: 'nova', name: 'Nova', gender: 'female' },
+  { id: 'shimmer', name: 'Shimmer', gender: 'female' }
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+class OpenAITTSProvider {
+  constructor({ apiKey, model = 'tts-1', timeoutMs = 20000 }) {
+    this.name = 'openai';
+    this.configured = !!apiKey;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.defaultVoice = 'nova';
+    this.client = apiKey ? new OpenAI({ apiKey }) : null;
+  }
+
+  ownsVoice(voice) {
+    return VOICES.some(entry => entry.id === voice);
+  }
+
+  // Preset fields: voice, speed. OpenAI has no pitch, stability or clarity controls.
+  settingsFor(settings = {}) {
+    return {
+      voice: this.ownsVoice(settings.voice) ? settings.voice : this.defaultVoice,
+      speed: clamp(Number(settings.speed) || 1.0, 0.25, 4.0)
+    };
+  }
+
+  async synthesize(text, settings = {}, { signal } = {}) {
+    const { voice, speed } = this.settingsFor(settings);
+    const response = await this.client.audio.speech.create(
+      { model: this.model, voice, input: text, speed },
+      { timeout: this.timeoutMs, maxRetries: 0, signal } // The chain falls back instead of retrying
+    );
+
+    return {
+      audioData: Buffer.from(await response.arrayBuffer()),
+      format: 'mp3',
+      voice
+    };
+  }
+
+  async listVoices() {
+    return VOICES.map(voice => ({ ...voice, provider: this.name }));
+  }
+}
+
+module.exports = OpenAITTSProvider;
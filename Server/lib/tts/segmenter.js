@@ -0,0 +1,77 @@
+// Server/lib/tts/segmenter.js - Split long text into speakable segments at sentence boundaries
+
+// Abbreviations common in legal writing whose full stop does not end a sentence
+const ABBREVIATIONS = new Set([
+  'v', 'vs', 's', 'ss', 'para', 'paras', 'art', 'arts', 'reg', 'regs', 'sch', 'ch', 'pt',
+  'no', 'nos', 'cf', 'eg', 'e.g', 'ie', 'i.e', 'etc', 'ibid', 'op', 'cit', 'al',
+  'mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'co', 'ltd', 'plc', 'inc', 'corp'
+]);
+
+function splitSentences(text) {
+  const sentences = [];
+  const boundary = /[.!?…]+["'”’)\]]*\s+/g;
+  let start = 0;
+  let match;
+
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    const lastWord = text.slice(start, match.index + 1).match(/([\p{L}.]+)\.$/u);
+    if (lastWord && (ABBREVIATIONS.has(lastWord[1].toLowerCase()) || /^\p{L}$/u.test(lastWord[1]))) {
+      continue; // "R v. Brown", "s. 2", initials such as "J. Smith"
+    }
+    sentences.push(text.slice(start, end).trim());
+    start = end;
+  }
+
+  sentences.push(text.slice(start).trim());
+  return sentences.filter(Boolean);
+}
+
+// A sentence longer than maxLength is broken at the last clause mark, or failing that the last space.
+// firstLength caps the first part only.
+function splitLongSentence(sentence, maxLength, firstLength = maxLength) {
+  const parts = [];
+  let rest = sentence;
+  let limit = firstLength;
+
+  while (rest.length > limit) {
+    const window = rest.slice(0, limit + 1);
+    let cut = Math.max(window.lastIndexOf('; '), window.lastIndexOf(', '), window.lastIndexOf(': '), window.lastIndexOf(' – '));
+    cut = cut > limit / 2 ? cut + 1 : window.lastIndexOf(' ');
+    if (cut <= 0) cut = limit;
+    parts.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+    limit = maxLength;
+  }
+
+  if (rest) parts.push(rest);
+  return parts;
+}
+
+// Whole sentences, packed together up to maxLength so short ones are not synthesised one by one.
+// The first segment is kept short so playback can start sooner.
+function splitForSpeech(text, { maxLength = 400, firstMaxLength = 150 } = {}) {
+  const segments = [];
+  let current = '';
+
+  for (const sentence of splitSentences(text.replace(/\s+/g, ' ').trim())) {
+    const opening = segments.length === 0 && !current;
+    for (const piece of splitLongSentence(sentence, maxLength, opening ? firstMaxLength : maxLength)) {
+      const limit = segments.length === 0 ? firstMaxLength : maxLength;
+      if (current && current.length + 1 + piece.length > limit) {
+        segments.push(current);
+        current = piece;
+      } else {
+        current = current ? `${current} ${piece}` : piece;
+      }
+    }
+  }
+
+  if (current) segments.push(current);
+  return segments;
+}
+
+module.exports = {
+  splitForSpeech,
+  splitSentences
+};
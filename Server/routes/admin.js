@@ -0,0 +1,50 @@
+// Server/routes/admin.js - Operator endpoints (scheduled job status)
+const express = require('express');
+const router = express.Router();
+const logger = require('../lib/logger');
+const { authenticate, requireAdmin } = require('../lib/auth');
+const SchedulerService = require('../services/scheduler-service');
+
+router.use(authenticate(), requireAdmin());
+
+// Status and last run result of every maintenance job
+router.get('/jobs', (req, res) => {
+  res.json({
+    success: true,
+    ...SchedulerService.getStatus(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Run a job now, outside its schedule
+router.post('/jobs/:name/run', async (req, res) => {
+  try {
+    if (!SchedulerService.jobs.has(req.params.name)) {
+      return res.status(404).json({ success: false, error: `Unknown job: ${req.params.name}` });
+    }
+
+    const lastRun = await SchedulerService.runJob(req.params.name);
+    if (lastRun.status === 'skipped') {
+      return res.status(409).json({ success: false, error: `Job ${req.params.name} is already running` });
+    }
+
+    logger.info('Job run manually', { job: req.params.name, by: req.user.id, status: lastRun.status });
+
+    res.json({
+      success: true,
+      job: req.params.name,
+      last_run: lastRun,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Manual job run error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'job_run_failed',
+      message: 'Failed to run job',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,138 @@
+// Server/routes/chat.js - Text chat API endpoints
+const express = require('express');
+const router = express.Router();
+const logger = require('../lib/logger');
+const { authenticate } = require('../lib/auth');
+const ChatService = require('../services/chat-service');
+const MemoryService = require('../services/memory-service');
+
+const MAX_MESSAGE_LENGTH = 4000;
+
+router.use(authenticate());
+
+// Start a new conversation
+router.post('/conversation', async (req, res) => {
+  try {
+    const { title = 'New Chat', topic = 'general', module = null } = req.body || {};
+    const conversationId = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const conversation = await MemoryService.createConversation(req.user.id, conversationId, {
+      title: String(title).slice(0, 200),
+      topic: String(topic).slice(0, 100),
+      module: module ? String(module).slice(0, 100) : null // Durham module, used to filter the provenance ledger
+    });
+
+    res.status(201).json({
+      success: true,
+      conversation: {
+        id: conversationId,
+        title: conversation.metadata.title,
+        topic: conversation.metadata.topic,
+        module: conversation.metadata.module || null,
+        created_at: conversation.created.toISOString()
+      }
+    });
+  } catch (error) {
+    logger.error('Conversation creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'conversation_creation_failed',
+      message: 'Failed to create conversation',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Get conversation history
+router.get('/conversation/:id', async (req, res) => {
+  try {
+    const conversation = await MemoryService.getConversation(req.user.id, req.params.id);
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        error: 'conversation_not_found',
+        message: 'Conversation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      conversation: {
+        id: req.params.id,
+        ...conversation.metadata,
+        created_at: conversation.created,
+        context: conversation.recentContext,
+        messages: conversation.interactions.map(interaction => ({
+          id: interaction.id,
+          timestamp: interaction.timestamp,
+          user_input: interaction.user_input,
+          ai_response: interaction.ai_response
+        }))
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Conversation retrieval error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'conversation_retrieval_failed',
+      message: 'Failed to load conversation',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Send a message and get Durmah's reply
+router.post('/message', async (req, res) => {
+  try {
+    const { message, conversationId } = req.body || {};
+
+    if (!message || typeof message !== 'string' || !message.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required and must be a string'
+      });
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Message too long (max ${MAX_MESSAGE_LENGTH} characters)`
+      });
+    }
+
+    if (!conversationId || typeof conversationId !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'conversationId is required'
+      });
+    }
+
+    const result = await ChatService.generateReply(req.user.id, conversationId, message.trim());
+
+    res.json({
+      success: true,
+      message: result.reply,
+      conversationId,
+      fallback: result.fallback,
+      integrity: {
+        safe: result.screening.analysis.safe,
+        assistance_level: result.screening.assistance.level,
+        crisis: result.screening.crisis,
+        recommendations: result.screening.analysis.recommendations
+      },
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Chat message error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'chat_failed',
+      message: 'Failed to process chat message',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,86 @@
+// Server/routes/me.js - The signed-in student's own data (GDPR export and erasure)
+const express = require('express');
+const router = express.Router();
+const logger = require('../lib/logger');
+const { authenticate } = require('../lib/auth');
+const DataRightsService = require('../services/data-rights-service');
+
+router.use(authenticate());
+
+// Anonymous development sessions have no data of their own
+router.use((req, res, next) => {
+  if (req.user.anonymous) {
+    return res.status(403).json({ success: false, error: 'Sign in to export or delete your data' });
+  }
+  next();
+});
+
+// Download everything Durmah holds about the student as JSON
+router.get('/export', async (req, res) => {
+  try {
+    const data = await DataRightsService.exportUserData(req.user);
+    const date = data.generated_at.split('T')[0];
+
+    res.set('Content-Type', 'application/json; charset=utf-8');
+    res.attachment(`durmah-data-export-${date}.json`);
+    res.send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    logger.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'data_export_failed',
+      message: 'Failed to export your data',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Erase the student's data. Requires { "confirm": true } so it cannot happen by accident.
+router.post('/delete', async (req, res) => {
+  if (req.body?.confirm !== true) {
+    return res.status(400).json({ success: false, error: 'Set "confirm": true to delete your data' });
+  }
+
+  try {
+    const audit = await DataRightsService.eraseUserData(req.user);
+
+    res.status(audit.status === 'completed' ? 200 : 207).json({
+      success: audit.status === 'completed',
+      request_id: audit.id,
+      status: audit.status,
+      removed: audit.counts,
+      errors: audit.errors,
+      timestamp: audit.completed_at
+    });
+  } catch (error) {
+    logger.error('Data erasure error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'data_erasure_failed',
+      message: 'Failed to delete your data',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// The student's past export and erasure requests
+router.get('/requests', async (req, res) => {
+  try {
+    const requests = await DataRightsService.listRequests(req.user.id);
+    res.json({
+      success: true,
+      requests: requests.reverse(), // Newest first
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Data request listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'data_requests_retrieval_failed',
+      message: 'Failed to load your data requests',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
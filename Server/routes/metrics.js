@@ -0,0 +1,23 @@
+// Server/routes/metrics.js - Prometheus scrape endpoint
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const metrics = require('../lib/metrics');
+
+// With METRICS_TOKEN set, scrapers must send it as a bearer token
+const tokenMatches = (header) => {
+  const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+  const actual = Buffer.from(header || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+router.get('/', (req, res) => {
+  if (process.env.METRICS_TOKEN && !tokenMatches(req.get('Authorization'))) {
+    return res.status(401).json({ error: 'unauthorized', message: 'A valid metrics token is required' });
+  }
+
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.registry.render());
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+// Server/routes/oscola.js - OSCOLA citation checking and formatting endpoints
+const express = require('express');
+const router = express.Router();
+const logger = require('../lib/logger');
+const OscolaService = require('../services/oscola-service');
+
+const MAX_CITATION_LENGTH = 500;
+const MAX_SOURCES = 200;
+const MAX_CITATIONS = 500;
+
+// Check a list of structured sources, returning a 400 body or null
+const checkSources = (sources) => {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    return { success: false, error: 'sources must be a non-empty array' };
+  }
+  if (sources.length > MAX_SOURCES) {
+    return { success: false, error: `Too many sources (max ${MAX_SOURCES})` };
+  }
+
+  const details = sources
+    .map((source, index) => OscolaService.checkSource(source).map(problem => `sources[${index}]: ${problem}`))
+    .flat();
+
+  return details.length > 0
+    ? { success: false, error: 'invalid_source', message: 'Some sources are missing details', details }
+    : null;
+};
+
+// Parse a citation, report OSCOLA errors and suggest a corrected form
+router.post('/validate', (req, res) => {
+  try {
+    const { citation, type } = req.body || {};
+
+    if (!citation || typeof citation !== 'string' || !citation.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Citation is required and must be a string'
+      });
+    }
+
+    if (citation.length > MAX_CITATION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Citation too long (max ${MAX_CITATION_LENGTH} characters)`
+      });
+    }
+
+    if (type && !OscolaService.types.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown citation type (expected one of ${OscolaService.types.join(', ')})`
+      });
+    }
+
+    const result = OscolaService.validateCitation(citation, type || null);
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('OSCOLA validation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'oscola_validation_failed',
+      message: 'Failed to check citation',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Format one source as a footnote, later short form and bibliography entry
+router.post('/generate', (req, res) => {
+  try {
+    const { source, pinpoint, footnote_number: footnoteNumber = 1 } = req.body || {};
+
+    const problems = OscolaService.checkSource(source);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_source',
+        message: 'The source is missing details',
+        details: problems
+      });
+    }
+
+    const number = parseInt(footnoteNumber);
+    if (!Number.isInteger(number) || number < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'footnote_number must be a positive integer'
+      });
+    }
+
+    const result = OscolaService.generateCitation(source, { pinpoint, footnoteNumber: number });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('OSCOLA generation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'oscola_generation_failed',
+      message: 'Failed to format citation',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Number a run of citations (full form, ibid, "n X" short forms) and build the bibliography
+router.post('/footnotes', (req, res) => {
+  try {
+    const { sources, citations, start = 1 } = req.body || {};
+
+    const invalid = checkSources(sources);
+    if (invalid) return res.status(400).json(invalid);
+
+    if (!Array.isArray(citations) || citations.length === 0 || citations.length > MAX_CITATIONS) {
+      return res.status(400).json({
+        success: false,
+        error: `citations must be an array of 1 to ${MAX_CITATIONS} entries`
+      });
+    }
+
+    const badIndex = citations.findIndex(citation =>
+      !Number.isInteger(citation?.source) || citation.source < 0 || citation.source >= sources.length
+    );
+    if (badIndex !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `citations[${badIndex}].source must be the index of an entry in sources`
+      });
+    }
+
+    const result = OscolaService.buildFootnotes(sources, citations, { start: parseInt(start) || 1 });
+
+    res.json({
+      success: true,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('OSCOLA footnote error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'oscola_footnotes_failed',
+      message: 'Failed to build footnotes',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Ordered bibliography for a whole list of sources (?format=markdown|text downloads a file)
+router.post('/bibliography', (req, res) => {
+  try {
+    const { sources } = req.body || {};
+
+    const invalid = checkSources(sources);
+    if (invalid) return res.status(400).json(invalid);
+
+    const bibliography = OscolaService.buildBibliography(sources);
+    const { format } = req.query;
+
+    if (format === 'markdown' || format === 'text') {
+      const markdown = format === 'markdown';
+      res.set('Content-Type', markdown ? 'text/markdown; charset=utf-8' : 'text/plain; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="bibliography.${markdown ? 'md' : 'txt'}"`);
+      return res.send(markdown ? bibliography.markdown : bibliography.text);
+    }
+
+    res.json({
+      success: true,
+      ...bibliography,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('OSCOLA bibliography error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'oscola_bibliography_failed',
+      message: 'Failed to build bibliography',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,124 @@
+// Server/routes/provenance.js - AI-use provenance ledger and declaration export
+const express = require('express');
+const router = express.Router();
+const logger = require('../lib/logger');
+const { authenticate } = require('../lib/auth');
+const ProvenanceService = require('../services/provenance-service');
+
+const MAX_LIMIT = 500;
+const MAX_TEXT_LENGTH = 200;
+
+const FILE_TYPES = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' }
+};
+
+router.use(authenticate());
+
+// Read from/to/module query filters, returning { filters } or { error }
+const parseFilters = (query) => {
+  const filters = { from: null, to: null, module: null };
+
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    const date = new Date(query[key]);
+    if (isNaN(date.getTime())) {
+      return { error: `${key} must be an ISO date` };
+    }
+    // A bare date for "to" means the end of that day
+    if (key === 'to' && /^\d{4}-\d{2}-\d{2}$/.test(query[key])) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    filters[key] = date;
+  }
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'from must be before to' };
+  }
+
+  if (query.module) {
+    if (typeof query.module !== 'string' || query.module.length > MAX_TEXT_LENGTH) {
+      return { error: `module must be a string (max ${MAX_TEXT_LENGTH} characters)` };
+    }
+    filters.module = query.module.trim();
+  }
+
+  return { filters };
+};
+
+// List the signed-in student's provenance records
+router.get('/', async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 100, MAX_LIMIT);
+    const records = await ProvenanceService.listRecords(req.user.id, filters);
+
+    res.json({
+      success: true,
+      records: records.slice(-limit).reverse(), // Newest first
+      total: records.length,
+      summary: ProvenanceService.summarize(records),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error('Provenance listing error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'provenance_retrieval_failed',
+      message: 'Failed to load provenance records',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Download an AI-use declaration (?format=markdown|json|html) to attach to an assessment
+router.get('/declaration', async (req, res) => {
+  try {
+    const { filters, error } = parseFilters(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const format = req.query.format || 'markdown';
+    if (!ProvenanceService.formats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown format (expected one of ${ProvenanceService.formats.join(', ')})`
+      });
+    }
+
+    const assessment = typeof req.query.assessment === 'string'
+      ? req.query.assessment.trim().slice(0, MAX_TEXT_LENGTH) || null
+      : null;
+    const student = req.user.user_metadata?.full_name || req.user.email || req.user.id;
+
+    const records = await ProvenanceService.listRecords(req.user.id, filters);
+    const declaration = ProvenanceService.buildDeclaration(records, { student, assessment, ...filters });
+
+    logger.info('AI-use declaration exported', {
+      userId: req.user.id,
+      format,
+      interactions: declaration.summary.interactions
+    });
+
+    const { extension, contentType } = FILE_TYPES[format];
+    res.set('Content-Type', contentType);
+    res.set('Content-Disposition', `attachment; filename="durmah-ai-declaration.${extension}"`);
+    res.send(ProvenanceService.renderDeclaration(declaration, format));
+  } catch (error) {
+    logger.error('Declaration export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'declaration_export_failed',
+      message: 'Failed to build AI-use declaration',
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../lib/logger');
+const { setContextFields } = require('../lib/context');
+const metrics = require('../lib/metrics');
 
 // Enhanced session endpoint with TURN server support and better error handling
 router.post('/session', async (req, res) => {
@@ -50,6 +52,7 @@ router.post('/session', async (req, res) => {
     });
 
     if (!response.ok) {
+      metrics.upstreamErrors.inc({ source: 'session_request' });
       const errorText = await response.text().catch(() => 'Unknown error');
       logger.error(`OpenAI realtime session creation failed: ${response.status} - ${errorText}`);
       
@@ -65,6 +68,8 @@ router.post('/session', async (req, res) => {
 
     const session = await response.json();
     const sessionId = session.id;
+    setContextFields({ openaiSessionId: sessionId });
+    metrics.voiceSessions.inc({ transport: 'webrtc', upstream: 'openai' });
 
     // Log session creation for monitoring
     logger.voice.session(sessionId, 'session_created', {
@@ -93,6 +98,7 @@ router.post('/session', async (req, res) => {
     res.json({
       success: true,
       session_id: sessionId,
+      correlation_id: req.correlationId, // Pass as ?correlation_id= on /voice to link the two
       client_secret: session.client_secret, // { value, expires_at }
       model: model,
       voice: voice,
@@ -191,8 +197,13 @@ router.get('/diagnostics', (req, res) => {
   const diagnostics = {
     server_time: new Date().toISOString(),
     openai_configured: !!process.env.OPENAI_API_KEY,
+    fake_realtime: process.env.VOICE_FAKE_REALTIME && process.env.VOICE_FAKE_REALTIME !== 'false'
+      ? process.env.VOICE_FAKE_REALTIME
+      : null,
     turn_configured: !!(process.env.TURN_URL && process.env.TURN_USERNAME),
     max_session_duration: parseInt(process.env.MAX_SESSION_MINUTES) || 30,
+    idle_timeout_minutes: parseInt(process.env.IDLE_TIMEOUT_MINUTES) || 5,
+    session_warning_seconds: parseInt(process.env.SESSION_WARNING_SECONDS) || 60,
     supported_features: {
       realtime_voice: !!process.env.OPENAI_API_KEY,
       turn_servers: !!(process.env.TURN_URL && process.env.TURN_USERNAME),
@@ -219,7 +230,7 @@ router.get('/test-connection', (req, res) => {
     test_procedure: [
       '1. Create a session using POST /api/realtime/session',
       '2. Connect to WebSocket at /voice',
-      '3. Send session authentication with client_secret',
+      '3. Authenticate with your Supabase access token (?token= or a first client.auth message)',
       '4. Begin audio/text interaction',
       '5. Monitor connection health with heartbeats'
     ],
@@ -240,9 +251,9 @@ router.get('/test-connection', (req, res) => {
     },
     troubleshooting: {
       connection_failed: 'Check network connectivity and firewall settings',
-      auth_failed: 'Verify client_secret is valid and not expired',
+      auth_failed: 'Close code 4401: token missing/invalid; 4403: account lacks voice access; 4408: no client.auth within 10s',
       audio_issues: 'Check microphone permissions and audio format (PCM16)',
-      timeout: 'Sessions expire after configured duration, create new session'
+      timeout: 'Sessions end after MAX_SESSION_MINUTES (close 4001) or IDLE_TIMEOUT_MINUTES without speech (close 4002); durmah.session_warning is sent first'
     }
   });
 });
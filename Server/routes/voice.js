@@ -2,9 +2,63 @@
 const express = require('express');
 const router = express.Router();
 const logger = require('../lib/logger');
+const metrics = require('../lib/metrics');
+const { authenticate, requireVoiceAccess } = require('../lib/auth');
+const { splitForSpeech } = require('../lib/tts');
+const { getSpeechNormalizer } = require('../lib/pronunciation');
 const VoiceService = require('../services/voice-service');
 const IntegrityService = require('../services/integrity-service');
 const MemoryService = require('../services/memory-service');
+const { getCrisisResources } = require('../lib/crisis-resources');
+
+const TTS_MAX_LENGTH = 1000;
+const TTS_STREAM_MAX_LENGTH = 20000;
+
+// Shared checks for /tts and /tts/stream; returns the 400 body, or null if the text may be spoken
+function validateTTSText(text, maxLength, user_id) {
+  if (!text || typeof text !== 'string') {
+    return { success: false, error: 'Text is required and must be a string' };
+  }
+
+  if (text.length > maxLength) {
+    return { success: false, error: `Text too long (max ${maxLength} characters)` };
+  }
+
+  // Analyze content for integrity
+  const analysis = IntegrityService.analyzeContent(text, {
+    source: 'tts_request',
+    user_id
+  });
+
+  if (!analysis.safe) {
+    logger.integrity.flag(user_id || 'anonymous', 'tts_content_flagged', 'medium', {
+      text_length: text.length,
+      flags: analysis.flags.length
+    });
+
+    return {
+      success: false,
+      error: 'Content violates usage policies',
+      code: 'CONTENT_POLICY_VIOLATION'
+    };
+  }
+
+  return null;
+}
+
+// Write one NDJSON line, waiting for the socket to drain if the client is reading slowly
+function writeLine(res, payload) {
+  if (res.write(`${JSON.stringify(payload)}\n`)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
 
 // Voice service health check
 router.get('/health', async (req, res) => {
@@ -37,6 +91,8 @@ router.get('/voices', async (req, res) => {
       res.json({
         success: true,
         voices: result.voices,
+        default: result.default,
+        providers: result.providers,
         timestamp: new Date().toISOString()
       });
     } else {
@@ -62,52 +118,29 @@ router.get('/voices', async (req, res) => {
 // Text-to-Speech endpoint
 router.post('/tts', async (req, res) => {
   try {
-    const { text, voice_settings = {}, user_id } = req.body;
+    const { text, voice_settings = {}, preset, user_id } = req.body;
     
-    if (!text || typeof text !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: 'Text is required and must be a string'
-      });
-    }
-
-    if (text.length > 1000) {
-      return res.status(400).json({
-        success: false,
-        error: 'Text too long (max 1000 characters)'
-      });
-    }
-
-    // Analyze content for integrity
-    const analysis = IntegrityService.analyzeContent(text, {
-      source: 'tts_request',
-      user_id
-    });
-
-    if (!analysis.safe) {
-      logger.integrity.flag(user_id || 'anonymous', 'tts_content_flagged', 'medium', {
-        text_length: text.length,
-        flags: analysis.flags.length
-      });
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Content violates usage policies',
-        code: 'CONTENT_POLICY_VIOLATION'
-      });
+    const invalid = validateTTSText(text, TTS_MAX_LENGTH, user_id);
+    if (invalid) {
+      return res.status(400).json(invalid);
     }
 
     // Attempt TTS synthesis
-    const result = await VoiceService.synthesizeSpeech(text, voice_settings);
+    const result = await VoiceService.synthesizeSpeech(text, { preset, ...voice_settings });
     
     if (result.success) {
       // Return audio data
       res.set({
-        'Content-Type': 'audio/mpeg',
+        'Content-Type': result.contentType,
         'Content-Length': result.audioData.length,
         'X-Audio-Format': result.format,
-        'X-Audio-Length': result.length
+        'X-Audio-Length': result.length,
+        'X-TTS-Provider': result.provider,
+        'X-TTS-Cache': result.cache // hit | miss | off
       });
+      if (result.cacheTier) res.set('X-TTS-Cache-Tier', result.cacheTier);
+      // Content-addressed, so the cache key doubles as a strong ETag
+      if (result.cacheKey) res.set('ETag', `"${result.cacheKey}"`);
       
       res.send(result.audioData);
     } else {
@@ -133,6 +166,109 @@ router.post('/tts', async (req, res) => {
   }
 });
 
+// Streaming Text-to-Speech for long answers. The text is split at sentence boundaries and the
+// segments are synthesised in parallel, then sent in order as newline-delimited JSON over a
+// chunked response: a "start" line, one "segment" line each (base64 audio, or fallback: true
+// to speak that segment with browser speech), then "done". Closing the request (e.g. aborting
+// the fetch when the student interrupts) cancels the segments not yet synthesised.
+// Up to 20x the /tts text budget per request, so only signed-in students with voice access may use it.
+router.post('/tts/stream', authenticate(), requireVoiceAccess(), async (req, res) => {
+  const { text, voice_settings = {}, preset } = req.body;
+
+  const invalid = validateTTSText(text, TTS_STREAM_MAX_LENGTH, req.user.id);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const segments = splitForSpeech(text);
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  res.set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'X-Accel-Buffering': 'no' // Stop reverse proxies holding segments back
+  });
+  res.flushHeaders();
+
+  try {
+    await writeLine(res, { type: 'start', segments: segments.length, text_length: text.length });
+
+    const { delivered, cancelled } = await VoiceService.streamSpeech(segments, { preset, ...voice_settings }, {
+      signal: controller.signal,
+      onSegment: (index, result) => writeLine(res, result.success
+        ? {
+          type: 'segment',
+          index,
+          text: segments[index],
+          success: true,
+          format: result.format,
+          content_type: result.contentType,
+          provider: result.provider,
+          cache: result.cache,
+          audio: result.audioData.toString('base64')
+        }
+        : {
+          type: 'segment',
+          index,
+          text: segments[index],
+          success: false,
+          fallback: true,
+          spoken_text: result.text,
+          message: result.message
+        })
+    });
+
+    if (cancelled) {
+      metrics.ttsStreams.inc({ outcome: 'cancelled' });
+      logger.info('TTS stream cancelled by client', { segments: segments.length, delivered });
+      return;
+    }
+
+    metrics.ttsStreams.inc({ outcome: 'completed' });
+    await writeLine(res, { type: 'done', segments: segments.length, delivered });
+    res.end();
+  } catch (error) {
+    metrics.ttsStreams.inc({ outcome: 'error' });
+    logger.error('TTS stream error:', error);
+    // Headers are already sent, so the error travels as the last line
+    if (!res.writableEnded) {
+      res.end(`${JSON.stringify({ type: 'error', error: error.message, fallback: true })}\n`);
+    }
+  }
+});
+
+// Pronunciation preview: the text exactly as the TTS voice will be given it, with each
+// lexicon rewrite listed so entries in the pronunciation lexicon can be checked
+router.post('/pronunciation/preview', (req, res) => {
+  const { text } = req.body;
+
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Text is required and must be a string'
+    });
+  }
+
+  if (text.length > TTS_STREAM_MAX_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Text too long (max ${TTS_STREAM_MAX_LENGTH} characters)`
+    });
+  }
+
+  const { spoken, changes } = getSpeechNormalizer().explain(text);
+  res.json({
+    success: true,
+    text,
+    spoken,
+    changes,
+    timestamp: new Date().toISOString()
+  });
+});
+
 // Voice settings recommendations
 router.get('/settings/:context', (req, res) => {
   const { context } = req.params;
@@ -160,10 +296,13 @@ router.get('/settings/:context', (req, res) => {
   });
 });
 
-// Audio quality analysis (for debugging)
+// Audio quality analysis (for debugging and the mic-check page)
+// audio_data is base64: pcm16 or float32 (interleaved when channels > 1, e.g. the channel data from
+// decodeAudioData on a WebM/Opus recording), or a WAV file. Audio is mixed to mono and resampled
+// to 24 kHz, then split into speech and silence segments, each with its own levels and issues.
 router.post('/analyze-audio', (req, res) => {
   try {
-    const { audio_data, sample_rate = 24000, format = 'pcm16' } = req.body;
+    const { audio_data, sample_rate = 24000, format = 'pcm16', channels = 1 } = req.body;
     
     if (!audio_data) {
       return res.status(400).json({
@@ -172,36 +311,40 @@ router.post('/analyze-audio', (req, res) => {
       });
     }
 
-    // Convert base64 to audio data for analysis
-    let audioArray;
+    // Decode and resample for analysis
+    let decoded;
     try {
       const buffer = Buffer.from(audio_data, 'base64');
-      
-      if (format === 'pcm16') {
-        audioArray = VoiceService.convertPCM16ToFloat32(buffer);
-      } else {
-        return res.status(400).json({
-          success: false,
-          error: 'Only PCM16 format supported for analysis'
-        });
-      }
+      decoded = VoiceService.decodeAudioForAnalysis(buffer, { format, sampleRate: sample_rate, channels });
     } catch (error) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid audio data format'
+        error: `Invalid audio data: ${error.message}`
       });
     }
 
-    const analysis = VoiceService.analyzeAudioQuality(audioArray, sample_rate);
+    const analysis = VoiceService.analyzeAudioQuality(decoded.audioArray, decoded.sampleRate);
+    if (!analysis.valid) {
+      return res.status(400).json({
+        success: false,
+        error: analysis.error
+      });
+    }
     
     res.json({
       success: true,
+      input: decoded.input,
       analysis,
       recommendations: {
         rms_too_low: analysis.rms < 0.01 ? 'Audio level too low, increase microphone gain' : null,
         rms_too_high: analysis.rms > 0.8 ? 'Audio level too high, reduce microphone gain' : null,
         clipping: analysis.peak > 0.95 ? 'Audio clipping detected, reduce input level' : null,
-        duration_short: analysis.duration < 0.5 ? 'Very short audio clip' : null
+        duration_short: analysis.duration < 0.5 ? 'Very short audio clip' : null,
+        no_speech: analysis.speech.segments === 0 ? 'No speech detected, check the right microphone is selected and unmuted' : null,
+        low_snr: analysis.snrDb !== null && analysis.snrDb < 15 ? `Speech is only ${analysis.snrDb} dB above the background noise, move closer to the microphone or somewhere quieter` : null,
+        no_silence: analysis.silenceDuration < 0.3 ? 'Leave a second of silence before speaking so background noise can be measured' : null,
+        dc_offset: analysis.dcOffset.detected ? 'DC offset detected, usually a faulty microphone, cable or audio interface' : null,
+        hum: analysis.hum.detected ? `${analysis.hum.frequency} Hz mains hum detected, move away from chargers and power cables or try another USB port` : null
       },
       timestamp: new Date().toISOString()
     });
@@ -236,7 +379,7 @@ router.get('/oscola/:type?', (req, res) => {
       citation_type: type,
       guidance,
       voice_optimized: true,
-      spoken_example: guidance.example ? `For example: ${guidance.example}` : null,
+      spoken_example: IntegrityService.getSpokenOSCOLAExample(type),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -252,44 +395,7 @@ router.get('/oscola/:type?', (req, res) => {
 // Crisis resources (voice-optimized)
 router.get('/crisis-resources', (req, res) => {
   res.json({
-    resources: {
-      immediate: {
-        samaritans: {
-          phone: '116 123',
-          description: 'Free 24/7 emotional support',
-          spoken: 'Call the Samaritans on 116 123 for immediate support'
-        },
-        crisis_text_line: {
-          text: 'Text SHOUT to 85258',
-          description: 'Free 24/7 text support',
-          spoken: 'Text the word SHOUT to 85258 for crisis support'
-        },
-        emergency: {
-          phone: '999',
-          description: 'Emergency services',
-          spoken: 'If you\'re in immediate danger, call 999'
-        }
-      },
-      university: {
-        durham_counselling: {
-          description: 'Durham University Counselling Service',
-          contact: 'counselling.service@durham.ac.uk',
-          phone: '0191 334 2200'
-        },
-        student_support: {
-          description: 'Durham Student Support',
-          contact: 'student.support@durham.ac.uk'
-        }
-      },
-      legal_profession: {
-        lawcare: {
-          description: 'Mental health support for legal profession',
-          phone: '0800 279 6888',
-          website: 'lawcare.org.uk'
-        }
-      }
-    },
-    voice_message: 'I\'m concerned about you. Please reach out to someone who can provide immediate support. The Samaritans are available 24/7 on 116 123.',
+    ...getCrisisResources(),
     timestamp: new Date().toISOString()
   });
 });
@@ -4,14 +4,27 @@ const http = require('http');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { Server: SocketServer } = require('socket.io');
 require('dotenv').config();
 
 const logger = require('./lib/logger');
+const metrics = require('./lib/metrics');
+const { HEADER: CORRELATION_HEADER, correlationMiddleware } = require('./lib/context');
 const realtimeVoiceService = require('./services/realtime-voice');
+const MemoryService = require('./services/memory-service');
+const SchedulerService = require('./services/scheduler-service');
+const VoiceService = require('./services/voice-service');
+const { initializeSocket } = require('./services/socket');
 
 // Import routes
 const realtimeRoutes = require('./routes/realtime');
 const voiceRoutes = require('./routes/voice');
+const chatRoutes = require('./routes/chat');
+const oscolaRoutes = require('./routes/oscola');
+const provenanceRoutes = require('./routes/provenance');
+const adminRoutes = require('./routes/admin');
+const meRoutes = require('./routes/me');
+const metricsRoutes = require('./routes/metrics');
 
 // Create Express app
 const app = express();
@@ -28,6 +41,9 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false // Disable for audio API compatibility
 }));
 
+// Correlation id on every request, log line and response (X-Correlation-Id)
+app.use(correlationMiddleware());
+
 // CORS configuration for development
 const corsOptions = {
   origin: function (origin, callback) {
@@ -60,7 +76,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-requested-with', CORRELATION_HEADER],
+  exposedHeaders: [CORRELATION_HEADER, 'X-TTS-Provider', 'X-TTS-Cache', 'X-TTS-Cache-Tier']
 };
 
 app.use(cors(corsOptions));
@@ -74,7 +91,11 @@ const limiter = rateLimit({
     retry_after: '15 minutes'
   },
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    metrics.rateLimitRejections.inc();
+    res.status(options.statusCode).json(options.message);
+  }
 });
 
 app.use('/api/', limiter);
@@ -96,14 +117,23 @@ app.get('/health', (req, res) => {
     version: process.env.npm_package_version || '1.0.0',
     services: {
       voice: !!process.env.OPENAI_API_KEY,
-      realtime: !!process.env.OPENAI_API_KEY
+      realtime: !!process.env.OPENAI_API_KEY,
+      chat: !!process.env.OPENAI_API_KEY
     }
   });
 });
 
+// Prometheus metrics (outside /api/ so scrapes are not rate limited)
+app.use('/metrics', metricsRoutes);
+
 // API routes
 app.use('/api/realtime', realtimeRoutes);
 app.use('/api/voice', voiceRoutes);
+app.use('/api/chat', chatRoutes);
+app.use('/api/oscola', oscolaRoutes);
+app.use('/api/provenance', provenanceRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/me', meRoutes);
 
 // WebSocket endpoint for direct voice connections (legacy support)
 app.post('/api/realtime/direct', async (req, res) => {
@@ -147,12 +177,30 @@ app.use('/api/*', (req, res) => {
     message: `API endpoint ${req.originalUrl} not found`,
     available_endpoints: [
       'GET /health',
+      'GET /metrics',
       'POST /api/realtime/session',
       'GET /api/realtime/models',
       'GET /api/voice/health',
       'GET /api/voice/voices',
       'POST /api/voice/tts',
-      'WebSocket /voice'
+      'POST /api/voice/tts/stream',
+      'POST /api/voice/pronunciation/preview',
+      'POST /api/chat/conversation',
+      'GET /api/chat/conversation/:id',
+      'POST /api/chat/message',
+      'POST /api/oscola/validate',
+      'POST /api/oscola/generate',
+      'POST /api/oscola/footnotes',
+      'POST /api/oscola/bibliography',
+      'GET /api/provenance',
+      'GET /api/provenance/declaration',
+      'GET /api/me/export',
+      'POST /api/me/delete',
+      'GET /api/me/requests',
+      'GET /api/admin/jobs',
+      'POST /api/admin/jobs/:name/run',
+      'WebSocket /voice',
+      'Socket.IO /socket.io'
     ]
   });
 });
@@ -182,6 +230,7 @@ app.use((error, req, res, next) => {
   res.status(500).json({
     error: 'internal_server_error',
     message: isDevelopment ? error.message : 'Internal server error',
+    correlation_id: req.correlationId, // Quote this when reporting the problem
     stack: isDevelopment ? error.stack : undefined
   });
 });
@@ -190,6 +239,16 @@ app.use((error, req, res, next) => {
 const voiceWss = realtimeVoiceService.initWebSocketServer(server);
 logger.info('Voice WebSocket server initialized', { path: '/voice' });
 
+// Initialize Socket.IO for streamed text chat
+const io = new SocketServer(server, {
+  cors: {
+    origin: corsOptions.origin,
+    credentials: true
+  }
+});
+initializeSocket(io, logger);
+logger.info('Chat socket server initialized', { path: '/socket.io' });
+
 // Start server
 server.listen(PORT, () => {
   logger.info(`🚀 Voice Loop Server running`, {
@@ -204,49 +263,83 @@ server.listen(PORT, () => {
     elevenlabs_configured: !!process.env.ELEVENLABS_API_KEY,
     cors_origins: isDevelopment ? 'development_mode' : process.env.ALLOWED_ORIGINS,
     websocket_path: '/voice',
+    socket_io_path: '/socket.io',
     rate_limit: isDevelopment ? '1000/15min' : '100/15min'
   });
   
   // Log available endpoints
   logger.info('🔌 Available endpoints:', {
     health: 'GET /health',
+    metrics: 'GET /metrics',
     realtime_session: 'POST /api/realtime/session',
     voice_health: 'GET /api/voice/health',
     voice_tts: 'POST /api/voice/tts',
-    websocket: 'WS /voice'
+    voice_tts_stream: 'POST /api/voice/tts/stream',
+    pronunciation_preview: 'POST /api/voice/pronunciation/preview',
+    chat_message: 'POST /api/chat/message',
+    oscola_validate: 'POST /api/oscola/validate',
+    oscola_generate: 'POST /api/oscola/generate',
+    data_export: 'GET /api/me/export',
+    data_delete: 'POST /api/me/delete',
+    admin_jobs: 'GET /api/admin/jobs',
+    websocket: 'WS /voice',
+    chat_socket: 'Socket.IO /socket.io'
   });
+
+  // Maintenance jobs (memory cleanup, connection sweeps, log retention, summaries)
+  SchedulerService.start();
+
+  // Greetings, crisis lines and OSCOLA examples, synthesised in the background
+  if (process.env.TTS_CACHE_PREWARM !== 'false') {
+    VoiceService.prewarmSpeechCache()
+      .catch(error => logger.error('TTS cache pre-warm failed:', { error: error.message }));
+  }
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, starting graceful shutdown');
   
+  // Chat sockets would otherwise keep the HTTP server open
+  io.disconnectSockets(true);
+  SchedulerService.stop();
+  
   server.close(() => {
     logger.info('HTTP server closed');
     
     // Close WebSocket connections
     realtimeVoiceService.closeAllConnections();
     
-    // Close logger
-    logger.shutdown();
-    
-    process.exit(0);
+    // Flush persisted memory, then close logger
+    MemoryService.close()
+      .catch(error => logger.error('Memory store close failed:', { error: error.message }))
+      .finally(() => {
+        logger.shutdown();
+        process.exit(0);
+      });
   });
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, starting graceful shutdown');
   
+  // Chat sockets would otherwise keep the HTTP server open
+  io.disconnectSockets(true);
+  SchedulerService.stop();
+  
   server.close(() => {
     logger.info('HTTP server closed');
     
     // Close WebSocket connections
     realtimeVoiceService.closeAllConnections();
     
-    // Close logger
-    logger.shutdown();
-    
-    process.exit(0);
+    // Flush persisted memory, then close logger
+    MemoryService.close()
+      .catch(error => logger.error('Memory store close failed:', { error: error.message }))
+      .finally(() => {
+        logger.shutdown();
+        process.exit(0);
+      });
   });
 });
 
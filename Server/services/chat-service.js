@@ -0,0 +1,201 @@
+// Server/services/chat-service.js - Text chat replies using the Durmah persona
+const OpenAI = require('openai');
+const logger = require('../lib/logger');
+const IntegrityService = require('./integrity-service');
+const MemoryService = require('./memory-service');
+const ProvenanceService = require('./provenance-service');
+const { anonymousUser } = require('../lib/auth');
+const { getDurmahInstructions, getModeInstructions, getIntegrityInstructions } = require('../lib/persona');
+
+const openai = new OpenAI({
+  apiKey: process.env.OPENAI_API_KEY
+});
+
+const FALLBACK_REPLY = "I'm having trouble reaching my study notes right now. Could you try again in a moment? In the meantime, tell me a bit more about what you're working on.";
+
+class ChatService {
+  constructor() {
+    this.isConfigured = !!process.env.OPENAI_API_KEY;
+    this.model = process.env.CHAT_MODEL || 'gpt-4o-mini';
+    this.historyLength = 6; // Previous interactions sent to the model
+  }
+
+  // Run integrity and wellbeing checks on a student's message
+  screenMessage(message, userId) {
+    const analysis = IntegrityService.analyzeContent(message, {
+      source: 'chat_message',
+      user_id: userId
+    });
+    const assistance = IntegrityService.analyzeAssistanceLevel(message);
+    const crisis = analysis.flags.some(flag => flag.type === 'mental_health_crisis');
+
+    for (const flag of analysis.flags) {
+      logger.integrity.flag(userId, flag.type, flag.severity === 'critical' ? 'high' : flag.severity, {
+        source: 'chat_message',
+        flag: flag.flag
+      });
+    }
+
+    logger.integrity.assistance(userId, assistance.level, 'chat');
+
+    return { analysis, assistance, crisis };
+  }
+
+  buildSystemPrompt(conversation, screening) {
+    let prompt = `${getDurmahInstructions()}\n\n${getModeInstructions('text')}`;
+
+    if (conversation?.recentContext) {
+      const context = conversation.recentContext;
+      prompt += `\n\n🧠 CONVERSATION CONTEXT:
+- ${context.summary}
+- Study focus: ${context.study_focus}
+- Emotional state: ${context.emotional_state}`;
+
+      if (context.earlier) {
+        prompt += `\n\n📜 EARLIER IN THIS CONVERSATION:\n${context.earlier}`;
+      }
+    }
+
+    const hasDishonestyFlag = screening.analysis.flags.some(flag => flag.type === 'academic_dishonesty');
+    if (hasDishonestyFlag || screening.assistance.level === 'high') {
+      prompt += `\n\n${getIntegrityInstructions({
+        reason: hasDishonestyFlag ? 'academic_dishonesty' : 'high_assistance_request',
+        recommendation: screening.assistance.recommendation
+      })}`;
+    }
+
+    return prompt;
+  }
+
+  buildMessages(conversation, message, screening) {
+    const messages = [{ role: 'system', content: this.buildSystemPrompt(conversation, screening) }];
+
+    const history = conversation ? conversation.interactions.slice(-this.historyLength) : [];
+    for (const interaction of history) {
+      if (interaction.user_input) {
+        messages.push({ role: 'user', content: interaction.user_input });
+      }
+      if (interaction.ai_response) {
+        messages.push({ role: 'assistant', content: interaction.ai_response });
+      }
+    }
+
+    messages.push({ role: 'user', content: message });
+    return messages;
+  }
+
+  buildCrisisReply(screening) {
+    const support = screening.analysis.recommendations.find(rec => rec.type === 'crisis_support');
+    const resources = support.resources.map(resource => `• ${resource}`).join('\n');
+    return `${support.message}\n\n${resources}\n\nYou don't have to go through this alone. I'm here to keep talking whenever you want.`;
+  }
+
+  // Ask the model for a reply, streaming deltas to onToken when provided
+  async requestCompletion(messages, onToken) {
+    const request = {
+      model: this.model,
+      messages,
+      temperature: 0.7,
+      max_tokens: 800
+    };
+
+    if (!onToken) {
+      const completion = await openai.chat.completions.create(request);
+      return completion.choices[0]?.message?.content?.trim() || '';
+    }
+
+    const stream = await openai.chat.completions.create({ ...request, stream: true });
+    let reply = '';
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) {
+        reply += delta;
+        onToken(delta);
+      }
+    }
+    return reply.trim();
+  }
+
+  async generateReply(userId, conversationId, message, { onToken } = {}) {
+    const startedAt = Date.now();
+    const screening = this.screenMessage(message, userId);
+    const conversation = await MemoryService.getConversation(userId, conversationId);
+
+    let reply;
+    let fallback = false;
+    let streamed = false;
+
+    if (screening.crisis) {
+      // Never leave crisis support to the model
+      reply = this.buildCrisisReply(screening);
+    } else if (!this.isConfigured) {
+      reply = FALLBACK_REPLY;
+      fallback = true;
+    } else {
+      try {
+        const messages = this.buildMessages(conversation, message, screening);
+        reply = await this.requestCompletion(messages, onToken && ((delta) => {
+          streamed = true;
+          onToken(delta);
+        }));
+        if (!reply) {
+          reply = FALLBACK_REPLY;
+          fallback = true;
+        }
+      } catch (error) {
+        logger.error('Chat completion failed', { error: error.message, userId, conversationId });
+        reply = FALLBACK_REPLY;
+        fallback = true;
+      }
+    }
+
+    // Canned replies (and failures mid-stream) arrive as a single token
+    if (onToken && (!streamed || fallback)) {
+      onToken(reply, { replace: streamed });
+    }
+
+    const interaction = {
+      type: 'question',
+      mode: 'text',
+      user_input: message,
+      ai_response: reply,
+      assistance_level: screening.assistance.level,
+      flags: screening.analysis.flags
+    };
+    const stored = await MemoryService.storeConversation(userId, conversationId, interaction, { startedAt });
+    // Null when the student erased their data while this reply was being written
+    if (!stored) {
+      return { reply, fallback, screening, conversation: null };
+    }
+
+    await ProvenanceService.recordInteraction(userId, interaction, {
+      sessionId: conversationId,
+      channel: 'text',
+      module: stored.metadata?.module,
+      startedAt
+    });
+
+    // Voice sessions pick up what was studied in text chat
+    if (userId !== anonymousUser().id) {
+      await MemoryService.updateLongTermMemory(userId, [interaction], { channel: 'text', startedAt }).catch(error =>
+        logger.error('Failed to update long-term memory', { userId, error: error.message })
+      );
+    }
+
+    return {
+      reply,
+      fallback,
+      screening,
+      conversation: stored
+    };
+  }
+
+  getStatus() {
+    return {
+      configured: this.isConfigured,
+      model: this.model
+    };
+  }
+}
+
+module.exports = new ChatService();
@@ -0,0 +1,167 @@
+// Server/services/data-rights-service.js - GDPR subject access export and erasure
+const crypto = require('crypto');
+const axios = require('axios');
+const MemoryService = require('./memory-service');
+const RealtimeVoiceService = require('./realtime-voice');
+const logger = require('../lib/logger');
+
+const EXPORT_VERSION = 1;
+
+// Tables the client writes to directly with the student's session, and the column that holds their id
+const SUPABASE_USER_TABLES = [
+  { table: 'voice_conversations', column: 'user_id' },
+  { table: 'voice_transcripts', column: 'user_id' },
+  { table: 'profiles', column: 'id' }
+];
+
+// PostgREST answers 404 (PGRST205) or 42P01 for a table that was never created
+const isMissingTable = (error) =>
+  error.response?.status === 404 || ['PGRST205', '42P01'].includes(error.response?.data?.code);
+
+class DataRightsService {
+  constructor() {
+    const url = process.env.SUPABASE_URL;
+    const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+    this.supabase = url && serviceKey
+      ? axios.create({
+        baseURL: `${url.replace(/\/$/, '')}/rest/v1`,
+        timeout: 10000,
+        headers: {
+          apikey: serviceKey,
+          Authorization: `Bearer ${serviceKey}`,
+          'Content-Type': 'application/json'
+        }
+      })
+      : null;
+  }
+
+  // Run fn against every client-owned Supabase table, collecting per-table results and errors
+  async forEachSupabaseTable(fn, errors) {
+    const results = {};
+    if (!this.supabase) return results;
+
+    for (const { table, column } of SUPABASE_USER_TABLES) {
+      try {
+        results[table] = await fn(table, column);
+      } catch (error) {
+        if (isMissingTable(error)) continue;
+        errors.push({ source: `supabase:${table}`, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  // Everything held about the student, as one JSON document
+  async exportUserData(user) {
+    const requestedAt = new Date();
+    const errors = [];
+
+    let memory = { profile: null, conversations: [], provenance: [] };
+    try {
+      memory = await MemoryService.exportUserData(user.id);
+    } catch (error) {
+      errors.push({ source: 'memory_store', error: error.message });
+    }
+
+    const supabase = await this.forEachSupabaseTable(async (table, column) => {
+      const { data } = await this.supabase.get(`/${table}`, {
+        params: { [column]: `eq.${user.id}`, select: '*' }
+      });
+      return data;
+    }, errors);
+
+    const voiceSessions = logger.voice.sessionsForUser(user.id);
+    const logEntries = logger.userEntries(user.id);
+
+    let dataRequests = [];
+    try {
+      dataRequests = await this.listRequests(user.id);
+    } catch (error) {
+      errors.push({ source: 'data_requests', error: error.message });
+    }
+
+    const audit = await this.audit(user.id, 'export', requestedAt, {
+      conversations: memory.conversations.length,
+      provenance: memory.provenance.length,
+      profiles: memory.profile ? 1 : 0,
+      voice_sessions: voiceSessions.length,
+      log_lines: logEntries.length,
+      ...Object.fromEntries(Object.entries(supabase).map(([table, rows]) => [table, rows.length]))
+    }, errors);
+
+    return {
+      export_version: EXPORT_VERSION,
+      request_id: audit.id,
+      generated_at: audit.completed_at,
+      user: { id: user.id, email: user.email },
+      memory,
+      voice_sessions: voiceSessions,
+      log_entries: logEntries,
+      supabase,
+      data_requests: dataRequests,
+      errors
+    };
+  }
+
+  // Erase the student's data everywhere the server can reach. Partial failures are
+  // reported and audited rather than aborting the rest of the erasure.
+  async eraseUserData(user) {
+    const requestedAt = new Date();
+    const errors = [];
+    const removed = { voice_sessions_ended: RealtimeVoiceService.endUserSessions(user.id) };
+
+    try {
+      Object.assign(removed, await MemoryService.eraseUserData(user.id));
+    } catch (error) {
+      errors.push({ source: 'memory_store', error: error.message });
+    }
+
+    Object.assign(removed, await this.forEachSupabaseTable(async (table, column) => {
+      const response = await this.supabase.delete(`/${table}`, {
+        params: { [column]: `eq.${user.id}`, select: column },
+        headers: { Prefer: 'return=representation' }
+      });
+      return response.data.length;
+    }, errors));
+
+    // Logs last, so lines written while erasing go too
+    try {
+      Object.assign(removed, logger.eraseUser(user.id));
+    } catch (error) {
+      errors.push({ source: 'logs', error: error.message });
+    }
+
+    return this.audit(user.id, 'erasure', requestedAt, removed, errors);
+  }
+
+  async listRequests(userId) {
+    return MemoryService.getDataRequests(userId);
+  }
+
+  // Audit records hold counts only, never the data itself
+  async audit(userId, type, requestedAt, counts, errors) {
+    const record = {
+      id: crypto.randomUUID(),
+      user_id: userId,
+      type,
+      status: errors.length === 0 ? 'completed' : 'partial',
+      requested_at: requestedAt.toISOString(),
+      completed_at: new Date().toISOString(),
+      counts,
+      errors
+    };
+
+    try {
+      await MemoryService.recordDataRequest(record);
+    } catch (error) {
+      logger.error('Failed to store data request audit record', { requestId: record.id, type, error: error.message });
+    }
+
+    // No user id here: an erasure should not leave one behind in the log files
+    logger.info(`Data ${type} request ${record.status}`, { requestId: record.id, counts, errors: errors.length });
+    return record;
+  }
+}
+
+module.exports = new DataRightsService();
@@ -25,8 +25,8 @@ class IntegrityService {
         description: 'Statute citation format'
       },
       journal: {
-        format: '[Author], "[Title]" ([Year]) [Volume] [Journal] [Page]',
-        example: 'H Collins, "The Decline of Privacy in Private Law" (2019) 42 J Legal Stud 25',
+        format: "[Author], '[Title]' ([Year]) [Volume] [Journal] [Page]",
+        example: "H Collins, 'The Decline of Privacy in Private Law' (2019) 42 J Legal Stud 25",
         description: 'Journal article citation format'
       },
       book: {
@@ -158,6 +158,12 @@ class IntegrityService {
     return recommendations;
   }
 
+  // The template example as Durmah reads it aloud
+  getSpokenOSCOLAExample(citationType) {
+    const example = this.oscolaTemplates[citationType]?.example;
+    return example ? `For example: ${example}` : null;
+  }
+
   generateOSCOLAGuidance(citationType = 'general') {
     if (this.oscolaTemplates[citationType]) {
       return {
@@ -213,7 +219,7 @@ class IntegrityService {
       'background', 'overview', 'summary'
     ];
     
-    if (highAssistanceIndicators.some(indicator => requestLower.includes(indicator))) {
+    if (highAssistanceIndicators.some(indicator => requestLower.includes(indicator.toLowerCase()))) {
       return {
         level: 'high',
         risk: 'academic_integrity',
@@ -222,7 +228,7 @@ class IntegrityService {
       };
     }
     
-    if (mediumAssistanceIndicators.some(indicator => requestLower.includes(indicator))) {
+    if (mediumAssistanceIndicators.some(indicator => requestLower.includes(indicator.toLowerCase()))) {
       return {
         level: 'medium',
         risk: 'moderate',
@@ -247,7 +253,7 @@ class IntegrityService {
       timestamp: new Date().toISOString(),
       interaction_type: interaction.type,
       content_analysis: interaction.analysis || {},
-      assistance_level: interaction.assistance_level || {},
+      assistance_level: interaction.assistance_level || null, // low | medium | high; null when the turn was not screened
       ai_contribution: interaction.ai_response ? {
         type: 'guidance',
         length: interaction.ai_response.length,
@@ -268,7 +274,8 @@ class IntegrityService {
       /the answer is/i,
       /you should write/i,
       /the conclusion is/i,
-      /in your essay, state/i
+      /in your essay, state/i,
+      /here(?:'s| is) (?:a|your) (?:model|complete|full) (?:answer|essay)/i
     ];
     
     return directAnswerPatterns.some(pattern => pattern.test(response));
@@ -1,55 +1,197 @@
 // Server/services/memory-service.js - Memory and conversation management
 const logger = require('../lib/logger');
+const { createMemoryStore } = require('../lib/storage');
+const { SCHEMA_VERSION } = require('../lib/storage/schema');
+const { createTopicMatcher } = require('../lib/taxonomy');
+const SummaryService = require('./summary-service');
+const { anonymousUser } = require('../lib/auth');
+
+// Recurring worries are kept as categories, never as what the student said
+const WORRY_CATEGORIES = {
+  exams: { label: 'exams', terms: ['exam', 'revision', 'revising'] },
+  deadlines: { label: 'deadlines', terms: ['deadline', 'due date', 'extension', 'late submission'] },
+  workload: { label: 'keeping up with the workload', terms: ['workload', 'falling behind', 'behind on', 'too much reading'] },
+  assessed_work: { label: 'assessed work', terms: ['essay', 'summative', 'formative', 'dissertation', 'coursework'] },
+  understanding: { label: 'understanding the material', terms: ['confused', 'don\'t understand', 'lost'] },
+  careers: { label: 'careers and applications', terms: ['training contract', 'vacation scheme', 'pupillage', 'career'] },
+  wellbeing: { label: 'wellbeing', terms: ['anxious', 'anxiety', 'lonely', 'homesick', 'sleep', 'burnt out', 'burnout'] }
+};
+const mentions = (input, term) => new RegExp(`\\b${term}(s|es)?\\b`).test(input);
+const WORRY_INDICATORS = ['stressed', 'overwhelmed', 'worried', 'anxious', 'panicking', 'struggling', 'scared', 'nervous', 'confused'];
+
+// Long-term memory limits
+const MAX_REMEMBERED_TOPICS = 30;
+const MAX_REMEMBERED_SESSIONS = 3;
 
 class MemoryService {
-  constructor() {
-    this.conversations = new Map();
-    this.userProfiles = new Map();
+  constructor(store = createMemoryStore(), topics = createTopicMatcher(), summarizer = SummaryService) {
+    this.store = store;
+    this.topics = topics; // Legal taxonomy (lib/taxonomy/legal-topics.json or LEGAL_TAXONOMY_PATH)
+    this.summarizer = summarizer;
+    this.locks = new Map(); // Per-conversation write queues
+    this.summaries = new Map(); // Per-conversation folds in progress and the turns waiting on them
+    this.erasures = new Map(); // userId -> when their data was last erased
     this.contextWindow = 10; // Number of recent interactions to keep in context
+    this.ready = this.store.init()
+      .then(() => logger.info('Memory store ready', { store: this.store.name, persistent: this.store.persistent }))
+      .catch(error => logger.error('Memory store initialisation failed', { store: this.store.name, error: error.message }));
+  }
+
+  conversationKey(userId, sessionId) {
+    return `${userId}_${sessionId}`;
+  }
+
+  // True if the user's data was erased after a write began, so the write must not land
+  erasedSince(userId, startedAt) {
+    const erasedAt = this.erasures.get(userId);
+    return erasedAt !== undefined && erasedAt >= startedAt;
+  }
+
+  // Run read-modify-write operations on one conversation one at a time
+  withLock(key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.locks.set(key, current);
+    current.catch(() => {}).then(() => {
+      if (this.locks.get(key) === current) this.locks.delete(key);
+    });
+    return current;
   }
 
-  // Store conversation memory
-  storeConversation(userId, sessionId, interaction) {
-    const key = `${userId}_${sessionId}`;
+  async loadOrCreateConversation(userId, sessionId, metadata = {}) {
+    const key = this.conversationKey(userId, sessionId);
+    const existing = await this.store.getConversation(key);
+    if (existing) return existing;
     
-    if (!this.conversations.has(key)) {
-      this.conversations.set(key, {
-        userId,
+    const conversation = {
+      schema_version: SCHEMA_VERSION,
+      userId,
+      sessionId,
+      created: new Date(),
+      metadata,
+      interactions: [],
+      context: {},
+      summary: null
+    };
+    
+    await this.store.saveConversation(key, conversation);
+    logger.memory.store(userId, 'conversation_created', { sessionId });
+    
+    return conversation;
+  }
+
+  // Create an empty conversation (no-op if it already exists)
+  async createConversation(userId, sessionId, metadata = {}) {
+    await this.ready;
+    const key = this.conversationKey(userId, sessionId);
+    return this.withLock(key, () => this.loadOrCreateConversation(userId, sessionId, metadata));
+  }
+
+  // Store conversation memory. startedAt is when the reply began, so one still being
+  // generated when the student erased their data is dropped; returns null if it was.
+  async storeConversation(userId, sessionId, interaction, { startedAt = Date.now() } = {}) {
+    await this.ready;
+    const key = this.conversationKey(userId, sessionId);
+    let trimmed = [];
+    
+    const stored = await this.withLock(key, async () => {
+      if (this.erasedSince(userId, startedAt)) {
+        logger.memory.update(userId, 'write_dropped_after_erasure', { sessionId });
+        return null;
+      }
+      
+      const conversation = await this.loadOrCreateConversation(userId, sessionId);
+      conversation.interactions.push({
+        id: `int_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        timestamp: new Date(),
+        ...interaction
+      });
+      
+      // Keep only recent interactions for context; older ones are folded into the summary
+      if (conversation.interactions.length > this.contextWindow * 2) {
+        trimmed = conversation.interactions.slice(0, -this.contextWindow);
+        conversation.interactions = conversation.interactions.slice(-this.contextWindow);
+      }
+      
+      // Update conversation context
+      this.updateConversationContext(conversation);
+      
+      await this.store.saveConversation(key, conversation);
+      
+      logger.memory.store(userId, 'conversation_interaction', {
         sessionId,
-        created: new Date(),
-        interactions: [],
-        context: {},
-        summary: null
+        interactionCount: conversation.interactions.length
       });
-    }
-    
-    const conversation = this.conversations.get(key);
-    conversation.interactions.push({
-      id: `int_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-      timestamp: new Date(),
-      ...interaction
+      
+      return conversation;
     });
     
-    // Keep only recent interactions for context
-    if (conversation.interactions.length > this.contextWindow * 2) {
-      conversation.interactions = conversation.interactions.slice(-this.contextWindow);
-    }
+    // Not awaited: the reply shouldn't wait on the summary model
+    if (trimmed.length > 0) this.foldIntoSummary(userId, sessionId, trimmed);
     
-    // Update conversation context
-    this.updateConversationContext(conversation);
+    return stored;
+  }
+
+  // Summarising can take seconds, so it runs outside the conversation lock and lands as a
+  // follow-up write. One fold runs per conversation; turns trimmed meanwhile wait for the
+  // next, so each fold builds on the last and no turn is folded twice.
+  foldIntoSummary(userId, sessionId, turns) {
+    const key = this.conversationKey(userId, sessionId);
+    const fold = this.summaries.get(key) || { summarizing: null, pending: new Map(), queuedAt: null };
+    if (fold.pending.size === 0) fold.queuedAt = Date.now();
+    for (const turn of turns) fold.pending.set(turn.id, turn);
+    this.summaries.set(key, fold);
     
-    logger.memory.store(userId, 'conversation_interaction', {
-      sessionId,
-      interactionCount: conversation.interactions.length
-    });
+    if (!fold.summarizing) {
+      fold.summarizing = this.drainSummary(userId, sessionId, fold)
+        .catch(error => logger.error('Failed to summarise conversation', { userId, sessionId, error: error.message }));
+    }
+    return fold.summarizing;
+  }
+
+  async drainSummary(userId, sessionId, fold) {
+    const key = this.conversationKey(userId, sessionId);
     
-    return conversation;
+    try {
+      while (fold.pending.size > 0) {
+        const turns = Array.from(fold.pending.values());
+        const startedAt = fold.queuedAt;
+        fold.pending.clear();
+        
+        const current = await this.store.getConversation(key);
+        if (!current) return;
+        const summary = await this.summarizeTurns(current.summary, turns);
+        
+        await this.withLock(key, async () => {
+          const conversation = await this.store.getConversation(key);
+          // Erased or cleaned up while summarising; a conversation recreated since must not get the old turns
+          if (!conversation || this.erasedSince(userId, startedAt)) return;
+          conversation.summary = summary;
+          await this.store.saveConversation(key, conversation);
+        });
+        
+        logger.memory.update(userId, 'summary', {
+          sessionId,
+          method: summary.method,
+          turnsSummarized: summary.turns_summarized
+        });
+      }
+    } finally {
+      // Synchronous with the last pending check, so a fold queued from here on starts afresh
+      this.summaries.delete(key);
+    }
+  }
+
+  // Fold turns into a rolling summary (also used for live voice sessions)
+  async summarizeTurns(previous, turns) {
+    const matches = turns.flatMap(turn => (turn.user_input ? this.topics.match(turn.user_input) : []));
+    return this.summarizer.fold(previous, turns, { topics: this.topicNames(matches) });
   }
 
   // Retrieve conversation history
-  getConversation(userId, sessionId) {
-    const key = `${userId}_${sessionId}`;
-    const conversation = this.conversations.get(key);
+  async getConversation(userId, sessionId) {
+    await this.ready;
+    const conversation = await this.store.getConversation(this.conversationKey(userId, sessionId));
     
     if (conversation) {
       logger.memory.retrieve(userId, 'conversation', 1, { sessionId });
@@ -68,25 +210,13 @@ class MemoryService {
     const recentInteractions = conversation.interactions.slice(-this.contextWindow);
     
     // Extract topics from recent interactions
-    const topics = new Set();
+    const matches = [];
     const entities = new Set();
     const sentiments = [];
     
     for (const interaction of recentInteractions) {
-      // Simple topic extraction (in production, use NLP)
       if (interaction.user_input) {
-        const words = interaction.user_input.toLowerCase().split(/\s+/);
-        const legalTerms = [
-          'contract', 'tort', 'criminal', 'constitutional', 'property',
-          'case law', 'statute', 'precedent', 'jurisdiction', 'appeal',
-          'evidence', 'procedure', 'rights', 'liability', 'damages'
-        ];
-        
-        for (const term of legalTerms) {
-          if (words.includes(term)) {
-            topics.add(term);
-          }
-        }
+        matches.push(...this.topics.match(interaction.user_input));
       }
       
       // Extract sentiment indicators
@@ -107,12 +237,13 @@ class MemoryService {
     }
     
     conversation.context = {
-      topics: Array.from(topics),
+      topics: this.topicNames(matches),
+      modules: this.rankModules(matches),
       entities: Array.from(entities),
       recent_sentiment: this.analyzeSentimentTrend(sentiments),
       interaction_count: conversation.interactions.length,
       last_updated: new Date(),
-      study_focus: this.inferStudyFocus(topics),
+      study_focus: this.inferStudyFocus(matches),
       support_needs: this.assessSupportNeeds(recentInteractions)
     };
   }
@@ -122,6 +253,7 @@ class MemoryService {
     
     return {
       summary: this.summarizeRecentInteractions(recent),
+      earlier: conversation.summary?.text || null,
       key_topics: conversation.context.topics || [],
       emotional_state: conversation.context.recent_sentiment || 'neutral',
       study_focus: conversation.context.study_focus || 'general',
@@ -129,10 +261,26 @@ class MemoryService {
     };
   }
 
+  // Distinct topic names in order of first mention; module names stand in for module-level terms
+  topicNames(matches) {
+    return [...new Set(matches.map(match => match.topic || match.module))];
+  }
+
+  // Module names, most mentioned first
+  rankModules(matches) {
+    const counts = new Map();
+    for (const match of matches) {
+      counts.set(match.module, (counts.get(match.module) || 0) + 1);
+    }
+    return [...counts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .map(([module]) => module);
+  }
+
   summarizeRecentInteractions(interactions) {
     if (interactions.length === 0) return 'No recent interactions';
     
-    const topics = new Set();
+    const matches = [];
     let questionCount = 0;
     let hasConfusion = false;
     
@@ -141,13 +289,7 @@ class MemoryService {
       
       if (interaction.user_input) {
         const input = interaction.user_input.toLowerCase();
-        
-        // Extract main topics
-        if (input.includes('contract')) topics.add('contracts');
-        if (input.includes('tort')) topics.add('torts');
-        if (input.includes('criminal')) topics.add('criminal law');
-        if (input.includes('constitutional')) topics.add('constitutional law');
-        if (input.includes('case') || input.includes('precedent')) topics.add('case law');
+        matches.push(...this.topics.match(input));
         
         // Check for confusion indicators
         if (input.includes('confused') || input.includes('don\'t understand')) {
@@ -156,9 +298,10 @@ class MemoryService {
       }
     }
     
+    const topics = this.topicNames(matches);
     let summary = `Recent ${interactions.length} interactions`;
-    if (topics.size > 0) {
-      summary += ` focused on ${Array.from(topics).join(', ')}`;
+    if (topics.length > 0) {
+      summary += ` focused on ${topics.slice(0, 5).join(', ')}`;
     }
     if (hasConfusion) {
       summary += '. Student showing confusion';
@@ -181,34 +324,13 @@ class MemoryService {
     return 'mixed';
   }
 
-  inferStudyFocus(topics) {
-    if (topics.length === 0) return 'general';
-    
-    // Map topics to broader study areas
-    const areaMapping = {
-      'contract': 'Contract Law',
-      'tort': 'Tort Law',
-      'criminal': 'Criminal Law',
-      'constitutional': 'Constitutional Law',
-      'property': 'Property Law',
-      'case law': 'Legal Research',
-      'statute': 'Statutory Interpretation',
-      'precedent': 'Case Analysis',
-      'evidence': 'Evidence Law',
-      'procedure': 'Legal Procedure'
-    };
+  inferStudyFocus(matches) {
+    const areas = this.rankModules(matches);
     
-    const areas = new Set();
-    for (const topic of topics) {
-      if (areaMapping[topic]) {
-        areas.add(areaMapping[topic]);
-      }
-    }
-    
-    if (areas.size === 1) {
-      return Array.from(areas)[0];
-    } else if (areas.size > 1) {
-      return `Multiple areas: ${Array.from(areas).join(', ')}`;
+    if (areas.length === 1) {
+      return areas[0];
+    } else if (areas.length > 1) {
+      return `Multiple areas: ${areas.join(', ')}`;
     }
     
     return 'general';
@@ -236,65 +358,311 @@ class MemoryService {
     return supportSignals >= interactions.length * 0.3; // 30% threshold
   }
 
+  newProfile(userId) {
+    return {
+      schema_version: SCHEMA_VERSION,
+      userId,
+      created: new Date(),
+      preferences: {},
+      learning_style: null,
+      study_patterns: {},
+      wellbeing_indicators: {},
+      long_term_memory: null
+    };
+  }
+
   // User profile management
-  updateUserProfile(userId, updates) {
-    if (!this.userProfiles.has(userId)) {
-      this.userProfiles.set(userId, {
-        userId,
-        created: new Date(),
-        preferences: {},
-        learning_style: null,
-        study_patterns: {},
-        wellbeing_indicators: {}
-      });
+  async updateUserProfile(userId, updates) {
+    const startedAt = Date.now();
+    await this.ready;
+    
+    return this.withLock(`profile_${userId}`, async () => {
+      if (this.erasedSince(userId, startedAt)) return null;
+      const profile = (await this.store.getProfile(userId)) || this.newProfile(userId);
+      
+      Object.assign(profile, updates, { last_updated: new Date() });
+      await this.store.saveProfile(userId, profile);
+      
+      logger.memory.update(userId, 'profile', { updatedFields: Object.keys(updates) });
+      
+      return profile;
+    });
+  }
+
+  // Merge into the stored indicators so one update doesn't wipe the others
+  async updateWellbeingIndicators(userId, indicators) {
+    const startedAt = Date.now();
+    await this.ready;
+    
+    return this.withLock(`profile_${userId}`, async () => {
+      if (this.erasedSince(userId, startedAt)) return null;
+      const profile = (await this.store.getProfile(userId)) || this.newProfile(userId);
+      
+      profile.wellbeing_indicators = { ...profile.wellbeing_indicators, ...indicators };
+      profile.last_updated = new Date();
+      await this.store.saveProfile(userId, profile);
+      
+      logger.memory.update(userId, 'profile', { updatedFields: ['wellbeing_indicators'] });
+      
+      return profile;
+    });
+  }
+
+  async getUserProfile(userId) {
+    await this.ready;
+    return this.store.getProfile(userId);
+  }
+
+  // Worry categories raised in a message, or [] if the student doesn't sound worried
+  detectWorries(text) {
+    const input = text.toLowerCase();
+    const categories = Object.entries(WORRY_CATEGORIES)
+      .filter(([, category]) => category.terms.some(term => mentions(input, term)))
+      .map(([key]) => key);
+    
+    const worried = WORRY_INDICATORS.some(indicator => input.includes(indicator)) ||
+      categories.includes('wellbeing');
+    if (!worried) return [];
+    
+    return categories.length > 0 ? categories : ['general'];
+  }
+
+  // Fold interactions into long-term memory (topics, modules, recurring worries, preferences)
+  applyToLongTermMemory(memory, interactions, { channel, at = new Date() } = {}) {
+    const seen = new Date(at).toISOString();
+    const bump = (map, key, extra = {}) => {
+      const entry = map[key] || { count: 0 };
+      map[key] = { ...entry, ...extra, count: entry.count + 1, last_seen: seen };
+    };
+    
+    for (const interaction of interactions) {
+      if (!interaction.user_input) continue;
+      
+      for (const match of this.topics.match(interaction.user_input)) {
+        bump(memory.modules, match.module);
+        if (match.topic) bump(memory.topics, match.topic, { module: match.module });
+      }
+      for (const category of this.detectWorries(interaction.user_input)) {
+        bump(memory.worries, category);
+      }
     }
     
-    const profile = this.userProfiles.get(userId);
-    Object.assign(profile, updates, { last_updated: new Date() });
+    // Forget the least recently studied topics first
+    const topics = Object.entries(memory.topics);
+    if (topics.length > MAX_REMEMBERED_TOPICS) {
+      topics.sort((a, b) => b[1].last_seen.localeCompare(a[1].last_seen));
+      memory.topics = Object.fromEntries(topics.slice(0, MAX_REMEMBERED_TOPICS));
+    }
     
-    logger.memory.update(userId, 'profile', { updatedFields: Object.keys(updates) });
+    if (channel) memory.channels[channel] = (memory.channels[channel] || 0) + interactions.length;
+    memory.updated_at = seen;
+    return memory;
+  }
+
+  emptyLongTermMemory() {
+    return { topics: {}, modules: {}, worries: {}, preferences: {}, channels: {}, sessions: [], updated_at: null };
+  }
+
+  // Record a finished voice session or a chat turn in the student's long-term memory
+  async updateLongTermMemory(userId, interactions, { channel, summary = null, preferences = null, startedAt = Date.now() } = {}) {
+    await this.ready;
     
-    return profile;
+    return this.withLock(`profile_${userId}`, async () => {
+      if (this.erasedSince(userId, startedAt)) return null;
+      const profile = (await this.store.getProfile(userId)) || this.newProfile(userId);
+      let memory = profile.long_term_memory;
+      if (memory) {
+        this.applyToLongTermMemory(memory, interactions, { channel });
+      } else {
+        // Callers store the conversation first, so seeding already includes these interactions
+        memory = await this.buildLongTermMemory(userId);
+      }
+      if (preferences && Object.keys(preferences).length > 0) {
+        memory.preferences = { ...memory.preferences, ...preferences };
+      }
+      if (summary) {
+        memory.sessions = [...memory.sessions, { at: memory.updated_at, channel, summary: summary.slice(0, 300) }]
+          .slice(-MAX_REMEMBERED_SESSIONS);
+      }
+      
+      profile.long_term_memory = memory;
+      profile.last_updated = new Date();
+      await this.store.saveProfile(userId, profile);
+      
+      logger.memory.update(userId, 'long_term_memory', { channel, interactions: interactions.length });
+      return memory;
+    });
   }
 
-  getUserProfile(userId) {
-    return this.userProfiles.get(userId) || null;
+  // First use: seed long-term memory from the student's saved conversations
+  async buildLongTermMemory(userId) {
+    const memory = this.emptyLongTermMemory();
+    const conversations = await this.store.listConversations(userId);
+    
+    for (const conversation of conversations) {
+      const channel = conversation.sessionId.startsWith('voice_') ? 'voice' : 'text';
+      this.applyToLongTermMemory(memory, conversation.interactions, { channel, at: conversation.created });
+    }
+    
+    return memory;
+  }
+
+  // What Durmah should remember about a student at the start of a session, or null if nothing yet
+  async getLongTermMemory(userId) {
+    await this.ready;
+    const profile = await this.store.getProfile(userId);
+    const memory = profile?.long_term_memory || (await this.buildLongTermMemory(userId));
+    
+    const ranked = (map, by) => Object.entries(map)
+      .sort((a, b) => (by === 'count' ? b[1].count - a[1].count : b[1].last_seen.localeCompare(a[1].last_seen)));
+    
+    const digest = {
+      modules: ranked(memory.modules, 'count').slice(0, 3).map(([name]) => name),
+      recent_topics: ranked(memory.topics, 'recent').slice(0, 6).map(([name]) => name),
+      recurring_worries: ranked(memory.worries, 'count')
+        .filter(([, entry]) => entry.count >= 2)
+        .map(([key, entry]) => ({ category: key, label: WORRY_CATEGORIES[key]?.label || 'general stress', count: entry.count })),
+      preferences: memory.preferences,
+      last_session: memory.sessions[memory.sessions.length - 1] || null
+    };
+    
+    const empty = digest.modules.length === 0 && digest.recurring_worries.length === 0 &&
+      Object.keys(digest.preferences).length === 0 && !digest.last_session;
+    
+    logger.memory.retrieve(userId, 'long_term_memory', empty ? 0 : 1);
+    return empty ? null : digest;
+  }
+
+  // Provenance ledger (kept outside conversations so cleanup never removes it)
+  async storeProvenance(userId, record, { startedAt = Date.now() } = {}) {
+    await this.ready;
+    if (this.erasedSince(userId, startedAt)) return null;
+    await this.store.appendProvenance(userId, record);
+    logger.memory.store(userId, 'provenance_record', { recordId: record.id });
+    return record;
+  }
+
+  async getProvenance(userId, filters = {}) {
+    await this.ready;
+    const records = await this.store.listProvenance(userId, filters);
+    logger.memory.retrieve(userId, 'provenance', records.length, filters.module ? { module: filters.module } : {});
+    return records;
+  }
+
+  // Everything stored for one user, for a subject access export
+  async exportUserData(userId) {
+    await this.ready;
+    const [profile, conversations, provenance] = await Promise.all([
+      this.store.getProfile(userId),
+      this.store.listConversations(userId),
+      this.store.listProvenance(userId)
+    ]);
+
+    logger.memory.retrieve(userId, 'data_export', conversations.length + provenance.length);
+    return { profile, conversations, provenance };
+  }
+
+  // Right to erasure: conversations, profile (incl. long-term memory) and provenance
+  async eraseUserData(userId) {
+    // Tombstone first: writes that began before now are dropped, even ones not yet queued
+    this.erasures.set(userId, Date.now());
+    await this.ready;
+
+    // Let writes already past the tombstone check land first so the delete catches them.
+    // Folds in progress aren't waited on: their write happens under the conversation lock.
+    const prefix = this.conversationKey(userId, '');
+    await Promise.allSettled(
+      Array.from(this.locks.entries())
+        .filter(([key]) => key.startsWith(prefix))
+        .map(([, pending]) => pending)
+    );
+
+    // Profile and long-term memory writes queue on their own lock; delete behind them
+    const removed = await this.withLock(`profile_${userId}`, () => this.store.deleteUserData(userId));
+    logger.memory.update(userId, 'data_erased', removed);
+    return removed;
+  }
+
+  // Audit trail of export/erasure requests; survives the erasure it records
+  async recordDataRequest(record) {
+    await this.ready;
+    await this.store.appendDataRequest(record);
+    return record;
+  }
+
+  async getDataRequests(userId) {
+    await this.ready;
+    return this.store.listDataRequests(userId);
+  }
+
+  // Text chats have no explicit end, so idle ones are summarised into long-term memory
+  // by the scheduler. Voice sessions are recorded when they finish.
+  async summarizeIdleConversations(idleMs = 30 * 60 * 1000) {
+    await this.ready;
+    const conversations = await this.store.listIdleConversations(new Date(Date.now() - idleMs));
+    let summarized = 0;
+    
+    for (const idle of conversations) {
+      const last = idle.interactions[idle.interactions.length - 1];
+      if (!last || idle.sessionId.startsWith('voice_') || idle.userId === anonymousUser().id) continue;
+      if (idle.summary_recorded_at && new Date(idle.summary_recorded_at) >= last.timestamp) continue;
+      
+      const key = this.conversationKey(idle.userId, idle.sessionId);
+      await this.withLock(key, async () => {
+        const conversation = await this.store.getConversation(key);
+        if (!conversation) return;
+        
+        const summary = await this.summarizeTurns(conversation.summary, conversation.interactions);
+        conversation.summary_recorded_at = new Date().toISOString();
+        await this.store.saveConversation(key, conversation);
+        
+        await this.updateLongTermMemory(conversation.userId, [], { channel: 'text', summary: summary.text });
+      });
+      summarized++;
+    }
+    
+    return summarized;
   }
 
   // Memory cleanup
-  cleanup(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
-    const now = Date.now();
-    let cleaned = 0;
-    
-    // Clean old conversations
-    for (const [key, conversation] of this.conversations) {
-      if (now - conversation.created.getTime() > maxAge) {
-        this.conversations.delete(key);
-        cleaned++;
-      }
+  async cleanup(maxAge = 24 * 60 * 60 * 1000) { // 24 hours default
+    await this.ready;
+    const cleaned = await this.store.deleteConversationsOlderThan(new Date(Date.now() - maxAge));
+    
+    // Nothing in flight outlives maxAge, so older tombstones can go
+    for (const [userId, erasedAt] of this.erasures) {
+      if (erasedAt < Date.now() - maxAge) this.erasures.delete(userId);
     }
     
-    logger.info(`Memory cleanup completed`, { conversationsRemoved: cleaned });
+    logger.info(`Memory cleanup completed`, { conversationsRemoved: cleaned, store: this.store.name });
     return cleaned;
   }
 
   // Get memory statistics
-  getStats() {
+  async getStats() {
+    await this.ready;
+    const stats = await this.store.getStats();
+    
     return {
-      active_conversations: this.conversations.size,
-      user_profiles: this.userProfiles.size,
-      total_interactions: Array.from(this.conversations.values())
-        .reduce((sum, conv) => sum + conv.interactions.length, 0),
-      memory_usage: {
-        conversations: `${JSON.stringify(Array.from(this.conversations.values())).length} chars`,
-        profiles: `${JSON.stringify(Array.from(this.userProfiles.values())).length} chars`
-      }
+      store: this.store.name,
+      persistent: this.store.persistent,
+      active_conversations: stats.conversations,
+      user_profiles: stats.profiles,
+      provenance_records: stats.provenance_records,
+      total_interactions: stats.interactions
     };
   }
 
+  // Flush pending writes before shutdown
+  async close() {
+    await Promise.allSettled(Array.from(this.summaries.values(), fold => fold.summarizing));
+    await Promise.allSettled(Array.from(this.locks.values()));
+    await this.store.close();
+  }
+
   // Export conversation for analysis
-  exportConversation(userId, sessionId) {
-    const conversation = this.getConversation(userId, sessionId);
+  async exportConversation(userId, sessionId) {
+    const conversation = await this.getConversation(userId, sessionId);
     if (!conversation) return null;
     
     return {
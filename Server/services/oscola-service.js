@@ -0,0 +1,983 @@
+// Server/services/oscola-service.js - OSCOLA citation parsing, validation and correction
+const {
+  NEUTRAL_COURTS,
+  NEUTRAL_COURT_ALIASES,
+  LAW_REPORTS,
+  LAW_REPORT_ALIASES,
+  DECIDING_COURTS,
+  PROVISION_ABBREVIATIONS,
+  squash
+} = require('../lib/oscola/abbreviations');
+
+const CITATION_TYPES = ['case', 'statute', 'journal', 'book'];
+
+// [year] or (year), optional volume, series/court, first page or case number, optional (division/court)
+const CASE_CITATION = /^([[(]?)(\d{4})([\])]?)\s+(?:(\d+)\s+)?([A-Za-z][A-Za-z.'’ ]*?(?:\s*\([A-Za-z]+\))?)\s+(\d+)(?:\s*\(([A-Za-z. ]+)\))?/;
+
+// Dropped from party names in short forms, repeatedly from the end
+const COMPANY_SUFFIX = /,?\s+(?:plc|ltd|limited|llp|inc|corp|corporation|co|company|group|holdings|industries|\(uk\)|(?:&|and) co|and (?:an)?others?)\.?$/i;
+
+const issue = (code, message, severity = 'error') => ({ code, severity, message });
+
+const formatRange = (from, to) => (to ? `${from}–${to}` : `${from}`);
+
+class OscolaService {
+  constructor() {
+    this.types = CITATION_TYPES;
+  }
+
+  // Parse a citation, report OSCOLA problems and suggest a corrected form
+  validateCitation(input, type = null) {
+    const issues = [];
+    const { text, italics } = this.extractItalics(this.normalize(input));
+    const citationType = type || this.detectType(text);
+
+    let fields = null;
+    switch (citationType) {
+      case 'case':
+        fields = this.parseCase(text, issues);
+        break;
+      case 'statute':
+        fields = this.parseStatute(text, issues);
+        break;
+      case 'journal':
+        fields = this.parseJournal(text, issues);
+        break;
+      case 'book':
+        fields = this.parseBook(text, issues);
+        break;
+      default:
+        break;
+    }
+
+    if (!fields) {
+      issues.push(issue(
+        'unrecognised_citation',
+        citationType
+          ? `This does not look like an OSCOLA ${citationType} citation`
+          : 'Could not tell whether this is a case, statute, journal article or book citation'
+      ));
+    } else {
+      this.checkItalics(citationType, fields, italics, issues);
+    }
+
+    const suggestion = fields ? this.formatCitation(citationType, fields) : null;
+    // One entry per problem; later checks can restate an earlier one
+    const uniqueIssues = issues.filter((item, index) => issues.findIndex(other => other.code === item.code) === index);
+
+    return {
+      input,
+      type: fields ? citationType : 'unknown',
+      valid: !uniqueIssues.some(item => item.severity === 'error'),
+      fields,
+      issues: uniqueIssues,
+      suggestion,
+      italics: fields ? this.italicParts(citationType, fields) : [],
+      formatted: suggestion ? {
+        plain: suggestion,
+        markdown: this.formatCitation(citationType, fields, { markdown: true })
+      } : null
+    };
+  }
+
+  normalize(input) {
+    return String(input)
+      .replace(/\s+/g, ' ')
+      .replace(/[‘’]/g, '\'')
+      .trim()
+      .replace(/\.$/, ''); // The footnote's closing full stop is not part of the citation
+  }
+
+  // Pull out *markdown* or _markdown_ emphasis so italics can be checked
+  extractItalics(text) {
+    const italics = [];
+    const stripped = text.replace(/(^|[^*\w])([*_])([^*_]+?)\2(?=$|[^*\w])/g, (match, before, marker, inner) => {
+      italics.push(inner.trim());
+      return `${before}${inner}`;
+    });
+    return { text: stripped, italics };
+  }
+
+  detectType(text) {
+    if (/['"“].+['"”],?\s*[[(]\d{4}[\])]/.test(text)) return 'journal';
+    if (/\s(?:v|vs|versus)\.?\s/i.test(text) || /^(?:Re|In re|Ex p)\s/i.test(text)) return 'case';
+    if (/[[(]?\d{4}[\])]?\s+(?:\d+\s+)?(?:UKSC|UKHL|UKPC|EWCA|EWHC)\b/i.test(text)) return 'case';
+    if (/\bAct\b/.test(text)) return 'statute';
+    if (/,.+\([^()]*\d{4}\)/.test(text)) return 'book';
+    return null;
+  }
+
+  // Cases
+
+  parseCase(text, issues) {
+    let working = text;
+
+    if (/\s(?:v\.|vs\.?|versus|V)\s/i.test(working) && !/\sv\s/.test(working)) {
+      issues.push(issue('case_separator', 'Separate the parties with a lower-case v and no full stop'));
+    }
+    working = working.replace(/\s(?:v\.|vs\.?|versus|V)\s/gi, ' v ');
+
+    const split = working.match(/^(.+?)\s*((?:\[|\()?\d{4}(?:\]|\))?\s+(?:\d+\s+)?[A-Za-z].*)$/);
+    if (!split) {
+      issues.push(issue('missing_citation', 'Give the year and a neutral citation or law report after the case name'));
+      const parties = this.parseParties(working, issues);
+      return { name: parties.join(' v '), parties, citations: [], court: null, pinpoint: null };
+    }
+
+    let name = split[1];
+    if (name.endsWith(',')) {
+      issues.push(issue('comma_after_name', 'There is no comma between the case name and the citation'));
+      name = name.slice(0, -1).trim();
+    }
+
+    const citations = [];
+    let court = null;
+    let rest = split[2];
+
+    while (rest) {
+      const match = rest.match(CASE_CITATION);
+      if (!match) break;
+
+      const citation = this.parseCaseCitation(match, issues);
+      if (citation.deciding_court) {
+        court = citation.deciding_court;
+        delete citation.deciding_court;
+      }
+      citations.push(citation);
+      rest = rest.slice(match[0].length);
+
+      const separator = rest.match(/^\s*[,;]\s*(?=[[(]?\d{4}[\])]?\s)/);
+      if (!separator) break;
+      if (separator[0].includes(';')) {
+        issues.push(issue('citation_separator', 'Separate parallel citations with a comma', 'warning'));
+      }
+      rest = rest.slice(separator[0].length);
+    }
+
+    if (citations.length === 0) {
+      issues.push(issue('missing_citation', 'Could not find a neutral citation or law report reference'));
+    }
+
+    const hasNeutral = citations.some(citation => citation.kind === 'neutral');
+    let pinpoint = this.parsePinpoint(rest.trim(), issues, { separator: court && !hasNeutral ? ' ' : ',' });
+
+    if (hasNeutral && citations[0].kind !== 'neutral') {
+      issues.push(issue('neutral_citation_first', 'Give the neutral citation before any law report citation', 'warning'));
+      citations.sort((a, b) => (a.kind === 'neutral' ? -1 : 0) - (b.kind === 'neutral' ? -1 : 0));
+    }
+
+    if (hasNeutral && court) {
+      issues.push(issue('redundant_court', 'The court is clear from the neutral citation, so leave out the bracketed court', 'warning'));
+      court = null;
+    } else if (!hasNeutral && !court && citations.length > 0) {
+      issues.push(issue('court_hint', 'If the court is not obvious from the report, add it in brackets, e.g. (HL)', 'info'));
+    }
+
+    // Neutral citations have no pages, so ", 45" or "at 45" means paragraph 45
+    if (pinpoint?.type === 'page' && citations.length > 0 && citations.every(citation => citation.kind === 'neutral')) {
+      const stale = issues.filter(item => item.code === 'pinpoint_format');
+      stale.forEach(item => issues.splice(issues.indexOf(item), 1));
+      issues.push(issue('pinpoint_format', `Neutral citations are pinpointed by paragraph number in square brackets: [${pinpoint.from}]${pinpoint.to ? `–[${pinpoint.to}]` : ''}`));
+      pinpoint = { ...pinpoint, type: 'paragraph' };
+    }
+
+    const parties = this.parseParties(name, issues);
+
+    return {
+      name: parties.join(' v '),
+      parties,
+      citations,
+      court,
+      pinpoint
+    };
+  }
+
+  parseParties(name, issues) {
+    const parties = name.split(' v ');
+    if (/^(?:Regina|Rex|Reg|The Queen|The King)$/i.test(parties[0])) {
+      issues.push(issue('crown_abbreviation', 'Refer to the Crown as R', 'warning'));
+      parties[0] = 'R';
+    }
+    return parties;
+  }
+
+  parseCaseCitation(match, issues) {
+    const [, open, year, close, volume, rawSeries, number, bracketed] = match;
+    const series = rawSeries.trim();
+
+    const neutral = this.resolveNeutralCourt(series, bracketed, issues);
+    if (neutral) {
+      if (open !== '[' || close !== ']') {
+        issues.push(issue('missing_square_brackets', `Put the year of a neutral citation in square brackets: [${year}] ${neutral.court}`));
+      }
+      if (parseInt(year) < NEUTRAL_COURTS[neutral.court]?.since) {
+        issues.push(issue('neutral_citation_year', `${neutral.court} neutral citations only exist from ${NEUTRAL_COURTS[neutral.court].since}`, 'warning'));
+      }
+      return {
+        kind: 'neutral',
+        year: parseInt(year),
+        court: neutral.court,
+        number: parseInt(number),
+        division: neutral.division
+      };
+    }
+
+    const report = this.resolveLawReport(series, issues);
+    const organised = LAW_REPORTS[report]?.organised;
+    const brackets = organised === 'year' ? '[]' : organised === 'volume' ? '()' : `${open || '['}${close || ']'}`;
+
+    if (!open || !close) {
+      issues.push(issue('missing_year_brackets', `Put the year in ${brackets === '[]' ? 'square' : 'round'} brackets`));
+    } else if (organised && `${open}${close}` !== brackets) {
+      issues.push(issue(
+        'year_brackets',
+        organised === 'year'
+          ? `${report} is organised by year, so the year goes in square brackets`
+          : `${report} is organised by volume, so the year goes in round brackets`
+      ));
+    }
+
+    if (organised === 'volume' && !volume) {
+      issues.push(issue('missing_volume', `${report} citations need a volume number before the report abbreviation`, 'warning'));
+    }
+
+    let decidingCourt = null;
+    if (bracketed) {
+      decidingCourt = bracketed.replace(/\./g, '').trim();
+      if (decidingCourt !== bracketed.trim()) {
+        issues.push(issue('abbreviation_full_stops', 'Court abbreviations take no full stops'));
+      }
+      const known = DECIDING_COURTS.find(courtName => courtName.toUpperCase() === decidingCourt.toUpperCase());
+      if (known) decidingCourt = known;
+    }
+
+    return {
+      kind: 'report',
+      year: parseInt(year),
+      brackets,
+      volume: volume ? parseInt(volume) : null,
+      report,
+      page: parseInt(number),
+      deciding_court: decidingCourt
+    };
+  }
+
+  resolveNeutralCourt(series, bracketed, issues) {
+    let base = series;
+    let division = bracketed ? bracketed.trim() : null;
+    let divisionMisplaced = false;
+
+    const inner = series.match(/^(.*?)\s*\(([A-Za-z]+)\)$/);
+    if (inner) {
+      base = inner[1];
+      division = inner[2];
+      divisionMisplaced = true;
+    }
+
+    const key = squash(base);
+    let court = Object.keys(NEUTRAL_COURTS).find(name => squash(name) === key) || NEUTRAL_COURT_ALIASES[key];
+
+    // Division run into the court, e.g. "EWHC Admin 123"
+    if (!court) {
+      for (const [name, details] of Object.entries(NEUTRAL_COURTS)) {
+        const found = (details.divisions || []).find(div => squash(name) + squash(div) === key);
+        if (found) {
+          court = name;
+          division = found;
+          divisionMisplaced = true;
+        }
+      }
+    }
+
+    if (!court && key === 'EWCA') {
+      issues.push(issue('ambiguous_court', 'Court of Appeal neutral citations need the division: EWCA Civ or EWCA Crim'));
+      return { court: 'EWCA', division: null };
+    }
+
+    if (!court) return null;
+
+    if (base !== court && !divisionMisplaced) {
+      issues.push(issue('court_abbreviation', `Write the court as ${court}, not ${base}`));
+    } else if (divisionMisplaced && squash(base) !== squash(court)) {
+      issues.push(issue('court_abbreviation', `Write the court as ${court}, not ${base}`));
+    }
+
+    const divisions = NEUTRAL_COURTS[court].divisions;
+    if (divisions) {
+      const known = division && divisions.find(div => div.toUpperCase() === division.toUpperCase());
+      if (!division) {
+        issues.push(issue('missing_division', `${court} neutral citations end with the division in brackets, e.g. [2006] ${court} 407 (${divisions[0]})`));
+      } else if (!known) {
+        issues.push(issue('unknown_division', `${division} is not a ${court} division (expected one of ${divisions.join(', ')})`));
+      } else {
+        if (divisionMisplaced) {
+          issues.push(issue('division_position', `The division goes in brackets after the case number: ${court} 123 (${known})`));
+        }
+        division = known;
+      }
+    } else if (division) {
+      // A bracketed court after a neutral citation is redundant rather than a division
+      issues.push(issue('redundant_court', 'The court is clear from the neutral citation, so leave out the bracketed court', 'warning'));
+      division = null;
+    }
+
+    return { court, division };
+  }
+
+  resolveLawReport(series, issues) {
+    if (LAW_REPORTS[series]) return series;
+
+    const key = squash(series);
+    const report = Object.keys(LAW_REPORTS).find(name => squash(name) === key) || LAW_REPORT_ALIASES[key];
+
+    if (report) {
+      issues.push(issue(
+        series.includes('.') ? 'abbreviation_full_stops' : 'report_abbreviation',
+        series.includes('.')
+          ? `Law report abbreviations take no full stops: ${report}`
+          : `Write the law report as ${report}, not ${series}`
+      ));
+      return report;
+    }
+
+    const cleaned = series.replace(/\./g, '');
+    if (cleaned !== series) {
+      issues.push(issue('abbreviation_full_stops', 'Law report abbreviations take no full stops'));
+    }
+    issues.push(issue('unknown_report', `${cleaned} is not a recognised law report; check the abbreviation in the Cardiff Index`, 'warning'));
+    return cleaned;
+  }
+
+  // Shared by cases, journals and books: "[45]", ", 580", "para 45", "p 580"
+  parsePinpoint(text, issues, { allowParagraph = true, separator = ',' } = {}) {
+    if (!text) return null;
+
+    let match = text.match(/^(,)?\s*(at\s+)?\[(\d+)\](?:\s*[-–]\s*\[(\d+)\])?$/i);
+    if (match && allowParagraph) {
+      if (match[1] || match[2]) {
+        issues.push(issue('pinpoint_format', 'Paragraph pinpoints follow the citation directly, with no comma or "at"'));
+      }
+      return { type: 'paragraph', from: parseInt(match[3]), to: match[4] ? parseInt(match[4]) : null };
+    }
+
+    match = text.match(/^,?\s*(?:at\s+)?(?:paras?\.?|¶)\s*(\d+)(?:\s*[-–]\s*(\d+))?$/i);
+    if (match && allowParagraph) {
+      issues.push(issue('pinpoint_format', `Put paragraph pinpoints in square brackets: [${match[1]}]`));
+      return { type: 'paragraph', from: parseInt(match[1]), to: match[2] ? parseInt(match[2]) : null };
+    }
+
+    match = text.match(/^(,)?\s*(at\s+)?(?:(pp?\.?|pages?)\s*)?(\d+)(?:\s*[-–]\s*(\d+))?$/i);
+    if (match) {
+      if (match[3]) {
+        issues.push(issue('pinpoint_format', `Give page pinpoints as a bare number, without "${match[3]}"`));
+      } else if (match[2]) {
+        issues.push(issue('pinpoint_format', 'Page pinpoints do not take "at"'));
+      }
+      if (separator === ',' && !match[1] && !match[2] && !match[3]) {
+        issues.push(issue('pinpoint_format', 'Separate a page pinpoint from the first page with a comma'));
+      }
+      if (separator === ' ' && match[1]) {
+        issues.push(issue('pinpoint_format', 'A page pinpoint follows the closing bracket with no comma'));
+      }
+      return { type: 'page', from: parseInt(match[4]), to: match[5] ? parseInt(match[5]) : null };
+    }
+
+    issues.push(issue('unparsed_text', `Could not interpret "${text}"`, 'warning'));
+    return null;
+  }
+
+  // Statutes
+
+  parseStatute(text, issues) {
+    const match = text.match(/^(the\s+)?(.+?\bAct)(\s*,)?\s*(\d{4})?(?:\s*\((c\s*\d+)\))?(\s*,)?\s*(?:(sections?|secs?|schedule|sch|ss|s|part|pt|articles?|art|regulations?|reg|paragraphs?|paras?)(?=[\s.\d])(\.)?\s*(.+))?$/i);
+    if (!match) return null;
+
+    const [, leadingThe, rawTitle, commaBeforeYear, year, chapter, commaBeforeProvision, rawProvision, provisionDot, provisionNumber] = match;
+    const title = rawTitle.trim();
+
+    if (leadingThe) {
+      issues.push(issue('leading_the', 'Drop "The" from the start of the short title', 'warning'));
+    }
+    if (!/^[A-Z]/.test(title)) {
+      issues.push(issue('title_case', 'Capitalise the short title of the Act', 'warning'));
+    }
+    if (commaBeforeYear) {
+      issues.push(issue('comma_before_year', 'There is no comma between the short title and the year'));
+    }
+    if (!year) {
+      issues.push(issue('missing_year', 'Give the year as part of the short title, e.g. Human Rights Act 1998'));
+    }
+    if (chapter) {
+      issues.push(issue('chapter_number', 'Chapter numbers are not needed in OSCOLA citations', 'info'));
+    }
+
+    let provision = null;
+    if (rawProvision) {
+      let abbreviation = PROVISION_ABBREVIATIONS[rawProvision.toLowerCase()] || rawProvision.toLowerCase();
+      const number = provisionNumber.trim().replace(/\s+\(/g, '(');
+
+      if (rawProvision !== abbreviation) {
+        issues.push(issue('provision_abbreviation', `Abbreviate "${rawProvision}" to "${abbreviation}"`));
+      }
+      if (provisionDot) {
+        issues.push(issue('abbreviation_full_stops', `Write "${abbreviation}" without a full stop`));
+      }
+      if (!commaBeforeProvision && (year || chapter)) {
+        issues.push(issue('missing_comma', 'Put a comma between the Act and the provision'));
+      }
+      if (abbreviation === 's' && /\d.*(?:\band\b|,|–|-)\s*\d/.test(number)) {
+        issues.push(issue('provision_abbreviation', 'Use "ss" when citing more than one section', 'warning'));
+        abbreviation = 'ss';
+      }
+
+      provision = { type: abbreviation, number };
+    }
+
+    return {
+      title: title.charAt(0).toUpperCase() + title.slice(1),
+      year: year ? parseInt(year) : null,
+      provision
+    };
+  }
+
+  // Journal articles
+
+  parseJournal(text, issues) {
+    const match = text.match(/^(.+?),\s*(['"“])(.+?)(['"”])(\s*,)?\s*([[(])(\d{4})([\])])\s*(?:(\d+)\s+)?(?:\((\d+)\)\s*)?(.+?)\s+(\d+)(.*)$/);
+    if (!match) return null;
+
+    const [, author, openQuote, title, , commaAfterTitle, open, year, close, volume, issueNumber, rawJournal, firstPage, rest] = match;
+
+    if (openQuote !== '\'') {
+      issues.push(issue('quotation_marks', 'Article titles go in single quotation marks'));
+    }
+    if (commaAfterTitle) {
+      issues.push(issue('comma_after_title', 'There is no comma between the article title and the year'));
+    }
+
+    const brackets = volume ? '()' : '[]';
+    if (`${open}${close}` !== brackets) {
+      issues.push(issue(
+        'year_brackets',
+        volume
+          ? 'Journals with volume numbers put the year in round brackets'
+          : 'Journals organised by year (no volume number) put the year in square brackets'
+      ));
+    }
+
+    const journal = rawJournal.replace(/\./g, '').replace(/\s+/g, ' ').trim();
+    if (journal !== rawJournal.trim()) {
+      issues.push(issue('abbreviation_full_stops', 'Journal abbreviations take no full stops'));
+    }
+    if (issueNumber) {
+      issues.push(issue('issue_number', 'Only give the issue number if each issue starts at page 1', 'info'));
+    }
+
+    return {
+      author: author.trim(),
+      title: title.trim(),
+      year: parseInt(year),
+      brackets,
+      volume: volume ? parseInt(volume) : null,
+      issue: issueNumber ? parseInt(issueNumber) : null,
+      journal,
+      first_page: parseInt(firstPage),
+      pinpoint: this.parsePinpoint(rest.trim(), issues, { allowParagraph: false })
+    };
+  }
+
+  // Books
+
+  parseBook(text, issues) {
+    const match = text.match(/^(.+?),\s*(['"“]?)(.+?)(['"”]?)\s*\(([^()]+)\)\s*(.*)$/);
+    if (!match) return null;
+
+    const [, author, openQuote, title, , publication, rest] = match;
+
+    if (openQuote) {
+      issues.push(issue('book_title_quotes', 'Book titles are italicised, not put in quotation marks'));
+    }
+
+    let details = publication.trim();
+    let edition = null;
+
+    const editionMatch = details.match(/^(\d+(?:st|nd|rd|th))\s*(edn|ed\.?|edition)\s*,?\s*/i);
+    if (editionMatch) {
+      edition = editionMatch[1];
+      if (editionMatch[2] !== 'edn') {
+        issues.push(issue('edition_format', `Write the edition as "${edition} edn"`));
+      }
+      if (!editionMatch[0].includes(',')) {
+        issues.push(issue('edition_format', 'Put a comma after the edition'));
+      }
+      details = details.slice(editionMatch[0].length);
+    }
+
+    const yearMatch = details.match(/^(.*?)(\s*,)?\s*(\d{4})$/);
+    let publisher = yearMatch ? yearMatch[1].trim() : details;
+    const year = yearMatch ? parseInt(yearMatch[3]) : null;
+
+    if (!year) {
+      issues.push(issue('missing_year', 'Give the year of publication at the end of the brackets'));
+    } else if (yearMatch[2] && publisher) {
+      issues.push(issue('comma_before_year', 'There is no comma between the publisher and the year'));
+    }
+
+    if (publisher.includes(':')) {
+      issues.push(issue('place_of_publication', 'OSCOLA does not give the place of publication'));
+      publisher = publisher.split(':').pop().trim();
+    }
+    if (!publisher) {
+      issues.push(issue('missing_publisher', 'Give the publisher before the year', 'warning'));
+    }
+
+    return {
+      author: author.trim(),
+      title: title.trim(),
+      edition,
+      publisher: publisher || null,
+      year,
+      pinpoint: this.parsePinpoint(rest.trim(), issues, { allowParagraph: false, separator: ' ' })
+    };
+  }
+
+  // Italics
+
+  italicParts(type, fields) {
+    if (type === 'case') return [fields.name];
+    if (type === 'book') return [fields.title];
+    return [];
+  }
+
+  checkItalics(type, fields, italics, issues) {
+    const expected = this.italicParts(type, fields);
+
+    if (italics.length === 0) {
+      if (expected.length > 0) {
+        issues.push(issue('italics_hint', `Italicise ${expected.map(part => `"${part}"`).join(' and ')}`, 'info'));
+      }
+      return;
+    }
+
+    for (const span of italics) {
+      const allowed = expected.some(part => part.includes(span) || span.replace(/\s(?:v\.|vs\.?)\s/gi, ' v ').includes(part));
+      if (!allowed) {
+        issues.push(issue('unexpected_italics', `"${span}" should not be in italics`, 'warning'));
+      }
+    }
+
+    for (const part of expected) {
+      if (!italics.some(span => part.includes(span) || span.includes(part))) {
+        issues.push(issue('missing_italics', `Italicise "${part}"`, 'warning'));
+      }
+    }
+  }
+
+  // Formatting
+
+  formatCitation(type, fields, { markdown = false } = {}) {
+    const italic = (value) => (markdown ? `*${value}*` : value);
+
+    switch (type) {
+      case 'case': {
+        const citations = fields.citations.map(citation => this.formatCaseCitation(citation)).join(', ');
+        let result = [italic(fields.parties.join(' v ')), citations].filter(Boolean).join(' ');
+        if (fields.court) result += ` (${fields.court})`;
+        if (fields.pinpoint) {
+          if (fields.pinpoint.type === 'paragraph') {
+            result += ` [${fields.pinpoint.from}]${fields.pinpoint.to ? `–[${fields.pinpoint.to}]` : ''}`;
+          } else {
+            result += `${fields.court ? ' ' : ', '}${formatRange(fields.pinpoint.from, fields.pinpoint.to)}`;
+          }
+        }
+        return result;
+      }
+
+      case 'statute': {
+        let result = fields.year ? `${fields.title} ${fields.year}` : fields.title;
+        if (fields.provision) result += `, ${fields.provision.type} ${fields.provision.number}`;
+        return result;
+      }
+
+      case 'journal': {
+        const [open, close] = fields.brackets;
+        let result = `${fields.author}, '${fields.title}' ${open}${fields.year}${close} `;
+        if (fields.volume) result += `${fields.volume}`;
+        if (fields.issue) result += `(${fields.issue})`;
+        if (fields.volume || fields.issue) result += ' ';
+        result += `${fields.journal} ${fields.first_page}`;
+        if (fields.pinpoint) result += `, ${formatRange(fields.pinpoint.from, fields.pinpoint.to)}`;
+        return result;
+      }
+
+      case 'book': {
+        const publication = [
+          fields.edition ? `${fields.edition} edn` : null,
+          [fields.publisher, fields.year].filter(Boolean).join(' ')
+        ].filter(Boolean).join(', ');
+        let result = `${fields.author}, ${italic(fields.title)} (${publication})`;
+        if (fields.pinpoint) result += ` ${formatRange(fields.pinpoint.from, fields.pinpoint.to)}`;
+        return result;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  formatCaseCitation(citation) {
+    if (citation.kind === 'neutral') {
+      return `[${citation.year}] ${citation.court} ${citation.number}${citation.division ? ` (${citation.division})` : ''}`;
+    }
+    const [open, close] = citation.brackets;
+    return `${open}${citation.year}${close} ${citation.volume ? `${citation.volume} ` : ''}${citation.report} ${citation.page}`;
+  }
+
+  // Generation from structured source details
+
+  // Returns a list of problems; empty when the source can be formatted
+  checkSource(source) {
+    const problems = [];
+    if (!source || typeof source !== 'object') return ['Source details are required'];
+    if (!CITATION_TYPES.includes(source.type)) {
+      return [`type must be one of ${CITATION_TYPES.join(', ')}`];
+    }
+
+    const requireFields = (...names) => names.forEach(name => {
+      if (source[name] === undefined || source[name] === null || source[name] === '') problems.push(`${name} is required`);
+    });
+
+    switch (source.type) {
+      case 'case':
+        requireFields('name');
+        if (source.reports !== undefined && source.reports !== null && !Array.isArray(source.reports)) {
+          problems.push('reports must be an array');
+          break;
+        }
+        if (!source.neutral && !(source.reports || []).length) {
+          problems.push('Give a neutral citation or at least one law report');
+        }
+        if (source.neutral && !(source.neutral.year && source.neutral.court && source.neutral.number)) {
+          problems.push('neutral needs year, court and number');
+        }
+        (source.reports || []).forEach((report, index) => {
+          if (!(report?.year && report.report && report.page)) problems.push(`reports[${index}] needs year, report and page`);
+        });
+        break;
+      case 'statute':
+        requireFields('title', 'year');
+        break;
+      case 'journal':
+        requireFields('title', 'year', 'journal', 'first_page');
+        if (!this.sourceAuthors(source).length) problems.push('authors is required');
+        break;
+      case 'book':
+        requireFields('title', 'year');
+        if (!this.sourceAuthors(source).length) problems.push('authors is required');
+        break;
+      default:
+        break;
+    }
+
+    return problems;
+  }
+
+  sourceAuthors(source) {
+    const authors = source.authors || source.author || [];
+    return (Array.isArray(authors) ? authors : [authors]).map(author => String(author).trim()).filter(Boolean);
+  }
+
+  // Structured details -> the field shape produced by the parsers
+  sourceToFields(source, pinpoint = null) {
+    switch (source.type) {
+      case 'case': {
+        const citations = [];
+        if (source.neutral) {
+          let court = source.neutral.court;
+          let division = source.neutral.division || null;
+          // The Court of Appeal's division is part of the court ("EWCA Crim 9"); High Court divisions stay in brackets
+          const combined = division && Object.keys(NEUTRAL_COURTS).find(name => squash(name) === squash(`${court} ${division}`));
+          if (combined) {
+            court = combined;
+            division = null;
+          }
+          citations.push({
+            kind: 'neutral',
+            year: parseInt(source.neutral.year),
+            court,
+            number: parseInt(source.neutral.number),
+            division
+          });
+        }
+        for (const report of source.reports || []) {
+          const organised = LAW_REPORTS[report.report]?.organised;
+          citations.push({
+            kind: 'report',
+            year: parseInt(report.year),
+            brackets: organised === 'volume' ? '()' : '[]',
+            volume: report.volume ? parseInt(report.volume) : null,
+            report: report.report,
+            page: parseInt(report.page)
+          });
+        }
+        const name = String(source.name).trim();
+        let casePinpoint = pinpoint ? this.parsePinpoint(String(pinpoint), []) : null;
+        // As in parseCase: a neutral citation alone is pinpointed by paragraph
+        if (casePinpoint?.type === 'page' && citations.length > 0 && citations.every(citation => citation.kind === 'neutral')) {
+          casePinpoint = { ...casePinpoint, type: 'paragraph' };
+        }
+        return {
+          name,
+          parties: name.split(' v '),
+          citations,
+          court: source.neutral ? null : source.court || null,
+          pinpoint: casePinpoint
+        };
+      }
+
+      case 'statute': {
+        let provision = source.provision ? { type: source.provision.type || 's', number: String(source.provision.number) } : null;
+        if (pinpoint) {
+          const match = String(pinpoint).match(/^(s|ss|sch|pt|art|reg|para)\s+(.+)$/);
+          provision = match ? { type: match[1], number: match[2] } : { type: 's', number: String(pinpoint) };
+        }
+        return { title: String(source.title).trim(), year: parseInt(source.year), provision };
+      }
+
+      case 'journal': {
+        const authors = this.sourceAuthors(source);
+        return {
+          authors,
+          author: this.formatAuthors(authors),
+          title: String(source.title).trim(),
+          year: parseInt(source.year),
+          brackets: source.volume ? '()' : '[]',
+          volume: source.volume ? parseInt(source.volume) : null,
+          issue: source.issue ? parseInt(source.issue) : null,
+          journal: String(source.journal).trim(),
+          first_page: parseInt(source.first_page),
+          pinpoint: pinpoint ? this.parsePinpoint(String(pinpoint), [], { allowParagraph: false }) : null
+        };
+      }
+
+      case 'book': {
+        const authors = this.sourceAuthors(source);
+        const edition = source.edition ? String(source.edition) : null;
+        return {
+          authors,
+          author: this.formatAuthors(authors),
+          title: String(source.title).trim(),
+          edition: edition && /^\d+$/.test(edition) ? this.ordinal(parseInt(edition)) : edition,
+          publisher: source.publisher || null,
+          year: parseInt(source.year),
+          pinpoint: pinpoint ? this.parsePinpoint(String(pinpoint), [], { allowParagraph: false, separator: ' ' }) : null
+        };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  // Full footnote, subsequent short form and bibliography entry for one source
+  generateCitation(source, { pinpoint = null, footnoteNumber = 1 } = {}) {
+    const fields = this.sourceToFields(source, pinpoint);
+    const footnote = `${this.formatCitation(source.type, fields)}.`;
+
+    // Re-check the generated text so unknown courts or reports are still reported
+    const issues = this.validateCitation(footnote, source.type).issues
+      .filter(item => item.severity !== 'info');
+
+    return {
+      type: source.type,
+      footnote,
+      short_form: `${this.shortForm(source, fields, footnoteNumber)}.`,
+      ibid: `${this.ibid(source.type, fields)}.`,
+      bibliography: this.bibliographyEntry(source),
+      markdown: {
+        footnote: `${this.formatCitation(source.type, fields, { markdown: true })}.`,
+        short_form: `${this.shortForm(source, fields, footnoteNumber, { markdown: true })}.`,
+        bibliography: this.bibliographyEntry(source, { markdown: true })
+      },
+      issues
+    };
+  }
+
+  formatPinpoint(type, fields) {
+    if (type === 'statute') return fields.provision ? `, ${fields.provision.type} ${fields.provision.number}` : '';
+    if (!fields.pinpoint) return '';
+    if (fields.pinpoint.type === 'paragraph') {
+      return ` [${fields.pinpoint.from}]${fields.pinpoint.to ? `–[${fields.pinpoint.to}]` : ''}`;
+    }
+    return ` ${formatRange(fields.pinpoint.from, fields.pinpoint.to)}`;
+  }
+
+  // Later citations: "Donoghue (n 3) 580", "Bradley and Ewing (n 4) 45"
+  shortForm(source, fields, footnoteNumber, { markdown = false } = {}) {
+    if (source.type === 'statute') {
+      // Legislation is cited in full (or by a defined abbreviation), never with (n X)
+      return `${source.short_title || `${fields.title} ${fields.year}`}${this.formatPinpoint('statute', fields)}`;
+    }
+
+    const name = source.type === 'case'
+      ? (markdown ? `*${this.shortCaseName(source, fields)}*` : this.shortCaseName(source, fields))
+      : this.shortAuthorName(fields.authors);
+
+    return `${name} (n ${footnoteNumber})${this.formatPinpoint(source.type, fields)}`;
+  }
+
+  ibid(type, fields) {
+    return `ibid${type === 'statute' ? '' : this.formatPinpoint(type, fields)}`;
+  }
+
+  shortCaseName(source, fields) {
+    if (source.short_name) return source.short_name;
+    const [first, second] = fields.parties;
+    const relator = first.match(/^R \((.+?)\)$/);
+    if (relator) return relator[1];
+    const party = first === 'R' && second ? second : first;
+    // "Caparo Industries plc" -> "Caparo"
+    let short = party;
+    let previous;
+    do {
+      previous = short;
+      short = short.replace(COMPANY_SUFFIX, '').trim();
+    } while (short !== previous);
+    return short || party;
+  }
+
+  surname(author) {
+    return author.split(' ').pop();
+  }
+
+  shortAuthorName(authors) {
+    if (authors.length > 3) return `${this.surname(authors[0])} and others`;
+    return this.joinNames(authors.map(author => this.surname(author)));
+  }
+
+  joinNames(names) {
+    if (names.length <= 1) return names[0] || '';
+    return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+  }
+
+  // Footnotes give names as published; more than three authors become "X and others"
+  formatAuthors(authors) {
+    if (authors.length > 3) return `${authors[0]} and others`;
+    return this.joinNames(authors);
+  }
+
+  // Bibliographies put the surname first: "H Collins" -> "Collins H"
+  invertAuthor(author) {
+    const parts = author.split(' ');
+    if (parts.length === 1) return author;
+    const surname = parts.pop();
+    const initials = parts.map(part => (/^[A-Z]{1,3}$/.test(part) ? part : part.charAt(0).toUpperCase())).join('');
+    return `${surname} ${initials}`;
+  }
+
+  ordinal(number) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = [11, 12, 13].includes(number % 100) ? 'th' : suffixes[number % 10] || 'th';
+    return `${number}${suffix}`;
+  }
+
+  bibliographyEntry(source, { markdown = false } = {}) {
+    const fields = this.sourceToFields(source);
+
+    switch (source.type) {
+      case 'case':
+        // Tables of cases use roman type and no pinpoints
+        return this.formatCitation('case', fields);
+      case 'statute':
+        return `${fields.title} ${fields.year}`;
+      default: {
+        const authors = fields.authors.length > 3
+          ? `${this.invertAuthor(fields.authors[0])} and others`
+          : this.joinNames(fields.authors.map(author => this.invertAuthor(author)));
+        return this.formatCitation(source.type, { ...fields, author: authors }, { markdown });
+      }
+    }
+  }
+
+  // Number a sequence of citations: full form first, then ibid or "(n X)" short forms
+  buildFootnotes(sources, citations, { start = 1 } = {}) {
+    const firstCited = new Map();
+    let previous = null;
+
+    const footnotes = citations.map((citation, index) => {
+      const number = start + index;
+      const source = sources[citation.source];
+      const fields = this.sourceToFields(source, citation.pinpoint);
+      let kind;
+      let text;
+      let markdown;
+
+      if (previous === citation.source && source.type !== 'statute') {
+        kind = 'ibid';
+        text = markdown = this.ibid(source.type, fields);
+      } else if (firstCited.has(citation.source)) {
+        kind = 'short';
+        text = this.shortForm(source, fields, firstCited.get(citation.source));
+        markdown = this.shortForm(source, fields, firstCited.get(citation.source), { markdown: true });
+      } else {
+        kind = 'full';
+        firstCited.set(citation.source, number);
+        text = this.formatCitation(source.type, fields);
+        markdown = this.formatCitation(source.type, fields, { markdown: true });
+      }
+
+      previous = citation.source;
+      return { number, source: citation.source, kind, text: `${text}.`, markdown: `${markdown}.` };
+    });
+
+    const cited = [...new Set(citations.map(citation => citation.source))].map(index => sources[index]);
+
+    return {
+      footnotes,
+      bibliography: this.buildBibliography(cited)
+    };
+  }
+
+  // Cases sort by first significant word: "R v", "R (X) v", "Re" and "Ex p" are ignored
+  caseSortKey(name) {
+    return name
+      .replace(/^R \((.+?)\) v /, '$1 ')
+      .replace(/^(?:R v|Re|In re|Ex p)\s+/i, '')
+      .toLowerCase();
+  }
+
+  // OSCOLA orders a bibliography as table of cases, table of legislation, then secondary sources
+  buildBibliography(sources) {
+    const unique = (entries) => [...new Map(entries.map(entry => [entry.text, entry])).values()];
+    const entry = (source) => ({
+      text: this.bibliographyEntry(source),
+      markdown: this.bibliographyEntry(source, { markdown: true }),
+      source
+    });
+
+    const cases = unique(sources.filter(source => source.type === 'case').map(entry))
+      .sort((a, b) => this.caseSortKey(a.text).localeCompare(this.caseSortKey(b.text)));
+    const legislation = unique(sources.filter(source => source.type === 'statute').map(entry))
+      .sort((a, b) => a.text.localeCompare(b.text));
+    const secondary = unique(sources.filter(source => source.type === 'journal' || source.type === 'book').map(entry))
+      .sort((a, b) => a.text.localeCompare(b.text) || (a.source.year || 0) - (b.source.year || 0));
+
+    const sections = [
+      { key: 'cases', heading: 'Table of Cases', entries: cases },
+      { key: 'legislation', heading: 'Table of Legislation', entries: legislation },
+      { key: 'secondary', heading: 'Bibliography', entries: secondary }
+    ].filter(section => section.entries.length > 0);
+
+    return {
+      sections: sections.map(section => ({
+        key: section.key,
+        heading: section.heading,
+        entries: section.entries.map(({ text, markdown }) => ({ text, markdown }))
+      })),
+      text: sections.map(section => [section.heading, ...section.entries.map(item => item.text)].join('\n')).join('\n\n'),
+      markdown: sections.map(section => [`## ${section.heading}`, ...section.entries.map(item => `- ${item.markdown}`)].join('\n')).join('\n\n')
+    };
+  }
+}
+
+module.exports = new OscolaService();
@@ -0,0 +1,296 @@
+// Server/services/provenance-service.js - AI-use provenance ledger and assessment declarations
+const IntegrityService = require('./integrity-service');
+const MemoryService = require('./memory-service');
+const { anonymousUser } = require('../lib/auth');
+const logger = require('../lib/logger');
+
+const EXCERPT_LENGTH = 160;
+const DECLARATION_FORMATS = ['markdown', 'json', 'html'];
+
+const ASSISTANCE_DESCRIPTIONS = {
+  high: 'Asked for substantial help; Durmah redirected to guidance',
+  medium: 'Explanation or guidance on approach',
+  low: 'Background information or clarification'
+};
+
+const CHANNEL_LABELS = { voice: 'Voice', text: 'Text chat' };
+
+const DECLARATION_STATEMENT = 'I confirm that the analysis, arguments and conclusions in this work are my own. ' +
+  'Durmah was used only as a study aid, as recorded above, and no AI-generated text has been submitted as my own.';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Europe/London'
+});
+
+const excerpt = (text) => {
+  if (!text) return null;
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > EXCERPT_LENGTH ? `${flat.slice(0, EXCERPT_LENGTH - 1)}…` : flat;
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Pipes would split a Markdown table cell
+const escapeCell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+class ProvenanceService {
+  constructor() {
+    this.formats = DECLARATION_FORMATS;
+  }
+
+  // Rough signals from the reply text for IntegrityService.assessEducationalValue
+  describeResponse(response = '') {
+    return {
+      encourages_thinking: /\?/.test(response),
+      provides_context: response.length > 200,
+      cites_sources: /\b[A-Z][\w'.]+ v [A-Z]|\[\d{4}\]|\bAct \d{4}\b|\bs \d+/.test(response),
+      promotes_research: /\b(read|research|look up|textbook|further reading|lecture notes)\b/i.test(response)
+    };
+  }
+
+  // Persist one interaction's provenance. Anonymous sessions are not recorded.
+  async recordInteraction(userId, interaction, { sessionId, channel, module = null, startedAt } = {}) {
+    if (!userId || userId === anonymousUser().id) return null;
+
+    const flags = interaction.flags || [];
+    const matches = MemoryService.topics.match(interaction.user_input || '');
+    // Wellbeing conversations are not part of how Durmah was used for study
+    const wellbeing = flags.some(flag => flag.type === 'mental_health_crisis');
+
+    const record = {
+      ...IntegrityService.createProvenanceRecord({
+        type: wellbeing ? 'wellbeing' : interaction.type || 'question',
+        human_input: interaction.user_input,
+        ai_response: interaction.ai_response,
+        assistance_level: interaction.assistance_level || null,
+        topic: interaction.topic || MemoryService.topicNames(matches)[0],
+        flags,
+        ...this.describeResponse(interaction.ai_response)
+      }, userId),
+      session_id: sessionId,
+      channel,
+      // Conversations tagged with a module keep it; otherwise use the taxonomy's best guess
+      module: module || MemoryService.rankModules(matches)[0] || null,
+      prompt_excerpt: wellbeing ? null : excerpt(interaction.user_input)
+    };
+
+    try {
+      if (!(await MemoryService.storeProvenance(userId, record, { startedAt }))) return null;
+    } catch (error) {
+      logger.error('Failed to store provenance record', { userId, sessionId, error: error.message });
+      return null;
+    }
+
+    return record;
+  }
+
+  async listRecords(userId, filters = {}) {
+    return MemoryService.getProvenance(userId, filters);
+  }
+
+  summarize(records) {
+    const count = (predicate) => records.filter(predicate).length;
+
+    return {
+      interactions: records.length,
+      channels: {
+        voice: count(record => record.channel === 'voice'),
+        text: count(record => record.channel === 'text')
+      },
+      assistance_levels: {
+        low: count(record => record.assistance_level === 'low'),
+        medium: count(record => record.assistance_level === 'medium'),
+        high: count(record => record.assistance_level === 'high')
+      },
+      direct_answers: count(record => record.ai_contribution?.contains_direct_answers ||
+        record.integrity_flags.some(flag => flag.type === 'direct_answer')),
+      integrity_flags: records.reduce((sum, record) =>
+        sum + record.integrity_flags.filter(flag => flag.type !== 'mental_health_crisis').length, 0),
+      modules: [...new Set(records.map(record => record.module).filter(Boolean))],
+      first_interaction: records[0]?.timestamp || null,
+      last_interaction: records[records.length - 1]?.timestamp || null
+    };
+  }
+
+  // AI-use declaration for attaching to an assessment
+  buildDeclaration(records, { student, assessment = null, from = null, to = null, module = null } = {}) {
+    const studyRecords = records.filter(record => record.interaction_type !== 'wellbeing');
+    const summary = this.summarize(studyRecords);
+
+    return {
+      student,
+      assessment,
+      module,
+      period: {
+        from: from ? from.toISOString() : summary.first_interaction,
+        to: to ? to.toISOString() : summary.last_interaction
+      },
+      generated_at: new Date().toISOString(),
+      summary,
+      interactions: studyRecords.map(record => ({
+        id: record.id,
+        timestamp: record.timestamp,
+        channel: record.channel,
+        module: record.module,
+        prompt_excerpt: record.prompt_excerpt,
+        assistance_level: typeof record.assistance_level === 'string' ? record.assistance_level : null, // Older records stored {}
+        use: ASSISTANCE_DESCRIPTIONS[record.assistance_level] || 'General study support',
+        contains_direct_answers: !!record.ai_contribution?.contains_direct_answers,
+        educational_value: record.educational_value?.level || null,
+        integrity_flags: record.integrity_flags.map(flag => flag.type)
+      })),
+      statement: DECLARATION_STATEMENT
+    };
+  }
+
+  renderDeclaration(declaration, format) {
+    switch (format) {
+      case 'json':
+        return JSON.stringify(declaration, null, 2);
+      case 'html':
+        return this.renderHtml(declaration);
+      default:
+        return this.renderMarkdown(declaration);
+    }
+  }
+
+  periodText(declaration) {
+    const { from, to } = declaration.period;
+    if (!from) return 'No recorded use';
+    return `${formatDate(from)} to ${formatDate(to || declaration.generated_at)}`;
+  }
+
+  summaryLines(declaration) {
+    const { summary } = declaration;
+    return [
+      `Interactions: ${summary.interactions} (voice ${summary.channels.voice}, text ${summary.channels.text})`,
+      `Assistance requested: low ${summary.assistance_levels.low}, medium ${summary.assistance_levels.medium}, high ${summary.assistance_levels.high}`,
+      `Replies flagged as giving direct answers: ${summary.direct_answers}`,
+      `Academic integrity flags raised: ${summary.integrity_flags}`
+    ];
+  }
+
+  renderMarkdown(declaration) {
+    const { summary } = declaration;
+    const lines = [
+      '# Declaration of AI Use',
+      '',
+      `**Student:** ${declaration.student}  `,
+      `**Assessment:** ${declaration.assessment || '________________'}  `,
+      `**Module:** ${declaration.module || summary.modules.join(', ') || 'Not specified'}  `,
+      `**Period covered:** ${this.periodText(declaration)}`,
+      '',
+      'I used Durmah, the Durham Law study assistant, while preparing this assessment. ' +
+        'Every interaction was recorded automatically and is listed below.',
+      '',
+      '## Summary',
+      '',
+      ...this.summaryLines(declaration).map(line => `- ${line}`),
+      ''
+    ];
+
+    if (declaration.interactions.length > 0) {
+      lines.push(
+        '## How Durmah was used',
+        '',
+        '| Date | Channel | Module | Question (excerpt) | Use | Flags |',
+        '| --- | --- | --- | --- | --- | --- |',
+        ...declaration.interactions.map(item => `| ${[
+          formatDate(item.timestamp),
+          CHANNEL_LABELS[item.channel] || item.channel,
+          item.module || '',
+          item.prompt_excerpt || '',
+          item.use,
+          item.integrity_flags.join(', ')
+        ].map(escapeCell).join(' | ')} |`),
+        ''
+      );
+    }
+
+    lines.push(
+      '## Statement',
+      '',
+      declaration.statement,
+      '',
+      'Signed: ________________________  Date: ____________',
+      '',
+      `_Generated by Durmah on ${formatDate(declaration.generated_at)}._`,
+      ''
+    );
+
+    return lines.join('\n');
+  }
+
+  // Self-contained page that prints cleanly to A4 PDF from the browser
+  renderHtml(declaration) {
+    const { summary } = declaration;
+    const rows = declaration.interactions.map(item => `
+        <tr>
+          <td>${escapeHtml(formatDate(item.timestamp))}</td>
+          <td>${escapeHtml(CHANNEL_LABELS[item.channel] || item.channel)}</td>
+          <td>${escapeHtml(item.module || '')}</td>
+          <td>${escapeHtml(item.prompt_excerpt || '')}</td>
+          <td>${escapeHtml(item.use)}</td>
+          <td>${escapeHtml(item.integrity_flags.join(', '))}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en-GB">
+<head>
+  <meta charset="utf-8">
+  <title>Declaration of AI Use${declaration.assessment ? ` - ${escapeHtml(declaration.assessment)}` : ''}</title>
+  <style>
+    @page { size: A4; margin: 20mm; }
+    body { font-family: Georgia, 'Times New Roman', serif; font-size: 11pt; color: #111; max-width: 170mm; margin: 0 auto; }
+    h1 { font-size: 18pt; margin-bottom: 4mm; }
+    h2 { font-size: 13pt; margin-top: 8mm; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 1mm 4mm; }
+    dt { font-weight: bold; }
+    dd { margin: 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 9pt; }
+    th, td { border: 1px solid #999; padding: 1.5mm; text-align: left; vertical-align: top; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    .signature { margin-top: 12mm; }
+    .generated { margin-top: 8mm; font-size: 9pt; color: #555; }
+  </style>
+</head>
+<body>
+  <h1>Declaration of AI Use</h1>
+  <dl>
+    <dt>Student</dt><dd>${escapeHtml(declaration.student)}</dd>
+    <dt>Assessment</dt><dd>${escapeHtml(declaration.assessment || '')}</dd>
+    <dt>Module</dt><dd>${escapeHtml(declaration.module || summary.modules.join(', ') || 'Not specified')}</dd>
+    <dt>Period covered</dt><dd>${escapeHtml(this.periodText(declaration))}</dd>
+  </dl>
+  <p>I used Durmah, the Durham Law study assistant, while preparing this assessment. Every interaction was recorded automatically and is listed below.</p>
+
+  <h2>Summary</h2>
+  <ul>
+    ${this.summaryLines(declaration).map(line => `<li>${escapeHtml(line)}</li>`).join('\n    ')}
+  </ul>
+${declaration.interactions.length > 0 ? `
+  <h2>How Durmah was used</h2>
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Channel</th><th>Module</th><th>Question (excerpt)</th><th>Use</th><th>Flags</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+` : ''}
+  <h2>Statement</h2>
+  <p>${escapeHtml(declaration.statement)}</p>
+  <p class="signature">Signed: ________________________ &nbsp; Date: ____________</p>
+  <p class="generated">Generated by Durmah on ${escapeHtml(formatDate(declaration.generated_at))}.</p>
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new ProvenanceService();
@@ -1,9 +1,25 @@
 // Server/services/realtime-voice.js
-const OpenAI = require("openai");
 const { WebSocketServer } = require("ws");
 const WebSocket = require("ws");
-
-const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const {
+  getDurmahInstructions,
+  getModeInstructions,
+  getCrisisInstructions,
+  getIntegrityInstructions,
+  getLongTermMemoryInstructions,
+  SPOKEN_MESSAGES,
+} = require("../lib/persona");
+const { verifyAccessToken, anonymousUser, allowAnonymous, hasVoiceAccess } = require("../lib/auth");
+const logger = require("../lib/logger");
+const metrics = require("../lib/metrics");
+const { normalizeForSpeech } = require("../lib/pronunciation");
+const { correlationIdFrom, runWithContext, setContextFields, bindToContext } = require("../lib/context");
+const MemoryService = require("./memory-service");
+const IntegrityService = require("./integrity-service");
+const ProvenanceService = require("./provenance-service");
+const VoiceService = require("./voice-service");
+const { getCrisisResources } = require("../lib/crisis-resources");
+const { createFakeRealtimeSocket, loadScenario, DEFAULT_SCENARIO } = require("../lib/fake-realtime");
 
 // Response formatting utilities
 const ResponseFormatter = {
@@ -43,8 +59,46 @@ const ResponseFormatter = {
 
 // Debug flags
 const VOICE_LOOPBACK = process.env.VOICE_LOOPBACK === 'true';
+// Scripted offline upstream: "true" for the default scenario, or a scenario name / JSON path
+const VOICE_FAKE_REALTIME = process.env.VOICE_FAKE_REALTIME && process.env.VOICE_FAKE_REALTIME !== 'false'
+  ? (process.env.VOICE_FAKE_REALTIME === 'true' ? DEFAULT_SCENARIO : process.env.VOICE_FAKE_REALTIME)
+  : null;
 const DEBUG_VOICE = process.env.DEBUG_VOICE === 'true' || VOICE_LOOPBACK;
 
+// Handshake: token in ?token= / ?access_token=, or a first { type: "client.auth", token } message
+const AUTH_TIMEOUT_MS = 10000;
+// Client messages held while the upstream socket connects (~10s of mic audio in 100ms chunks)
+const MAX_PENDING_UPSTREAM = 100;
+const CLOSE_CODES = {
+  session_limit: 4001,
+  idle_timeout: 4002,
+  data_erased: 4003,
+  unauthorized: 4401,
+  voice_access_denied: 4403,
+  auth_timeout: 4408,
+};
+
+// Socket listeners run in the emitter's async context, so bind them to the
+// connection's: every log line then carries its correlation id
+const listen = (emitter, event, listener) => emitter.on(event, bindToContext(listener));
+
+// Shown to the student when integrity guidance shapes the next reply
+const INTEGRITY_NOTICES = {
+  high_assistance_request: "This sounds like it could be assessed work, so I'll guide you through the thinking rather than give you the answer. 💜",
+  academic_dishonesty: "I can't complete assignments for you, but I can help you understand the material and plan your own answer.",
+  direct_answer: "I gave away more of the answer than I should have. Let's work through the reasoning together so the conclusion is your own.",
+};
+
+// Session limits (MAX_SESSION_MINUTES is also reported by /api/realtime/diagnostics)
+const MAX_SESSION_MS = (parseInt(process.env.MAX_SESSION_MINUTES) || 30) * 60 * 1000;
+const IDLE_TIMEOUT_MS = (parseInt(process.env.IDLE_TIMEOUT_MINUTES) || 5) * 60 * 1000;
+const SESSION_WARNING_MS = (parseInt(process.env.SESSION_WARNING_SECONDS) || 60) * 1000;
+const SESSION_CHECK_INTERVAL_MS = 5000;
+
+// Long sessions: once this many messages are unsummarised, fold all but the most recent into a summary
+const SESSION_SUMMARY_THRESHOLD = 20;
+const SESSION_RECENT_MESSAGES = 6;
+
 class RealtimeVoiceService {
   constructor() {
     this.connections = new Map();
@@ -52,10 +106,15 @@ class RealtimeVoiceService {
     this.conversationMemory = new Map(); // Store conversation context per connection
     
     if (VOICE_LOOPBACK) {
-      console.log('🔄 VOICE LOOPBACK MODE ENABLED - Audio will echo back without OpenAI');
+      logger.info('🔄 VOICE LOOPBACK MODE ENABLED - Audio will echo back without OpenAI');
+    }
+    if (VOICE_FAKE_REALTIME && !VOICE_LOOPBACK) {
+      // Fail at startup rather than on the first voice connection
+      loadScenario(VOICE_FAKE_REALTIME);
+      logger.info('🎭 FAKE REALTIME MODE ENABLED - Scripted scenario replaces OpenAI', { scenario: VOICE_FAKE_REALTIME });
     }
     if (DEBUG_VOICE) {
-      console.log('🐛 DEBUG_VOICE enabled - Enhanced logging active');
+      logger.info('🐛 DEBUG_VOICE enabled - Enhanced logging active');
     }
   }
 
@@ -66,13 +125,13 @@ class RealtimeVoiceService {
 
     const interval = setInterval(() => {
       if (socket.isAlive === false) {
-        console.warn(`[HB] ${label} timed out; terminating`);
-        try { socket.terminate(); } catch {}
+        logger.warn("Heartbeat timed out; terminating socket", { socket: label });
+        try { socket.terminate(); } catch { /* already gone */ }
         clearInterval(interval);
         return;
       }
       socket.isAlive = false;
-      try { socket.ping(); } catch {}
+      try { socket.ping(); } catch { /* next tick terminates it */ }
     }, 25000);
 
     socket.on("close", () => clearInterval(interval));
@@ -80,40 +139,160 @@ class RealtimeVoiceService {
   }
 
   initWebSocketServer(server) {
-    const wss = new WebSocketServer({ server, path: "/voice" });
+    // noServer so other upgrade handlers (socket.io) can share the HTTP server
+    const wss = new WebSocketServer({ noServer: true });
 
-    wss.on("connection", (ws) => {
-      console.log("🎙️ Client connected");
-      const connectionId = Math.random().toString(36).slice(2, 11);
-      this.attachHeartbeat(ws, "client");
-      this.initRealtimeSession(ws, connectionId);
+    server.on("upgrade", (req, socket, head) => {
+      const { pathname } = new URL(req.url, "http://localhost");
+      if (pathname !== "/voice") return;
+      wss.handleUpgrade(req, socket, head, (ws) => wss.emit("connection", ws, req));
+    });
 
-      ws.on("close", () => {
-        console.log("🎙️ Client disconnected");
-        const conn = this.connections.get(connectionId);
-        if (conn?.realtimeWs) try { conn.realtimeWs.close(); } catch {}
-        this.connections.delete(connectionId);
-        this.conversationMemory.delete(connectionId);
-      });
+    wss.on("connection", (ws, req) => {
+      const connectionId = Math.random().toString(36).slice(2, 11);
+      // Clients may pass the id from their /api/realtime/session call to join the two up
+      const { searchParams } = new URL(req.url, "http://localhost");
+      const correlationId = correlationIdFrom(searchParams.get("correlation_id") || req.headers["x-correlation-id"]);
 
-      ws.on("error", (e) => console.error("Client WS error:", e));
+      runWithContext({ correlationId, connectionId }, () =>
+        this.handleConnection(ws, req, connectionId, correlationId)
+      );
     });
 
     return wss;
   }
 
-  async initRealtimeSession(ws, connectionId) {
+  async handleConnection(ws, req, connectionId, correlationId) {
+    logger.info("🎙️ Client connected", { connectionId });
+    metrics.voiceActiveConnections.inc();
+    this.attachHeartbeat(ws, "client");
+
+    listen(ws, "close", () => {
+      logger.info("🎙️ Client disconnected", { connectionId });
+      metrics.voiceActiveConnections.dec();
+      const conn = this.connections.get(connectionId);
+      this.finalizeSession(connectionId, "client_closed").catch((e) =>
+        logger.error("Failed to persist voice session", { connectionId, error: e.message })
+      );
+      if (conn) conn.ending = true;
+      if (conn?.realtimeWs) try { conn.realtimeWs.close(); } catch { /* closing anyway */ }
+      this.connections.delete(connectionId);
+      this.conversationMemory.delete(connectionId);
+    });
+
+    listen(ws, "error", (e) => logger.error("Client WS error", { connectionId, error: e.message }));
+
+    // Verifying the token may call Supabase; hold whatever the client sends meanwhile
+    // (greeting, mode and context messages) for the session handler
+    const heldMessages = [];
+    const holdMessage = (data) => {
+      if (heldMessages.length < MAX_PENDING_UPSTREAM) heldMessages.push(data);
+    };
+    ws.on("message", holdMessage);
+
+    // No OpenAI socket is opened until the student is verified
+    const user = await this.authenticateConnection(ws, req, connectionId);
+    ws.off("message", holdMessage);
+    if (!user || ws.readyState !== 1) return;
+
+    logger.voice.connection(connectionId, "authenticated", {
+      userId: user.id,
+      anonymous: user.anonymous,
+    });
+    this.initRealtimeSession(ws, connectionId, user, correlationId, heldMessages);
+  }
+
+  // Resolve the Supabase user for a /voice socket, closing it on failure
+  authenticateConnection(ws, req, connectionId) {
+    const reject = (reason, message) => {
+      logger.voice.connection(connectionId, "rejected", { reason });
+      if (ws.readyState === 1) {
+        try { ws.send(JSON.stringify({ type: "error", code: reason, message })); } catch { /* closing anyway */ }
+        ws.close(CLOSE_CODES[reason], reason);
+      }
+      return null;
+    };
+
+    const authorize = async (token) => {
+      let user = await verifyAccessToken(token);
+      if (!user && !token && allowAnonymous) {
+        user = anonymousUser();
+      }
+      if (!user) {
+        return reject("unauthorized", "A valid Supabase session is required for voice.");
+      }
+      if (!hasVoiceAccess(user)) {
+        return reject("voice_access_denied", "Voice features require a Durham University account or voice access.");
+      }
+      return user;
+    };
+
+    const { searchParams } = new URL(req.url, "http://localhost");
+    const queryToken = searchParams.get("token") || searchParams.get("access_token");
+    if (queryToken || allowAnonymous) {
+      return authorize(queryToken);
+    }
+
+    // Otherwise wait for the first message to carry the token
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        ws.off("message", onMessage);
+        resolve(reject("auth_timeout", "Authentication timed out."));
+      }, AUTH_TIMEOUT_MS);
+
+      const onMessage = bindToContext((data) => {
+        clearTimeout(timer);
+        ws.off("message", onMessage);
+
+        let msg;
+        try { msg = JSON.parse(data); } catch { msg = null; }
+
+        if (msg?.type !== "client.auth" || !msg.token) {
+          resolve(reject("unauthorized", "First message must be client.auth with an access token."));
+          return;
+        }
+        resolve(authorize(msg.token));
+      });
+
+      ws.on("message", onMessage);
+      ws.once("close", () => clearTimeout(timer));
+    });
+  }
+
+  async initRealtimeSession(ws, connectionId, user, correlationId, heldMessages = []) {
     try {
       if (DEBUG_VOICE) {
-        console.log(`🔧 [${connectionId}] Initializing realtime session (loopback: ${VOICE_LOOPBACK})`);
+        logger.info("🔧 Initializing realtime session", { connectionId, loopback: VOICE_LOOPBACK });
       }
 
       this.connections.set(connectionId, { 
         ws, 
+        userId: user.id,
+        user,
+        correlationId,
+        openaiSessionId: null, // From the upstream session.created event
         realtimeWs: null,
+        pendingUpstream: [], // Client messages waiting for the upstream socket to open
         loopbackBuffer: [],
         lastLoopbackTime: 0,
         mode: 'voice', // Default to voice mode
+        sessionStartedAt: Date.now(),
+        lastActivity: Date.now(),
+        warned: { session: false, idle: false },
+        sessionTimer: null,
+        ending: false,
+        finalized: false,
+        crisis: null, // Set once a transcription is flagged; keeps crisis instructions for the session
+        responseActive: false,
+        responseExpected: false, // Server VAD has ended a turn and will create its reply
+        cancelOnCreated: false, // Crisis flagged before that reply started; cancel it when it does
+        assistantSpoke: false,
+        pendingCrisisResponse: false,
+        crisisOwnsTurn: false, // A typed turn's crisis reply is under way; the client's response.create is dropped
+        integrityGuidance: null, // One-shot steer for the next response after a flagged turn
+        longTermMemory: null, // What we remember from the student's earlier sessions
+        turn: null, // Timestamps for the turn awaiting a reply (see startTurn)
+        turnCount: 0,
         conversationContext: {
           messageHistory: [],
           userPreferences: {},
@@ -125,84 +304,35 @@ class RealtimeVoiceService {
       this.conversationMemory.set(connectionId, {
         messages: [],
         continuity: true,
-        mode: 'voice'
+        mode: 'voice',
+        summary: null, // Rolling summary of messages before summarizedCount
+        summarizedCount: 0,
+        summarizing: false
       });
 
+      this.startSessionTimers(connectionId);
+
+      const upstream = VOICE_LOOPBACK ? "loopback" : VOICE_FAKE_REALTIME ? "fake" : "openai";
+      metrics.voiceSessions.inc({ transport: "websocket", upstream });
+
       // Loopback mode - skip OpenAI connection
       if (VOICE_LOOPBACK) {
-        this.initLoopbackMode(ws, connectionId);
+        this.initLoopbackMode(ws, connectionId, correlationId, heldMessages);
         return;
       }
 
-      const realtimeWs = new WebSocket(
-        "wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01",
-        {
-          headers: {
-            Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
-            "OpenAI-Beta": "realtime=v1",
-          },
-        }
-      );
-
-      this.connections.get(connectionId).realtimeWs = realtimeWs;
-
-      realtimeWs.on("open", () => {
-        if (DEBUG_VOICE) {
-          console.log(`🤖 [${connectionId}] Connected to OpenAI Realtime API`);
-        } else {
-          console.log("🤖 Connected to OpenAI Realtime");
-        }
-        this.attachHeartbeat(realtimeWs, "openai");
-
-        const sessionUpdate = {
-          type: "session.update",
-          session: {
-            modalities: ["text", "audio"],
-            instructions: this.getDurmahInstructionsWithContext(connectionId),
-            voice: "alloy",
-            input_audio_format: "pcm16",
-            output_audio_format: "pcm16",
-            input_audio_transcription: { model: "whisper-1" },
-            turn_detection: {
-              type: "server_vad",
-              threshold: 0.5,
-              prefix_padding_ms: 300,
-              silence_duration_ms: 500,
-            },
-          },
-        };
-        
-        if (DEBUG_VOICE) {
-          console.log(`🔧 [${connectionId}] Sending session config:`, JSON.stringify(sessionUpdate, null, 2));
-        }
-        
-        try { 
-          realtimeWs.send(JSON.stringify(sessionUpdate)); 
-          if (DEBUG_VOICE) {
-            console.log(`✅ [${connectionId}] Session config sent successfully`);
-          }
-        } catch (err) {
-          console.error(`❌ [${connectionId}] Failed to send session config:`, err);
-        }
-
-        if (ws.readyState === 1) {
-          const readyMessage = {
-            type: "durmah.ready",
-            message: "Hello! I'm Durmah, your Legal Eagle Buddy. I'm listening and ready to help. 💜",
-          };
-          ws.send(JSON.stringify(readyMessage));
-          if (DEBUG_VOICE) {
-            console.log(`📢 [${connectionId}] Sent ready message to client`);
-          }
-        }
-      });
-
-      // Forward ALL JSON messages from client → OpenAI with context handling
-      ws.on("message", (data) => {
+      // Forward ALL JSON messages from client → OpenAI with context handling.
+      // Attached before anything is awaited; forwards are queued until the upstream socket is open.
+      const onClientMessage = (data) => {
         try {
           const msg = JSON.parse(data);
           const conn = this.connections.get(connectionId);
           
+          // Auth already handled during the handshake
+          if (msg.type === 'client.auth') {
+            return;
+          }
+          
           // Handle mode updates
           if (msg.type === 'durmah.mode_update') {
             if (conn) {
@@ -211,7 +341,7 @@ class RealtimeVoiceService {
               if (memory) {
                 memory.mode = conn.mode;
               }
-              console.log(`🔀 [${connectionId}] Mode updated to: ${conn.mode}`);
+              logger.info("🔀 Mode updated", { connectionId, mode: conn.mode });
             }
             return; // Don't forward to OpenAI
           }
@@ -220,51 +350,172 @@ class RealtimeVoiceService {
           if (msg.type === 'durmah.context_update') {
             if (conn && msg.context) {
               conn.conversationContext = { ...conn.conversationContext, ...msg.context };
-              console.log(`🧠 [${connectionId}] Context updated`);
+              logger.info("🧠 Context updated", { connectionId });
             }
             return; // Don't forward to OpenAI
           }
           
+          if (msg.type === 'input_audio_buffer.append' || msg.type === 'audio.input') {
+            metrics.audioBytes.inc({ direction: "in" }, metrics.base64Bytes(msg.audio));
+          }
+          
+          // Typed turns have no speech_stopped, so time them from the client's response.create
+          if (msg.type === 'response.create' && conn && !conn.turn) {
+            this.startTurn(connectionId, "text");
+          }
+          
+          // Mic audio streams continuously, so only explicit turns count as activity
+          if (['conversation.item.create', 'response.create', 'input_audio_buffer.commit'].includes(msg.type)) {
+            this.touchActivity(connectionId);
+          }
+          
           if (DEBUG_VOICE) {
             if (msg.type === 'input_audio_buffer.append') {
-              console.log(`🎤 [${connectionId}] Client audio chunk: ${msg.audio ? msg.audio.length : 'no audio'} bytes`);
+              logger.info("🎤 Client audio chunk", { connectionId, bytes: msg.audio ? msg.audio.length : 0 });
             } else {
-              console.log(`📨 [${connectionId}] Client message:`, msg.type, Object.keys(msg).filter(k => k !== 'audio'));
+              logger.info("📨 Client message", { connectionId, type: msg.type, keys: Object.keys(msg).filter(k => k !== 'audio') });
             }
           }
           
-          // Store user messages for continuity
-          if (msg.type === 'input_audio_buffer.commit' || msg.type === 'conversation.item.create') {
-            const memory = this.conversationMemory.get(connectionId);
-            if (memory && msg.text) {
-              memory.messages.push({
-                role: 'user',
-                content: msg.text,
-                timestamp: Date.now(),
-                mode: conn?.mode || 'voice'
-              });
-            }
+          // Crisis escalation has already asked for the reply to this turn; a second one would be rejected
+          if (msg.type === 'response.create' && conn?.crisisOwnsTurn) {
+            conn.crisisOwnsTurn = false;
+            logger.info("🚨 Dropped client response.create during crisis reply", { connectionId });
+            return;
           }
-          
+
           // Legacy mapping support
           if (msg.type === "audio.input") {
             const forwardMsg = {
               type: "input_audio_buffer.append",
               audio: msg.audio,
             };
-            realtimeWs.send(JSON.stringify(forwardMsg));
+            this.forwardClientMessage(connectionId, forwardMsg);
             if (DEBUG_VOICE) {
-              console.log(`🔄 [${connectionId}] Mapped legacy audio.input to input_audio_buffer.append`);
+              logger.info("🔄 Mapped legacy audio.input to input_audio_buffer.append", { connectionId });
             }
           } else {
             // Forward all types verbatim (append, commit, response.create, etc.)
-            realtimeWs.send(JSON.stringify(msg));
+            this.forwardClientMessage(connectionId, msg);
             if (DEBUG_VOICE && msg.type !== 'input_audio_buffer.append') {
-              console.log(`➡️ [${connectionId}] Forwarded to OpenAI:`, msg.type);
+              logger.info("➡️ Forwarded to OpenAI", { connectionId, type: msg.type });
+            }
+          }
+
+          // Store user messages for continuity
+          if (msg.type === 'input_audio_buffer.commit' || (msg.type === 'conversation.item.create' && msg.item?.role !== 'assistant')) {
+            const userText = (msg.text || msg.item?.content?.find(part => part.type === 'input_text')?.text || '').trim();
+            if (userText) {
+              // Screened after the item is forwarded but before the client's response.create, so integrity
+              // guidance reaches OpenAI ahead of the reply and a crisis reply can see what was said
+              const crisisBefore = conn?.crisis;
+              const screening = this.screenStudentTurn(connectionId, userText, 'realtime_text');
+              if (conn && !crisisBefore && conn.crisis) {
+                conn.crisisOwnsTurn = true;
+              }
+              const memory = this.conversationMemory.get(connectionId);
+              if (memory) {
+                memory.messages.push({
+                  role: 'user',
+                  content: userText,
+                  timestamp: Date.now(),
+                  mode: conn?.mode || 'voice',
+                  flags: screening.flags,
+                  assistance_level: screening.assistance_level
+                });
+              }
             }
           }
         } catch (e) {
-          console.error(`❌ [${connectionId}] Client message parse error:`, e);
+          logger.error("❌ Client message parse error", { connectionId, error: e.message });
+        }
+      };
+      listen(ws, "message", onClientMessage);
+      heldMessages.forEach(onClientMessage);
+
+      // Verified students get their earlier sessions folded into the instructions
+      if (!user.anonymous) {
+        try {
+          const longTermMemory = await MemoryService.getLongTermMemory(user.id);
+          const conn = this.connections.get(connectionId);
+          if (conn) conn.longTermMemory = longTermMemory;
+        } catch (e) {
+          logger.error("Failed to load long-term memory", { connectionId, error: e.message });
+        }
+      }
+
+      // The student may have hung up while memory loaded; don't open a paid upstream session for nobody
+      const conn = this.connections.get(connectionId);
+      if (!conn || conn.ending || ws.readyState !== 1) {
+        logger.voice.connection(connectionId, "closed_before_upstream");
+        return;
+      }
+
+      // The fake speaks the same event protocol, so everything below runs unchanged
+      const realtimeWs = VOICE_FAKE_REALTIME
+        ? createFakeRealtimeSocket(VOICE_FAKE_REALTIME)
+        : new WebSocket(
+          "wss://api.openai.com/v1/realtime?model=gpt-4o-realtime-preview-2024-10-01",
+          {
+            headers: {
+              Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+              "OpenAI-Beta": "realtime=v1",
+            },
+          }
+        );
+
+      conn.realtimeWs = realtimeWs;
+
+      listen(realtimeWs, "open", () => {
+        logger.info("🤖 Connected to Realtime API", { connectionId, upstream: VOICE_FAKE_REALTIME ? "fake" : "openai" });
+        this.attachHeartbeat(realtimeWs, "openai");
+
+        const sessionUpdate = {
+          type: "session.update",
+          session: {
+            modalities: ["text", "audio"],
+            instructions: this.getDurmahInstructionsWithContext(connectionId),
+            voice: "alloy",
+            input_audio_format: "pcm16",
+            output_audio_format: "pcm16",
+            input_audio_transcription: { model: "whisper-1" },
+            turn_detection: {
+              type: "server_vad",
+              threshold: 0.5,
+              prefix_padding_ms: 300,
+              silence_duration_ms: 500,
+            },
+          },
+        };
+        
+        if (DEBUG_VOICE) {
+          logger.info("🔧 Sending session config", { connectionId, session: sessionUpdate.session });
+        }
+        
+        try { 
+          realtimeWs.send(JSON.stringify(sessionUpdate)); 
+          if (DEBUG_VOICE) {
+            logger.info("✅ Session config sent", { connectionId });
+          }
+        } catch (err) {
+          logger.error("❌ Failed to send session config", { connectionId, error: err.message });
+        }
+
+        // Anything the student sent while we were connecting goes after the session config
+        const queued = conn.pendingUpstream.splice(0);
+        queued.forEach(msg => this.sendUpstream(connectionId, msg));
+
+        if (ws.readyState === 1) {
+          const readyMessage = {
+            type: "durmah.ready",
+            message: SPOKEN_MESSAGES.greeting,
+            connection_id: connectionId,
+            correlation_id: correlationId, // Quote in support requests: ties client, server and OpenAI logs together
+          };
+          ws.send(JSON.stringify(readyMessage));
+          if (DEBUG_VOICE) {
+            logger.info("📢 Sent ready message to client", { connectionId });
+          }
         }
       });
 
@@ -272,7 +523,7 @@ class RealtimeVoiceService {
       let currentReplyTranscript = "";
       let hasActiveAudioResponse = false;
       
-      realtimeWs.on("message", (data) => {
+      listen(realtimeWs, "message", (data) => {
         try {
           // OpenAI sometimes emits binary frames; normalize to string
           let text;
@@ -282,7 +533,7 @@ class RealtimeVoiceService {
             text = data;
           } else {
             if (DEBUG_VOICE) {
-              console.log(`⚠️ [${connectionId}] Ignoring non-string OpenAI message:`, typeof data);
+              logger.info("⚠️ Ignoring non-string OpenAI message", { connectionId, dataType: typeof data });
             }
             return; // ignore
           }
@@ -291,14 +542,32 @@ class RealtimeVoiceService {
           
           if (DEBUG_VOICE) {
             if (msg.type === 'response.audio.delta') {
-              console.log(`🎵 [${connectionId}] OpenAI audio delta: ${msg.delta ? msg.delta.length : 'no delta'} bytes`);
+              logger.info("🎵 OpenAI audio delta", { connectionId, bytes: msg.delta ? msg.delta.length : 0 });
             } else if (msg.type === 'response.audio_transcript.delta') {
-              console.log(`📝 [${connectionId}] OpenAI transcript delta: "${msg.delta || ''}"`);
+              logger.info("📝 OpenAI transcript delta", { connectionId, transcript: msg.delta || '' });
             } else {
-              console.log(`📥 [${connectionId}] OpenAI message:`, msg.type, Object.keys(msg).filter(k => !['delta', 'audio'].includes(k)));
+              logger.info("📥 OpenAI message", { connectionId, type: msg.type, keys: Object.keys(msg).filter(k => !['delta', 'audio'].includes(k)) });
             }
           }
           
+          // Link the upstream session to this connection's correlation id for support traces
+          if (msg.type === "session.created" && msg.session?.id) {
+            const conn = this.connections.get(connectionId);
+            if (conn) conn.openaiSessionId = msg.session.id;
+            setContextFields({ openaiSessionId: msg.session.id });
+            logger.voice.connection(connectionId, "upstream_session_created", { openaiSessionId: msg.session.id });
+          }
+
+          if (msg.type === "error") {
+            metrics.upstreamErrors.inc({ source: "realtime_event" });
+          }
+
+          this.trackResponseState(connectionId, msg);
+
+          if (msg.type === "input_audio_buffer.speech_stopped") {
+            this.startTurn(connectionId, "speech");
+          }
+
           // Handle different message types with standardized audio protocol
           switch (msg.type) {
             case "response.audio.delta":
@@ -306,10 +575,7 @@ class RealtimeVoiceService {
               if (msg.delta && ws.readyState === 1) {
                 if (!hasActiveAudioResponse) {
                   hasActiveAudioResponse = true;
-                  const logMsg = DEBUG_VOICE ? 
-                    `🎵 [${connectionId}] Starting audio response (first chunk: ${msg.delta.length} bytes)` :
-                    "🎵 Starting audio response";
-                  console.log(logMsg);
+                  logger.debug("🎵 Starting audio response", { connectionId, first_chunk_bytes: msg.delta.length });
                 }
                 const audioChunk = {
                   type: "audio_chunk",
@@ -317,11 +583,13 @@ class RealtimeVoiceService {
                   pcm16: msg.delta
                 };
                 ws.send(JSON.stringify(audioChunk));
+                this.markTurn(connectionId, "firstAudioAt");
+                metrics.audioBytes.inc({ direction: "out" }, metrics.base64Bytes(msg.delta));
                 if (DEBUG_VOICE) {
-                  console.log(`📤 [${connectionId}] Sent audio_chunk to client: ${msg.delta.length} bytes`);
+                  logger.info("📤 Sent audio_chunk to client", { connectionId, bytes: msg.delta.length });
                 }
               } else if (DEBUG_VOICE) {
-                console.log(`⚠️ [${connectionId}] Skipping audio delta - no delta data or ws not ready`);
+                logger.info("⚠️ Skipping audio delta - no delta data or ws not ready", { connectionId });
               }
               break;
 
@@ -336,7 +604,7 @@ class RealtimeVoiceService {
               // Signal end of audio stream
               if (ws.readyState === 1) {
                 ws.send(JSON.stringify({ type: "audio_end" }));
-                console.log("🎵 Audio response finished");
+                logger.debug("🎵 Audio response finished", { connectionId });
               }
               hasActiveAudioResponse = false;
               break;
@@ -350,6 +618,7 @@ class RealtimeVoiceService {
                   
                   // Format response based on current mode
                   const formattedResponse = ResponseFormatter.formatBasedOnMode(currentReplyTranscript.trim(), currentMode);
+                  const flags = this.screenDurmahResponse(connectionId, currentReplyTranscript.trim());
                   
                   // Store assistant message for continuity
                   const memory = this.conversationMemory.get(connectionId);
@@ -359,20 +628,28 @@ class RealtimeVoiceService {
                       content: formattedResponse,
                       originalContent: currentReplyTranscript.trim(),
                       timestamp: Date.now(),
-                      mode: currentMode
+                      mode: currentMode,
+                      flags
                     });
                   }
                   
+                  this.summarizeSessionMemory(connectionId);
+                  
                   ws.send(JSON.stringify({
                     type: "transcript",
                     text: formattedResponse,
                     mode: currentMode,
-                    originalText: currentMode === 'voice' ? currentReplyTranscript.trim() : undefined
+                    originalText: currentMode === 'voice' ? currentReplyTranscript.trim() : undefined,
+                    // What a client-side voice (browser speech, tts-eleven) should read out
+                    spokenText: currentMode === 'voice' ? normalizeForSpeech(formattedResponse) : undefined
                   }));
-                  console.log(`📝 [${connectionId}] Transcript sent (${currentMode} mode):`, formattedResponse.substring(0, 50) + "...");
+                  this.markTurn(connectionId, "transcriptAt");
+                  metrics.transcriptsSent.inc({ mode: currentMode });
+                  logger.debug("📝 Transcript sent", { connectionId, mode: currentMode, length: formattedResponse.length });
                 }
                 ws.send(JSON.stringify(msg)); // Forward response.done
               }
+              this.completeTurn(connectionId, msg.response);
               currentReplyTranscript = "";
               hasActiveAudioResponse = false;
               break;
@@ -393,23 +670,44 @@ class RealtimeVoiceService {
 
             default:
               // Log unhandled message types for debugging
-              console.log("🔍 Unhandled OpenAI message:", msg.type);
+              logger.debug("🔍 Unhandled OpenAI message", { connectionId, type: msg.type });
               break;
           }
 
+          if (msg.type === "input_audio_buffer.speech_started") {
+            this.touchActivity(connectionId);
+          }
+
+          // Keep what the student said for continuity and persistence
+          if (msg.type === "conversation.item.input_audio_transcription.completed" && msg.transcript?.trim()) {
+            const screening = this.screenStudentTurn(connectionId, msg.transcript.trim(), 'voice_transcription');
+            const memory = this.conversationMemory.get(connectionId);
+            if (memory) {
+              memory.messages.push({
+                role: 'user',
+                content: msg.transcript.trim(),
+                timestamp: Date.now(),
+                mode: this.connections.get(connectionId)?.mode || 'voice',
+                flags: screening.flags,
+                assistance_level: screening.assistance_level
+              });
+            }
+          }
+
           if (msg.type === "conversation.item.created") {
-            console.log(
-              "💬 item:",
-              msg.item?.content?.[0]?.text ? "text" : "audio"
-            );
+            logger.debug("💬 Conversation item created", {
+              connectionId,
+              kind: msg.item?.content?.[0]?.text ? "text" : "audio",
+            });
           }
         } catch (e) {
-          console.error("OpenAI message error:", e);
+          logger.error("OpenAI message error", { connectionId, error: e.message });
         }
       });
 
-      realtimeWs.on("error", (e) => {
-        console.error("OpenAI Realtime error:", e);
+      listen(realtimeWs, "error", (e) => {
+        logger.error("OpenAI Realtime error", { connectionId, error: e.message });
+        metrics.upstreamErrors.inc({ source: "realtime_socket" });
         if (ws.readyState === 1) {
           ws.send(
             JSON.stringify({
@@ -421,8 +719,13 @@ class RealtimeVoiceService {
         }
       });
 
-      realtimeWs.on("close", () => {
-        console.log("🤖 OpenAI Realtime closed");
+      listen(realtimeWs, "close", () => {
+        logger.info("🤖 OpenAI Realtime closed", { connectionId });
+        // We closed it on purpose, or the client left first
+        const conn = this.connections.get(connectionId);
+        const expected = !conn || conn.ending;
+        metrics.upstreamCloses.inc({ expected });
+        if (expected) return;
         if (ws.readyState === 1) {
           ws.send(
             JSON.stringify({
@@ -433,7 +736,7 @@ class RealtimeVoiceService {
         }
       });
     } catch (e) {
-      console.error("Init realtime session error:", e);
+      logger.error("Init realtime session error", { connectionId, error: e.message });
       try {
         ws.send(
           JSON.stringify({
@@ -441,26 +744,41 @@ class RealtimeVoiceService {
             message: "Failed to initialize voice service",
           })
         );
-      } catch {}
+      } catch { /* client already gone */ }
+    }
+  }
+
+  // Forward a client message to OpenAI, or queue it until the upstream socket is open
+  forwardClientMessage(connectionId, msg) {
+    const conn = this.connections.get(connectionId);
+    if (!conn) return;
+    if (conn.realtimeWs?.readyState === 1) {
+      this.sendUpstream(connectionId, msg);
+    } else if (conn.pendingUpstream.length < MAX_PENDING_UPSTREAM) {
+      conn.pendingUpstream.push(msg);
+    } else if (DEBUG_VOICE) {
+      logger.info("⚠️ Upstream queue full, dropping client message", { connectionId, type: msg.type });
     }
   }
 
   // Loopback mode - echo mic audio back to client
-  initLoopbackMode(ws, connectionId) {
-    console.log(`🔄 [${connectionId}] Initializing loopback mode`);
+  initLoopbackMode(ws, connectionId, correlationId, heldMessages = []) {
+    logger.info("🔄 Initializing loopback mode", { connectionId });
     
     // Send ready message immediately
     if (ws.readyState === 1) {
       const readyMessage = {
         type: "durmah.ready",
         message: "🔄 Loopback mode active! I'll echo your voice back to test the audio pipeline.",
+        connection_id: connectionId,
+        correlation_id: correlationId,
       };
       ws.send(JSON.stringify(readyMessage));
-      console.log(`📢 [${connectionId}] Sent loopback ready message`);
+      logger.debug("📢 Sent loopback ready message", { connectionId });
     }
 
     // Handle client messages in loopback mode
-    ws.on("message", (data) => {
+    const onClientMessage = (data) => {
       try {
         const msg = JSON.parse(data);
         const conn = this.connections.get(connectionId);
@@ -468,12 +786,14 @@ class RealtimeVoiceService {
         if (!conn) return;
 
         if (DEBUG_VOICE) {
-          console.log(`📨 [${connectionId}] Loopback client message:`, msg.type);
+          logger.info("📨 Loopback client message", { connectionId, type: msg.type });
         }
 
         // Handle audio input for loopback
         if (msg.type === "input_audio_buffer.append" && msg.audio) {
-          console.log(`🎤 [${connectionId}] Loopback received audio chunk: ${msg.audio.length} bytes`);
+          logger.debug("🎤 Loopback received audio chunk", { connectionId, bytes: msg.audio.length });
+          metrics.audioBytes.inc({ direction: "in" }, metrics.base64Bytes(msg.audio));
+          this.touchActivity(connectionId);
           
           // Buffer the audio
           conn.loopbackBuffer.push({
@@ -493,21 +813,23 @@ class RealtimeVoiceService {
         
         // Handle commit - trigger immediate echo
         else if (msg.type === "input_audio_buffer.commit") {
-          console.log(`🔄 [${connectionId}] Loopback commit triggered`);
+          logger.debug("🔄 Loopback commit triggered", { connectionId });
           this.processLoopbackAudio(ws, connectionId);
         }
         
         // Handle response creation (just acknowledge)
         else if (msg.type === "response.create") {
           if (DEBUG_VOICE) {
-            console.log(`🔄 [${connectionId}] Loopback response.create acknowledged`);
+            logger.info("🔄 Loopback response.create acknowledged", { connectionId });
           }
         }
 
       } catch (e) {
-        console.error(`❌ [${connectionId}] Loopback message error:`, e);
+        logger.error("❌ Loopback message error", { connectionId, error: e.message });
       }
-    });
+    };
+    listen(ws, "message", onClientMessage);
+    heldMessages.forEach(onClientMessage);
   }
 
   // Process accumulated loopback audio and echo it back
@@ -515,7 +837,7 @@ class RealtimeVoiceService {
     const conn = this.connections.get(connectionId);
     if (!conn || conn.loopbackBuffer.length === 0) return;
 
-    console.log(`🔄 [${connectionId}] Processing loopback audio: ${conn.loopbackBuffer.length} chunks`);
+    logger.debug("🔄 Processing loopback audio", { connectionId, chunks: conn.loopbackBuffer.length });
 
     // Concatenate all buffered audio
     const combinedAudio = conn.loopbackBuffer.map(chunk => chunk.audio).join('');
@@ -536,6 +858,7 @@ class RealtimeVoiceService {
               sampleRate: 24000,
               pcm16: chunk
             }));
+            metrics.audioBytes.inc({ direction: "out" }, metrics.base64Bytes(chunk));
           }
         }, (i / chunkSize) * 50); // 50ms delay between chunks
       }
@@ -544,7 +867,7 @@ class RealtimeVoiceService {
       setTimeout(() => {
         if (ws.readyState === 1) {
           ws.send(JSON.stringify({ type: "audio_end" }));
-          console.log(`🎵 [${connectionId}] Loopback audio playbook complete`);
+          logger.debug("🎵 Loopback audio playback complete", { connectionId });
         }
       }, Math.ceil(combinedAudio.length / chunkSize) * 50 + 100);
 
@@ -555,34 +878,439 @@ class RealtimeVoiceService {
             type: "transcript",
             text: `[Loopback test - echoed ${Math.round(combinedAudio.length / 48)} bytes of audio]`
           }));
-          console.log(`📝 [${connectionId}] Sent loopback transcript`);
+          metrics.transcriptsSent.inc({ mode: "loopback" });
+          logger.debug("📝 Sent loopback transcript", { connectionId });
         }
       }, Math.ceil(combinedAudio.length / chunkSize) * 50 + 200);
     }
   }
 
-  getDurmahInstructions() {
-    return `You are Durmah, the compassionate Legal Eagle Buddy for Durham Law students.
+  touchActivity(connectionId) {
+    const conn = this.connections.get(connectionId);
+    if (!conn) return;
+    conn.lastActivity = Date.now();
+    conn.warned.idle = false;
+  }
+
+  sendSessionWarning(connectionId, reason, remainingMs) {
+    const conn = this.connections.get(connectionId);
+    if (conn?.ws.readyState !== 1) return;
+
+    const remainingSeconds = Math.max(0, Math.round(remainingMs / 1000));
+    conn.ws.send(JSON.stringify({
+      type: "durmah.session_warning",
+      reason,
+      remaining_seconds: remainingSeconds,
+      message: reason === "idle_timeout"
+        ? `Are you still there? I'll end our session in ${remainingSeconds} seconds if I don't hear from you.`
+        : `Our session will end in ${remainingSeconds} seconds. Let's wrap up what we're working on.`,
+    }));
+    logger.voice.connection(connectionId, "session_warning", { reason, remainingSeconds });
+  }
+
+  // Enforce MAX_SESSION_MINUTES and idle timeouts for one connection
+  startSessionTimers(connectionId) {
+    const conn = this.connections.get(connectionId);
+    if (!conn) return;
+
+    conn.sessionTimer = setInterval(() => {
+      const current = this.connections.get(connectionId);
+      if (!current || current.ending) {
+        clearInterval(conn.sessionTimer);
+        return;
+      }
+
+      const now = Date.now();
+      const sessionRemaining = current.sessionStartedAt + MAX_SESSION_MS - now;
+      const idleRemaining = current.lastActivity + IDLE_TIMEOUT_MS - now;
+
+      if (sessionRemaining <= 0) {
+        this.endSession(connectionId, "session_limit");
+      } else if (idleRemaining <= 0) {
+        this.endSession(connectionId, "idle_timeout");
+      } else if (sessionRemaining <= SESSION_WARNING_MS && !current.warned.session) {
+        current.warned.session = true;
+        this.sendSessionWarning(connectionId, "session_limit", sessionRemaining);
+      } else if (idleRemaining <= SESSION_WARNING_MS && !current.warned.idle) {
+        current.warned.idle = true;
+        this.sendSessionWarning(connectionId, "idle_timeout", idleRemaining);
+      }
+    }, SESSION_CHECK_INTERVAL_MS);
+  }
+
+  // Turn the session's message list into { user_input, ai_response } interactions
+  pairMessages(messages) {
+    const unanswered = (message) => ({
+      user_input: message.content,
+      mode: message.mode,
+      flags: message.flags || [],
+      assistance_level: message.assistance_level,
+    });
+
+    const interactions = [];
+    let pendingUser = null;
+    for (const message of messages) {
+      if (message.role === 'user') {
+        if (pendingUser) interactions.push(unanswered(pendingUser));
+        pendingUser = message;
+      } else {
+        interactions.push({
+          user_input: pendingUser?.content,
+          ai_response: message.originalContent || message.content,
+          mode: message.mode,
+          flags: [...(pendingUser?.flags || []), ...(message.flags || [])],
+          assistance_level: pendingUser?.assistance_level,
+        });
+        pendingUser = null;
+      }
+    }
+    if (pendingUser) interactions.push(unanswered(pendingUser));
+
+    return interactions;
+  }
+
+  // Fold older turns of a long session into a summary so the instructions keep its thread.
+  // Messages stay in memory; finalizeSession still persists every turn.
+  async summarizeSessionMemory(connectionId) {
+    const memory = this.conversationMemory.get(connectionId);
+    if (!memory || memory.summarizing) return;
+    if (memory.messages.length - memory.summarizedCount <= SESSION_SUMMARY_THRESHOLD) return;
+
+    memory.summarizing = true;
+    const upTo = memory.messages.length - SESSION_RECENT_MESSAGES;
+    try {
+      const turns = this.pairMessages(memory.messages.slice(memory.summarizedCount, upTo));
+      memory.summary = await MemoryService.summarizeTurns(memory.summary, turns);
+      memory.summarizedCount = upTo;
+
+      logger.info("📜 Folded turns into the session summary", { connectionId, turns: turns.length, method: memory.summary.method });
+
+      const conn = this.connections.get(connectionId);
+      if (conn && !conn.ending) {
+        this.sendUpstream(connectionId, {
+          type: "session.update",
+          session: { instructions: this.getDurmahInstructionsWithContext(connectionId) },
+        });
+      }
+    } catch (e) {
+      logger.error("Failed to summarise voice session", { connectionId, error: e.message });
+    } finally {
+      memory.summarizing = false;
+    }
+  }
+
+  // Pair up the session's turns and store them with MemoryService
+  async finalizeSession(connectionId, reason) {
+    const conn = this.connections.get(connectionId);
+    const memory = this.conversationMemory.get(connectionId);
+    if (!conn || conn.finalized) return null;
+
+    conn.finalized = true;
+    clearInterval(conn.sessionTimer);
+
+    const interactions = this.pairMessages(memory?.messages || []);
+    const durationSeconds = (Date.now() - conn.sessionStartedAt) / 1000;
+    metrics.voiceSessionDuration.observe({ reason }, durationSeconds);
+
+    const sessionId = `voice_${connectionId}`;
+    logger.voice.session(sessionId, "ended", {
+      reason,
+      userId: conn.userId,
+      // Explicit because sweeps finalise sessions outside the connection's context
+      correlationId: conn.correlationId,
+      openaiSessionId: conn.openaiSessionId,
+      duration_seconds: Math.round(durationSeconds),
+      turns: interactions.length,
+      crisis: !!conn.crisis,
+      integrity_flags: interactions.reduce((count, interaction) => count + interaction.flags.filter(flag => flag.type !== 'mental_health_crisis').length, 0),
+      latency: logger.voice.getLatencyStats(sessionId),
+    });
+
+    if (conn.user.anonymous || interactions.length === 0) return null;
+
+    for (const interaction of interactions) {
+      const stored = await MemoryService.storeConversation(conn.userId, sessionId, { type: 'question', ...interaction }, {
+        startedAt: conn.sessionStartedAt,
+      });
+      if (!stored) return null; // Erased while the session was being saved
+      await ProvenanceService.recordInteraction(conn.userId, interaction, {
+        sessionId,
+        channel: 'voice',
+        module: conn.conversationContext.module,
+        startedAt: conn.sessionStartedAt,
+      });
+    }
+
+    const conversation = await MemoryService.getConversation(conn.userId, sessionId);
+    const summary = conversation?.recentContext.summary || null;
+
+    await MemoryService.updateLongTermMemory(conn.userId, interactions, {
+      channel: "voice",
+      summary: memory?.summary?.text || summary,
+      preferences: conn.conversationContext.userPreferences,
+      startedAt: conn.sessionStartedAt,
+    });
+
+    return summary;
+  }
+
+  // Graceful server-initiated end: stop OpenAI, persist, tell the client, close
+  async endSession(connectionId, reason) {
+    const conn = this.connections.get(connectionId);
+    if (!conn || conn.ending) return;
+
+    conn.ending = true;
+    try { conn.realtimeWs?.close(); } catch { /* already closed */ }
+
+    let summary = null;
+    try {
+      summary = await this.finalizeSession(connectionId, reason);
+    } catch (e) {
+      logger.error("Failed to persist voice session", { connectionId, error: e.message });
+    }
+
+    if (conn.ws.readyState === 1) {
+      conn.ws.send(JSON.stringify({
+        type: "durmah.session_ended",
+        reason,
+        summary,
+        message: reason === "idle_timeout" ? SPOKEN_MESSAGES.idle_timeout : SPOKEN_MESSAGES.session_limit,
+      }));
+      conn.ws.close(CLOSE_CODES[reason], reason);
+    }
+  }
+
+  // Per-turn latency, timed from the end of the student's speech (or a typed turn).
+  // A new speech_stopped restarts the clock, e.g. when the student barges in.
+  startTurn(connectionId, trigger) {
+    const conn = this.connections.get(connectionId);
+    if (!conn) return;
+    conn.turn = { trigger, startedAt: Date.now(), firstAudioAt: null, transcriptAt: null };
+  }
+
+  markTurn(connectionId, stage) {
+    const turn = this.connections.get(connectionId)?.turn;
+    if (turn && !turn[stage]) turn[stage] = Date.now();
+  }
 
-🦅 CORE:
-- Warm, supportive, encouraging
-- Knowledgeable about UK law & Durham University
-- Voice‑first, emotionally intelligent
+  // On response.done: record the turn's timings and report them to the client
+  completeTurn(connectionId, response) {
+    const conn = this.connections.get(connectionId);
+    const turn = conn?.turn;
+    if (!turn) return; // e.g. the greeting, or a crisis re-prompt after a cancelled reply
+
+    conn.turn = null;
+    conn.turnCount += 1;
+    const since = (time) => (time ? time - turn.startedAt : null);
+    const timings = {
+      turn: conn.turnCount,
+      trigger: turn.trigger,
+      status: response?.status || "completed",
+      first_audio_ms: since(turn.firstAudioAt),
+      transcript_ms: since(turn.transcriptAt),
+      response_done_ms: since(Date.now()),
+    };
+
+    logger.voice.turn(`voice_${connectionId}`, timings);
+    for (const stage of ["first_audio_ms", "transcript_ms", "response_done_ms"]) {
+      if (timings[stage] !== null) {
+        metrics.voiceTurnLatency.observe({ stage: stage.replace(/_ms$/, "") }, timings[stage] / 1000);
+      }
+    }
+
+    if (conn.ws.readyState === 1) {
+      conn.ws.send(JSON.stringify({ type: "durmah.turn_metrics", ...timings }));
+    }
+  }
+
+  // Follow the upstream response lifecycle so crisis escalation can cancel and re-prompt safely
+  trackResponseState(connectionId, msg) {
+    const conn = this.connections.get(connectionId);
+    if (!conn) return;
+
+    if (msg.type === "input_audio_buffer.speech_stopped") {
+      conn.responseExpected = true;
+    } else if (msg.type === "response.created") {
+      conn.responseActive = true;
+      conn.responseExpected = false;
+      if (conn.cancelOnCreated) {
+        conn.cancelOnCreated = false;
+        this.sendUpstream(connectionId, { type: "response.cancel" });
+      }
+      // Integrity guidance covers the first response created after it was applied
+      if (conn.integrityGuidance && !conn.integrityGuidance.responseId) {
+        conn.integrityGuidance.responseId = msg.response?.id;
+      }
+    } else if (msg.type === "response.audio.delta") {
+      conn.assistantSpoke = true;
+    } else if (msg.type === "response.done") {
+      // Also sent for a reply cancelled before it was created
+      conn.responseActive = false;
+      conn.responseExpected = false;
+      conn.cancelOnCreated = false;
+      const guidance = conn.integrityGuidance;
+      if (guidance?.responseId && guidance.responseId === msg.response?.id) {
+        conn.integrityGuidance = null;
+        this.sendUpstream(connectionId, {
+          type: "session.update",
+          session: { instructions: this.getDurmahInstructionsWithContext(connectionId) },
+        });
+      }
+      if (conn.pendingCrisisResponse) {
+        conn.pendingCrisisResponse = false;
+        this.sendUpstream(connectionId, { type: "response.create" });
+      } else {
+        conn.crisisOwnsTurn = false;
+      }
+    }
+  }
+
+  sendUpstream(connectionId, event) {
+    const conn = this.connections.get(connectionId);
+    if (conn?.realtimeWs?.readyState !== 1) return false;
+    try {
+      conn.realtimeWs.send(JSON.stringify(event));
+      return true;
+    } catch (e) {
+      logger.error("❌ Failed to send upstream event", { connectionId, type: event.type, error: e.message });
+      return false;
+    }
+  }
+
+  // Run what the student said or typed through the integrity/wellbeing checks
+  screenStudentTurn(connectionId, text, source) {
+    const conn = this.connections.get(connectionId);
+    if (!conn) return { flags: [], assistance_level: null };
+
+    const analysis = IntegrityService.analyzeContent(text, {
+      source,
+      user_id: conn.userId
+    });
+    const assistance = IntegrityService.analyzeAssistanceLevel(text);
+    logger.integrity.assistance(conn.userId, assistance.level, source);
+
+    // The transcript itself is never logged
+    if (analysis.flags.some(flag => flag.type === 'mental_health_crisis')) {
+      logger.integrity.flag(conn.userId, 'mental_health_crisis', 'high', {
+        source,
+        sessionId: `voice_${connectionId}`
+      });
+      this.escalateCrisis(connectionId);
+      return { flags: analysis.flags, assistance_level: assistance.level };
+    }
+
+    const dishonesty = analysis.flags.find(flag => flag.type === 'academic_dishonesty');
+    if (dishonesty) {
+      logger.integrity.flag(conn.userId, 'academic_dishonesty', dishonesty.severity, {
+        source,
+        sessionId: `voice_${connectionId}`
+      });
+    }
 
-💜 TONE:
-- Natural, gentle, brief (1–3 sentences usually)
-- Check wellbeing proactively
+    if (dishonesty || assistance.level === 'high') {
+      this.applyIntegrityGuidance(connectionId, {
+        reason: dishonesty ? 'academic_dishonesty' : 'high_assistance_request',
+        assistance_level: assistance.level,
+        recommendation: assistance.recommendation
+      });
+    }
 
-📚 EXPERTISE:
-- UK legal system, case law, exam & study skills, stress management
+    return { flags: analysis.flags, assistance_level: assistance.level };
+  }
 
-⚖️ STYLE:
-- Ask clarifying questions
-- Offer concrete next steps
+  // Check a finished Durmah reply for answers the student should reach themselves
+  screenDurmahResponse(connectionId, text) {
+    const conn = this.connections.get(connectionId);
+    if (!conn || conn.crisis || !IntegrityService.containsDirectAnswers(text)) return [];
 
-🚨 BOUNDARIES:
-- Educational support only; not legal advice
-- For crisis, recommend professional help`;
+    logger.integrity.flag(conn.userId, 'direct_answer', 'medium', {
+      source: 'voice_response',
+      sessionId: `voice_${connectionId}`
+    });
+    this.applyIntegrityGuidance(connectionId, {
+      reason: 'direct_answer',
+      recommendation: 'Walk back through the reasoning with the student instead of restating conclusions'
+    });
+
+    return [{
+      type: 'direct_answer',
+      severity: 'medium',
+      message: 'Response may give the student a direct answer'
+    }];
+  }
+
+  // Steer the next response with integrity instructions and let the UI explain why
+  applyIntegrityGuidance(connectionId, guidance) {
+    const conn = this.connections.get(connectionId);
+    // Crisis support takes priority over tutoring guidance
+    if (!conn || conn.ending || conn.crisis) return;
+
+    conn.integrityGuidance = { ...guidance, responseId: null };
+    this.sendUpstream(connectionId, {
+      type: "session.update",
+      session: { instructions: this.getDurmahInstructionsWithContext(connectionId) },
+    });
+
+    logger.info("⚖️ Integrity guidance applied", { connectionId, reason: guidance.reason });
+
+    if (conn.ws.readyState === 1) {
+      conn.ws.send(JSON.stringify({
+        type: "durmah.integrity_notice",
+        reason: guidance.reason,
+        assistance_level: guidance.assistance_level || null,
+        message: INTEGRITY_NOTICES[guidance.reason],
+        timestamp: new Date().toISOString(),
+      }));
+    }
+  }
+
+  // Switch the live session to crisis support and tell the UI to show resources
+  escalateCrisis(connectionId) {
+    const conn = this.connections.get(connectionId);
+    if (!conn || conn.ending) return;
+
+    const preset = VoiceService.getCrisisVoiceSettings();
+    const firstDetection = !conn.crisis;
+
+    if (firstDetection) {
+      conn.crisis = { detectedAt: Date.now() };
+
+      const session = { instructions: this.getDurmahInstructionsWithContext(connectionId) };
+      // Realtime rejects a voice change once the assistant has produced audio
+      if (!conn.assistantSpoke) {
+        session.voice = preset.realtime_voice;
+      }
+      this.sendUpstream(connectionId, { type: "session.update", session });
+
+      // Replace whatever reply is under way with one that follows the crisis instructions.
+      // Whisper can finish before server VAD's reply starts; a response.create sent then
+      // would race it, so cancel that reply once it exists and follow up when it's done.
+      if (conn.responseActive) {
+        conn.pendingCrisisResponse = true;
+        this.sendUpstream(connectionId, { type: "response.cancel" });
+      } else if (conn.responseExpected) {
+        conn.pendingCrisisResponse = true;
+        conn.cancelOnCreated = true;
+      } else {
+        this.sendUpstream(connectionId, { type: "response.create" });
+      }
+
+      logger.info("🚨 Crisis support mode enabled", { connectionId, voice: session.voice ? "switched" : "unchanged" });
+    }
+
+    if (conn.ws.readyState === 1) {
+      conn.ws.send(JSON.stringify({
+        type: "durmah.crisis",
+        first_detection: firstDetection,
+        voice_preset: preset,
+        ...getCrisisResources(),
+        timestamp: new Date().toISOString(),
+      }));
+    }
+  }
+
+  getDurmahInstructions() {
+    return getDurmahInstructions();
   }
 
   getDurmahInstructionsWithContext(connectionId) {
@@ -592,17 +1320,14 @@ class RealtimeVoiceService {
     let baseInstructions = this.getDurmahInstructions();
     
     // Add mode-specific instructions
-    if (conn?.mode === 'voice') {
-      baseInstructions += `\n\n🎤 VOICE MODE:
-- Keep responses SHORT and conversational (1-2 sentences ideal)
-- Use natural speech patterns, contractions
-- If the full explanation is long, offer to continue: "Would you like me to explain more?"
-- Be warm and personable in tone`;
-    } else {
-      baseInstructions += `\n\n💬 TEXT MODE:
-- You can provide more detailed, comprehensive responses
-- Use proper formatting with bullet points and structure when helpful
-- Include specific legal references and citations when relevant`;
+    baseInstructions += `\n\n${getModeInstructions(conn?.mode === 'voice' ? 'voice' : 'text')}`;
+    
+    if (conn?.longTermMemory) {
+      baseInstructions += `\n\n${getLongTermMemoryInstructions(conn.longTermMemory)}`;
+    }
+    
+    if (memory?.summary) {
+      baseInstructions += `\n\n📜 EARLIER IN THIS SESSION:\n${memory.summary.text}`;
     }
     
     // Add conversation continuity context
@@ -625,14 +1350,78 @@ Remember this conversation context and build on it naturally.`;
         baseInstructions += `\n\n👤 USER PREFERENCES:\n${JSON.stringify(prefs, null, 2)}`;
       }
     }
+
+    if (conn?.integrityGuidance && !conn.crisis) {
+      baseInstructions += `\n\n${getIntegrityInstructions(conn.integrityGuidance)}`;
+    }
+
+    // Crisis support goes last so it overrides the tutoring guidance
+    if (conn?.crisis) {
+      baseInstructions += `\n\n${getCrisisInstructions(VoiceService.getCrisisVoiceSettings())}`;
+    }
     
     return baseInstructions;
   }
 
+  // Remove connections whose client socket closed without the close handler cleaning up
+  // (e.g. it closed while the session was still initialising)
+  sweepStaleConnections() {
+    let removed = 0;
+    for (const [connectionId, conn] of this.connections) {
+      if (conn.ws.readyState !== WebSocket.CLOSED) continue;
+
+      conn.ending = true;
+      clearInterval(conn.sessionTimer);
+      try { conn.realtimeWs?.close(); } catch { /* already closed */ }
+      this.finalizeSession(connectionId, "client_closed").catch((e) =>
+        logger.error("Failed to persist voice session", { connectionId, error: e.message })
+      );
+      this.connections.delete(connectionId);
+      this.conversationMemory.delete(connectionId);
+      removed++;
+    }
+
+    for (const connectionId of this.conversationMemory.keys()) {
+      if (!this.connections.has(connectionId)) this.conversationMemory.delete(connectionId);
+    }
+
+    return { removed, active: this.connections.size };
+  }
+
+  // Drop a student's live voice sessions without persisting them (data erasure)
+  endUserSessions(userId) {
+    let ended = 0;
+    for (const [connectionId, conn] of this.connections) {
+      if (conn.userId !== userId) continue;
+
+      conn.ending = true;
+      conn.finalized = true; // Nothing from this session is stored
+      clearInterval(conn.sessionTimer);
+      try { conn.realtimeWs?.close(); } catch { /* already closed */ }
+
+      if (conn.ws.readyState === 1) {
+        conn.ws.send(JSON.stringify({
+          type: "durmah.session_ended",
+          reason: "data_erased",
+          summary: null,
+          message: SPOKEN_MESSAGES.data_erased,
+        }));
+        conn.ws.close(CLOSE_CODES.data_erased, "data_erased");
+      }
+
+      this.connections.delete(connectionId);
+      this.conversationMemory.delete(connectionId);
+      ended++;
+    }
+    return ended;
+  }
+
   closeAllConnections() {
-    for (const [_, c] of this.connections) {
-      try { c.realtimeWs?.close(); } catch {}
-      try { c.ws?.close(); } catch {}
+    for (const c of this.connections.values()) {
+      c.ending = true;
+      clearInterval(c.sessionTimer);
+      try { c.realtimeWs?.close(); } catch { /* shutting down */ }
+      try { c.ws?.close(); } catch { /* shutting down */ }
     }
     this.connections.clear();
   }
@@ -0,0 +1,155 @@
+// Server/services/scheduler-service.js - Scheduled maintenance jobs (node-cron)
+const cron = require('node-cron');
+const logger = require('../lib/logger');
+const MemoryService = require('./memory-service');
+const RealtimeVoiceService = require('./realtime-voice');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cron expressions can be overridden per job; "off" disables a job
+const JOBS = {
+  memory_cleanup: {
+    description: 'Delete conversations older than MEMORY_MAX_AGE_HOURS',
+    env: 'JOB_MEMORY_CLEANUP_CRON',
+    schedule: '0 * * * *',
+    task: async () => ({
+      conversations_removed: await MemoryService.cleanup((parseInt(process.env.MEMORY_MAX_AGE_HOURS) || 24) * HOUR_MS)
+    })
+  },
+  connection_sweep: {
+    description: 'Drop orphaned voice connections and voice session logs with no recent events',
+    env: 'JOB_CONNECTION_SWEEP_CRON',
+    schedule: '*/5 * * * *',
+    task: async () => ({
+      ...RealtimeVoiceService.sweepStaleConnections(),
+      voice_log_sessions_pruned: logger.voice.prune(HOUR_MS)
+    })
+  },
+  log_retention: {
+    description: "Rotate to today's log file and delete files older than LOG_RETENTION_DAYS",
+    env: 'JOB_LOG_RETENTION_CRON',
+    schedule: '5 0 * * *',
+    task: async () => logger.rotate(parseInt(process.env.LOG_RETENTION_DAYS) || 14)
+  },
+  summaries: {
+    description: 'Summarise idle text conversations into long-term memory',
+    env: 'JOB_SUMMARIES_CRON',
+    schedule: '*/15 * * * *',
+    task: async () => ({
+      conversations_summarized: await MemoryService.summarizeIdleConversations(
+        (parseInt(process.env.SUMMARY_IDLE_MINUTES) || 30) * 60 * 1000
+      )
+    })
+  }
+};
+
+class SchedulerService {
+  constructor() {
+    this.enabled = process.env.JOBS_ENABLED !== 'false';
+    this.timezone = process.env.JOBS_TIMEZONE || 'Europe/London';
+    this.started = false;
+    this.jobs = new Map();
+
+    for (const [name, job] of Object.entries(JOBS)) {
+      const configured = (process.env[job.env] || job.schedule).trim();
+      const disabled = configured === 'off';
+      const valid = disabled || cron.validate(configured);
+
+      if (!valid) {
+        logger.error(`Invalid cron expression for job ${name}; job disabled`, { env: job.env, schedule: configured });
+      }
+
+      this.jobs.set(name, {
+        name,
+        description: job.description,
+        schedule: configured,
+        enabled: this.enabled && !disabled && valid,
+        task: job.task,
+        cronTask: null,
+        running: false,
+        runs: 0,
+        failures: 0,
+        last_run: null
+      });
+    }
+  }
+
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    for (const job of this.jobs.values()) {
+      if (!job.enabled) continue;
+      job.cronTask = cron.schedule(job.schedule, () => this.runJob(job.name), { timezone: this.timezone });
+    }
+
+    logger.info('Job scheduler started', {
+      enabled: this.enabled,
+      jobs: Array.from(this.jobs.values()).filter(job => job.enabled).map(job => `${job.name} (${job.schedule})`)
+    });
+  }
+
+  stop() {
+    for (const job of this.jobs.values()) {
+      job.cronTask?.stop();
+      job.cronTask = null;
+    }
+    this.started = false;
+  }
+
+  // Run a job now and return the run record. Overlapping runs are skipped rather than queued.
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) return null;
+    if (job.running) {
+      logger.warn(`Job ${name} still running; skipping this run`);
+      return { status: 'skipped', reason: 'running' };
+    }
+
+    job.running = true;
+    const startedAt = new Date();
+    let run;
+
+    try {
+      const result = await job.task();
+      run = { status: 'success', result };
+    } catch (error) {
+      job.failures++;
+      run = { status: 'failed', error: error.message };
+      logger.error(`Job ${name} failed`, { error: error.message });
+    } finally {
+      job.running = false;
+    }
+
+    job.runs++;
+    job.last_run = {
+      ...run,
+      started_at: startedAt.toISOString(),
+      finished_at: new Date().toISOString(),
+      duration_ms: Date.now() - startedAt.getTime()
+    };
+
+    logger.debug(`Job ${name} finished`, { status: run.status, duration_ms: job.last_run.duration_ms });
+    return job.last_run;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      started: this.started,
+      timezone: this.timezone,
+      jobs: Array.from(this.jobs.values()).map(job => ({
+        name: job.name,
+        description: job.description,
+        schedule: job.schedule,
+        enabled: job.enabled,
+        running: job.running,
+        runs: job.runs,
+        failures: job.failures,
+        last_run: job.last_run
+      }))
+    };
+  }
+}
+
+module.exports = new SchedulerService();
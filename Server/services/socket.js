@@ -1,72 +1,133 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken, anonymousUser, allowAnonymous } = require('../lib/auth');
+const { correlationIdFrom, runWithContext, bindToContext } = require('../lib/context');
+const ChatService = require('./chat-service');
+const MemoryService = require('./memory-service');
+
+const MAX_MESSAGE_LENGTH = 4000;
 
 const initializeSocket = (io, logger) => {
-  // Authentication middleware for socket
-  io.use((socket, next) => {
+  // Authentication middleware for socket (Supabase access token)
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
-    
-    if (!token) {
-      return next(new Error('Authentication error'));
+    const user = await verifyAccessToken(token);
+
+    if (user) {
+      socket.user = user;
+      socket.userId = user.id;
+      return next();
     }
 
-    try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.id;
-      next();
-    } catch (err) {
-      next(new Error('Authentication error'));
+    if (allowAnonymous) {
+      socket.user = anonymousUser();
+      socket.userId = socket.user.id;
+      return next();
     }
+
+    next(new Error('Authentication error'));
   });
 
   io.on('connection', (socket) => {
-    logger.info(`User connected: ${socket.userId}`);
-    
-    // Join user's personal room
-    socket.join(`user_${socket.userId}`);
-    
-    // Send welcome message
-    socket.emit('welcome', {
-      message: 'Welcome to Durmah! 🦅',
-      timestamp: new Date()
-    });
+    // Ties this socket's log lines together; clients may supply their own id
+    const correlationId = correlationIdFrom(
+      socket.handshake.auth.correlationId || socket.handshake.headers['x-correlation-id']
+    );
+
+    runWithContext({ correlationId, socketId: socket.id }, () => {
+      // Bound so chat handlers log with this socket's correlation id
+      const listen = (event, listener) => socket.on(event, bindToContext(listener));
+
+      logger.info('Chat socket connected', { userId: socket.userId });
+
+      // Join user's personal room
+      socket.join(`user_${socket.userId}`);
+
+      // Default conversation for messages that don't name one
+      socket.conversationId = `socket_${socket.id}`;
+
+      // Send welcome message
+      socket.emit('welcome', {
+        message: 'Welcome to Durmah! 🦅',
+        conversationId: socket.conversationId,
+        correlationId,
+        timestamp: new Date()
+      });
+
+      // Handle chat messages
+      listen('chat_message', async (data) => {
+        const message = typeof data?.message === 'string' ? data.message.trim() : '';
+        const conversationId = typeof data?.conversationId === 'string' ? data.conversationId : socket.conversationId;
+        const messageId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+        if (!message || message.length > MAX_MESSAGE_LENGTH) {
+          socket.emit('error', `Message is required (max ${MAX_MESSAGE_LENGTH} characters)`);
+          return;
+        }
+
+        try {
+          // Process message (content is never logged)
+          logger.info('Chat message received', { userId: socket.userId, conversationId, length: message.length });
+
+          // Emit typing indicator
+          socket.emit('typing', true);
+
+          const result = await ChatService.generateReply(socket.userId, conversationId, message, {
+            onToken: (delta, options = {}) => {
+              socket.emit('token', {
+                conversationId,
+                messageId,
+                delta,
+                replace: !!options.replace
+              });
+            }
+          });
 
-    // Handle chat messages
-    socket.on('chat_message', async (data) => {
-      try {
-        // Process message
-        logger.info(`Message from ${socket.userId}: ${data.message}`);
-        
-        // Emit typing indicator
-        socket.emit('typing', true);
-        
-        // Simulate processing time
-        setTimeout(() => {
           socket.emit('typing', false);
-          socket.emit('response', {
-            message: 'I received your message!',
+          socket.emit('done', {
+            conversationId,
+            messageId,
+            message: result.reply,
+            fallback: result.fallback,
+            integrity: {
+              safe: result.screening.analysis.safe,
+              assistance_level: result.screening.assistance.level,
+              crisis: result.screening.crisis,
+              recommendations: result.screening.analysis.recommendations
+            },
             timestamp: new Date()
           });
-        }, 1000);
-        
-      } catch (error) {
-        logger.error('Socket message error:', error);
-        socket.emit('error', 'Failed to process message');
-      }
-    });
 
-    // Handle mood updates
-    socket.on('mood_update', (mood) => {
-      logger.info(`Mood update from ${socket.userId}: ${mood}`);
-      
-      socket.emit('mood_response', {
-        message: getMoodResponse(mood),
-        timestamp: new Date()
+        } catch (error) {
+          logger.error('Socket message error:', error);
+          socket.emit('typing', false);
+          socket.emit('error', 'Failed to process message');
+        }
       });
-    });
 
-    // Handle disconnect
-    socket.on('disconnect', () => {
-      logger.info(`User disconnected: ${socket.userId}`);
+      // Handle mood updates
+      listen('mood_update', async (mood) => {
+        logger.info('Mood update received', { userId: socket.userId });
+
+        socket.emit('mood_response', {
+          message: getMoodResponse(mood),
+          timestamp: new Date()
+        });
+
+        if (!socket.user.anonymous) {
+          try {
+            await MemoryService.updateWellbeingIndicators(socket.userId, {
+              last_mood: String(mood),
+              recorded_at: new Date()
+            });
+          } catch (error) {
+            logger.error('Failed to record mood update:', { error: error.message });
+          }
+        }
+      });
+
+      // Handle disconnect
+      listen('disconnect', () => {
+        logger.info('Chat socket disconnected', { userId: socket.userId });
+      });
     });
   });
 };
@@ -79,8 +140,8 @@ const getMoodResponse = (mood) => {
     stressed: "I hear you. Let's work through this together, one step at a time. 🤗",
     overwhelmed: "Thank you for being honest. Remember, you're not alone. Let's start with something small. 💪"
   };
-  
+
   return responses[mood] || "I'm here for you, whatever you need. 💜";
 };
 
-module.exports = { initializeSocket };
\ No newline at end of file
+module.exports = { initializeSocket };
@@ -0,0 +1,103 @@
+// Server/services/summary-service.js - Rolling summaries of turns leaving the context window
+const OpenAI = require('openai');
+const logger = require('../lib/logger');
+
+const MAX_SUMMARY_LENGTH = 1200; // Characters kept in the running summary
+const MAX_TURN_LENGTH = 600; // Characters of each turn sent to the model
+const EXCERPT_LENGTH = 100;
+
+const SUMMARY_PROMPT = `You keep a running summary of a Durham Law student's study conversation with Durmah, their study companion.
+Merge the existing summary with the new turns into one summary of at most 120 words.
+Keep: topics, cases and statutes discussed, what the student understands or is unsure about, agreed next steps, and any wellbeing concerns.
+Write plain third-person prose. Do not quote the student at length.`;
+
+const firstSentence = (text) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  const sentence = flat.match(/^.+?[.?!](?=\s|$)/)?.[0] || flat;
+  return sentence.length > EXCERPT_LENGTH ? `${sentence.slice(0, EXCERPT_LENGTH - 1)}…` : sentence;
+};
+
+// Keep the newest part of an over-long summary, cut at a sentence boundary
+const clamp = (text) => {
+  if (text.length <= MAX_SUMMARY_LENGTH) return text;
+  const tail = text.slice(-MAX_SUMMARY_LENGTH);
+  const boundary = tail.search(/[.?!]\s/);
+  return boundary === -1 ? tail : tail.slice(boundary + 2);
+};
+
+class SummaryService {
+  constructor() {
+    this.isConfigured = !!process.env.OPENAI_API_KEY;
+    this.model = process.env.SUMMARY_MODEL || process.env.CHAT_MODEL || 'gpt-4o-mini';
+    this.timeout = parseInt(process.env.SUMMARY_TIMEOUT_MS) || 8000;
+    this.openai = this.isConfigured
+      ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY, timeout: this.timeout, maxRetries: 0 })
+      : null;
+  }
+
+  // Fold turns ({ user_input, ai_response }) into the previous summary.
+  // topics: taxonomy topic names for the turns, used by the offline summary.
+  async fold(previous, turns, { topics = [] } = {}) {
+    if (turns.length === 0) return previous || null;
+
+    let text = null;
+    let method = 'extractive';
+
+    if (this.isConfigured) {
+      try {
+        text = await this.summarizeWithModel(previous?.text, turns);
+        method = 'llm';
+      } catch (error) {
+        logger.warn('Summary model unavailable; using extractive summary', { error: error.message });
+      }
+    }
+
+    if (!text) {
+      text = this.extractiveSummary(previous?.text, turns, topics);
+    }
+
+    return {
+      text: clamp(text),
+      method,
+      turns_summarized: (previous?.turns_summarized || 0) + turns.length,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  async summarizeWithModel(previousText, turns) {
+    const transcript = turns.map(turn => [
+      turn.user_input && `Student: ${turn.user_input.slice(0, MAX_TURN_LENGTH)}`,
+      turn.ai_response && `Durmah: ${turn.ai_response.slice(0, MAX_TURN_LENGTH)}`
+    ].filter(Boolean).join('\n')).join('\n\n');
+
+    const completion = await this.openai.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: SUMMARY_PROMPT },
+        { role: 'user', content: `Existing summary:\n${previousText || '(none)'}\n\nNew turns:\n${transcript}` }
+      ],
+      temperature: 0.2,
+      max_tokens: 250
+    });
+
+    const text = completion.choices[0]?.message?.content?.trim();
+    if (!text) throw new Error('Empty summary from model');
+    return text;
+  }
+
+  // Deterministic summary for offline use: topics plus the opening of each question
+  extractiveSummary(previousText, turns, topics) {
+    const questions = turns
+      .map(turn => firstSentence(turn.user_input))
+      .filter(Boolean);
+
+    let section = topics.length > 0 ? `Covered ${topics.slice(0, 6).join(', ')}.` : '';
+    if (questions.length > 0) {
+      section += `${section ? ' ' : ''}The student asked: ${questions.map(question => `"${question}"`).join('; ')}.`;
+    }
+
+    return [previousText, section].filter(Boolean).join(' ');
+  }
+}
+
+module.exports = new SummaryService();
@@ -1,6 +1,14 @@
 // Server/services/voice-service.js - Voice processing and TTS service
 const OpenAI = require('openai');
 const logger = require('../lib/logger');
+const metrics = require('../lib/metrics');
+const { createTTSProviders, createTTSCache, CONTENT_TYPES } = require('../lib/tts');
+const { SPOKEN_MESSAGES } = require('../lib/persona');
+const { normalizeForSpeech } = require('../lib/pronunciation');
+const { decodeAudio, resample, ANALYSIS_SAMPLE_RATE } = require('../lib/audio/decode');
+const { analyzeSignal, levels } = require('../lib/audio/analysis');
+const { getCrisisResources } = require('../lib/crisis-resources');
+const IntegrityService = require('./integrity-service');
 
 const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY
@@ -10,8 +18,13 @@ class VoiceService {
   constructor() {
     this.isConfigured = !!process.env.OPENAI_API_KEY;
     this.elevenLabsConfigured = !!process.env.ELEVENLABS_API_KEY;
+    this.ttsProviders = createTTSProviders(); // Tried in order until one succeeds
+    this.ttsCache = createTTSCache();
+    this.ttsStreamConcurrency = Number(process.env.TTS_STREAM_CONCURRENCY) || 3;
     
-    // Voice settings presets
+    // Voice settings presets. Each TTS provider maps these onto its own controls:
+    // OpenAI uses voice and speed, ElevenLabs stability, clarity and speed, the
+    // local stand-in speed and pitch. realtime_voice is for OpenAI Realtime sessions.
     this.voicePresets = {
       academic: {
         voice: 'nova',
@@ -29,6 +42,7 @@ class VoiceService {
       },
       crisis: {
         voice: 'nova',
+        realtime_voice: 'shimmer', // Realtime sessions only offer their own voice set
         speed: 0.8,
         pitch: 0.9,
         stability: 0.95,
@@ -44,7 +58,8 @@ class VoiceService {
           status: 'degraded',
           message: 'OpenAI API key not configured',
           features: {
-            tts: false,
+            tts: this.ttsProviders.length > 0,
+            tts_providers: this.ttsProviders.map(provider => provider.name),
             realtime: false,
             transcription: false
           }
@@ -58,7 +73,8 @@ class VoiceService {
         status: 'healthy',
         message: 'Voice service operational',
         features: {
-          tts: true,
+          tts: this.ttsProviders.length > 0,
+          tts_providers: this.ttsProviders.map(provider => provider.name),
           realtime: true,
           transcription: true,
           elevenlabs: this.elevenLabsConfigured
@@ -79,109 +95,204 @@ class VoiceService {
   }
 
   async getAvailableVoices() {
-    try {
-      if (!this.isConfigured) {
-        return {
-          success: false,
-          fallback: true,
-          message: 'OpenAI not configured - use browser speech synthesis',
-          voices: []
-        };
-      }
+    if (this.ttsProviders.length === 0) {
+      return {
+        success: false,
+        fallback: true,
+        message: 'No TTS provider configured - use browser speech synthesis',
+        voices: []
+      };
+    }
 
-      // OpenAI TTS voices
-      const voices = [
-        { id: 'alloy', name: 'Alloy', gender: 'neutral', provider: 'openai' },
-        { id: 'echo', name: 'Echo', gender: 'male', provider: 'openai' },
-        { id: 'fable', name: 'Fable', gender: 'neutral', provider: 'openai' },
-        { id: 'onyx', name: 'Onyx', gender: 'male', provider: 'openai' },
-        { id: 'nova', name: 'Nova', gender: 'female', provider: 'openai' },
-        { id: 'shimmer', name: 'Shimmer', gender: 'female', provider: 'openai' }
-      ];
-
-      // Add ElevenLabs voices if configured
-      if (this.elevenLabsConfigured) {
-        // Would query ElevenLabs API here
-        voices.push({
-          id: 'elevenlabs_bella',
-          name: 'Bella (ElevenLabs)',
-          gender: 'female',
-          provider: 'elevenlabs'
-        });
+    // One provider failing to list its voices should not hide the others
+    const lists = await Promise.all(this.ttsProviders.map(async (provider) => {
+      try {
+        return await provider.listVoices();
+      } catch (error) {
+        logger.warn('Failed to list TTS voices', { provider: provider.name, error: error.message });
+        return [];
       }
+    }));
 
-      return {
-        success: true,
-        voices,
-        default: 'nova'
-      };
-    } catch (error) {
-      logger.error('Failed to get available voices:', error);
+    return {
+      success: true,
+      voices: lists.flat(),
+      default: this.ttsProviders[0].defaultVoice,
+      providers: this.ttsProviders.map(provider => provider.name)
+    };
+  }
+
+  // A named preset (academic by default) with the caller's overrides on top
+  resolveVoiceSettings(voiceSettings = {}) {
+    const { preset, ...overrides } = voiceSettings;
+    return {
+      ...(this.voicePresets[preset] || this.voicePresets.academic),
+      ...overrides
+    };
+  }
+
+  // Providers in TTS_PROVIDERS order, except that a voice chosen from /voices goes to its own provider first
+  providersFor(requestedVoice) {
+    const owner = this.ttsProviders.find(provider => provider.ownsVoice(requestedVoice));
+    return owner ? [owner, ...this.ttsProviders.filter(provider => provider !== owner)] : this.ttsProviders;
+  }
+
+  // signal (optional AbortSignal) cancels the in-flight provider request and skips the rest of the chain
+  async synthesizeSpeech(text, voiceSettings = {}, { signal } = {}) {
+    metrics.ttsRequests.inc();
+    // Citations, section symbols and Latin spelled out; also what the browser fallback should say
+    const spokenText = normalizeForSpeech(text);
+
+    if (this.ttsProviders.length === 0) {
+      metrics.ttsFailures.inc({ reason: 'not_configured' });
       return {
         success: false,
         fallback: true,
-        message: 'Voice service unavailable - use browser speech synthesis',
-        voices: []
+        text: spokenText,
+        message: 'Use browser speechSynthesis API'
       };
     }
-  }
 
-  async synthesizeSpeech(text, voiceSettings = {}) {
-    try {
-      if (!this.isConfigured) {
-        return {
-          success: false,
-          fallback: true,
-          text: text,
-          message: 'Use browser speechSynthesis API'
-        };
-      }
+    const settings = this.resolveVoiceSettings(voiceSettings);
+    const providers = this.providersFor(voiceSettings.voice);
+    const errors = [];
 
-      const settings = {
-        voice: 'nova',
-        speed: 1.0,
-        ...voiceSettings
+    // Keyed on the first-choice provider; audio from a fallback provider is not cached
+    const cacheKey = this.ttsCache.enabled ? this.ttsCache.keyFor(providers[0], spokenText, settings) : null;
+    const cached = cacheKey && await this.ttsCache.get(cacheKey);
+    if (cached) {
+      logger.debug('Speech served from cache', { tier: cached.tier, provider: cached.provider, textLength: text.length });
+      return {
+        success: true,
+        audioData: cached.audioData,
+        format: cached.format,
+        contentType: CONTENT_TYPES[cached.format],
+        length: cached.audioData.length,
+        voice: cached.voice,
+        provider: cached.provider,
+        cache: 'hit',
+        cacheTier: cached.tier,
+        cacheKey
       };
+    }
+
+    for (const provider of providers) {
+      if (signal?.aborted) return { success: false, cancelled: true, text: spokenText };
 
       logger.debug('Synthesizing speech', {
+        provider: provider.name,
         textLength: text.length,
         voice: settings.voice,
         speed: settings.speed
       });
 
-      const response = await openai.audio.speech.create({
-        model: 'tts-1',
-        voice: settings.voice,
-        input: text,
-        speed: settings.speed
-      });
+      const endTimer = metrics.ttsDuration.startTimer({ provider: provider.name });
+      try {
+        const result = await provider.synthesize(spokenText, settings, { signal });
+        endTimer();
 
-      const audioData = Buffer.from(await response.arrayBuffer());
-      
-      logger.info('Speech synthesis completed', {
-        textLength: text.length,
-        audioSize: audioData.length,
-        voice: settings.voice
-      });
+        logger.info('Speech synthesis completed', {
+          provider: provider.name,
+          textLength: text.length,
+          audioSize: result.audioData.length,
+          voice: result.voice,
+          fallbackFrom: errors.length > 0 ? errors.map(entry => entry.provider) : undefined
+        });
 
-      return {
-        success: true,
-        audioData,
-        format: 'mp3',
-        length: audioData.length,
-        voice: settings.voice
-      };
+        if (cacheKey && provider === providers[0]) {
+          await this.ttsCache.set(cacheKey, { ...result, provider: provider.name });
+        }
 
-    } catch (error) {
-      logger.error('Speech synthesis failed:', error);
-      return {
-        success: false,
-        fallback: true,
-        text: text,
-        message: 'TTS failed - use browser speechSynthesis API',
-        error: error.message
-      };
+        return {
+          success: true,
+          audioData: result.audioData,
+          format: result.format,
+          contentType: CONTENT_TYPES[result.format],
+          length: result.audioData.length,
+          voice: result.voice,
+          provider: provider.name,
+          cache: cacheKey ? 'miss' : 'off',
+          cacheKey
+        };
+      } catch (error) {
+        if (signal?.aborted) return { success: false, cancelled: true, text: spokenText };
+        metrics.ttsProviderErrors.inc({ provider: provider.name });
+        errors.push({ provider: provider.name, error: error.message });
+        logger.warn('TTS provider failed, trying the next one', { provider: provider.name, error: error.message });
+      }
+    }
+
+    logger.error('Speech synthesis failed with every provider', { errors });
+    metrics.ttsFailures.inc({ reason: 'all_providers_failed' });
+    return {
+      success: false,
+      fallback: true,
+      text: spokenText, // The browser voice reads the normalised text too
+      message: 'TTS failed - use browser speechSynthesis API',
+      error: errors.map(entry => `${entry.provider}: ${entry.error}`).join('; ')
+    };
+  }
+
+  // Synthesise segments in parallel, at most ttsStreamConcurrency ahead of the one being delivered,
+  // and hand each result to onSegment strictly in order. Aborting the signal cancels whatever is
+  // still in flight and stops delivery.
+  async streamSpeech(segments, voiceSettings = {}, { signal, onSegment }) {
+    const pending = [];
+    const startNext = () => {
+      if (pending.length < segments.length && !signal?.aborted) {
+        pending.push(this.synthesizeSpeech(segments[pending.length], voiceSettings, { signal }));
+      }
+    };
+    for (let i = 0; i < this.ttsStreamConcurrency; i++) startNext();
+
+    let delivered = 0;
+    while (delivered < pending.length) {
+      const result = await pending[delivered];
+      if (signal?.aborted) break;
+      startNext();
+      await onSegment(delivered, result);
+      delivered++;
+    }
+
+    return { delivered, cancelled: !!signal?.aborted };
+  }
+
+  // Lines Durmah says word for word, with the preset they are spoken in
+  getFixedPhrases() {
+    const crisis = getCrisisResources();
+    const oscolaExamples = Object.keys(IntegrityService.oscolaTemplates)
+      .map(type => IntegrityService.getSpokenOSCOLAExample(type))
+      .filter(Boolean);
+
+    return [
+      ...Object.values(SPOKEN_MESSAGES).map(text => ({ text, preset: 'academic' })),
+      { text: crisis.voice_message, preset: 'crisis' },
+      ...Object.values(crisis.resources.immediate).map(resource => ({ text: resource.spoken, preset: 'crisis' })),
+      ...oscolaExamples.map(text => ({ text, preset: 'academic' }))
+    ];
+  }
+
+  // Synthesise the fixed phrases ahead of time so the first student to hear them is not kept waiting
+  async prewarmSpeechCache() {
+    if (!this.ttsCache.enabled || this.ttsProviders.length === 0) return { warmed: 0, cached: 0 };
+
+    const phrases = this.getFixedPhrases();
+    let warmed = 0;
+    let cached = 0;
+
+    for (const { text, preset } of phrases) {
+      const result = await this.synthesizeSpeech(text, { preset });
+      if (!result.success) {
+        // Every provider is down; the rest would fail the same way
+        logger.warn('TTS cache pre-warm stopped: no provider could synthesise speech', { warmed, cached, remaining: phrases.length - warmed - cached });
+        break;
+      }
+      if (result.cache === 'hit') cached++;
+      else warmed++;
     }
+
+    logger.info('TTS cache pre-warmed', { warmed, cached, phrases: phrases.length, ...this.ttsCache.stats() });
+    return { warmed, cached };
   }
 
   // Voice settings presets
@@ -198,6 +309,22 @@ class VoiceService {
   }
 
   // Audio analysis utilities
+  // Decode an upload (pcm16, float32 or wav) to mono and resample it to the common analysis rate
+  decodeAudioForAnalysis(buffer, { format, sampleRate, channels } = {}) {
+    const decoded = decodeAudio(buffer, { format, sampleRate, channels });
+    return {
+      audioArray: resample(decoded.samples, decoded.sampleRate, ANALYSIS_SAMPLE_RATE),
+      sampleRate: ANALYSIS_SAMPLE_RATE,
+      input: {
+        format: decoded.format,
+        sample_rate: decoded.sampleRate,
+        channels: decoded.channels,
+        bits_per_sample: decoded.bitsPerSample,
+        resampled: decoded.sampleRate !== ANALYSIS_SAMPLE_RATE
+      }
+    };
+  }
+
   analyzeAudioQuality(audioArray, sampleRate = 24000) {
     if (!audioArray || audioArray.length === 0) {
       return {
@@ -206,31 +333,32 @@ class VoiceService {
       };
     }
 
-    // Calculate basic audio metrics
+    // Calculate basic audio metrics (loops rather than spreads, so long clips do not overflow the stack)
     const duration = audioArray.length / sampleRate;
-    const rms = Math.sqrt(audioArray.reduce((sum, val) => sum + val * val, 0) / audioArray.length);
-    const peak = Math.max(...audioArray.map(Math.abs));
-    
-    // Check for clipping
-    const clippedSamples = audioArray.filter(val => Math.abs(val) > 0.95).length;
-    const clippingPercentage = (clippedSamples / audioArray.length) * 100;
+    const { rms, peak, clipped } = levels(audioArray);
+    const clippingPercentage = (clipped / audioArray.length) * 100;
     
     // Estimate noise floor (bottom 10% of values by amplitude)
-    const sortedAmplitudes = audioArray.map(Math.abs).sort((a, b) => a - b);
+    const sortedAmplitudes = Float32Array.from(audioArray, Math.abs).sort();
     const noiseFloor = sortedAmplitudes[Math.floor(sortedAmplitudes.length * 0.1)];
+
+    // SNR, speech/silence segments with their own levels and issues, DC offset, mains hum
+    const signal = analyzeSignal(audioArray, sampleRate);
     
     return {
       valid: true,
       duration,
+      sampleRate,
       rms,
       peak,
       clippingPercentage,
       noiseFloor,
-      quality: this.assessAudioQuality(rms, peak, clippingPercentage, noiseFloor)
+      ...signal,
+      quality: this.assessAudioQuality(rms, peak, clippingPercentage, noiseFloor, signal)
     };
   }
 
-  assessAudioQuality(rms, peak, clippingPercentage, noiseFloor) {
+  assessAudioQuality(rms, peak, clippingPercentage, noiseFloor, signal = null) {
     let score = 100;
     let issues = [];
 
@@ -258,6 +386,29 @@ class VoiceService {
       issues.push('High noise floor');
     }
 
+    if (signal) {
+      if (signal.speech.segments === 0) {
+        score -= 20;
+        issues.push('No speech detected');
+      } else if (signal.snrDb !== null && signal.snrDb < 10) {
+        score -= 25;
+        issues.push('Speech barely above background noise');
+      } else if (signal.snrDb !== null && signal.snrDb < 20) {
+        score -= 10;
+        issues.push('Noticeable background noise');
+      }
+
+      if (signal.dcOffset.detected) {
+        score -= 10;
+        issues.push('DC offset in the signal');
+      }
+
+      if (signal.hum.detected) {
+        score -= 15;
+        issues.push(`Mains hum at ${signal.hum.frequency} Hz`);
+      }
+    }
+
     let rating;
     if (score >= 80) rating = 'excellent';
     else if (score >= 60) rating = 'good';
@@ -290,11 +441,14 @@ class VoiceService {
       configured: this.isConfigured,
       elevenlabs_configured: this.elevenLabsConfigured,
       available_features: {
-        openai_tts: this.isConfigured,
-        elevenlabs_tts: this.elevenLabsConfigured,
+        openai_tts: this.ttsProviders.some(provider => provider.name === 'openai'),
+        elevenlabs_tts: this.ttsProviders.some(provider => provider.name === 'elevenlabs'),
+        local_tts: this.ttsProviders.some(provider => provider.name === 'local'),
         audio_analysis: true,
         voice_presets: true
       },
+      tts_providers: this.ttsProviders.map(provider => provider.name),
+      tts_cache: this.ttsCache.stats(),
       voice_presets: Object.keys(this.voicePresets)
     };
   }
@@ -0,0 +1,179 @@
+// Server/tests/audio.test.js - Audio decoding, resampling and mic-check analysis
+const { decodeAudio, resample, detectContainer, ANALYSIS_SAMPLE_RATE } = require('../lib/audio/decode');
+const { analyzeSignal, detectHum, levels, toDb } = require('../lib/audio/analysis');
+
+const signal = (rate, seconds, fn) => Float32Array.from({ length: Math.round(rate * seconds) }, (_, i) => fn(i / rate));
+
+// Deterministic noise so results don't vary between runs
+const noiseSource = () => {
+  let seed = 1;
+  return () => (seed = (seed * 16807) % 2147483647) / 2147483647 - 0.5;
+};
+
+function wav(samples, { sampleRate, channels = 1, bitsPerSample = 16, float = false }) {
+  const bytes = bitsPerSample / 8;
+  const data = Buffer.alloc(samples.length * bytes * channels);
+  samples.forEach((value, i) => {
+    for (let c = 0; c < channels; c++) {
+      const at = (i * channels + c) * bytes;
+      if (float) data.writeFloatLE(value, at);
+      else if (bitsPerSample === 8) data.writeUInt8(Math.round(value * 127) + 128, at);
+      else data.writeInt16LE(Math.round(value * 32767), at);
+    }
+  });
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(float ? 3 : 1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * bytes * channels, 28);
+  header.writeUInt16LE(bytes * channels, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+describe('decodeAudio', () => {
+  const tone = signal(16000, 0.1, t => 0.5 * Math.sin(2 * Math.PI * 440 * t));
+
+  test('reads raw PCM16 at the analysis rate by default', () => {
+    const pcm = Buffer.alloc(4);
+    pcm.writeInt16LE(16384, 0);
+    pcm.writeInt16LE(-32768, 2);
+
+    const decoded = decodeAudio(pcm);
+    expect(decoded.format).toBe('pcm16');
+    expect(decoded.sampleRate).toBe(ANALYSIS_SAMPLE_RATE);
+    expect(Array.from(decoded.samples)).toEqual([0.5, -1]);
+  });
+
+  test('reads float32 and mixes interleaved channels to mono', () => {
+    const stereo = Buffer.from(new Float32Array([0.5, 0.25, -0.5, -0.25]).buffer);
+
+    const decoded = decodeAudio(stereo, { format: 'float32', sampleRate: 44100, channels: 2 });
+    expect(Array.from(decoded.samples)).toEqual([0.375, -0.375]);
+    expect(decoded.sampleRate).toBe(44100);
+  });
+
+  test.each([
+    ['16-bit stereo', { bitsPerSample: 16, channels: 2 }, 1e-4],
+    ['8-bit mono', { bitsPerSample: 8 }, 1e-2],
+    ['32-bit float', { bitsPerSample: 32, float: true }, 1e-6]
+  ])('reads %s WAV from its header whatever format says', (label, options, tolerance) => {
+    const decoded = decodeAudio(wav(tone, { sampleRate: 16000, ...options }), { format: 'pcm16' });
+
+    expect(decoded.format).toBe('wav');
+    expect(decoded.sampleRate).toBe(16000);
+    expect(decoded.samples).toHaveLength(tone.length);
+    expect(Math.max(...decoded.samples.map((value, i) => Math.abs(value - tone[i])))).toBeLessThan(tolerance);
+  });
+
+  test('sends compressed audio back to the browser to decode', () => {
+    const webm = Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 1, 2, 3, 4]);
+
+    expect(detectContainer(webm)).toBe('webm');
+    expect(() => decodeAudio(webm)).toThrow(/Compressed webm audio cannot be analysed directly; decode it in the browser/);
+    expect(() => decodeAudio(Buffer.from('OggS....'))).toThrow(/Compressed ogg/);
+  });
+
+  test('rejects non-finite float samples, bad rates and unknown formats', () => {
+    expect(() => decodeAudio(Buffer.from(new Float32Array([NaN, 1]).buffer), { format: 'float32' })).toThrow(/non-finite/);
+    expect(() => decodeAudio(Buffer.alloc(4), { sampleRate: 4000 })).toThrow(/Sample rate must be between/);
+    expect(() => decodeAudio(Buffer.alloc(4), { format: 'mp3' })).toThrow(/Unsupported format "mp3"/);
+    expect(() => decodeAudio(Buffer.alloc(4), { format: 'wav' })).toThrow(/not a RIFF\/WAVE file/);
+  });
+});
+
+describe('resample', () => {
+  test('changes the length by the rate ratio and keeps a low tone', () => {
+    const tone = signal(48000, 0.5, t => 0.5 * Math.sin(2 * Math.PI * 200 * t));
+    const resampled = resample(tone, 48000, 24000);
+
+    expect(resampled).toHaveLength(12000);
+    expect(levels(resampled).rms).toBeCloseTo(levels(tone).rms, 2);
+  });
+
+  test('returns the input when the rate already matches', () => {
+    const samples = new Float32Array([0.1, 0.2]);
+    expect(resample(samples, 24000, 24000)).toBe(samples);
+  });
+});
+
+describe('analyzeSignal', () => {
+  const rate = ANALYSIS_SAMPLE_RATE;
+  const noise = noiseSource();
+  // Quiet room with mains hum and a DC offset; two bursts of "speech" from 0.6-1.8s and 2.2-3.0s
+  const clip = signal(rate, 3.6, t => {
+    const speaking = (t > 0.6 && t < 1.8) || (t > 2.2 && t < 3.0);
+    const voice = speaking ? 0.3 * Math.sin(2 * Math.PI * 220 * t) * (0.6 + 0.4 * Math.sin(2 * Math.PI * 4 * t)) + 0.1 * noise() : 0;
+    return voice + 0.01 * Math.sin(2 * Math.PI * 50 * t) + 0.003 * noise() + 0.02;
+  });
+  const analysis = analyzeSignal(clip, rate);
+
+  test('finds the speech segments', () => {
+    const speech = analysis.segments.filter(segment => segment.type === 'speech');
+
+    expect(analysis.speech.segments).toBe(2);
+    expect(speech[0].start).toBeCloseTo(0.6, 1);
+    expect(speech[0].end).toBeCloseTo(1.8, 0);
+    expect(speech[1].start).toBeCloseTo(2.2, 1);
+  });
+
+  test('reports SNR, DC offset and 50 Hz hum', () => {
+    expect(analysis.snrDb).toBeGreaterThan(20);
+    expect(analysis.dcOffset.detected).toBe(true);
+    expect(analysis.dcOffset.value).toBeCloseTo(0.02, 3);
+    expect(analysis.hum).toMatchObject({ detected: true, frequency: 50 });
+    expect(analysis.segments.find(segment => segment.type === 'silence').issues).toContain('hum');
+  });
+
+  test('treats a clip with no pauses as all speech, with no SNR', () => {
+    const talking = signal(rate, 1, t => 0.3 * Math.sin(2 * Math.PI * 220 * t));
+    const result = analyzeSignal(talking, rate);
+
+    expect(result.speech.ratio).toBe(1);
+    expect(result.snrDb).toBeNull();
+  });
+
+  test('finds no speech in silence', () => {
+    const result = analyzeSignal(new Float32Array(rate), rate);
+
+    expect(result.speech.segments).toBe(0);
+    expect(result.snrDb).toBeNull();
+    expect(result.hum.detected).toBe(false);
+  });
+
+  test('flags clipping and measures it on the raw signal', () => {
+    const loud = signal(rate, 1, t => Math.max(-1, Math.min(1, 1.5 * Math.sin(2 * Math.PI * 220 * t))));
+    const speech = analyzeSignal(loud, rate).segments.find(segment => segment.type === 'speech');
+
+    expect(speech.issues).toContain('clipping');
+    expect(speech.peakDb).toBe(0);
+  });
+});
+
+describe('detectHum and levels', () => {
+  test('tells 60 Hz from 50 Hz', () => {
+    const hum = signal(24000, 0.5, t => 0.02 * Math.sin(2 * Math.PI * 60 * t));
+    expect(detectHum(hum, 24000)).toMatchObject({ detected: true, frequency: 60 });
+  });
+
+  test('ignores clips too short to tell', () => {
+    expect(detectHum(new Float32Array(100), 24000).detected).toBe(false);
+  });
+
+  test('measures RMS, peak and clipped samples in dBFS', () => {
+    const result = levels(new Float32Array([0.5, -0.5, 1, -1]));
+
+    expect(result.peak).toBe(1);
+    expect(result.clipped).toBe(2);
+    expect(toDb(0.5)).toBe(-6);
+    expect(toDb(0)).toBe(-Infinity);
+  });
+});
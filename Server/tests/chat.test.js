@@ -0,0 +1,166 @@
+// Server/tests/chat.test.js - Text chat API and replies streamed over the chat socket
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+const mockCreate = jest.fn();
+jest.mock('openai', () => jest.fn().mockImplementation(() => ({ chat: { completions: { create: mockCreate } } })));
+
+process.env.OPENAI_API_KEY = 'test-key';
+process.env.SUPABASE_JWT_SECRET = 'test-secret';
+
+const chatRoutes = require('../routes/chat');
+const { initializeSocket } = require('../services/socket');
+const logger = require('../lib/logger');
+
+const CRISIS_MESSAGE = "I feel hopeless, I can't go on";
+const token = (sub) => jwt.sign({ sub, email: `${sub}@durham.ac.uk` }, 'test-secret');
+const completion = (content) => ({ choices: [{ message: { content } }] });
+async function* stream(...deltas) {
+  for (const delta of deltas) {
+    if (delta instanceof Error) throw delta;
+    yield { choices: [{ delta: { content: delta } }] };
+  }
+}
+
+const app = express();
+app.use(express.json());
+app.use('/api/chat', chatRoutes);
+
+const as = (sub) => ({
+  post: (path) => request(app).post(`/api/chat${path}`).set('Authorization', `Bearer ${token(sub)}`),
+  get: (path) => request(app).get(`/api/chat${path}`).set('Authorization', `Bearer ${token(sub)}`)
+});
+
+describe('/api/chat', () => {
+  beforeEach(() => {
+    mockCreate.mockReset();
+  });
+
+  test('requires a Supabase session', async () => {
+    const response = await request(app).post('/api/chat/conversation').send({});
+    expect(response.status).toBe(401);
+  });
+
+  test.each([
+    ['no message', { conversationId: 'conv_1' }, 'Message is required and must be a string'],
+    ['a blank message', { message: '   ', conversationId: 'conv_1' }, 'Message is required and must be a string'],
+    ['an over-long message', { message: 'x'.repeat(4001), conversationId: 'conv_1' }, 'Message too long (max 4000 characters)'],
+    ['no conversation id', { message: 'What is consideration?' }, 'conversationId is required']
+  ])('rejects %s', async (_, body, error) => {
+    const response = await as('student-1').post('/message').send(body);
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error });
+  });
+
+  test('replies with the model and keeps the conversation', async () => {
+    mockCreate.mockResolvedValue(completion(' Consideration is something of value given for a promise. '));
+
+    const created = await as('student-1').post('/conversation').send({ title: 'Contract revision', module: 'Contract Law' });
+    expect(created.status).toBe(201);
+    const { id } = created.body.conversation;
+
+    const reply = await as('student-1').post('/message').send({ message: 'What is consideration?', conversationId: id });
+    expect(reply.body).toMatchObject({
+      success: true,
+      message: 'Consideration is something of value given for a promise.',
+      fallback: false,
+      integrity: { crisis: false }
+    });
+    expect(mockCreate.mock.calls[0][0].messages.slice(-1)).toEqual([{ role: 'user', content: 'What is consideration?' }]);
+
+    const history = await as('student-1').get(`/conversation/${id}`);
+    expect(history.body.conversation).toMatchObject({ title: 'Contract revision', module: 'Contract Law' });
+    expect(history.body.conversation.messages.map(m => m.user_input)).toEqual(['What is consideration?']);
+
+    expect((await as('student-2').get(`/conversation/${id}`)).status).toBe(404);
+  });
+
+  test('answers a crisis with the canned support reply, never the model', async () => {
+    const response = await as('student-1').post('/message').send({ message: CRISIS_MESSAGE, conversationId: 'conv_crisis' });
+
+    expect(mockCreate).not.toHaveBeenCalled();
+    expect(response.body.integrity.crisis).toBe(true);
+    expect(response.body.message).toMatch(/You don't have to go through this alone/);
+    expect(response.body.message).toMatch(/^• /m);
+  });
+
+  test('falls back to a holding reply when the model fails', async () => {
+    mockCreate.mockRejectedValue(new Error('upstream timeout'));
+
+    const response = await as('student-1').post('/message').send({ message: 'What is consideration?', conversationId: 'conv_2' });
+    expect(response.body).toMatchObject({ success: true, fallback: true });
+    expect(response.body.message).toMatch(/^I'm having trouble reaching my study notes/);
+  });
+});
+
+// Just enough of Socket.IO's server API to drive the chat handlers
+const connectSocket = async (sub) => {
+  let middleware;
+  let onConnection;
+  initializeSocket({ use: fn => { middleware = fn; }, on: (event, fn) => { onConnection = fn; } }, logger);
+
+  const handlers = {};
+  const socket = {
+    id: `sock_${sub}`,
+    handshake: { auth: { token: token(sub), correlationId: 'corr-chat' }, headers: {} },
+    emitted: [],
+    join: () => {},
+    on: (event, fn) => { handlers[event] = fn; },
+    emit: (event, payload) => socket.emitted.push([event, payload]),
+    send: (event, payload) => handlers[event](payload)
+  };
+  await new Promise((resolve, reject) => middleware(socket, error => (error ? reject(error) : resolve())));
+  onConnection(socket);
+  return socket;
+};
+
+describe('chat socket', () => {
+  beforeEach(() => {
+    mockCreate.mockReset();
+  });
+
+  test('streams model tokens, then sends the finished reply', async () => {
+    mockCreate.mockResolvedValue(stream('Consideration ', 'is something ', 'of value. '));
+    const socket = await connectSocket('student-1');
+
+    await socket.send('chat_message', { message: 'What is consideration?', conversationId: 'conv_s1' });
+
+    expect(mockCreate.mock.calls[0][0]).toMatchObject({ stream: true });
+    expect(socket.emitted.map(([event]) => event)).toEqual(['welcome', 'typing', 'token', 'token', 'token', 'typing', 'done']);
+    expect(socket.emitted.filter(([event]) => event === 'token').map(([, t]) => t.delta).join(''))
+      .toBe('Consideration is something of value. ');
+    const [, done] = socket.emitted[socket.emitted.length - 1];
+    expect(done).toMatchObject({ conversationId: 'conv_s1', message: 'Consideration is something of value.', fallback: false });
+  });
+
+  test('sends the crisis reply as a single token without asking the model', async () => {
+    const socket = await connectSocket('student-1');
+
+    await socket.send('chat_message', { message: CRISIS_MESSAGE });
+
+    expect(mockCreate).not.toHaveBeenCalled();
+    const tokens = socket.emitted.filter(([event]) => event === 'token').map(([, t]) => t);
+    expect(tokens).toHaveLength(1);
+    expect(tokens[0]).toMatchObject({ conversationId: 'socket_sock_student-1', replace: false });
+    expect(tokens[0].delta).toMatch(/You don't have to go through this alone/);
+    expect(socket.emitted[socket.emitted.length - 1][1].integrity.crisis).toBe(true);
+  });
+
+  test('replaces a reply that fails mid-stream with the holding reply', async () => {
+    mockCreate.mockResolvedValue(stream('Consideration ', new Error('stream reset')));
+    const socket = await connectSocket('student-1');
+
+    await socket.send('chat_message', { message: 'What is consideration?' });
+
+    const tokens = socket.emitted.filter(([event]) => event === 'token').map(([, t]) => t);
+    expect(tokens.map(t => t.replace)).toEqual([false, true]);
+    expect(tokens[1].delta).toMatch(/^I'm having trouble reaching my study notes/);
+  });
+
+  test('rejects an empty message', async () => {
+    const socket = await connectSocket('student-1');
+    await socket.send('chat_message', { message: '  ' });
+    expect(socket.emitted[socket.emitted.length - 1]).toEqual(['error', 'Message is required (max 4000 characters)']);
+  });
+});
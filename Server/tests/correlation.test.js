@@ -0,0 +1,217 @@
+// Server/tests/correlation.test.js - Correlation ids across HTTP requests, the chat socket and /voice
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const WebSocket = require('ws');
+
+process.env.LOG_FORMAT = 'json';
+process.env.OPENAI_API_KEY = 'test-key';
+process.env.ALLOW_ANON_ACCESS = 'true';
+process.env.VOICE_FAKE_REALTIME = 'study-session';
+
+const {
+  HEADER,
+  correlationIdFrom,
+  runWithContext,
+  getContext,
+  setContextFields,
+  bindToContext,
+  correlationMiddleware
+} = require('../lib/context');
+const logger = require('../lib/logger');
+const { initializeSocket } = require('../services/socket');
+const RealtimeVoiceService = require('../services/realtime-voice');
+
+// JSON log lines written while fn runs
+const captureLogs = async (fn) => {
+  const lines = [];
+  const spy = jest.spyOn(console, 'log').mockImplementation(line => lines.push(JSON.parse(line)));
+  try {
+    await fn();
+  } finally {
+    spy.mockRestore();
+  }
+  return lines;
+};
+
+describe('correlation context', () => {
+  test.each([
+    ['a client uuid', '0b5c9f1e-3a1d-4c55-9a43-6f1f5b3c2d10', true],
+    ['a dotted trace id', '1-67891233.abcdef012345678912345678', true],
+    ['an id with other punctuation', 'Root=1-67891233;Parent=53995c3f42cd8ad8', false],
+    ['a short id', 'abc', false],
+    ['a log-injection attempt', 'abcdefgh\n[ERROR] forged line', false],
+    ['no id', undefined, false]
+  ])('takes %s only when it looks like an id', (_, candidate, kept) => {
+    const id = correlationIdFrom(candidate);
+    if (kept) {
+      expect(id).toBe(candidate);
+    } else {
+      expect(id).not.toBe(candidate);
+      expect(id).toMatch(/^[0-9a-f-]{36}$/);
+    }
+  });
+
+  test('follows awaits and timers, and bound callbacks called from elsewhere', async () => {
+    let bound;
+    await runWithContext({ correlationId: 'corr-context' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      setContextFields({ openaiSessionId: 'sess_1' });
+      bound = bindToContext(() => getContext());
+    });
+
+    expect(getContext()).toBeNull();
+    expect(bound()).toEqual({ correlationId: 'corr-context', openaiSessionId: 'sess_1' });
+  });
+
+  test('keeps concurrent contexts apart', async () => {
+    const seen = await Promise.all(['corr-first-1', 'corr-second'].map((correlationId, n) =>
+      runWithContext({ correlationId }, async () => {
+        await new Promise(resolve => setTimeout(resolve, 10 - n * 5));
+        return getContext().correlationId;
+      })
+    ));
+    expect(seen).toEqual(['corr-first-1', 'corr-second']);
+  });
+
+  test('setContextFields outside a context does nothing', () => {
+    expect(() => setContextFields({ openaiSessionId: 'sess_1' })).not.toThrow();
+    expect(getContext()).toBeNull();
+  });
+});
+
+describe('HTTP correlation middleware', () => {
+  const app = express();
+  app.use(correlationMiddleware());
+  app.get('/ping', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    logger.info('Handled ping');
+    res.json({ correlationId: req.correlationId, context: getContext() });
+  });
+
+  test('echoes a caller id and stamps the request\'s log lines with it', async () => {
+    let response;
+    const lines = await captureLogs(async () => {
+      response = await request(app).get('/ping').set(HEADER, 'corr-from-client');
+    });
+
+    expect(response.headers['x-correlation-id']).toBe('corr-from-client');
+    expect(response.body).toEqual({ correlationId: 'corr-from-client', context: { correlationId: 'corr-from-client' } });
+    expect(lines).toContainEqual(expect.objectContaining({ message: 'Handled ping', correlationId: 'corr-from-client' }));
+  });
+
+  test('mints an id when the caller sends none or a bad one', async () => {
+    let first;
+    let second;
+    await captureLogs(async () => {
+      [first, second] = await Promise.all([
+        request(app).get('/ping'),
+        request(app).get('/ping').set(HEADER, 'bad id')
+      ]);
+    });
+
+    expect(first.headers['x-correlation-id']).toBe(first.body.correlationId);
+    expect(second.headers['x-correlation-id']).not.toBe('bad id');
+    expect(first.body.correlationId).not.toBe(second.body.correlationId);
+  });
+});
+
+describe('chat socket correlation', () => {
+  // Just enough of Socket.IO's server API to connect one socket
+  const connectSocket = async (handshake) => {
+    let middleware;
+    let onConnection;
+    initializeSocket({ use: fn => { middleware = fn; }, on: (event, fn) => { onConnection = fn; } }, logger);
+
+    const handlers = {};
+    const socket = {
+      id: 'sock_corr',
+      handshake: { auth: {}, headers: {}, ...handshake },
+      emitted: [],
+      join: () => {},
+      on: (event, fn) => { handlers[event] = fn; },
+      emit: (event, payload) => socket.emitted.push([event, payload]),
+      send: (event, payload) => handlers[event](payload)
+    };
+    await new Promise((resolve, reject) => middleware(socket, error => (error ? reject(error) : resolve())));
+    onConnection(socket);
+    return socket;
+  };
+
+  test('welcomes with the handshake id and logs every handler with it', async () => {
+    let socket;
+    const lines = await captureLogs(async () => {
+      socket = await connectSocket({ auth: { correlationId: 'corr-socket-1' } });
+      // Called from outside the connection's context, as Socket.IO would
+      await runWithContext({ correlationId: 'someone-else' }, () =>
+        socket.send('chat_message', { message: "I feel hopeless, I can't go on" })
+      );
+    });
+
+    expect(socket.emitted[0]).toEqual(['welcome', expect.objectContaining({ correlationId: 'corr-socket-1' })]);
+    const received = lines.filter(line => line.message === 'Chat message received');
+    expect(received).toEqual([expect.objectContaining({ correlationId: 'corr-socket-1', socketId: 'sock_corr' })]);
+  });
+
+  test('falls back to the x-correlation-id header', async () => {
+    let socket;
+    await captureLogs(async () => {
+      socket = await connectSocket({ headers: { 'x-correlation-id': 'corr-socket-2' } });
+    });
+    expect(socket.emitted[0][1].correlationId).toBe('corr-socket-2');
+  });
+});
+
+describe('/voice correlation', () => {
+  let server;
+  let url;
+
+  beforeAll(async () => {
+    server = http.createServer();
+    RealtimeVoiceService.initWebSocketServer(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/voice`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  // Waits for durmah.ready, hangs up, then waits for the upstream session to close too
+  const connect = async (query = '') => {
+    const ws = new WebSocket(`${url}${query}`);
+    const ready = await new Promise((resolve, reject) => {
+      ws.on('message', (data) => {
+        const msg = JSON.parse(data);
+        if (msg.type === 'durmah.ready') resolve(msg);
+      });
+      ws.on('error', reject);
+    });
+
+    const upstream = RealtimeVoiceService.connections.get(ready.connection_id).realtimeWs;
+    ws.close();
+    const deadline = Date.now() + 5000;
+    while (upstream.readyState !== 3 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return ready;
+  };
+
+  test('joins the session id from /api/realtime/session to the voice connection and its logs', async () => {
+    let ready;
+    const lines = await captureLogs(async () => {
+      ready = await connect('?correlation_id=corr-voice-session');
+    });
+
+    expect(ready.correlation_id).toBe('corr-voice-session');
+    const connectionLines = lines.filter(line => line.connectionId === ready.connection_id);
+    expect(connectionLines.length).toBeGreaterThan(0);
+    expect(connectionLines.every(line => line.correlationId === 'corr-voice-session')).toBe(true);
+  }, 10000);
+
+  test('mints an id for a connection that brings none', async () => {
+    let ready;
+    await captureLogs(async () => {
+      ready = await connect();
+    });
+    expect(ready.correlation_id).toMatch(/^[0-9a-f-]{36}$/);
+  }, 10000);
+});
@@ -0,0 +1,125 @@
+// Server/tests/data-rights.test.js - Subject access export, erasure and writes that land after an erasure
+// The OpenAI clients are built at require time; no request reaches them here
+process.env.OPENAI_API_KEY = 'test-key';
+
+const { InMemoryStore } = require('../lib/storage');
+const MemoryService = require('../services/memory-service');
+const DataRightsService = require('../services/data-rights-service');
+const ChatService = require('../services/chat-service');
+
+const Memory = MemoryService.constructor;
+const student = { id: 'student-1', email: 'student@durham.ac.uk' };
+const other = { id: 'student-2', email: 'other@durham.ac.uk' };
+const turn = (n) => ({ user_input: `What is consideration? (${n})`, ai_response: 'Something of value given in exchange.' });
+
+// Summaries that only finish when the test says so
+const heldSummarizer = () => {
+  let release;
+  const started = new Promise(resolve => {
+    release = resolve;
+  });
+  const summarizer = {
+    fold: (previous, turns) => new Promise(resolve => {
+      summarizer.finish = () => resolve({ text: `${turns.length} earlier turns`, method: 'extractive', turns_summarized: turns.length });
+      release();
+    })
+  };
+  return { summarizer, started };
+};
+
+describe('DataRightsService', () => {
+  beforeEach(async () => {
+    await MemoryService.eraseUserData(student.id);
+    await MemoryService.eraseUserData(other.id);
+    MemoryService.erasures.clear();
+  });
+
+  test('exports everything held for the student, and only for them', async () => {
+    await MemoryService.storeConversation(student.id, 'chat_1', turn(1));
+    await MemoryService.storeConversation(other.id, 'chat_1', turn(1));
+    await MemoryService.updateWellbeingIndicators(student.id, { stress: 'high' });
+    await MemoryService.storeProvenance(student.id, { id: 'p1', module: 'Contract Law', timestamp: new Date().toISOString() });
+
+    const exported = await DataRightsService.exportUserData(student);
+
+    expect(exported.user).toEqual(student);
+    expect(exported.memory.conversations.map(c => c.userId)).toEqual([student.id]);
+    expect(exported.memory.profile.wellbeing_indicators).toEqual({ stress: 'high' });
+    expect(exported.memory.provenance.map(r => r.id)).toEqual(['p1']);
+    expect(exported.errors).toEqual([]);
+    expect((await DataRightsService.listRequests(student.id)).map(r => r.type)).toContain('export');
+  });
+
+  test('erases the student, leaving others and a counts-only audit record', async () => {
+    await MemoryService.storeConversation(student.id, 'chat_1', turn(1));
+    await MemoryService.storeConversation(other.id, 'chat_1', turn(1));
+    await MemoryService.storeProvenance(student.id, { id: 'p1', timestamp: new Date().toISOString() });
+
+    const audit = await DataRightsService.eraseUserData(student);
+
+    expect(audit).toMatchObject({ type: 'erasure', status: 'completed', counts: { conversations: 1, provenance: 1 } });
+    expect(JSON.stringify(audit)).not.toContain('consideration');
+    expect(await MemoryService.exportUserData(student.id)).toEqual({ profile: null, conversations: [], provenance: [] });
+    expect((await MemoryService.exportUserData(other.id)).conversations).toHaveLength(1);
+  });
+
+  test('drops a chat reply that finishes after the student erased their data', async () => {
+    const requestCompletion = jest.spyOn(ChatService, 'requestCompletion').mockImplementationOnce(async () => {
+      await DataRightsService.eraseUserData(student);
+      return 'Consideration is something of value given in exchange for a promise.';
+    });
+
+    const result = await ChatService.generateReply(student.id, 'chat_1', 'What is consideration?');
+    requestCompletion.mockRestore();
+
+    expect(result.conversation).toBeNull();
+    expect(await MemoryService.exportUserData(student.id)).toEqual({ profile: null, conversations: [], provenance: [] });
+  });
+});
+
+describe('MemoryService erasure', () => {
+  test('drops conversation, profile and provenance writes that began before the erasure', async () => {
+    const memory = new Memory(new InMemoryStore());
+    const startedAt = Date.now();
+    await memory.storeConversation(student.id, 'chat_1', turn(1));
+
+    await memory.eraseUserData(student.id);
+
+    expect(await memory.storeConversation(student.id, 'chat_1', turn(2), { startedAt })).toBeNull();
+    expect(await memory.updateLongTermMemory(student.id, [turn(2)], { channel: 'text', startedAt })).toBeNull();
+    expect(await memory.storeProvenance(student.id, { id: 'p1' }, { startedAt })).toBeNull();
+    expect(await memory.exportUserData(student.id)).toEqual({ profile: null, conversations: [], provenance: [] });
+  });
+
+  test('keeps writes that begin after the erasure', async () => {
+    const memory = new Memory(new InMemoryStore());
+    await memory.eraseUserData(student.id);
+    await new Promise(resolve => setTimeout(resolve, 2));
+
+    await memory.storeConversation(student.id, 'chat_1', turn(1));
+    await memory.updateWellbeingIndicators(student.id, { stress: 'low' });
+
+    const exported = await memory.exportUserData(student.id);
+    expect(exported.conversations).toHaveLength(1);
+    expect(exported.profile.wellbeing_indicators).toEqual({ stress: 'low' });
+  });
+
+  test('does not fold erased turns into a conversation recreated while summarising', async () => {
+    const { summarizer, started } = heldSummarizer();
+    const memory = new Memory(new InMemoryStore(), undefined, summarizer);
+    for (let n = 0; n <= memory.contextWindow * 2; n++) {
+      await memory.storeConversation(student.id, 'chat_1', turn(n));
+    }
+    await started;
+
+    await memory.eraseUserData(student.id);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await memory.storeConversation(student.id, 'chat_1', turn('after'));
+    summarizer.finish();
+    await memory.close();
+
+    const conversation = await memory.store.getConversation(memory.conversationKey(student.id, 'chat_1'));
+    expect(conversation.interactions.map(i => i.user_input)).toEqual(['What is consideration? (after)']);
+    expect(conversation.summary).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+// Server/tests/logger-files.test.js - Daily log files and retention on the scheduler's clock
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('log file rotation', () => {
+  const env = { ...process.env };
+  let dir;
+  let logger;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'durmah-logs-'));
+    Object.assign(process.env, { LOG_TO_FILE: 'true', LOG_DIR: dir, LOG_LEVEL: 'error', JOBS_TIMEZONE: 'Europe/London' });
+    jest.useFakeTimers({ now: new Date('2026-07-01T23:05:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.isolateModules(() => {
+      logger = require('../lib/logger');
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    process.env = { ...env };
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('dates files in JOBS_TIMEZONE, so the 00:05 BST job rolls over to the new day', () => {
+    fs.writeFileSync(path.join(dir, 'durmah-2026-06-17.log'), '');
+    fs.writeFileSync(path.join(dir, 'durmah-2026-06-18.log'), '');
+
+    expect(logger.rotate(14)).toEqual({ rotated: false, deleted: 1 });
+
+    logger.error('written after midnight London time');
+    expect(fs.readdirSync(dir).sort()).toEqual(['durmah-2026-06-18.log', 'durmah-2026-07-02.log']);
+  });
+});
@@ -0,0 +1,134 @@
+// Server/tests/memory.test.js - Rolling conversation summaries and long-term memory
+const { InMemoryStore } = require('../lib/storage');
+const MemoryService = require('../services/memory-service');
+const SummaryService = require('../services/summary-service');
+
+const Memory = MemoryService.constructor;
+const turn = (n, user_input = `Question ${n}?`) => ({ user_input, ai_response: `Answer ${n}.` });
+
+// Records every fold; the first waits until release() so others can queue behind it
+const recordingSummarizer = ({ holdFirst = false } = {}) => {
+  let release = () => {};
+  const gate = holdFirst ? new Promise(resolve => { release = resolve; }) : Promise.resolve();
+  const summarizer = {
+    calls: [],
+    release: () => release(),
+    fold: async (previous, turns) => {
+      summarizer.calls.push({ previous, ids: turns.map(t => t.id) });
+      if (summarizer.calls.length === 1) await gate;
+      return {
+        text: `Summary of ${(previous?.turns_summarized || 0) + turns.length} turns.`,
+        method: 'extractive',
+        turns_summarized: (previous?.turns_summarized || 0) + turns.length,
+        updated_at: new Date().toISOString()
+      };
+    }
+  };
+  return summarizer;
+};
+
+const store = async (memory, from, to, sessionId = 'chat_1') => {
+  for (let n = from; n < to; n++) await memory.storeConversation('u1', sessionId, turn(n));
+};
+
+describe('rolling summary', () => {
+  test('folds turns leaving the context window into the conversation summary', async () => {
+    const summarizer = recordingSummarizer();
+    const memory = new Memory(new InMemoryStore(), undefined, summarizer);
+
+    await store(memory, 0, 21);
+    await memory.close();
+
+    const conversation = await memory.getConversation('u1', 'chat_1');
+    expect(conversation.interactions.map(i => i.user_input)[0]).toBe('Question 11?');
+    expect(conversation.interactions).toHaveLength(memory.contextWindow);
+    expect(conversation.summary).toMatchObject({ turns_summarized: 11 });
+    expect(conversation.recentContext.earlier).toBe('Summary of 11 turns.');
+  });
+
+  test('folds each trimmed turn once, queueing turns trimmed during a fold for the next', async () => {
+    const summarizer = recordingSummarizer({ holdFirst: true });
+    const memory = new Memory(new InMemoryStore(), undefined, summarizer);
+
+    await store(memory, 0, 21);
+    await Promise.all([store(memory, 21, 32), store(memory, 32, 43)]);
+    summarizer.release();
+    await memory.close();
+
+    const ids = summarizer.calls.flatMap(call => call.ids);
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(summarizer.calls.map(call => call.ids.length)).toEqual([11, 22]);
+    expect(summarizer.calls[1].previous).toMatchObject({ turns_summarized: 11 });
+    expect((await memory.getConversation('u1', 'chat_1')).summary.turns_summarized).toBe(33);
+    expect(memory.summaries.size).toBe(0);
+  });
+});
+
+describe('SummaryService extractive summary', () => {
+  test('lists topics and the opening of each question', async () => {
+    const summary = await SummaryService.fold(null, [
+      turn(1, 'What is consideration? I have a seminar on it tomorrow.'),
+      turn(2, 'Does past consideration count')
+    ], { topics: ['consideration'] });
+
+    expect(summary).toMatchObject({ method: 'extractive', turns_summarized: 2 });
+    expect(summary.text).toBe('Covered consideration. The student asked: "What is consideration?"; "Does past consideration count".');
+  });
+
+  test('builds on the previous summary and keeps its newest part', async () => {
+    let summary = null;
+    for (let n = 0; n < 40; n++) {
+      summary = await SummaryService.fold(summary, [turn(n, `Can you explain promissory estoppel point ${n}?`)]);
+    }
+
+    expect(summary.turns_summarized).toBe(40);
+    expect(summary.text.length).toBeLessThanOrEqual(1200);
+    expect(summary.text).toMatch(/point 39\?"\.$/);
+    expect(await SummaryService.fold(summary, [])).toBe(summary);
+  });
+});
+
+describe('long-term memory', () => {
+  test('is empty for a new student', async () => {
+    const memory = new Memory(new InMemoryStore());
+    expect(await memory.getLongTermMemory('u1')).toBeNull();
+  });
+
+  test('seeds from saved conversations, then remembers modules and recurring worries', async () => {
+    const memory = new Memory(new InMemoryStore());
+    const worried = turn(1, "I'm stressed about my contract law exam and offer and acceptance");
+    await memory.storeConversation('u1', 'voice_1', worried);
+    await memory.updateLongTermMemory('u1', [worried], { channel: 'voice', summary: 'Went over offer and acceptance.' });
+
+    await memory.updateLongTermMemory('u1', [turn(2, "I'm worried about the exam again")], { channel: 'text' });
+
+    const digest = await memory.getLongTermMemory('u1');
+    expect(digest.modules).toEqual(['Contract Law']);
+    expect(digest.recent_topics).toContain('offer and acceptance');
+    expect(digest.recurring_worries).toEqual([{ category: 'exams', label: 'exams', count: 2 }]);
+    expect(digest.last_session).toMatchObject({ channel: 'voice', summary: 'Went over offer and acceptance.' });
+
+    const { long_term_memory: stored } = await memory.getUserProfile('u1');
+    expect(stored.channels).toEqual({ voice: 1, text: 1 });
+    expect(JSON.stringify(stored)).not.toContain('stressed');
+  });
+
+  test('keeps the last three session summaries and merges preferences', async () => {
+    const memory = new Memory(new InMemoryStore());
+    for (let n = 1; n <= 5; n++) {
+      await memory.updateLongTermMemory('u1', [], { channel: 'voice', summary: `Session ${n}.`, preferences: { [`pref${n}`]: true } });
+    }
+
+    const { long_term_memory: stored } = await memory.getUserProfile('u1');
+    expect(stored.sessions.map(s => s.summary)).toEqual(['Session 3.', 'Session 4.', 'Session 5.']);
+    expect(Object.keys(stored.preferences)).toHaveLength(5);
+  });
+
+  test('detects worries only when the student sounds worried', () => {
+    const memory = new Memory(new InMemoryStore());
+    expect(memory.detectWorries('When is the exam?')).toEqual([]);
+    expect(memory.detectWorries("I'm panicking about my essay deadline")).toEqual(['deadlines', 'assessed_work']);
+    expect(memory.detectWorries('I feel so lonely here')).toEqual(['wellbeing']);
+    expect(memory.detectWorries("I'm overwhelmed")).toEqual(['general']);
+  });
+});
@@ -0,0 +1,92 @@
+// Server/tests/metrics.test.js - Prometheus text rendering and the /metrics token check
+const express = require('express');
+const request = require('supertest');
+
+const metrics = require('../lib/metrics');
+const metricsRoutes = require('../routes/metrics');
+
+const app = express();
+app.use('/metrics', metricsRoutes);
+
+describe('/metrics', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('is open when no METRICS_TOKEN is set', async () => {
+    delete process.env.METRICS_TOKEN;
+    const response = await request(app).get('/metrics');
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/plain;.*version=0\.0\.4/);
+    expect(response.text).toContain('# TYPE durmah_voice_active_connections gauge');
+  });
+
+  test.each([
+    ['no Authorization header', undefined],
+    ['a wrong token', 'Bearer not-the-token'],
+    ['a longer token', 'Bearer scrape-secret-and-more'],
+    ['the token without Bearer', 'scrape-secret']
+  ])('rejects %s once METRICS_TOKEN is set', async (_, authorization) => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    const scrape = request(app).get('/metrics');
+    if (authorization) scrape.set('Authorization', authorization);
+    const response = await scrape;
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'unauthorized', message: 'A valid metrics token is required' });
+  });
+
+  test('serves a scraper that sends the token', async () => {
+    process.env.METRICS_TOKEN = 'scrape-secret';
+    const response = await request(app).get('/metrics').set('Authorization', 'Bearer scrape-secret');
+
+    expect(response.status).toBe(200);
+    expect(response.text).toContain('durmah_rate_limit_rejections_total');
+  });
+});
+
+describe('metric rendering', () => {
+  const { Registry } = metrics;
+
+  test('renders counters, labelled series and escaped label values', () => {
+    const registry = new Registry();
+    const flags = registry.counter('test_flags_total', 'Flags raised', ['type']);
+    const plain = registry.counter('test_plain_total', 'Always reported');
+    flags.inc({ type: 'direct_answer', ignored: 'x' });
+    flags.inc({ type: 'say "hi"\n' }, 2);
+
+    expect(registry.render()).toBe([
+      '# HELP test_flags_total Flags raised',
+      '# TYPE test_flags_total counter',
+      'test_flags_total{type="direct_answer"} 1',
+      'test_flags_total{type="say \\"hi\\"\\n"} 2',
+      '# HELP test_plain_total Always reported',
+      '# TYPE test_plain_total counter',
+      'test_plain_total 0',
+      ''
+    ].join('\n'));
+    expect(() => plain.inc({}, -1)).toThrow('Counter test_plain_total cannot decrease');
+    expect(() => registry.counter('test_plain_total', 'Again')).toThrow('Metric test_plain_total is already registered');
+  });
+
+  test('renders cumulative histogram buckets and gauges read at scrape time', () => {
+    const registry = new Registry();
+    const latency = registry.histogram('test_latency_seconds', 'Latency', ['stage'], [1, 0.5]);
+    let open = 3;
+    registry.gauge('test_open', 'Open things', [], () => open);
+    [0.2, 0.7, 4].forEach(seconds => latency.observe({ stage: 'first_audio' }, seconds));
+    open = 5;
+
+    expect(registry.render().split('\n')).toEqual(expect.arrayContaining([
+      'test_latency_seconds_bucket{stage="first_audio",le="0.5"} 1',
+      'test_latency_seconds_bucket{stage="first_audio",le="1"} 2',
+      'test_latency_seconds_bucket{stage="first_audio",le="+Inf"} 3',
+      'test_latency_seconds_sum{stage="first_audio"} 4.9',
+      'test_latency_seconds_count{stage="first_audio"} 3',
+      'test_open 5'
+    ]));
+  });
+});
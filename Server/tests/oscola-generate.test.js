@@ -0,0 +1,105 @@
+// Server/tests/oscola-generate.test.js - OSCOLA footnotes, short forms and bibliographies from structured sources
+const OscolaService = require('../services/oscola-service');
+
+const donoghue = { type: 'case', name: 'Donoghue v Stevenson', reports: [{ year: 1932, report: 'AC', page: 562 }], court: 'HL' };
+const caparo = { type: 'case', name: 'Caparo Industries plc v Dickman', reports: [{ year: 1990, volume: 2, report: 'AC', page: 605 }], court: 'HL' };
+const hra = { type: 'statute', title: 'Human Rights Act', year: 1998 };
+const burrows = { type: 'book', authors: ['Andrew Burrows'], title: 'The Law of Restitution', edition: 3, publisher: 'OUP', year: 2011 };
+
+describe('generateCitation', () => {
+  test('formats a reported case with its short form and ibid', () => {
+    const result = OscolaService.generateCitation(caparo, { pinpoint: '617', footnoteNumber: 3 });
+
+    expect(result.footnote).toBe('Caparo Industries plc v Dickman [1990] 2 AC 605 (HL) 617.');
+    expect(result.short_form).toBe('Caparo (n 3) 617.');
+    expect(result.ibid).toBe('ibid 617.');
+    expect(result.markdown.footnote).toBe('*Caparo Industries plc v Dickman* [1990] 2 AC 605 (HL) 617.');
+    expect(result.issues).toEqual([]);
+  });
+
+  test('puts the Court of Appeal division after the court', () => {
+    const source = { type: 'case', name: 'R v Smith', neutral: { year: 2010, court: 'EWCA', division: 'Crim', number: 9 } };
+    const result = OscolaService.generateCitation(source, { pinpoint: '45', footnoteNumber: 2 });
+
+    expect(result.footnote).toBe('R v Smith [2010] EWCA Crim 9 [45].');
+    expect(result.short_form).toBe('Smith (n 2) [45].');
+    expect(result.issues).toEqual([]);
+  });
+
+  test('keeps High Court divisions in brackets after the case number', () => {
+    const source = { type: 'case', name: 'X v Y', neutral: { year: 2006, court: 'EWHC', division: 'Admin', number: 407 } };
+
+    expect(OscolaService.generateCitation(source).footnote).toBe('X v Y [2006] EWHC 407 (Admin).');
+  });
+
+  test.each([
+    ['Caparo Industries plc', 'Caparo'],
+    ['Royal Bank of Scotland plc', 'Royal Bank of Scotland'],
+    ['Smith & Co Ltd', 'Smith']
+  ])('shortens %s to %s', (party, expected) => {
+    const source = { type: 'case', name: `${party} v Jones`, neutral: { year: 2010, court: 'EWCA Civ', number: 1 } };
+
+    expect(OscolaService.generateCitation(source, { footnoteNumber: 4 }).short_form).toBe(`${expected} (n 4).`);
+  });
+
+  test('cites legislation in full rather than by footnote number', () => {
+    const result = OscolaService.generateCitation(hra, { pinpoint: 's 3', footnoteNumber: 5 });
+
+    expect(result.footnote).toBe('Human Rights Act 1998, s 3.');
+    expect(result.short_form).toBe('Human Rights Act 1998, s 3.');
+  });
+
+  test('lists what a source is missing', () => {
+    expect(OscolaService.checkSource({ type: 'case' })).toEqual([
+      'name is required',
+      'Give a neutral citation or at least one law report'
+    ]);
+    expect(OscolaService.checkSource({ type: 'case', name: 'A v B', neutral: { year: 2010, court: 'UKSC', number: 1 } })).toEqual([]);
+  });
+
+  test.each([
+    ['a string', '[1932] AC 562', ['reports must be an array']],
+    ['an object', { year: 1932, report: 'AC', page: 562 }, ['reports must be an array']],
+    ['a list with a blank entry', [null], ['reports[0] needs year, report and page']]
+  ])('reports malformed law reports (%s) instead of throwing', (label, reports, problems) => {
+    expect(OscolaService.checkSource({ type: 'case', name: 'A v B', reports })).toEqual(problems);
+  });
+});
+
+describe('buildFootnotes', () => {
+  test('uses full, ibid and short forms in order', () => {
+    const { footnotes, bibliography } = OscolaService.buildFootnotes([donoghue, hra, burrows], [
+      { source: 0, pinpoint: '580' },
+      { source: 0, pinpoint: '580' },
+      { source: 2, pinpoint: '45' },
+      { source: 0, pinpoint: '582' },
+      { source: 1, pinpoint: 's 3' }
+    ]);
+
+    expect(footnotes.map(note => [note.kind, note.text])).toEqual([
+      ['full', 'Donoghue v Stevenson [1932] AC 562 (HL) 580.'],
+      ['ibid', 'ibid 580.'],
+      ['full', 'Andrew Burrows, The Law of Restitution (3rd edn, OUP 2011) 45.'],
+      ['short', 'Donoghue (n 1) 582.'],
+      ['full', 'Human Rights Act 1998, s 3.']
+    ]);
+    expect(bibliography.sections.map(section => section.key)).toEqual(['cases', 'legislation', 'secondary']);
+  });
+});
+
+describe('buildBibliography', () => {
+  test('inverts author names and does not italicise case names', () => {
+    const { text } = OscolaService.buildBibliography([burrows, donoghue, hra]);
+
+    expect(text).toBe([
+      'Table of Cases',
+      'Donoghue v Stevenson [1932] AC 562 (HL)',
+      '',
+      'Table of Legislation',
+      'Human Rights Act 1998',
+      '',
+      'Bibliography',
+      'Burrows A, The Law of Restitution (3rd edn, OUP 2011)'
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,92 @@
+// Server/tests/oscola-validate.test.js - OSCOLA citation parsing and validation
+const OscolaService = require('../services/oscola-service');
+
+const codes = (result) => result.issues.map(item => item.code);
+
+describe('validateCitation: cases', () => {
+  test('corrects separators, full stops and the comma after the name', () => {
+    const result = OscolaService.validateCitation('Donoghue v. Stevenson, [1932] A.C. 562 (H.L.)');
+
+    expect(result.type).toBe('case');
+    expect(result.valid).toBe(false);
+    expect(result.suggestion).toBe('Donoghue v Stevenson [1932] AC 562 (HL)');
+    expect(codes(result)).toEqual(expect.arrayContaining(['case_separator', 'comma_after_name', 'abbreviation_full_stops']));
+  });
+
+  test('accepts a well-formed law report citation with a page pinpoint', () => {
+    const result = OscolaService.validateCitation('Caparo Industries plc v Dickman [1990] 2 AC 605 (HL) 617');
+
+    expect(result.valid).toBe(true);
+    expect(result.fields.court).toBe('HL');
+    expect(result.fields.pinpoint).toEqual({ type: 'page', from: 617, to: null });
+  });
+
+  test('asks for the Court of Appeal division', () => {
+    const result = OscolaService.validateCitation('Smith v Jones [2010] EWCA 123');
+
+    expect(codes(result)).toContain('ambiguous_court');
+  });
+
+  test.each([
+    'Smith v Jones [2010] EWCA Civ 123 at 45',
+    'Smith v Jones [2010] EWCA Civ 123, 45'
+  ])('turns a page pinpoint on a neutral citation into a paragraph: %s', (input) => {
+    const result = OscolaService.validateCitation(input);
+
+    expect(result.suggestion).toBe('Smith v Jones [2010] EWCA Civ 123 [45]');
+    expect(result.fields.pinpoint).toEqual({ type: 'paragraph', from: 45, to: null });
+    expect(codes(result).filter(code => code === 'pinpoint_format')).toHaveLength(1);
+  });
+
+  test('puts paragraph pinpoints in square brackets', () => {
+    const result = OscolaService.validateCitation('Smith v Jones [2010] EWCA Civ 123 para 45');
+
+    expect(result.suggestion).toBe('Smith v Jones [2010] EWCA Civ 123 [45]');
+  });
+
+  test('reports each issue code once', () => {
+    const result = OscolaService.validateCitation('Smith v Jones, [2010] E.W.C.A. Civ. 123 at 45');
+
+    expect(new Set(codes(result)).size).toBe(result.issues.length);
+  });
+});
+
+describe('validateCitation: other types', () => {
+  test('accepts a statute with a provision', () => {
+    const result = OscolaService.validateCitation('Human Rights Act 1998, s 3(1)');
+
+    expect(result.type).toBe('statute');
+    expect(result.valid).toBe(true);
+    expect(result.issues).toEqual([]);
+  });
+
+  test('tidies the short title, year and provision of a statute', () => {
+    const result = OscolaService.validateCitation('The Human Rights Act, 1998 section 3');
+
+    expect(result.suggestion).toBe('Human Rights Act 1998, s 3');
+    expect(codes(result)).toEqual(['leading_the', 'comma_before_year', 'provision_abbreviation', 'missing_comma']);
+  });
+
+  test('puts journal article titles in single quotes', () => {
+    const result = OscolaService.validateCitation('A Ashworth, "Testing Fidelity to Legal Values" (2000) 63 MLR 633, 640');
+
+    expect(result.type).toBe('journal');
+    expect(result.suggestion).toBe('A Ashworth, \'Testing Fidelity to Legal Values\' (2000) 63 MLR 633, 640');
+    expect(codes(result)).toEqual(['quotation_marks']);
+  });
+
+  test('recognises a book', () => {
+    const result = OscolaService.validateCitation('Andrew Burrows, The Law of Restitution (3rd edn, OUP 2011)');
+
+    expect(result.type).toBe('book');
+    expect(result.valid).toBe(true);
+  });
+
+  test('says when it cannot tell what the citation is', () => {
+    const result = OscolaService.validateCitation('nonsense text here');
+
+    expect(result.type).toBe('unknown');
+    expect(result.suggestion).toBeNull();
+    expect(codes(result)).toEqual(['unrecognised_citation']);
+  });
+});
@@ -0,0 +1,87 @@
+// Server/tests/pronunciation.test.js - Legal speech normaliser and lexicon loading
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSpeechNormalizer, loadLexicon, DEFAULT_LEXICON_PATH } = require('../lib/pronunciation');
+
+describe('createSpeechNormalizer with the built-in lexicon', () => {
+  const { normalize, explain } = createSpeechNormalizer();
+
+  test.each([
+    ['Donoghue v Stevenson [1932] AC 562 (HL)', 'Donoghue and Stevenson 1932 Appeal Cases, page 562, in the House of Lords'],
+    ['R v Brown [1994] 1 AC 212', 'the Crown against Brown 1994, volume 1 of the Appeal Cases, page 212'],
+    ['Caparo Industries plc v Dickman [1990] 2 AC 605, 617', 'Caparo Industries plc and Dickman 1990, volume 2 of the Appeal Cases, page 605, at page 617'],
+    ['See [2010] EWCA Civ 123 [45]-[47]', 'See 2010, Court of Appeal, Civil Division, number 123 paragraphs 45 to 47']
+  ])('spells out the citation in %s', (input, expected) => {
+    expect(normalize(input)).toBe(expected);
+  });
+
+  test.each([
+    ['Under s 3(1)(a) of the Act', 'Under section 3, subsection 1, paragraph a of the Act'],
+    ['ss 2-4 of the Theft Act 1968 apply', 'sections 2 to 4 of the Theft Act 1968 apply'],
+    ['art 8 ECHR', 'article 8 European Convention on Human Rights'],
+    ['See Sch 2 and reg 4', 'See schedule 2 and regulation 4']
+  ])('reads provisions in %s', (input, expected) => {
+    expect(normalize(input)).toBe(expected);
+  });
+
+  test.each([
+    'I practise art 8 hours a day',
+    'The s 3 bus was late'
+  ])('leaves "s" and "art" alone with no statute nearby: %s', (text) => {
+    expect(normalize(text)).toBe(text);
+  });
+
+  test.each([
+    'Team A v Team B kicks off at eight',
+    'In R v Brown the Lords were split'
+  ])('only reads " v " as a case name before a citation: %s', (text) => {
+    expect(normalize(text)).toBe(text);
+  });
+
+  test('puts judicial titles where they are said', () => {
+    expect(normalize('Denning LJ said')).toBe('Lord Justice Denning said');
+    expect(normalize('Lord Denning MR said that')).toBe('Lord Denning, Master of the Rolls, said that');
+  });
+
+  test('expands abbreviations and respells Latin', () => {
+    expect(normalize('The mens rea, e.g. intention')).toBe('The menz ray-a, for example intention');
+  });
+
+  test('passes empty and non-string input through', () => {
+    expect(normalize('')).toBe('');
+    expect(normalize(null)).toBeNull();
+  });
+
+  test('explain lists each rewrite', () => {
+    expect(explain('Denning LJ on s 3 of the Act')).toEqual({
+      spoken: 'Lord Justice Denning on section 3 of the Act',
+      changes: [
+        { rule: 'judge', from: 'Denning LJ', to: 'Lord Justice Denning' },
+        { rule: 'provision', from: 's 3', to: 'section 3' }
+      ]
+    });
+  });
+});
+
+describe('custom lexicons', () => {
+  test('only apply the sections they define', () => {
+    const { normalize } = createSpeechNormalizer({ courts: { HL: 'Lords' }, case_names: { civil_v: 'versus' } });
+
+    expect(normalize('A v B [1932] AC 1 (HL)')).toBe('A versus B 1932 Appeal Cases, page 1, in the Lords');
+  });
+
+  test('load from a file', () => {
+    const file = path.join(os.tmpdir(), `lexicon-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ terms: { 'obiter dicta': 'oh-bit-er dick-ta' } }));
+    try {
+      expect(loadLexicon(file)).toEqual({ terms: { 'obiter dicta': 'oh-bit-er dick-ta' } });
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('the default path returns the built-in lexicon', () => {
+    expect(loadLexicon(DEFAULT_LEXICON_PATH)).toHaveProperty('judges.LJ.title', 'Lord Justice');
+  });
+});
@@ -0,0 +1,133 @@
+// Server/tests/provenance.test.js - Provenance records and AI-use declarations
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+
+process.env.SUPABASE_JWT_SECRET = 'test-secret';
+
+const ProvenanceService = require('../services/provenance-service');
+const MemoryService = require('../services/memory-service');
+const provenanceRoutes = require('../routes/provenance');
+
+const app = express();
+app.use('/api/provenance', provenanceRoutes);
+
+const token = (sub) => jwt.sign({ sub, email: `${sub}@durham.ac.uk` }, 'test-secret');
+const as = (sub) => (path) => request(app).get(`/api/provenance${path}`).set('Authorization', `Bearer ${token(sub)}`);
+
+const question = (user_input, extra = {}) => ({
+  type: 'question',
+  user_input,
+  ai_response: 'What do you think the postal rule is for? Have a look at Adams v Lindsell.',
+  assistance_level: 'medium',
+  flags: [],
+  ...extra
+});
+
+describe('ProvenanceService.recordInteraction', () => {
+  test('records a study turn with its module, channel and a short excerpt', async () => {
+    const record = await ProvenanceService.recordInteraction('student-1',
+      question(`Explain offer and acceptance and the postal rule ${'in detail '.repeat(30)}`),
+      { sessionId: 'conv_1', channel: 'text' });
+
+    expect(record).toMatchObject({
+      user_id: 'student-1',
+      interaction_type: 'question',
+      session_id: 'conv_1',
+      channel: 'text',
+      module: 'Contract Law',
+      assistance_level: 'medium',
+      ai_contribution: { contains_direct_answers: false }
+    });
+    expect(record.prompt_excerpt).toHaveLength(160);
+    expect(record.prompt_excerpt.endsWith('…')).toBe(true);
+    expect(await MemoryService.getProvenance('student-1')).toEqual([record]);
+  });
+
+  test('keeps a conversation module over the taxonomy guess and flags direct answers', async () => {
+    const record = await ProvenanceService.recordInteraction('student-3',
+      question('Does the postal rule apply to email?', { ai_response: 'The answer is no.', assistance_level: undefined }),
+      { sessionId: 'voice_1', channel: 'voice', module: 'Tort Law' });
+
+    expect(record).toMatchObject({ module: 'Tort Law', assistance_level: null, ai_contribution: { contains_direct_answers: true } });
+  });
+
+  test('records a wellbeing turn without what the student said', async () => {
+    const record = await ProvenanceService.recordInteraction('student-4',
+      question("I feel hopeless, I can't go on", { flags: [{ type: 'mental_health_crisis', severity: 'critical' }] }),
+      { sessionId: 'conv_1', channel: 'text' });
+
+    expect(record).toMatchObject({ interaction_type: 'wellbeing', prompt_excerpt: null });
+  });
+
+  test('records nothing for anonymous sessions', async () => {
+    expect(await ProvenanceService.recordInteraction('anonymous', question('What is consideration?'), { channel: 'text' })).toBeNull();
+    expect(await MemoryService.getProvenance('anonymous')).toEqual([]);
+  });
+});
+
+describe('/api/provenance', () => {
+  beforeAll(async () => {
+    const records = [
+      ['2026-01-12T10:00:00.000Z', 'Contract Law', 'text', 'What makes an offer | not an invitation to treat?', []],
+      ['2026-02-03T10:00:00.000Z', 'Tort Law', 'voice', 'Who owes a duty of care?', [{ type: 'academic_dishonesty' }]],
+      ['2026-02-04T10:00:00.000Z', null, 'voice', null, [{ type: 'mental_health_crisis' }]]
+    ];
+    for (const [timestamp, module, channel, prompt_excerpt, integrity_flags] of records) {
+      await MemoryService.storeProvenance('student-2', {
+        id: `prov_${timestamp}`,
+        timestamp,
+        module,
+        channel,
+        prompt_excerpt,
+        integrity_flags,
+        interaction_type: integrity_flags.some(flag => flag.type === 'mental_health_crisis') ? 'wellbeing' : 'question',
+        assistance_level: 'low'
+      });
+    }
+  });
+
+  test('lists records newest first with a summary, filtered by module and date', async () => {
+    const all = await as('student-2')('/');
+    expect(all.body.records.map(r => r.module)).toEqual([null, 'Tort Law', 'Contract Law']);
+    expect(all.body.summary).toMatchObject({ interactions: 3, channels: { voice: 2, text: 1 }, integrity_flags: 1 });
+
+    const tort = await as('student-2')('/?module=tort law');
+    expect(tort.body.records.map(r => r.module)).toEqual(['Tort Law']);
+
+    const january = await as('student-2')('/?from=2026-01-01&to=2026-01-31');
+    expect(january.body.records.map(r => r.module)).toEqual(['Contract Law']);
+
+    expect((await as('other-student')('/')).body.records).toEqual([]);
+  });
+
+  test.each([
+    ['/?from=yesterday', 'from must be an ISO date'],
+    ['/?from=2026-03-01&to=2026-02-01', 'from must be before to'],
+    ['/declaration?format=pdf', 'Unknown format (expected one of markdown, json, html)']
+  ])('rejects %s', async (path, error) => {
+    const response = await as('student-2')(path);
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({ success: false, error });
+  });
+
+  test('exports a Markdown declaration of study use only', async () => {
+    const response = await as('student-2')('/declaration?assessment=Contract%20summative');
+
+    expect(response.headers['content-disposition']).toBe('attachment; filename="durmah-ai-declaration.md"');
+    expect(response.text).toContain('**Assessment:** Contract summative');
+    expect(response.text).toContain('Interactions: 2 (voice 1, text 1)');
+    expect(response.text).toContain('What makes an offer \\| not an invitation to treat?');
+    expect(response.text).not.toContain('mental_health_crisis');
+  });
+
+  test('exports JSON and escaped HTML declarations', async () => {
+    const json = await as('student-2')('/declaration?format=json&module=Tort%20Law');
+    expect(JSON.parse(json.text)).toMatchObject({ module: 'Tort Law', summary: { interactions: 1 } });
+
+    const html = await as('student-2')('/declaration?format=html&assessment=%3Cscript%3E');
+    expect(html.headers['content-type']).toBe('text/html; charset=utf-8');
+    expect(html.text).toContain('&lt;script&gt;');
+    expect(html.text).not.toContain('<script>');
+  });
+});
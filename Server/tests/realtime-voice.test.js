@@ -0,0 +1,238 @@
+// Server/tests/realtime-voice.test.js - Crisis escalation, integrity notices and turn latency against the scripted upstream
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { loadScenario } = require('../lib/fake-realtime');
+const { voice } = require('../lib/logger');
+
+// Stands in for the student's /voice socket
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.received = [];
+  }
+
+  send(data) {
+    this.received.push(JSON.parse(data));
+  }
+
+  say(msg) {
+    this.emit('message', Buffer.from(JSON.stringify(msg)));
+  }
+
+  ping() {}
+
+  close() {
+    if (this.readyState !== 1) return;
+    this.readyState = 3;
+    this.emit('close');
+  }
+
+  terminate() {
+    this.close();
+  }
+
+  ofType(type) {
+    return this.received.filter(msg => msg.type === type);
+  }
+}
+
+const until = async (predicate, timeoutMs = 8000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for the voice session');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+// A fresh service per scenario: VOICE_FAKE_REALTIME is read when the module loads
+const startSession = async (scenario) => {
+  let service;
+  let logger;
+  jest.isolateModules(() => {
+    process.env.VOICE_FAKE_REALTIME = scenario;
+    service = require('../services/realtime-voice');
+    logger = require('../lib/logger');
+  });
+
+  const client = new FakeClient();
+  const connectionId = `test_${scenario.replace(/\W/g, '')}`;
+  await service.handleConnection(client, { url: '/voice', headers: {} }, connectionId, 'corr-test');
+  await until(() => client.ofType('durmah.ready').length > 0);
+
+  // Record what the server sends upstream and which replies overlap
+  const conn = service.connections.get(connectionId);
+  const upstream = [];
+  const send = conn.realtimeWs.send.bind(conn.realtimeWs);
+  conn.realtimeWs.send = (data) => {
+    upstream.push(JSON.parse(data).type);
+    send(data);
+  };
+  const active = new Set();
+  let overlapping = 0;
+  conn.realtimeWs.on('message', (data) => {
+    const event = JSON.parse(data);
+    if (event.type === 'response.created') {
+      active.add(event.response.id);
+      overlapping = Math.max(overlapping, active.size);
+    } else if (event.type === 'response.done') {
+      active.delete(event.response.id);
+    }
+  });
+
+  return {
+    client,
+    upstream,
+    realtimeWs: conn.realtimeWs,
+    overlapping: () => overlapping,
+    latency: () => logger.voice.getLatencyStats(`voice_${connectionId}`)
+  };
+};
+
+// 100 ms of silence is enough for the fake's VAD to hear speech
+const speak = (client) => client.say({ type: 'input_audio_buffer.append', audio: Buffer.alloc(4800).toString('base64') });
+const type = (client, text) => {
+  client.say({ type: 'conversation.item.create', item: { type: 'message', role: 'user', content: [{ type: 'input_text', text }] } });
+  client.say({ type: 'response.create' });
+};
+const transcripts = (client) => client.ofType('transcript').map(msg => msg.originalText || msg.text);
+
+describe('realtime voice against the scripted upstream', () => {
+  let dir;
+  let session;
+
+  // A bundled scenario with short replies, so the suite isn't waiting on seconds of fake speech
+  const scenarioFile = (name, edit = () => {}) => {
+    const scenario = loadScenario(name);
+    scenario.turns.forEach(turn => { turn.audio_ms = 300; });
+    edit(scenario);
+    const file = path.join(dir, `${name}-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeFileSync(file, JSON.stringify(scenario));
+    return file;
+  };
+
+  beforeAll(() => {
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.ALLOW_ANON_ACCESS = 'true';
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fake-realtime-'));
+  });
+
+  afterEach(async () => {
+    if (!session) return;
+    session.client.close();
+    await until(() => session.realtimeWs.readyState === 3);
+    session = null;
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('crisis: replaces the reply under way with crisis support', async () => {
+    // Long enough that the reply is still playing when the transcription lands
+    session = await startSession(scenarioFile('crisis', scenario => { scenario.turns[0].audio_ms = 2000; }));
+    const { client, upstream } = session;
+
+    speak(client);
+    await until(() => transcripts(client).some(text => text.startsWith('Thank you for telling me')));
+
+    const [crisis] = client.ofType('durmah.crisis');
+    expect(crisis).toMatchObject({ first_detection: true });
+    // What was already spoken of the first reply is kept; the rest never plays
+    expect(transcripts(client)[0]).not.toMatch(/more manageable\.$/);
+    expect(upstream.slice(-3)).toEqual(['session.update', 'response.cancel', 'response.create']);
+    expect(session.overlapping()).toBe(1);
+  }, 10000);
+
+  test('crisis: waits for a VAD reply that has not started yet instead of racing it', async () => {
+    // Whisper beats the auto-created reply
+    session = await startSession(scenarioFile('crisis', scenario => { scenario.turns[0].transcription_delay_ms = 20; }));
+    const { client, upstream } = session;
+
+    speak(client);
+    await until(() => transcripts(client).length > 0);
+
+    expect(client.ofType('durmah.crisis')).toHaveLength(1);
+    expect(transcripts(client)).toEqual([expect.stringMatching(/^Thank you for telling me/)]);
+    expect(upstream.filter(t => t.startsWith('response.'))).toEqual(['response.cancel', 'response.create']);
+    expect(session.overlapping()).toBe(1);
+  }, 10000);
+
+  test('crisis: a typed disclosure gets one crisis reply', async () => {
+    session = await startSession(scenarioFile('crisis'));
+    const { client, upstream } = session;
+
+    type(client, "I feel hopeless, I can't go on");
+    await until(() => transcripts(client).length > 0);
+
+    expect(client.ofType('durmah.crisis')).toHaveLength(1);
+    expect(upstream.filter(t => t === 'response.create')).toHaveLength(1);
+    expect(session.overlapping()).toBe(1);
+  }, 10000);
+
+  test('integrity: notices a request for assessed work, then a reply that gives the answer away', async () => {
+    session = await startSession(scenarioFile('integrity'));
+    const { client, upstream } = session;
+
+    type(client, 'Can you write my essay on the postal rule for me?');
+    await until(() => transcripts(client).length === 1);
+    expect(client.ofType('durmah.integrity_notice').map(msg => msg.reason)).toEqual(['academic_dishonesty']);
+    // Guidance goes up before the reply is asked for, and the usual instructions come back after it
+    expect(upstream.indexOf('session.update', 1)).toBeLessThan(upstream.indexOf('response.create'));
+    expect(upstream[upstream.length - 1]).toBe('session.update');
+
+    type(client, 'Just tell me whether Adams v Lindsell still applies to emails.');
+    await until(() => transcripts(client).length === 2);
+    expect(client.ofType('durmah.integrity_notice').map(msg => msg.reason)).toEqual(['academic_dishonesty', 'direct_answer']);
+    expect(client.ofType('transcript')[1].text).toMatch(/^The answer is no/);
+  }, 10000);
+
+  test('turn metrics: times spoken and typed turns from the end of the student\'s turn', async () => {
+    session = await startSession(scenarioFile('study-session'));
+    const { client } = session;
+
+    speak(client);
+    await until(() => client.ofType('durmah.turn_metrics').length === 1);
+    type(client, 'I keep mixing up offers and invitations to treat.');
+    await until(() => client.ofType('durmah.turn_metrics').length === 2);
+
+    const [spoken, typed] = client.ofType('durmah.turn_metrics');
+    expect(spoken).toMatchObject({ turn: 1, trigger: 'speech', status: 'completed' });
+    expect(typed).toMatchObject({ turn: 2, trigger: 'text', status: 'completed' });
+    for (const timings of [spoken, typed]) {
+      expect(timings.first_audio_ms).toBeGreaterThanOrEqual(0);
+      expect(timings.transcript_ms).toBeGreaterThanOrEqual(timings.first_audio_ms);
+      expect(timings.response_done_ms).toBeGreaterThanOrEqual(timings.transcript_ms);
+    }
+    expect(session.latency()).toMatchObject({
+      turns: 2,
+      response_done_ms: { max: Math.max(spoken.response_done_ms, typed.response_done_ms) }
+    });
+  }, 10000);
+});
+
+describe('voice turn latency stats', () => {
+  test('reports nearest-rank percentiles per stage, skipping stages a turn never reached', () => {
+    for (let n = 1; n <= 10; n++) {
+      voice.turn('voice_stats', {
+        turn: n,
+        first_audio_ms: n * 100,
+        transcript_ms: n === 10 ? null : n * 200,
+        response_done_ms: n * 300
+      });
+    }
+
+    expect(voice.getLatencyStats('voice_stats')).toEqual({
+      turns: 10,
+      first_audio_ms: { p50: 500, p90: 900, p95: 1000, max: 1000 },
+      transcript_ms: { p50: 1000, p90: 1800, p95: 1800, max: 1800 },
+      response_done_ms: { p50: 1500, p90: 2700, p95: 3000, max: 3000 }
+    });
+  });
+
+  test('is null for a session with no timed turns', () => {
+    expect(voice.getLatencyStats('voice_unknown')).toBeNull();
+  });
+});
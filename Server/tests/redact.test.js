@@ -0,0 +1,64 @@
+// Server/tests/redact.test.js - Log redaction of student content and personal data
+const { redact, redactString } = require('../lib/redact');
+
+describe('redactString', () => {
+  test.each([
+    ['Bearer abc.def-123', 'Bearer [token]'],
+    ['key sk-proj-abcdefgh1234', 'key [token]'],
+    ['jwt eyJhbGciOi.eyJzdWIiOi.sig_nature', 'jwt [token]'],
+    ['/voice?token=abc123&mode=text', '/voice?token=[token]&mode=text'],
+    ['from s.student@durham.ac.uk', 'from ***@durham.ac.uk'],
+    ['call 07700 900123 today', 'call [phone] today'],
+    ['call +44 7700 900123', 'call [phone]']
+  ])('masks %s', (input, expected) => {
+    expect(redactString(input)).toBe(expected);
+  });
+
+  test('leaves ordinary text, dates and citations alone', () => {
+    const text = 'Session 2026-10-19 cited [1932] AC 562 at 14:05';
+    expect(redactString(text)).toBe(text);
+  });
+});
+
+describe('redact', () => {
+  test('logs content fields as their length and drops secrets', () => {
+    expect(redact({ transcript: 'I feel lost', token: 'abc', userId: 'u-1' })).toEqual({
+      transcript: '[redacted: 11 chars]',
+      token: '[redacted]',
+      userId: 'u-1'
+    });
+  });
+
+  test('matches keys case-insensitively and walks nested objects and arrays', () => {
+    expect(redact({ headers: { Authorization: 'Bearer x' }, items: [{ Text: 'hello' }] })).toEqual({
+      headers: { Authorization: '[redacted]' },
+      items: [{ Text: '[redacted: 5 chars]' }]
+    });
+  });
+
+  test('keeps error details, with secrets masked', () => {
+    const error = new Error('auth failed for s.student@durham.ac.uk');
+    error.code = 'E_AUTH';
+
+    expect(redact(error)).toEqual({
+      name: 'Error',
+      message: 'auth failed for ***@durham.ac.uk',
+      code: 'E_AUTH',
+      stack: expect.stringContaining('***@durham.ac.uk')
+    });
+  });
+
+  test('serialises dates and buffers and stops at the depth limit', () => {
+    const deep = { a: { b: { c: { d: { e: { f: { g: 1 } } } } } } };
+
+    expect(redact({ at: new Date('2026-01-01T00:00:00Z'), audio: Buffer.alloc(4) })).toEqual({
+      at: '2026-01-01T00:00:00.000Z',
+      audio: '[buffer: 4 bytes]'
+    });
+    expect(redact(deep).a.b.c.d.e.f).toBe('[truncated]');
+  });
+
+  test('with mask: false only makes the value serialisable', () => {
+    expect(redact({ transcript: 'hello', token: 'abc' }, { mask: false })).toEqual({ transcript: 'hello', token: 'abc' });
+  });
+});
@@ -0,0 +1,188 @@
+// Server/tests/storage.test.js - Memory store adapters, file persistence and per-conversation locking
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, InMemoryStore, FileStore } = require('../lib/storage');
+const { SCHEMA_VERSION } = require('../lib/storage/schema');
+const MemoryService = require('../services/memory-service').constructor;
+
+const summarizer = {
+  fold: async (previous, turns) => ({
+    text: `${turns.length} earlier turns`,
+    method: 'extractive',
+    turns_summarized: (previous?.turns_summarized || 0) + turns.length,
+    updated_at: new Date().toISOString()
+  })
+};
+
+const conversation = (userId, sessionId, created = new Date()) => ({
+  schema_version: SCHEMA_VERSION,
+  userId,
+  sessionId,
+  created,
+  metadata: { title: 'Consideration' },
+  interactions: [{ id: 'int_1', timestamp: created, user_input: 'What is consideration?', ai_response: 'Something of value.' }],
+  context: {},
+  summary: null
+});
+
+describe('createMemoryStore', () => {
+  test.each([
+    [{}, 'memory'],
+    [{ MEMORY_STORE: 'file', MEMORY_STORE_PATH: path.join(os.tmpdir(), 'unused.json') }, 'file'],
+    [{ MEMORY_STORE: 'supabase' }, 'memory'],
+    [{ MEMORY_STORE: 'supabase', SUPABASE_URL: 'http://localhost', SUPABASE_SERVICE_ROLE_KEY: 'key' }, 'supabase'],
+    [{ MEMORY_STORE: 'redis' }, 'memory']
+  ])('%j selects the %s store', (config, name) => {
+    expect(createMemoryStore(config).name).toBe(name);
+  });
+});
+
+describe.each([
+  ['InMemoryStore', () => new InMemoryStore()],
+  ['FileStore', (dir) => new FileStore({ filePath: path.join(dir, 'memory.json') })]
+])('%s', (_, createStore) => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+    store = createStore(dir);
+    await store.init();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('round-trips conversations, profiles and provenance', async () => {
+    await store.saveConversation('u1_s1', conversation('u1', 's1'));
+    await store.saveConversation('u2_s1', conversation('u2', 's1'));
+    await store.saveProfile('u1', { userId: 'u1', preferences: { pace: 'slow' } });
+    await store.appendProvenance('u1', { id: 'p1', module: 'Contract Law', timestamp: '2026-01-10T10:00:00.000Z' });
+    await store.appendProvenance('u1', { id: 'p2', module: 'Tort Law', timestamp: '2026-02-10T10:00:00.000Z' });
+
+    expect((await store.getConversation('u1_s1')).metadata.title).toBe('Consideration');
+    expect(await store.getConversation('missing')).toBeNull();
+    expect((await store.listConversations('u1')).map(c => c.sessionId)).toEqual(['s1']);
+    expect((await store.getProfile('u1')).preferences).toEqual({ pace: 'slow' });
+    expect((await store.listProvenance('u1', { module: 'Tort Law' })).map(r => r.id)).toEqual(['p2']);
+  });
+
+  test('erases one user without touching another, keeping the request log', async () => {
+    await store.saveConversation('u1_s1', conversation('u1', 's1'));
+    await store.saveConversation('u2_s1', conversation('u2', 's1'));
+    await store.saveProfile('u1', { userId: 'u1' });
+    await store.appendProvenance('u1', { id: 'p1', timestamp: new Date().toISOString() });
+    await store.appendDataRequest({ id: 'r1', user_id: 'u1', type: 'erasure' });
+
+    await store.deleteUserData('u1');
+
+    expect(await store.listConversations('u1')).toEqual([]);
+    expect(await store.getProfile('u1')).toBeNull();
+    expect(await store.listProvenance('u1')).toEqual([]);
+    expect(await store.listConversations('u2')).toHaveLength(1);
+    expect((await store.listDataRequests('u1')).map(r => r.id)).toEqual(['r1']);
+  });
+
+  test('keeps every concurrent write to one conversation, in order', async () => {
+    const memory = new MemoryService(store, undefined, summarizer);
+    await Promise.all(Array.from({ length: 8 }, (_, i) =>
+      memory.storeConversation('u1', 's1', { user_input: `question ${i}`, ai_response: `answer ${i}` })));
+
+    const stored = await store.getConversation('u1_s1');
+    expect(stored.interactions.map(i => i.user_input))
+      .toEqual(Array.from({ length: 8 }, (_, i) => `question ${i}`));
+  });
+});
+
+describe('FileStore persistence', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'memory-store-'));
+    filePath = path.join(dir, 'memory.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reloads records with their dates after a restart', async () => {
+    const store = new FileStore({ filePath });
+    await store.init();
+    await store.saveConversation('u1_s1', conversation('u1', 's1', new Date('2026-03-01T09:00:00Z')));
+    await store.saveProfile('u1', { userId: 'u1', created: new Date('2026-02-01T09:00:00Z') });
+    await store.appendDataRequest({ id: 'r1', user_id: 'u1', type: 'export' });
+    await store.close();
+
+    const restarted = new FileStore({ filePath });
+    await restarted.init();
+    const stored = await restarted.getConversation('u1_s1');
+    expect(stored.created).toEqual(new Date('2026-03-01T09:00:00Z'));
+    expect(stored.interactions[0].timestamp).toBeInstanceOf(Date);
+    expect((await restarted.getProfile('u1')).created).toEqual(new Date('2026-02-01T09:00:00Z'));
+    expect(await restarted.listDataRequests('u1')).toHaveLength(1);
+    await restarted.close();
+  });
+
+  test('upgrades v1 records on load and writes them back', async () => {
+    fs.writeFileSync(filePath, JSON.stringify({
+      conversations: {
+        u1_s1: { userId: 'u1', sessionId: 's1', created: '2025-10-01T09:00:00.000Z', interactions: [], context: {} }
+      },
+      profiles: { u1: { userId: 'u1', created: '2025-10-01T09:00:00.000Z' } }
+    }));
+
+    const store = new FileStore({ filePath });
+    await store.init();
+
+    expect(await store.getConversation('u1_s1')).toMatchObject({ schema_version: SCHEMA_VERSION, metadata: {}, summary: null });
+    expect(await store.getProfile('u1')).toMatchObject({ schema_version: SCHEMA_VERSION, long_term_memory: null });
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).schema_version).toBe(SCHEMA_VERSION);
+    await store.close();
+  });
+
+  test('lands the newest snapshot when flushes overlap', async () => {
+    const store = new FileStore({ filePath });
+    await store.init();
+
+    const flushes = [];
+    for (let i = 0; i < 5; i++) {
+      await store.saveConversation(`u1_s${i}`, conversation('u1', `s${i}`));
+      flushes.push(store.flush());
+    }
+    await Promise.all(flushes);
+
+    expect(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).conversations)).toHaveLength(5);
+    await store.close();
+  });
+});
+
+describe('MemoryService.withLock', () => {
+  test('runs tasks for one key one at a time, in call order', async () => {
+    const memory = new MemoryService(new InMemoryStore(), undefined, summarizer);
+    const events = [];
+    const task = (name, ms) => async () => {
+      events.push(`start ${name}`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      events.push(`end ${name}`);
+    };
+
+    await Promise.all([memory.withLock('k', task('a', 20)), memory.withLock('k', task('b', 1)), memory.withLock('k', task('c', 5))]);
+
+    expect(events).toEqual(['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+    expect(memory.locks.size).toBe(0);
+  });
+
+  test('keeps going after a failed task', async () => {
+    const memory = new MemoryService(new InMemoryStore(), undefined, summarizer);
+    const failed = memory.withLock('k', async () => { throw new Error('boom'); });
+    const next = memory.withLock('k', async () => 'ran');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('ran');
+  });
+});
@@ -0,0 +1,67 @@
+// Server/tests/taxonomy.test.js - Legal topic taxonomy matching
+const { createTopicMatcher, stem, tokenize } = require('../lib/taxonomy');
+
+describe('stem and tokenize', () => {
+  test('strip the same suffixes from terms and text', () => {
+    expect(stem('invitations')).toBe(stem('invitation'));
+    expect(stem('negligence')).toBe(stem('negligent'));
+    expect(stem('law')).toBe('law'); // Too short to strip
+  });
+
+  test('lower-case, drop apostrophes and split on punctuation', () => {
+    expect(tokenize('Donoghue\'s duty-of-care')).toEqual(['donoghu', 'duty', 'of', 'care']);
+    expect(tokenize(null)).toEqual([]);
+  });
+});
+
+describe('createTopicMatcher with the built-in taxonomy', () => {
+  const matcher = createTopicMatcher();
+
+  test('finds topics through inflected forms', () => {
+    expect(matcher.match('I keep mixing up offers and invitations to treat')).toEqual([
+      { module: 'Contract Law', topic: 'offer and acceptance', term: expect.any(String) },
+      { module: 'Contract Law', topic: 'offer and acceptance', term: expect.any(String) }
+    ]);
+  });
+
+  test('reports matches in the order they appear', () => {
+    expect(matcher.match('mens rea for murder').map(match => match.topic)).toEqual(['mens rea', 'homicide']);
+  });
+
+  test('returns every module a shared term belongs to', () => {
+    expect(matcher.match('illegality').map(match => match.module)).toEqual(['Contract Law', 'Administrative Law']);
+  });
+
+  test('matches nothing in unrelated text', () => {
+    expect(matcher.match('the weather is nice')).toEqual([]);
+  });
+
+  test('lists the modules', () => {
+    expect(matcher.modules).toContain('Tort Law');
+  });
+});
+
+describe('createTopicMatcher with a custom taxonomy', () => {
+  const matcher = createTopicMatcher({
+    modules: [
+      {
+        name: 'Tort Law',
+        terms: ['tort'],
+        topics: [
+          { name: 'negligence', terms: ['duty of care', 'breach'] },
+          { name: 'occupiers', terms: ['duty'] }
+        ]
+      }
+    ]
+  });
+
+  test('prefers the longest phrase', () => {
+    expect(matcher.match('Was there a duty of care?')).toEqual([
+      { module: 'Tort Law', topic: 'negligence', term: 'duty of care' }
+    ]);
+  });
+
+  test('gives module-level terms a null topic', () => {
+    expect(matcher.match('torts')).toEqual([{ module: 'Tort Law', topic: null, term: 'tort' }]);
+  });
+});
@@ -0,0 +1,69 @@
+// Server/tests/tts-cache.test.js - Memory and disk tiers of the synthesised speech cache
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TTSCache } = require('../lib/tts/cache');
+
+const clip = (bytes, fill = 1) => ({ audioData: Buffer.alloc(bytes, fill), format: 'mp3', voice: 'alloy', provider: 'openai' });
+
+describe('TTSCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tts-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns clips from memory, then from disk after a restart', async () => {
+    const cache = new TTSCache({ memoryLimit: 1024, diskLimit: 1024, dir });
+    await cache.set('greeting', clip(100));
+
+    expect(await cache.get('greeting')).toMatchObject({ tier: 'memory', format: 'mp3' });
+
+    const restarted = new TTSCache({ memoryLimit: 1024, diskLimit: 1024, dir });
+    const cached = await restarted.get('greeting');
+    expect(cached.tier).toBe('disk');
+    expect(cached.audioData.equals(Buffer.alloc(100, 1))).toBe(true);
+    expect(await restarted.get('missing')).toBeNull();
+  });
+
+  test('writes a clip to disk once when the same key is set concurrently', async () => {
+    const cache = new TTSCache({ memoryLimit: 1024, diskLimit: 1024, dir });
+    await Promise.all([cache.set('greeting', clip(100)), cache.set('greeting', clip(100))]);
+
+    expect(cache.stats().disk).toMatchObject({ clips: 1, bytes: 100 });
+  });
+
+  test('evicts the least recently used clips from memory', async () => {
+    const cache = new TTSCache({ memoryLimit: 250, diskLimit: 0, dir });
+    await cache.set('a', clip(100));
+    await cache.set('b', clip(100));
+    await cache.get('a');
+    await cache.set('c', clip(100));
+
+    expect([...cache.memory.keys()]).toEqual(['a', 'c']);
+    expect(cache.stats()).toMatchObject({ memory: { bytes: 200 }, disk: null });
+  });
+
+  test('evicts the oldest clips from disk past its limit', async () => {
+    const cache = new TTSCache({ memoryLimit: 1024, diskLimit: 250, dir });
+    await cache.set('a', clip(100));
+    await cache.set('b', clip(100));
+    await cache.set('c', clip(100));
+
+    expect([...cache.disk.keys()]).toEqual(['b', 'c']);
+    expect(cache.stats().disk.bytes).toBe(200);
+    expect(fs.existsSync(path.join(dir, 'a.mp3'))).toBe(false);
+  });
+
+  test('does nothing when disabled', async () => {
+    const cache = new TTSCache({ enabled: false, memoryLimit: 1024, diskLimit: 1024, dir });
+    await cache.set('greeting', clip(100));
+
+    expect(await cache.get('greeting')).toBeNull();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+// Server/tests/tts-providers.test.js - TTS provider chain order, fallback and preset mapping
+Object.assign(process.env, {
+  OPENAI_API_KEY: 'test-key',
+  ELEVENLABS_API_KEY: 'test-eleven-key',
+  TTS_PROVIDERS: 'elevenlabs,openai,local',
+  TTS_CACHE_ENABLED: 'false'
+});
+
+const { createTTSProviders } = require('../lib/tts');
+const VoiceService = require('../services/voice-service');
+
+const names = (providers) => providers.map(provider => provider.name);
+const audio = (voice) => ({ audioData: Buffer.from('mp3'), format: 'mp3', voice });
+
+describe('createTTSProviders', () => {
+  test.each([
+    ['openai then elevenlabs by default', {}, ['openai', 'elevenlabs']],
+    ['the TTS_PROVIDERS order', { TTS_PROVIDERS: 'local, ElevenLabs ,openai' }, ['local', 'elevenlabs', 'openai']],
+    ['each provider once', { TTS_PROVIDERS: 'openai,local,openai' }, ['openai', 'local']],
+    ['no unknown providers', { TTS_PROVIDERS: 'polly,openai' }, ['openai']]
+  ])('builds %s', (_, config, expected) => {
+    expect(names(createTTSProviders({ OPENAI_API_KEY: 'k', ELEVENLABS_API_KEY: 'k', ...config }))).toEqual(expected);
+  });
+
+  test('leaves out providers without credentials', () => {
+    expect(names(createTTSProviders({ TTS_PROVIDERS: 'openai,elevenlabs,local', ELEVENLABS_API_KEY: 'k' })))
+      .toEqual(['elevenlabs', 'local']);
+    expect(createTTSProviders({})).toEqual([]);
+  });
+});
+
+describe('VoiceService.synthesizeSpeech fallback', () => {
+  const [elevenlabs, openai, local] = VoiceService.ttsProviders;
+  let calls;
+
+  // Each provider records the call, then fails or answers as told
+  const stub = (provider, outcome) => jest.spyOn(provider, 'synthesize').mockImplementation(async (text, settings) => {
+    calls.push(provider.name);
+    if (outcome instanceof Error) throw outcome;
+    return audio(provider.settingsFor(settings).voice);
+  });
+
+  beforeEach(() => {
+    calls = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('is built in TTS_PROVIDERS order', () => {
+    expect(names(VoiceService.ttsProviders)).toEqual(['elevenlabs', 'openai', 'local']);
+  });
+
+  test('uses the first provider that succeeds, in order', async () => {
+    stub(elevenlabs, new Error('quota exceeded'));
+    stub(openai, 'ok');
+    stub(local, 'ok');
+
+    const result = await VoiceService.synthesizeSpeech('What is consideration?', { preset: 'academic' });
+
+    expect(calls).toEqual(['elevenlabs', 'openai']);
+    expect(result).toMatchObject({ success: true, provider: 'openai', voice: 'nova', contentType: 'audio/mpeg', cache: 'off' });
+  });
+
+  test('sends a voice chosen from /voices to its own provider first', async () => {
+    stub(elevenlabs, 'ok');
+    stub(openai, new Error('timeout'));
+    stub(local, 'ok');
+
+    const result = await VoiceService.synthesizeSpeech('Hello', { voice: 'shimmer' });
+
+    expect(calls).toEqual(['openai', 'elevenlabs']);
+    expect(result.provider).toBe('elevenlabs');
+  });
+
+  test('falls back to the browser once every provider has failed', async () => {
+    stub(elevenlabs, new Error('quota exceeded'));
+    stub(openai, new Error('timeout'));
+    stub(local, new Error('disk full'));
+
+    const result = await VoiceService.synthesizeSpeech('See s. 2 of the Act');
+
+    expect(calls).toEqual(['elevenlabs', 'openai', 'local']);
+    expect(result).toMatchObject({
+      success: false,
+      fallback: true,
+      text: 'See section 2 of the Act',
+      error: 'elevenlabs: quota exceeded; openai: timeout; local: disk full'
+    });
+  });
+
+  test('stops the chain once the request is cancelled', async () => {
+    const controller = new AbortController();
+    jest.spyOn(elevenlabs, 'synthesize').mockImplementation(async () => {
+      calls.push('elevenlabs');
+      controller.abort();
+      throw new Error('aborted');
+    });
+    stub(openai, 'ok');
+
+    const result = await VoiceService.synthesizeSpeech('Hello', {}, { signal: controller.signal });
+
+    expect(calls).toEqual(['elevenlabs']);
+    expect(result).toMatchObject({ success: false, cancelled: true });
+  });
+});
+
+describe('voice presets on each provider', () => {
+  const [elevenlabs, openai, local] = VoiceService.ttsProviders;
+  const preset = (name) => VoiceService.resolveVoiceSettings({ preset: name });
+
+  test.each(['academic', 'wellbeing', 'crisis'])('maps the %s preset', (name) => {
+    const settings = preset(name);
+
+    expect(openai.settingsFor(settings)).toEqual({ voice: settings.voice, speed: settings.speed });
+    expect(elevenlabs.settingsFor(settings).voice_settings).toMatchObject({
+      stability: settings.stability,
+      similarity_boost: settings.clarity,
+      speed: settings.speed
+    });
+    expect(local.settingsFor(settings)).toEqual({ speed: settings.speed, frequency: 220 * settings.pitch });
+  });
+
+  test('keeps each provider inside its own limits', () => {
+    const settings = { ...preset('crisis'), speed: 0.5, stability: 1.4 };
+
+    expect(openai.settingsFor(settings).speed).toBe(0.5);
+    expect(elevenlabs.settingsFor(settings).voice_settings).toMatchObject({ speed: 0.7, stability: 1 });
+  });
+});
@@ -0,0 +1,60 @@
+// Server/tests/tts-segmenter.test.js - Sentence segmentation for streamed speech
+const { splitForSpeech, splitSentences } = require('../lib/tts/segmenter');
+
+const lengths = (segments) => segments.map(segment => segment.length);
+
+describe('splitSentences', () => {
+  test('does not break after legal abbreviations or initials', () => {
+    expect(splitSentences('In R v. Brown the House of Lords held consent was no defence. See s. 47 of the 1861 Act! J. Smith agreed? Yes.')).toEqual([
+      'In R v. Brown the House of Lords held consent was no defence.',
+      'See s. 47 of the 1861 Act!',
+      'J. Smith agreed?',
+      'Yes.'
+    ]);
+  });
+
+  test('keeps closing quotes and brackets with their sentence', () => {
+    expect(splitSentences('He said "stop." Then left. Dr. Who (the case) ended… Next.')).toEqual([
+      'He said "stop."',
+      'Then left.',
+      'Dr. Who (the case) ended…',
+      'Next.'
+    ]);
+  });
+});
+
+describe('splitForSpeech', () => {
+  const paragraph = Array.from({ length: 12 }, (_, i) =>
+    `Sentence number ${i + 1} explains one more point about the duty of care in negligence.`).join(' ');
+
+  test('packs whole sentences, with a short first segment', () => {
+    const segments = splitForSpeech(paragraph);
+
+    expect(segments.join(' ')).toBe(paragraph);
+    expect(segments[0].length).toBeLessThanOrEqual(150);
+    expect(Math.max(...lengths(segments))).toBeLessThanOrEqual(400);
+    segments.forEach(segment => expect(segment).toMatch(/\.$/));
+  });
+
+  test('breaks an over-long sentence at clause marks', () => {
+    const sentence = `${'word, '.repeat(200)}end.`;
+    const segments = splitForSpeech(sentence);
+
+    expect(segments[0].length).toBeLessThanOrEqual(150);
+    expect(Math.max(...lengths(segments))).toBeLessThanOrEqual(400);
+    expect(segments.slice(0, -1).every(segment => segment.endsWith(','))).toBe(true);
+    expect(segments.join(' ')).toBe(sentence.trim());
+  });
+
+  test('honours custom limits', () => {
+    const segments = splitForSpeech(paragraph, { maxLength: 200, firstMaxLength: 90 });
+
+    expect(segments[0].length).toBeLessThanOrEqual(90);
+    expect(Math.max(...lengths(segments))).toBeLessThanOrEqual(200);
+  });
+
+  test('collapses whitespace and returns nothing for blank text', () => {
+    expect(splitForSpeech('  Short\n one.  ')).toEqual(['Short one.']);
+    expect(splitForSpeech('   ')).toEqual([]);
+  });
+});
@@ -0,0 +1,129 @@
+// Server/tests/voice-session-limits.test.js - Voice session length and idle limits, with their warnings
+const { EventEmitter } = require('events');
+
+// Stands in for the student's /voice socket
+class FakeClient extends EventEmitter {
+  constructor() {
+    super();
+    this.readyState = 1;
+    this.received = [];
+    this.closedWith = null;
+  }
+
+  send(data) {
+    this.received.push(JSON.parse(data));
+  }
+
+  say(msg) {
+    this.emit('message', Buffer.from(JSON.stringify(msg)));
+  }
+
+  ping() {
+    this.emit('pong');
+  }
+
+  close(code, reason) {
+    if (this.readyState !== 1) return;
+    this.readyState = 3;
+    this.closedWith = { code, reason };
+    this.emit('close');
+  }
+
+  terminate() {
+    this.close(1006);
+  }
+
+  ofType(type) {
+    return this.received.filter(msg => msg.type === type);
+  }
+}
+
+const SECOND = 1000;
+
+describe('voice session limits', () => {
+  let client;
+
+  // Limits are read when the module loads: 2 minute sessions, 1 minute idle, warnings 20s ahead
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    let service;
+    jest.isolateModules(() => {
+      Object.assign(process.env, {
+        OPENAI_API_KEY: 'test-key',
+        ALLOW_ANON_ACCESS: 'true',
+        VOICE_FAKE_REALTIME: 'study-session',
+        MAX_SESSION_MINUTES: '2',
+        IDLE_TIMEOUT_MINUTES: '1',
+        SESSION_WARNING_SECONDS: '20'
+      });
+      service = require('../services/realtime-voice');
+    });
+
+    client = new FakeClient();
+    await service.handleConnection(client, { url: '/voice', headers: {} }, 'limits', 'corr-limits');
+    await jest.advanceTimersByTimeAsync(100);
+    expect(client.ofType('durmah.ready')).toHaveLength(1);
+  });
+
+  afterEach(async () => {
+    client.close();
+    await jest.runOnlyPendingTimersAsync();
+    jest.useRealTimers();
+  });
+
+  const typeSomething = () => client.say({
+    type: 'conversation.item.create',
+    item: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'What is consideration?' }] }
+  });
+
+  test('warns an idle student once, then ends the session', async () => {
+    await jest.advanceTimersByTimeAsync(35 * SECOND);
+    expect(client.ofType('durmah.session_warning')).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    expect(client.ofType('durmah.session_warning')).toEqual([
+      expect.objectContaining({ reason: 'idle_timeout', remaining_seconds: 20 })
+    ]);
+
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    expect(client.ofType('durmah.session_warning')).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    expect(client.ofType('durmah.session_ended')).toEqual([expect.objectContaining({ reason: 'idle_timeout' })]);
+    expect(client.closedWith).toEqual({ code: 4002, reason: 'idle_timeout' });
+  });
+
+  test('a new turn resets the idle clock and its warning', async () => {
+    await jest.advanceTimersByTimeAsync(45 * SECOND);
+    expect(client.ofType('durmah.session_warning')).toHaveLength(1);
+
+    typeSomething();
+    await jest.advanceTimersByTimeAsync(35 * SECOND);
+    expect(client.ofType('durmah.session_warning')).toHaveLength(1);
+    expect(client.ofType('durmah.session_ended')).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    expect(client.ofType('durmah.session_warning').map(msg => msg.reason)).toEqual(['idle_timeout', 'idle_timeout']);
+  });
+
+  test('warns before the session limit, then ends an active session at it', async () => {
+    for (let turn = 0; turn < 3; turn++) {
+      typeSomething();
+      await jest.advanceTimersByTimeAsync(30 * SECOND);
+    }
+    expect(client.ofType('durmah.session_warning')).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(10 * SECOND);
+    expect(client.ofType('durmah.session_warning')).toEqual([
+      expect.objectContaining({ reason: 'session_limit', remaining_seconds: 20 })
+    ]);
+
+    typeSomething();
+    await jest.advanceTimersByTimeAsync(15 * SECOND);
+    expect(client.ofType('durmah.session_ended')).toEqual([]);
+
+    await jest.advanceTimersByTimeAsync(5 * SECOND);
+    expect(client.ofType('durmah.session_ended')).toEqual([expect.objectContaining({ reason: 'session_limit' })]);
+    expect(client.closedWith).toEqual({ code: 4001, reason: 'session_limit' });
+  });
+});
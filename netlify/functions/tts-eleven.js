@@ -2,6 +2,13 @@
 // Env required: ELEVENLABS_API_KEY, ELEVENLABS_VOICE_ID
 // Optional: ELEVENLABS_MODEL (default eleven_turbo_v2_5)
 // Request body: { text, voiceId?, stability?, similarity?, style?, boost?, speed? }
+// Text goes through the server's legal speech normaliser first ("s 3" -> "section 3", citations spelled out).
+// PRONUNCIATION_LEXICON_PATH is not read here: the function is bundled with the built-in
+// Server/lib/pronunciation/legal-lexicon.json only, so pronunciation changes for it go in that file.
+
+import { createSpeechNormalizer } from "../../Server/lib/pronunciation/normalizer.js";
+
+const speechNormalizer = createSpeechNormalizer();
 
 export async function handler(event, _context) {
   const cors = {
@@ -45,7 +52,7 @@ export async function handler(event, _context) {
 
     const body = {
       model_id: model,
-      text,
+      text: speechNormalizer.normalize(String(text)),
       // If your account supports 'voice_settings', this will shape tone.
       voice_settings: {
         stability,